@@ -0,0 +1,244 @@
+// js/core/auth.js
+/**
+ * Optional accounts through Supabase Auth - email magic link or password
+ * Signing in claims the device's member ID for the account (or switches to the ID the
+ * account already has), after which the server only accepts that ID with the account's
+ * session. Without an account the app keeps using its anonymous member ID.
+ */
+
+import supabaseManager from '../config/supabase.js';
+import appState from './state.js';
+import userManager from './user.js';
+import storageManager from './storage.js';
+
+class AuthManager {
+    constructor() {
+        this.session = null;
+        this.minPasswordLength = 8;
+        this.errorMessages = {
+            not_signed_in: 'Your sign-in has expired. Please sign in again.',
+            member_id_requires_sign_in: 'This member ID belongs to an account. Please sign in to use it.',
+            'Invalid login credentials': 'Wrong email or password.',
+            'Email not confirmed': 'Confirm your email address first - check your inbox for the link.',
+            'User already registered': 'An account with this email already exists. Sign in instead.'
+        };
+    }
+
+    /**
+     * Pick up an existing session (including one from a magic link that was just opened)
+     * and follow sign-ins and sign-outs from other tabs
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        const supabase = supabaseManager.getClient();
+        if (!supabase?.auth) return;
+
+        try {
+            const { data } = await supabase.auth.getSession();
+            if (data?.session) {
+                await this.applySession(data.session);
+            }
+
+            supabase.auth.onAuthStateChange((event, session) => this.handleAuthStateChange(event, session));
+        } catch (error) {
+            console.error('Error restoring sign-in session:', error);
+        }
+    }
+
+    /**
+     * Handle Supabase auth events
+     * @param {string} event
+     * @param {Object|null} session
+     */
+    async handleAuthStateChange(event, session) {
+        if (event === 'SIGNED_IN' && session && session.user.id !== this.session?.user.id) {
+            await this.applySession(session);
+        } else if (event === 'TOKEN_REFRESHED' && session) {
+            this.session = session;
+        } else if (event === 'SIGNED_OUT' && this.session) {
+            this.forgetAccount();
+        }
+    }
+
+    /**
+     * Claim the member ID for a new session and switch to the account's ID
+     * @param {Object} session
+     * @returns {Promise<boolean>} Success status
+     */
+    async applySession(session) {
+        this.session = session;
+
+        const { memberId, error } = await storageManager.claimMemberAccount();
+        if (!memberId) {
+            this.session = null;
+            this.handleError(this.getErrorMessage(error));
+            return false;
+        }
+
+        // Clubs held by this device's anonymous ID were merged into the account's ID
+        await storageManager.adoptUserId(memberId);
+        userManager.setAccount({ authUserId: session.user.id, email: session.user.email, memberId });
+
+        appState.emit('accountChanged', { account: userManager.account });
+        return true;
+    }
+
+    /**
+     * Email a sign-in link; opening it signs this browser in
+     * @param {string} email
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendMagicLink(email) {
+        const supabase = this.getAuthClient();
+        if (!supabase || !this.validateEmail(email)) return false;
+
+        const { error } = await supabase.auth.signInWithOtp({
+            email,
+            options: { emailRedirectTo: this.getRedirectUrl() }
+        });
+
+        if (error) {
+            this.handleError(this.getErrorMessage(error.message));
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Sign in with email and password
+     * @param {string} email
+     * @param {string} password
+     * @returns {Promise<boolean>} Success status
+     */
+    async signInWithPassword(email, password) {
+        const supabase = this.getAuthClient();
+        if (!supabase || !this.validateEmail(email)) return false;
+
+        const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+        if (error || !data?.session) {
+            this.handleError(this.getErrorMessage(error?.message));
+            return false;
+        }
+
+        return this.applySession(data.session);
+    }
+
+    /**
+     * Create an account with email and password. Projects that confirm emails send a
+     * link first; otherwise the new account is signed in straight away.
+     * @param {string} email
+     * @param {string} password
+     * @returns {Promise<string|null>} 'signed-in', 'confirm-email' or null on failure
+     */
+    async signUp(email, password) {
+        const supabase = this.getAuthClient();
+        if (!supabase || !this.validateEmail(email)) return null;
+
+        if (String(password || '').length < this.minPasswordLength) {
+            this.handleError(`Passwords need at least ${this.minPasswordLength} characters.`);
+            return null;
+        }
+
+        const { data, error } = await supabase.auth.signUp({
+            email,
+            password,
+            options: { emailRedirectTo: this.getRedirectUrl() }
+        });
+
+        if (error) {
+            this.handleError(this.getErrorMessage(error.message));
+            return null;
+        }
+
+        if (data?.session) {
+            return await this.applySession(data.session) ? 'signed-in' : null;
+        }
+        return 'confirm-email';
+    }
+
+    /**
+     * Sign out. The account's clubs are removed from this device, which starts over with
+     * a new anonymous ID - the account's ID no longer works here without signing in.
+     * @returns {Promise<void>}
+     */
+    async signOut() {
+        const supabase = this.getAuthClient();
+        if (supabase) {
+            const { error } = await supabase.auth.signOut();
+            if (error) {
+                console.error('Error signing out:', error);
+            }
+        }
+        this.forgetAccount();
+    }
+
+    /**
+     * Drop the account and its clubs from this device
+     */
+    forgetAccount() {
+        this.session = null;
+        appState.setCurrentClubId(null);
+        appState.setBookClubs({});
+        userManager.clearAccount();
+        storageManager.saveToLocalStorage();
+
+        appState.emit('accountChanged', { account: null });
+    }
+
+    /**
+     * Get the Supabase client if accounts are available
+     * @returns {Object|null}
+     */
+    getAuthClient() {
+        const supabase = supabaseManager.getClient();
+        if (!supabase?.auth) {
+            this.handleError('Accounts need collaborative mode.');
+            return null;
+        }
+        return supabase;
+    }
+
+    /**
+     * Check an email address before sending it to the auth API
+     * @param {string} email
+     * @returns {boolean}
+     */
+    validateEmail(email) {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || ''))) {
+            this.handleError('Please enter a valid email address.');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the page magic links and confirmation emails return to
+     * @returns {string}
+     */
+    getRedirectUrl() {
+        return `${window.location.origin}${window.location.pathname}`;
+    }
+
+    /**
+     * Get the message for a failed auth request
+     * @param {string} code - Error message from the auth API or an error code raised by the server
+     * @returns {string}
+     */
+    getErrorMessage(code) {
+        return this.errorMessages[code] || 'Sign-in failed. Please try again.';
+    }
+
+    /**
+     * Handle errors with user feedback
+     * @param {string} message
+     */
+    handleError(message) {
+        console.error('Auth Error:', message);
+        alert(`❌ ${message}`);
+    }
+}
+
+// Export singleton instance
+const authManager = new AuthManager();
+export default authManager;
\ No newline at end of file
@@ -0,0 +1,244 @@
+// js/core/bookModel.js
+/**
+ * Book entity helpers - creation, normalization and lookup of book records
+ * Clubs store books as structured records rather than plain title strings
+ */
+
+import userManager from './user.js';
+
+class BookModel {
+    /**
+     * Generate unique book ID
+     * @returns {string}
+     */
+    generateBookId() {
+        return `book_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Derive a stable ID for a legacy title string, so every client that
+     * migrates the same club ends up with the same book IDs
+     * @param {string} title
+     * @param {number} occurrence - Earlier entries in the list with the same title
+     * @returns {string}
+     */
+    legacyBookId(title, occurrence = 0) {
+        return `book_legacy_${this.hashKey(this.saltKey(title.trim().toLowerCase(), occurrence))}`;
+    }
+
+    /**
+     * Derive a stable ID for a stored record saved without one, from the fields that
+     * identify it, so normalizing it again on the next load keeps the same ID (upvotes
+     * and the selection refer to books by ID)
+     * @param {Object} data - The record, with defaults applied
+     * @param {number} occurrence - Earlier entries in the list with the same fields
+     * @returns {string}
+     */
+    recordBookId(data, occurrence = 0) {
+        const key = [data.title, data.author, data.addedBy, data.addedAt]
+            .map(value => String(value || '').trim().toLowerCase())
+            .join('|');
+        return `book_record_${this.hashKey(this.saltKey(key, occurrence))}`;
+    }
+
+    /**
+     * Tell repeats of the same key apart (e.g. two editions listed under one title).
+     * The first keeps the plain key, so IDs derived before repeats were counted still match.
+     * @param {string} key
+     * @param {number} occurrence
+     * @returns {string}
+     */
+    saltKey(key, occurrence) {
+        return occurrence > 0 ? `${key}#${occurrence}` : key;
+    }
+
+    /**
+     * Hash a string (FNV-1a) into a short ID part
+     * @param {string} key
+     * @returns {string}
+     */
+    hashKey(key) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * Create a new book record
+     * @param {Object|string} details - Book details or a plain title
+     * @returns {Object|null} Book record, or null if no title was given
+     */
+    create(details) {
+        const data = typeof details === 'string' ? { title: details } : (details || {});
+        const title = typeof data.title === 'string' ? data.title.trim() : '';
+
+        if (!title) return null;
+
+        return {
+            id: data.id || this.generateBookId(),
+            title: title,
+            author: data.author?.trim() || null,
+            isbn: this.normalizeIsbn(data.isbn),
+            addedBy: data.addedBy || userManager.getCurrentUserId(),
+            addedAt: data.addedAt || new Date().toISOString(),
+            notes: data.notes?.trim() || null,
+            metadata: this.normalizeMetadata(data.metadata),
+            upvotes: Array.isArray(data.upvotes) ? [...new Set(data.upvotes)] : []
+        };
+    }
+
+    /**
+     * Upgrade a stored book (legacy title string or partial record) to a full record.
+     * Either kind without an ID gets one derived from its fields, the same every time.
+     * @param {Object|string} book
+     * @param {Object} defaults - Values used for missing fields (e.g. addedBy, addedAt)
+     * @param {number} occurrence - Earlier entries in the list it would get the same ID as
+     * @returns {Object|null}
+     */
+    normalize(book, defaults = {}, occurrence = 0) {
+        if (typeof book === 'string') {
+            return book.trim()
+                ? this.create({ ...defaults, id: this.legacyBookId(book, occurrence), title: book })
+                : null;
+        }
+
+        if (!book || typeof book !== 'object') return null;
+
+        const data = { ...defaults, ...book };
+        return this.create(data.id ? data : { ...data, id: this.recordBookId(data, occurrence) });
+    }
+
+    /**
+     * Upgrade a whole book list, dropping empty entries and duplicate IDs. Entries
+     * without an ID that repeat an earlier one are numbered by occurrence, so none is lost.
+     * @param {Array} books
+     * @param {Object} defaults
+     * @returns {Array}
+     */
+    normalizeList(books, defaults = {}) {
+        if (!Array.isArray(books)) return [];
+
+        const seen = new Set();
+        return books.reduce((records, book) => {
+            const derived = typeof book === 'string' || (book && typeof book === 'object' && !book.id);
+            let record = this.normalize(book, defaults);
+            for (let occurrence = 1; derived && record && seen.has(record.id); occurrence++) {
+                record = this.normalize(book, defaults, occurrence);
+            }
+
+            if (record && !seen.has(record.id)) {
+                seen.add(record.id);
+                records.push(record);
+            }
+            return records;
+        }, []);
+    }
+
+    /**
+     * Check whether a book list still contains legacy title strings
+     * @param {Array} books
+     * @returns {boolean}
+     */
+    needsMigration(books) {
+        return Array.isArray(books) && books.some(book => typeof book === 'string');
+    }
+
+    /**
+     * Normalize the free-form metadata object
+     * @param {Object} metadata
+     * @returns {Object}
+     */
+    normalizeMetadata(metadata) {
+        const normalized = metadata && typeof metadata === 'object' ? { ...metadata } : {};
+        const pageCount = parseInt(normalized.pageCount, 10);
+
+        if (Number.isFinite(pageCount) && pageCount > 0) {
+            normalized.pageCount = pageCount;
+        } else {
+            delete normalized.pageCount;
+        }
+
+        const genre = typeof normalized.genre === 'string' ? normalized.genre.trim() : '';
+        if (genre) {
+            normalized.genre = genre;
+        } else {
+            delete normalized.genre;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Strip ISBN formatting (spaces and hyphens)
+     * @param {string} isbn
+     * @returns {string|null}
+     */
+    normalizeIsbn(isbn) {
+        if (!isbn) return null;
+        const cleaned = String(isbn).replace(/[\s-]/g, '').toUpperCase();
+        return cleaned || null;
+    }
+
+    /**
+     * Get the display title of a book record or legacy string
+     * @param {Object|string} book
+     * @returns {string}
+     */
+    getTitle(book) {
+        if (!book) return '';
+        return typeof book === 'string' ? book : book.title || '';
+    }
+
+    /**
+     * Get a "Title by Author" label for display and logging
+     * @param {Object|string} book
+     * @returns {string}
+     */
+    getLabel(book) {
+        const title = this.getTitle(book);
+        return book?.author ? `${title} by ${book.author}` : title;
+    }
+
+    /**
+     * Compare titles ignoring case and surrounding whitespace
+     * @param {Object|string} book
+     * @param {string} title
+     * @returns {boolean}
+     */
+    matchesTitle(book, title) {
+        if (!title) return false;
+        return this.getTitle(book).trim().toLowerCase() === title.trim().toLowerCase();
+    }
+
+    /**
+     * Find a book in a list by ID or title
+     * @param {Array} books
+     * @param {string} ref - Book ID or title (legacy selections store titles)
+     * @returns {Object|null}
+     */
+    find(books, ref) {
+        if (!Array.isArray(books) || !ref) return null;
+
+        return books.find(book => book?.id === ref) ||
+               books.find(book => this.matchesTitle(book, ref)) ||
+               null;
+    }
+
+    /**
+     * Find the index of a book in a list by ID or title
+     * @param {Array} books
+     * @param {string} ref
+     * @returns {number}
+     */
+    indexOf(books, ref) {
+        const book = this.find(books, ref);
+        return book ? books.indexOf(book) : -1;
+    }
+}
+
+// Export singleton instance
+const bookModel = new BookModel();
+export default bookModel;
\ No newline at end of file
@@ -0,0 +1,104 @@
+// js/core/clubMerge.js
+/**
+ * Club merges - joining two copies of a club's settings that aren't CRDT state, kept
+ * apart from real-time so merges of a club from the server and from another tab (see
+ * TabSyncManager.applyClubChange) settle the same way. Each helper takes the other
+ * copy's value, keeping what only this copy holds yet: ballots, matchup votes, vetoes,
+ * members and reading history entries.
+ */
+
+class ClubMerge {
+    /**
+     * Union two reading histories by entry ID, ordered by confirmation date
+     * @param {Array} localHistory 
+     * @param {Array} remoteHistory 
+     * @returns {Array}
+     */
+    mergeReadingHistory(localHistory = [], remoteHistory = []) {
+        const merged = new Map(localHistory.map(entry => [entry.id, entry]));
+        
+        remoteHistory.forEach(entry => {
+            if (!merged.has(entry.id)) {
+                merged.set(entry.id, entry);
+            }
+        });
+        
+        return [...merged.values()].sort((a, b) => 
+            new Date(a.confirmedAt) - new Date(b.confirmedAt)
+        );
+    }
+
+    /**
+     * Take the remote voting round, keeping ballots this client already holds
+     * for the same open round (ballots are written to their own table, so the
+     * owner's copy of the club row can lag behind)
+     * @param {Object|null} localRound
+     * @param {Object|null} remoteRound
+     * @returns {Object|null}
+     */
+    mergeVotingRound(localRound, remoteRound) {
+        if (!remoteRound || !localRound || localRound.id !== remoteRound.id || remoteRound.status !== 'open') {
+            return remoteRound;
+        }
+
+        return {
+            ...remoteRound,
+            ballots: { ...localRound.ballots, ...remoteRound.ballots }
+        };
+    }
+
+    /**
+     * Take the remote bracket, keeping matchup votes this client already holds
+     * for the same open bracket
+     * @param {Object|null} localBracket
+     * @param {Object|null} remoteBracket
+     * @returns {Object|null}
+     */
+    mergeBracket(localBracket, remoteBracket) {
+        if (!remoteBracket || !localBracket || localBracket.id !== remoteBracket.id || remoteBracket.status !== 'open') {
+            return remoteBracket;
+        }
+
+        const votes = { ...localBracket.votes };
+        Object.entries(remoteBracket.votes || {}).forEach(([matchId, matchVotes]) => {
+            votes[matchId] = { ...votes[matchId], ...matchVotes };
+        });
+
+        return { ...remoteBracket, votes };
+    }
+
+    /**
+     * Take the remote roster, adding members only this client knows about yet
+     * (the remote copy decides roles for members both sides have)
+     * @param {Array} localMembers
+     * @param {Array} remoteMembers
+     * @returns {Array}
+     */
+    mergeMembers(localMembers = [], remoteMembers = []) {
+        const remoteIds = new Set(remoteMembers.map(member => member.userId));
+        return [...remoteMembers, ...localMembers.filter(member => !remoteIds.has(member.userId))];
+    }
+
+    /**
+     * Take the remote veto season, keeping vetoes this client already holds for
+     * the same season (a member's veto reaches the club row only once the owner saves it)
+     * @param {Object|null} localState
+     * @param {Object|null} remoteState
+     * @returns {Object|null}
+     */
+    mergeVetoState(localState, remoteState) {
+        if (!remoteState || !localState || localState.seasonId !== remoteState.seasonId) {
+            return remoteState || null;
+        }
+
+        const remoteIds = new Set(remoteState.log.map(veto => veto.id));
+        const log = [...remoteState.log, ...localState.log.filter(veto => !remoteIds.has(veto.id))]
+            .sort((a, b) => new Date(a.vetoedAt) - new Date(b.vetoedAt));
+
+        return { ...remoteState, log };
+    }
+}
+
+// Export singleton instance
+const clubMerge = new ClubMerge();
+export default clubMerge;
\ No newline at end of file
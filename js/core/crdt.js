@@ -0,0 +1,360 @@
+// js/core/crdt.js
+/**
+ * Club CRDT - the state behind a club's book list, name and selection, built so that
+ * applying the same operations in any order, any number of times, gives the same club.
+ * - Books are an observed-remove set: each add carries a unique tag, a remove
+ *   tombstones the tags its sender had seen, so a concurrent re-add survives and a
+ *   removal never comes back.
+ * - The list order, each member's upvote, the name and the selection are
+ *   last-writer-wins registers ordered by stamps.
+ * - Every device is a replica with a vector clock; a stamp is the clock's total
+ *   (a Lamport time) plus the replica ID to break ties.
+ * apply_club_operations in supabase/migrations applies the same rules on the server,
+ * after bounding each operation's clock and re-deriving its stamp from it (tick's stamps
+ * pass unchanged).
+ */
+
+class ClubCrdt {
+    constructor() {
+        this.zeroStamp = { counter: 0, replica: '' };
+    }
+
+    /**
+     * Build the state of a club that has none yet from its book list. Every client and
+     * the server build the same state from the same club.
+     * @param {Object} club - { name, books, currentSelection, selectionContext }
+     * @returns {Object} CRDT state
+     */
+    createState(club) {
+        const state = {
+            clock: {},
+            entries: {},
+            tombstones: {},
+            positions: {},
+            upvotes: {},
+            registers: {
+                name: { value: club.name || '', stamp: this.zeroStamp },
+                selection: {
+                    value: club.currentSelection
+                        ? { bookId: club.currentSelection, context: club.selectionContext || null }
+                        : null,
+                    stamp: this.zeroStamp
+                }
+            }
+        };
+
+        (club.books || []).forEach((book, index) => {
+            const { upvotes = [], ...record } = book;
+            state.entries[book.id] = { book: record, stamp: this.zeroStamp, tags: { [`init:${book.id}`]: true } };
+            state.positions[book.id] = { key: index, stamp: this.zeroStamp };
+            state.upvotes[book.id] = Object.fromEntries(
+                upvotes.map(userId => [userId, { value: true, stamp: this.zeroStamp }])
+            );
+        });
+
+        return state;
+    }
+
+    /**
+     * Advance a replica's entry in the vector clock
+     * @param {Object} state - Mutated
+     * @param {string} replicaId
+     * @returns {{clock: Object, stamp: Object}} The clock after the tick and the new stamp
+     */
+    tick(state, replicaId) {
+        state.clock = { ...state.clock, [replicaId]: (state.clock[replicaId] || 0) + 1 };
+        const counter = Object.values(state.clock).reduce((sum, value) => sum + value, 0);
+        return { clock: { ...state.clock }, stamp: { counter, replica: replicaId } };
+    }
+
+    /**
+     * Whether a state already includes an operation, going by its replica's clock entry
+     * @param {Object} state
+     * @param {Object} operation
+     * @returns {boolean}
+     */
+    hasSeen(state, operation) {
+        const counter = operation.clock?.[operation.replicaId] || 0;
+        return counter > 0 && (state.clock[operation.replicaId] || 0) >= counter;
+    }
+
+    /**
+     * Order two stamps
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {number} Positive if a is later
+     */
+    compareStamps(a, b) {
+        const first = a || this.zeroStamp;
+        const second = b || this.zeroStamp;
+        if (first.counter !== second.counter) return first.counter - second.counter;
+        return first.replica === second.replica ? 0 : (first.replica > second.replica ? 1 : -1);
+    }
+
+    /**
+     * Keep the later of two register values
+     * @param {Object|undefined} current - { value, stamp }
+     * @param {Object} next - { value, stamp }
+     * @returns {Object}
+     */
+    lastWriterWins(current, next) {
+        return !current || this.compareStamps(next.stamp, current.stamp) > 0 ? next : current;
+    }
+
+    /**
+     * Fill in what an operation needs from the sender's view of the club: the tags it
+     * removes and the position key a book moves to
+     * @param {Object} state
+     * @param {string} type
+     * @param {Object} details - The change as the app describes it
+     * @returns {Object} Operation payload
+     */
+    describe(state, type, details = {}) {
+        switch (type) {
+            case 'add':
+                return { book: details.book, key: this.getAppendKey(state) };
+            case 'remove':
+                return { bookId: details.bookId, title: details.title, tags: this.getTags(state, [details.bookId]) };
+            case 'move':
+                return { bookId: details.bookId, key: this.getMoveKey(state, details.bookId, details.toIndex) };
+            case 'clear':
+                return { tags: this.getTags(state, this.getLiveIds(state)) };
+            case 'confirm': {
+                const selection = state.registers.selection.value;
+                return {
+                    bookIds: details.bookIds,
+                    tags: this.getTags(state, details.bookIds),
+                    clearSelection: !!selection && details.bookIds.includes(selection.bookId)
+                };
+            }
+            default:
+                return { ...details };
+        }
+    }
+
+    /**
+     * Apply an operation (see OperationManager.createOperation for its shape)
+     * @param {Object} state - Mutated
+     * @param {Object} operation
+     * @returns {Object} The state
+     */
+    apply(state, operation) {
+        const payload = operation.payload || {};
+        const stamp = operation.stamp || this.zeroStamp;
+
+        switch (operation.type) {
+            case 'add': {
+                // Upvotes are registers of their own
+                const record = { ...payload.book };
+                delete record.upvotes;
+                if (!record.id) break;
+
+                const entry = state.entries[record.id] || { book: record, stamp, tags: {} };
+                if (this.compareStamps(stamp, entry.stamp) > 0) {
+                    entry.book = record;
+                    entry.stamp = stamp;
+                }
+                if (!state.tombstones[operation.id]) {
+                    entry.tags = { ...entry.tags, [operation.id]: true };
+                }
+                state.entries[record.id] = entry;
+                state.positions[record.id] = this.lastWriterWins(state.positions[record.id], { key: payload.key, stamp });
+                break;
+            }
+            case 'remove':
+            case 'clear':
+            case 'confirm':
+                this.tombstone(state, payload.tags || []);
+                if (operation.type === 'clear' || payload.clearSelection) {
+                    state.registers.selection = this.lastWriterWins(state.registers.selection, { value: null, stamp });
+                }
+                break;
+            case 'move':
+                state.positions[payload.bookId] = this.lastWriterWins(state.positions[payload.bookId], { key: payload.key, stamp });
+                break;
+            case 'select':
+                state.registers.selection = this.lastWriterWins(state.registers.selection, {
+                    value: { bookId: payload.bookId, context: payload.context || null },
+                    stamp
+                });
+                break;
+            case 'upvote': {
+                const votes = state.upvotes[payload.bookId] || {};
+                votes[operation.actorId] = this.lastWriterWins(votes[operation.actorId], { value: !!payload.upvoted, stamp });
+                state.upvotes[payload.bookId] = votes;
+                break;
+            }
+            case 'rename':
+                state.registers.name = this.lastWriterWins(state.registers.name, { value: payload.name, stamp });
+                break;
+            default:
+                console.warn(`Unknown club operation: ${operation.type}`);
+        }
+
+        this.mergeClocks(state, operation.clock);
+        return state;
+    }
+
+    /**
+     * Join two states, e.g. a club row from the server with this device's copy
+     * @param {Object} local
+     * @param {Object} remote
+     * @returns {Object} A new state including everything either has seen
+     */
+    merge(local, remote) {
+        const state = this.copy(local);
+
+        this.tombstone(state, Object.keys(remote.tombstones));
+
+        Object.entries(remote.entries).forEach(([bookId, entry]) => {
+            const current = state.entries[bookId];
+            const tags = Object.fromEntries(
+                Object.keys({ ...current?.tags, ...entry.tags })
+                    .filter(tag => !state.tombstones[tag])
+                    .map(tag => [tag, true])
+            );
+            const newer = !current || this.compareStamps(entry.stamp, current.stamp) > 0 ? entry : current;
+            state.entries[bookId] = { book: newer.book, stamp: newer.stamp, tags };
+        });
+
+        Object.entries(remote.positions).forEach(([bookId, position]) => {
+            state.positions[bookId] = this.lastWriterWins(state.positions[bookId], position);
+        });
+
+        Object.entries(remote.upvotes).forEach(([bookId, votes]) => {
+            const merged = { ...state.upvotes[bookId] };
+            Object.entries(votes).forEach(([userId, vote]) => {
+                merged[userId] = this.lastWriterWins(merged[userId], vote);
+            });
+            state.upvotes[bookId] = merged;
+        });
+
+        Object.entries(remote.registers).forEach(([name, register]) => {
+            state.registers[name] = this.lastWriterWins(state.registers[name], register);
+        });
+
+        this.mergeClocks(state, remote.clock);
+        return state;
+    }
+
+    /**
+     * The club fields the state decides
+     * @param {Object} state
+     * @returns {Object} { name, books, currentSelection, selectionContext }
+     */
+    materialize(state) {
+        const books = this.getLiveIds(state).map(bookId => ({
+            ...state.entries[bookId].book,
+            upvotes: Object.entries(state.upvotes[bookId] || {})
+                .filter(([, vote]) => vote.value)
+                .sort(([userA, a], [userB, b]) => this.compareStamps(a.stamp, b.stamp) || (userA > userB ? 1 : -1))
+                .map(([userId]) => userId)
+        }));
+
+        const selection = state.registers.selection.value;
+        const isListed = !!selection && books.some(book => book.id === selection.bookId);
+
+        return {
+            name: state.registers.name.value,
+            books,
+            currentSelection: isListed ? selection.bookId : null,
+            selectionContext: isListed ? selection.context : null
+        };
+    }
+
+    /**
+     * IDs of the books in the set, in list order (position key, then ID)
+     * @param {Object} state
+     * @returns {Array<string>}
+     */
+    getLiveIds(state) {
+        const keyOf = bookId => state.positions[bookId]?.key ?? 0;
+        return Object.keys(state.entries)
+            .filter(bookId => Object.keys(state.entries[bookId].tags).length > 0)
+            .sort((a, b) => (keyOf(a) - keyOf(b)) || (a > b ? 1 : -1));
+    }
+
+    /**
+     * The add tags currently keeping books in the set
+     * @param {Object} state
+     * @param {Array<string>} bookIds
+     * @returns {Array<string>}
+     */
+    getTags(state, bookIds) {
+        return bookIds.flatMap(bookId => Object.keys(state.entries[bookId]?.tags || {}));
+    }
+
+    /**
+     * Position key for a book added at the end of the list
+     * @param {Object} state
+     * @returns {number}
+     */
+    getAppendKey(state) {
+        const keys = this.getLiveIds(state).map(bookId => state.positions[bookId]?.key ?? 0);
+        return keys.length > 0 ? Math.max(...keys) + 1 : 0;
+    }
+
+    /**
+     * Position key that puts a book at an index of the list without it
+     * @param {Object} state
+     * @param {string} bookId
+     * @param {number} toIndex
+     * @returns {number}
+     */
+    getMoveKey(state, bookId, toIndex) {
+        const keys = this.getLiveIds(state)
+            .filter(id => id !== bookId)
+            .map(id => state.positions[id]?.key ?? 0);
+        const index = Math.max(0, Math.min(keys.length, parseInt(toIndex, 10) || 0));
+        const before = keys[index - 1];
+        const after = keys[index];
+
+        if (before === undefined && after === undefined) return 0;
+        if (before === undefined) return after - 1;
+        if (after === undefined) return before + 1;
+        return (before + after) / 2;
+    }
+
+    /**
+     * Tombstone add tags so the books they added leave the set
+     * @param {Object} state - Mutated
+     * @param {Array<string>} tags
+     */
+    tombstone(state, tags) {
+        if (tags.length === 0) return;
+
+        const removed = new Set(tags);
+        tags.forEach(tag => { state.tombstones[tag] = true; });
+        Object.values(state.entries).forEach(entry => {
+            if (Object.keys(entry.tags).some(tag => removed.has(tag))) {
+                entry.tags = Object.fromEntries(Object.keys(entry.tags).filter(tag => !removed.has(tag)).map(tag => [tag, true]));
+            }
+        });
+    }
+
+    /**
+     * Take the pointwise maximum of two vector clocks into the state's clock
+     * @param {Object} state - Mutated
+     * @param {Object} clock
+     */
+    mergeClocks(state, clock = {}) {
+        const merged = { ...state.clock };
+        Object.entries(clock).forEach(([replicaId, counter]) => {
+            merged[replicaId] = Math.max(merged[replicaId] || 0, counter);
+        });
+        state.clock = merged;
+    }
+
+    /**
+     * Deep copy a state
+     * @param {Object} state
+     * @returns {Object}
+     */
+    copy(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+}
+
+// Export singleton instance
+const clubCrdt = new ClubCrdt();
+export default clubCrdt;
\ No newline at end of file
@@ -0,0 +1,114 @@
+// js/core/membership.js
+/**
+ * Club membership and roles
+ * The owner is the club's creator (club.userId) until they transfer ownership; everyone
+ * else who joined is listed in club.members with a role. Each action checks a permission
+ * rather than ownership, so co-owners share the owner's rights except transfer and delete,
+ * co-organizers can run the club and viewers can follow along without changing it.
+ */
+
+import userManager from './user.js';
+
+class MembershipManager {
+    constructor() {
+        this.roles = {
+            owner: 'Owner',
+            'co-owner': 'Co-owner',
+            'co-organizer': 'Co-organizer',
+            member: 'Member',
+            viewer: 'Viewer'
+        };
+        this.assignableRoles = ['co-owner', 'co-organizer', 'member', 'viewer'];
+        this.invitableRoles = ['co-organizer', 'member', 'viewer']; // Co-owners are promoted, never invited
+        this.defaultRole = 'member';
+        this.permissions = {
+            editBooks: ['owner', 'co-owner', 'co-organizer', 'member'],
+            vote: ['owner', 'co-owner', 'co-organizer', 'member'],
+            draw: ['owner', 'co-owner', 'co-organizer', 'member'],
+            confirm: ['owner', 'co-owner', 'co-organizer'],
+            manageSelection: ['owner', 'co-owner', 'co-organizer'],
+            invite: ['owner', 'co-owner', 'co-organizer'],
+            editDetails: ['owner', 'co-owner'],
+            manageMembers: ['owner', 'co-owner'],
+            transferOwnership: ['owner'],
+            delete: ['owner']
+        };
+    }
+
+    /**
+     * Get a user's role in a club
+     * @param {Object} club
+     * @param {string} userId - Defaults to the current user
+     * @returns {string|null} Role ID, or null for non-members
+     */
+    getRole(club, userId = userManager.getCurrentUserId()) {
+        if (!club) return null;
+
+        const isCurrentUser = userId === userManager.getCurrentUserId();
+        if (club.userId === userId || (isCurrentUser && club.isOwner === true)) {
+            return 'owner';
+        }
+
+        const member = (club.members || []).find(entry => entry.userId === userId);
+        if (member) return member.role;
+
+        // Clubs joined before the roster existed only carry the isShared flag
+        return isCurrentUser && club.isShared ? this.defaultRole : null;
+    }
+
+    /**
+     * Check whether a user may perform an action in a club
+     * @param {Object} club
+     * @param {string} permission - A key of this.permissions
+     * @param {string} userId - Defaults to the current user
+     * @returns {boolean}
+     */
+    can(club, permission, userId = userManager.getCurrentUserId()) {
+        const role = this.getRole(club, userId);
+        return !!role && (this.permissions[permission] || []).includes(role);
+    }
+
+    /**
+     * Get a club's roster - the owner first, then members by join date
+     * @param {Object} club
+     * @returns {Array<Object>} { userId, role, joinedAt, addedBy }
+     */
+    getRoster(club) {
+        if (!club) return [];
+
+        const owner = { userId: club.userId, role: 'owner', joinedAt: club.createdAt, addedBy: club.userId };
+        const members = (club.members || [])
+            .filter(member => member.userId !== club.userId)
+            .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+
+        return [owner, ...members];
+    }
+
+    /**
+     * Build a roster entry
+     * @param {string} userId
+     * @param {string} role
+     * @returns {Object} { userId, role, joinedAt, addedBy }
+     */
+    createMember(userId, role = this.defaultRole) {
+        return {
+            userId,
+            role: this.invitableRoles.includes(role) ? role : this.defaultRole,
+            joinedAt: new Date().toISOString(),
+            addedBy: userManager.getCurrentUserId()
+        };
+    }
+
+    /**
+     * Get a role's label
+     * @param {string} role
+     * @returns {string}
+     */
+    getRoleLabel(role) {
+        return this.roles[role] || role;
+    }
+}
+
+// Export singleton instance
+const membershipManager = new MembershipManager();
+export default membershipManager;
\ No newline at end of file
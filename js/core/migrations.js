@@ -0,0 +1,140 @@
+// js/core/migrations.js
+/**
+ * Data migrations for clubs stored in localStorage and Supabase
+ * Upgrades older club records in place without losing data
+ */
+
+import supabaseManager from '../config/supabase.js';
+import userManager from './user.js';
+import bookModel from './bookModel.js';
+
+class MigrationManager {
+    constructor() {
+        this.SCHEMA_VERSION_KEY = 'literaryCircleSchemaVersion';
+        this.currentVersion = 2;
+    }
+
+    /**
+     * Get the schema version of the locally stored data
+     * @returns {number}
+     */
+    getLocalVersion() {
+        return parseInt(localStorage.getItem(this.SCHEMA_VERSION_KEY), 10) || 1;
+    }
+
+    /**
+     * Upgrade a single club to the current schema
+     * @param {Object} club - Club in app format (camelCase fields)
+     * @returns {{club: Object, changed: boolean}}
+     */
+    migrateClub(club) {
+        if (!club || !bookModel.needsMigration(club.books)) {
+            return { club, changed: false };
+        }
+
+        const books = bookModel.normalizeList(club.books, {
+            addedBy: club.userId,
+            addedAt: club.createdAt
+        });
+
+        // Selections used to store the title - point them at the book ID instead
+        const selectedBook = bookModel.find(books, club.currentSelection);
+
+        return {
+            club: {
+                ...club,
+                books,
+                currentSelection: selectedBook ? selectedBook.id : club.currentSelection || null
+            },
+            changed: true
+        };
+    }
+
+    /**
+     * Upgrade every club saved in local storage, including clubs the current
+     * user cannot access, so nothing is left behind in the old format
+     * @param {string} storageKey
+     * @returns {number} Number of clubs migrated
+     */
+    migrateLocalStorage(storageKey) {
+        if (this.getLocalVersion() >= this.currentVersion) return 0;
+
+        let migratedCount = 0;
+
+        try {
+            const savedClubs = localStorage.getItem(storageKey);
+            if (savedClubs) {
+                const allClubs = JSON.parse(savedClubs);
+
+                Object.keys(allClubs).forEach(clubId => {
+                    const { club, changed } = this.migrateClub(allClubs[clubId]);
+                    if (changed) {
+                        allClubs[clubId] = club;
+                        migratedCount++;
+                    }
+                });
+
+                if (migratedCount > 0) {
+                    localStorage.setItem(storageKey, JSON.stringify(allClubs));
+                }
+            }
+
+            localStorage.setItem(this.SCHEMA_VERSION_KEY, String(this.currentVersion));
+        } catch (error) {
+            console.error('Error migrating local storage:', error);
+        }
+
+        return migratedCount;
+    }
+
+    /**
+     * Upgrade legacy rows in the book_clubs table that the current user owns.
+     * Rows owned by others are upgraded in memory only (legacy book IDs are
+     * derived from the title, so every member sees the same IDs) and written
+     * back the next time their owner loads them.
+     * @param {Array} rows - Raw book_clubs rows
+     * @returns {Promise<number>} Number of rows migrated
+     */
+    async migrateSupabaseRows(rows) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase || !Array.isArray(rows)) return 0;
+
+        const userId = userManager.getCurrentUserId();
+        let migratedCount = 0;
+
+        for (const row of rows) {
+            if (row.user_id !== userId || !bookModel.needsMigration(row.books)) continue;
+
+            const { club } = this.migrateClub({
+                books: row.books,
+                currentSelection: row.current_selection,
+                userId: row.user_id,
+                createdAt: row.created_at
+            });
+
+            const { error } = await supabase
+                .from('book_clubs')
+                .update({
+                    books: club.books,
+                    current_selection: club.currentSelection
+                })
+                .eq('id', row.id)
+                .eq('user_id', userId);
+
+            if (error) {
+                console.error(`Error migrating club ${row.id} in Supabase:`, error);
+                continue;
+            }
+
+            row.books = club.books;
+            row.current_selection = club.currentSelection;
+            migratedCount++;
+        }
+
+        return migratedCount;
+    }
+}
+
+// Export singleton instance
+const migrationManager = new MigrationManager();
+export default migrationManager;
\ No newline at end of file
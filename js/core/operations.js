@@ -0,0 +1,218 @@
+// js/core/operations.js
+/**
+ * Club operations - changes to a club's book list, name and selection (add, remove, move,
+ * select, upvote, clear, confirm, rename) travel as discrete operations with IDs, vector
+ * clocks and stamps instead of whole-club saves. Each club keeps a CRDT state (see
+ * crdt.js) that operations are applied to; because they commute, operations from other
+ * members are applied as soon as they arrive, in whatever order, and every copy of the
+ * club converges. Supabase logs them in club_operations, numbered per club, so a device
+ * that missed some can catch up. Operations waiting for the server are kept in the
+ * outbox (see outbox.js), so they survive a reload while offline.
+ */
+
+import supabaseManager from '../config/supabase.js';
+import userManager from './user.js';
+import clubCrdt from './crdt.js';
+import outboxManager from './outbox.js';
+
+class OperationManager {
+    constructor() {
+        this.types = ['add', 'remove', 'move', 'select', 'upvote', 'clear', 'confirm', 'rename'];
+        this.REPLICA_ID_KEY = 'literaryCircleReplicaId';
+        this.deviceReplicaId = null;
+        this.tabSlot = 0;
+    }
+
+    /**
+     * Get this tab's replica ID, which keys its entry in every club's vector clock
+     * (one member can edit from several devices, or tabs, at once). The first open tab
+     * uses the device's ID; other open tabs add their slot (see tabSync.js).
+     * @returns {string}
+     */
+    getReplicaId() {
+        if (!this.deviceReplicaId) {
+            this.deviceReplicaId = localStorage.getItem(this.REPLICA_ID_KEY);
+            if (!this.deviceReplicaId) {
+                this.deviceReplicaId = `replica_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+                localStorage.setItem(this.REPLICA_ID_KEY, this.deviceReplicaId);
+            }
+        }
+        return this.tabSlot ? `${this.deviceReplicaId}_tab${this.tabSlot}` : this.deviceReplicaId;
+    }
+
+    /**
+     * Set which of the device's open tabs this is
+     * @param {number} slot - 0 for the device's own replica ID
+     */
+    setTabSlot(slot) {
+        this.tabSlot = slot;
+    }
+
+    /**
+     * Get a club's CRDT state, building it from the club's fields the first time
+     * @param {Object} club - Mutated
+     * @returns {Object}
+     */
+    getState(club) {
+        if (!club.crdt) {
+            club.crdt = clubCrdt.createState(club);
+        }
+        return club.crdt;
+    }
+
+    /**
+     * Build an operation, ticking this replica's clock
+     * @param {Object} club
+     * @param {string} type - One of this.types
+     * @param {Object} payload
+     * @returns {Object} { id, clubId, type, payload, actorId, replicaId, clock, stamp, createdAt }
+     */
+    createOperation(club, type, payload = {}) {
+        const replicaId = this.getReplicaId();
+        const { clock, stamp } = clubCrdt.tick(this.getState(club), replicaId);
+
+        return {
+            id: `op_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+            clubId: club.id,
+            type,
+            payload,
+            actorId: userManager.getCurrentUserId(),
+            replicaId,
+            clock,
+            stamp,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Make a change on this device: apply it to the club and, in collaborative mode,
+     * queue it for the server
+     * @param {Object} club - Club in the app state (mutated)
+     * @param {string} type
+     * @param {Object} details - The change, e.g. { bookId, toIndex } for a move
+     * @returns {Object} The operation
+     */
+    record(club, type, details = {}) {
+        const payload = clubCrdt.describe(this.getState(club), type, details);
+        const operation = this.createOperation(club, type, payload);
+
+        clubCrdt.apply(club.crdt, operation);
+        this.materialize(club);
+
+        if (supabaseManager.isCollaborativeMode()) {
+            outboxManager.enqueue('operation', club.id, operation);
+        }
+        return operation;
+    }
+
+    /**
+     * Apply operations the server logged, in any order. Applying one twice changes
+     * nothing; opSeq only advances through an unbroken run of sequence numbers.
+     * @param {Object} club - Club in the app state (mutated)
+     * @param {Array<Object>} operations - Logged operations (with seq)
+     * @returns {Array<Object>} Operations from other devices that were new here
+     */
+    receive(club, operations) {
+        const state = this.getState(club);
+        const replicaId = this.getReplicaId();
+        const fresh = [];
+
+        [...operations].sort((a, b) => a.seq - b.seq).forEach(operation => {
+            if (!clubCrdt.hasSeen(state, operation) && operation.replicaId !== replicaId) {
+                fresh.push(operation);
+            }
+            clubCrdt.apply(state, operation);
+
+            if (operation.seq === (club.opSeq || 0) + 1) {
+                club.opSeq = operation.seq;
+            }
+        });
+
+        outboxManager.removeOperations(club.id, operations.map(operation => operation.id));
+        this.materialize(club);
+
+        return fresh;
+    }
+
+    /**
+     * Join a club loaded from the server with this device's copy, then replay
+     * unconfirmed local operations on top
+     * @param {Object} club - Club built from a book_clubs row (mutated)
+     * @param {Object|null} localClub - This device's copy, if any
+     * @returns {Object} The club
+     */
+    merge(club, localClub = null) {
+        const state = this.getState(club);
+        if (localClub && localClub !== club) {
+            club.crdt = clubCrdt.merge(state, this.getState(localClub));
+            club.opSeq = Math.max(club.opSeq || 0, localClub.opSeq || 0);
+        }
+
+        this.getPending(club.id).forEach(operation => clubCrdt.apply(club.crdt, operation));
+        this.materialize(club);
+        return club;
+    }
+
+    /**
+     * Drop local operations the server refused. A CRDT can't take an operation back,
+     * so the club restarts from the server's copy plus the operations still queued.
+     * @param {Object} club - Club in the app state (mutated)
+     * @param {Object} serverClub - The club as the server has it
+     * @param {Array<string>} operationIds
+     */
+    discard(club, serverClub, operationIds) {
+        outboxManager.removeOperations(club.id, operationIds);
+
+        club.crdt = clubCrdt.copy(this.getState(serverClub));
+        club.opSeq = serverClub.opSeq || 0;
+        this.merge(club);
+    }
+
+    /**
+     * Note the sequence numbers the server gave operations sent from here
+     * @param {string} clubId
+     * @param {Array<Object>} results - { id, seq }
+     * @returns {Array<Object>} The queued operations that were given one, oldest first
+     */
+    markSent(clubId, results) {
+        const seqs = new Map(results.map(result => [result.id, result.seq]));
+        const sent = [];
+        outboxManager.updateOperations(clubId, operation => {
+            if (seqs.has(operation.id)) {
+                operation.seq = seqs.get(operation.id);
+                sent.push(operation);
+            }
+        });
+        return sent;
+    }
+
+    /**
+     * Set the club fields the CRDT state decides
+     * @param {Object} club - Mutated
+     */
+    materialize(club) {
+        Object.assign(club, clubCrdt.materialize(this.getState(club)));
+    }
+
+    /**
+     * Get a club's unconfirmed local operations, oldest first
+     * @param {string} clubId
+     * @returns {Array<Object>}
+     */
+    getPending(clubId) {
+        return outboxManager.getData('operation', clubId);
+    }
+
+    /**
+     * Get a club's local operations that haven't been sent yet
+     * @param {string} clubId
+     * @returns {Array<Object>}
+     */
+    getUnsent(clubId) {
+        return this.getPending(clubId).filter(operation => operation.seq === undefined);
+    }
+}
+
+// Export singleton instance
+const operationManager = new OperationManager();
+export default operationManager;
\ No newline at end of file
@@ -0,0 +1,229 @@
+// js/core/outbox.js
+/**
+ * Outbox - a durable, ordered queue of changes waiting for Supabase. Changes made
+ * offline, or whose save failed on the network, are kept here in localStorage so they
+ * survive a reload, and StorageManager.replayOutbox sends them in order once the
+ * connection is back. Entry types:
+ * - operation: a club operation (see operations.js); data is the operation
+ * - saveClub: the club record needs saving; sent as it is at replay time
+ * - deleteClub: the club was deleted here
+ * - ballot: data is { roundId, ballot }
+ * - bracketVote: data is { bracketId, vote }
+ */
+
+class OutboxManager {
+    constructor() {
+        this.OUTBOX_KEY = 'literaryCircleOutbox';
+        this.types = ['operation', 'saveClub', 'deleteClub', 'ballot', 'bracketVote'];
+        this.entries = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Get every queued entry, oldest first
+     * @returns {Array<Object>} { id, type, clubId, data, queuedAt, attempts }
+     */
+    getEntries() {
+        if (!this.entries) {
+            try {
+                this.entries = JSON.parse(localStorage.getItem(this.OUTBOX_KEY)) || [];
+            } catch (error) {
+                console.error('Error loading the outbox:', error);
+                this.entries = [];
+            }
+        }
+        return this.entries;
+    }
+
+    /**
+     * Read the entries again before changing them, since another tab may have changed
+     * the outbox since this one cached it
+     * @returns {Array<Object>}
+     */
+    getLatestEntries() {
+        this.entries = null;
+        return this.getEntries();
+    }
+
+    /**
+     * Get the data of a club's queued entries of one type, oldest first
+     * @param {string} type
+     * @param {string} clubId
+     * @returns {Array}
+     */
+    getData(type, clubId) {
+        return this.getEntries()
+            .filter(entry => entry.type === type && entry.clubId === clubId)
+            .map(entry => entry.data);
+    }
+
+    /**
+     * Whether a club has a queued entry of a type
+     * @param {string} type
+     * @param {string} clubId
+     * @returns {boolean}
+     */
+    hasEntry(type, clubId) {
+        return this.getEntries().some(entry => entry.type === type && entry.clubId === clubId);
+    }
+
+    /**
+     * Whether an entry is still queued
+     * @param {string} entryId
+     * @returns {boolean}
+     */
+    has(entryId) {
+        return this.getEntries().some(entry => entry.id === entryId);
+    }
+
+    /**
+     * Number of changes waiting to be sent
+     * @returns {number}
+     */
+    getCount() {
+        return this.getEntries().length;
+    }
+
+    /**
+     * Queue a change. A club is saved whole, so it's only queued once; deleting a club
+     * drops everything else queued for it.
+     * @param {string} type - One of this.types
+     * @param {string} clubId
+     * @param {*} data
+     * @returns {Object|null} The entry, or null if the club's save was already queued
+     */
+    enqueue(type, clubId, data = null) {
+        if (!this.types.includes(type)) {
+            console.warn(`Unknown outbox entry: ${type}`);
+            return null;
+        }
+
+        const entries = this.getLatestEntries();
+        if (type === 'saveClub' && this.hasEntry('saveClub', clubId)) return null;
+
+        const kept = type === 'deleteClub' ? entries.filter(entry => entry.clubId !== clubId) : entries;
+
+        const entry = {
+            id: `outbox_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+            type,
+            clubId,
+            data,
+            queuedAt: new Date().toISOString(),
+            attempts: 0
+        };
+
+        this.entries = [...kept, entry];
+        this.persist();
+        return entry;
+    }
+
+    /**
+     * Change the data of queued operations, e.g. to note the sequence numbers the server gave them
+     * @param {string} clubId
+     * @param {Function} update - Called with each of the club's queued operations (may mutate it)
+     */
+    updateOperations(clubId, update) {
+        this.getLatestEntries()
+            .filter(entry => entry.type === 'operation' && entry.clubId === clubId)
+            .forEach(entry => update(entry.data));
+        this.persist();
+    }
+
+    /**
+     * Count a failed attempt to send an entry
+     * @param {string} entryId
+     */
+    markAttempt(entryId) {
+        const entry = this.getLatestEntries().find(item => item.id === entryId);
+        if (entry) {
+            entry.attempts++;
+            this.persist();
+        }
+    }
+
+    /**
+     * Remove entries matching a test
+     * @param {Function} predicate - Called with each entry
+     */
+    removeWhere(predicate) {
+        const entries = this.getLatestEntries();
+        const remaining = entries.filter(entry => !predicate(entry));
+        if (remaining.length !== entries.length) {
+            this.entries = remaining;
+            this.persist();
+        }
+    }
+
+    /**
+     * Remove queued operations by ID
+     * @param {string} clubId
+     * @param {Array<string>} operationIds
+     */
+    removeOperations(clubId, operationIds) {
+        const ids = new Set(operationIds);
+        this.removeWhere(entry => entry.type === 'operation' && entry.clubId === clubId && ids.has(entry.data.id));
+    }
+
+    /**
+     * Remove a club's entries of one type, or all of them
+     * @param {string} clubId
+     * @param {string|null} type
+     */
+    removeClubEntries(clubId, type = null) {
+        this.removeWhere(entry => entry.clubId === clubId && (!type || entry.type === type));
+    }
+
+    /**
+     * Empty the outbox
+     */
+    clear() {
+        this.entries = [];
+        this.persist();
+    }
+
+    /**
+     * Drop the cached entries so they're read again, after another tab changed the outbox
+     */
+    reload() {
+        this.entries = null;
+        this.notify();
+    }
+
+    /**
+     * Be told when the number of queued changes may have changed
+     * @param {Function} listener - Called with the count
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Save the outbox to localStorage and tell listeners
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.OUTBOX_KEY, JSON.stringify(this.getEntries()));
+        } catch (error) {
+            console.error('Error saving the outbox:', error);
+        }
+        this.notify();
+    }
+
+    /**
+     * Tell listeners the current count
+     */
+    notify() {
+        const count = this.getCount();
+        this.listeners.forEach(listener => {
+            try {
+                listener(count);
+            } catch (error) {
+                console.error('Error in outbox listener:', error);
+            }
+        });
+    }
+}
+
+// Export singleton instance
+const outboxManager = new OutboxManager();
+export default outboxManager;
\ No newline at end of file
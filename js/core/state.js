@@ -5,6 +5,8 @@
  */
 
 import userManager from './user.js';
+import bookModel from './bookModel.js';
+import operationManager from './operations.js';
 
 class AppState {
     constructor() {
@@ -12,6 +14,9 @@ class AppState {
         this.currentClubId = null;
         this.pendingDeleteClubId = null;
         this.realtimeSubscriptions = {};
+        this.invites = {}; // Loaded for organizers only, never saved with the club
+        this.joinRequests = {}; // Loaded for owners only, never saved with the club
+        this.profiles = {}; // Other members' profiles by user ID, loaded as clubs are opened
         this.listeners = new Map();
     }
 
@@ -81,9 +86,22 @@ class AppState {
         const isNew = !this.bookClubs[clubId];
         const userId = userManager.getCurrentUserId();
         
-        // Ensure ownership information is set
+        // Ensure ownership information is set and books are structured records
         const enhancedClubData = {
             ...clubData,
+            books: bookModel.normalizeList(clubData.books, {
+                addedBy: clubData.userId || userId,
+                addedAt: clubData.createdAt
+            }),
+            readingHistory: Array.isArray(clubData.readingHistory) ? clubData.readingHistory : [],
+            selectionSettings: { mode: 'random', ...clubData.selectionSettings },
+            rotation: clubData.rotation || null,
+            drawState: clubData.drawState || null,
+            votingRound: clubData.votingRound || null,
+            bracket: clubData.bracket || null,
+            seasonPlan: clubData.seasonPlan || null,
+            vetoState: clubData.vetoState || null,
+            members: Array.isArray(clubData.members) ? clubData.members : [],
             userId: clubData.userId || userId,
             isOwner: clubData.userId === userId || clubData.isOwner === true,
             isShared: clubData.userId !== userId && clubData.userId !== undefined
@@ -124,6 +142,28 @@ class AppState {
         return false;
     }
 
+    /**
+     * Drop a club the current user no longer belongs to (they left, were removed,
+     * or it was deleted). Unlike removeBookClub this needs no delete permission.
+     * @param {string} clubId 
+     * @returns {boolean}
+     */
+    dropBookClub(clubId) {
+        const club = this.bookClubs[clubId];
+        if (!club) return false;
+        
+        delete this.bookClubs[clubId];
+        delete this.invites[clubId];
+        delete this.joinRequests[clubId];
+        this.emit('clubRemoved', { clubId, club });
+        
+        if (this.currentClubId === clubId) {
+            this.setCurrentClubId(null);
+        }
+        
+        return true;
+    }
+
     /**
      * Update entire book clubs object (for bulk operations)
      * @param {Object} newBookClubs 
@@ -133,36 +173,90 @@ class AppState {
         this.emit('clubsUpdated', { clubs: newBookClubs });
     }
 
+    /**
+     * Rename a club
+     * @param {string} clubId 
+     * @param {string} name 
+     * @returns {boolean} Success status
+     */
+    renameBookClub(clubId, name) {
+        const club = this.getBookClub(clubId);
+        if (!club || !name || name === club.name) return false;
+
+        operationManager.record(club, 'rename', { name });
+        this.emit('clubUpdated', { clubId, club });
+        return true;
+    }
+
     /**
      * Add a book to a specific club
      * @param {string} clubId 
-     * @param {string} bookTitle 
+     * @param {Object|string} book - Book details or a plain title
+     * @returns {Object|null} The added book record
      */
-    addBookToClub(clubId, bookTitle) {
+    addBookToClub(clubId, book) {
         const club = this.getBookClub(clubId);
-        if (club && !club.books.includes(bookTitle)) {
-            club.books.push(bookTitle);
-            this.emit('bookAdded', { clubId, book: bookTitle, club });
-            return true;
+        const record = bookModel.create(book);
+        if (club && record && !bookModel.find(club.books, record.title)) {
+            operationManager.record(club, 'add', { book: record });
+            this.emit('bookAdded', { clubId, book: record, club });
+            return record;
         }
-        return false;
+        return null;
     }
 
     /**
      * Remove a book from a specific club
      * @param {string} clubId 
-     * @param {string} bookTitle 
+     * @param {string} bookRef - Book ID or title
      */
-    removeBookFromClub(clubId, bookTitle) {
+    removeBookFromClub(clubId, bookRef) {
         const club = this.getBookClub(clubId);
-        if (club) {
-            club.books = club.books.filter(book => book !== bookTitle);
-            this.emit('bookRemoved', { clubId, book: bookTitle, club });
+        const book = club ? bookModel.find(club.books, bookRef) : null;
+        if (book) {
+            operationManager.record(club, 'remove', { bookId: book.id, title: book.title });
+            this.emit('bookRemoved', { clubId, book, club });
             return true;
         }
         return false;
     }
 
+    /**
+     * Move a book to another position in a club's list
+     * @param {string} clubId 
+     * @param {string} bookId 
+     * @param {number} toIndex 
+     * @returns {Object|null} The moved book record
+     */
+    moveBookInClub(clubId, bookId, toIndex) {
+        const club = this.getBookClub(clubId);
+        const book = club ? club.books.find(item => item.id === bookId) : null;
+        if (book) {
+            operationManager.record(club, 'move', { bookId, toIndex });
+            this.emit('bookMoved', { clubId, book, toIndex, club });
+            return book;
+        }
+        return null;
+    }
+
+    /**
+     * Add or withdraw a member's upvote on a book
+     * @param {string} clubId 
+     * @param {string} bookId 
+     * @param {string} userId 
+     * @returns {boolean|null} Whether the book is now upvoted, or null if not found
+     */
+    toggleBookUpvote(clubId, bookId, userId) {
+        const club = this.getBookClub(clubId);
+        const book = club ? bookModel.find(club.books, bookId) : null;
+        if (!book) return null;
+
+        const upvoted = !book.upvotes.includes(userId);
+        operationManager.record(club, 'upvote', { bookId: book.id, upvoted });
+        this.emit('bookUpvoted', { clubId, book: bookModel.find(club.books, book.id), userId, upvoted, club });
+        return upvoted;
+    }
+
     /**
      * Remove a book by index from a specific club
      * @param {string} clubId 
@@ -171,7 +265,8 @@ class AppState {
     removeBookByIndex(clubId, index) {
         const club = this.getBookClub(clubId);
         if (club && index >= 0 && index < club.books.length) {
-            const removedBook = club.books.splice(index, 1)[0];
+            const removedBook = club.books[index];
+            operationManager.record(club, 'remove', { bookId: removedBook.id, title: removedBook.title });
             this.emit('bookRemoved', { clubId, book: removedBook, club });
             return removedBook;
         }
@@ -186,8 +281,7 @@ class AppState {
         const club = this.getBookClub(clubId);
         if (club) {
             const bookCount = club.books.length;
-            club.books = [];
-            club.currentSelection = null;
+            operationManager.record(club, 'clear', {});
             this.emit('allBooksCleared', { clubId, bookCount, club });
             return true;
         }
@@ -197,34 +291,373 @@ class AppState {
     /**
      * Set club selection
      * @param {string} clubId 
-     * @param {string} selection 
+     * @param {string} bookId - ID of the selected book
+     * @param {Object} context - How the book was drawn ({ method, details })
+     */
+    setClubSelection(clubId, bookId, context = {}) {
+        const club = this.getBookClub(clubId);
+        const book = club ? bookModel.find(club.books, bookId) : null;
+        if (book) {
+            operationManager.record(club, 'select', {
+                bookId: book.id,
+                title: book.title,
+                context: {
+                    method: context.method || 'random',
+                    selectedAt: new Date().toISOString(),
+                    selectedBy: userManager.getCurrentUserId(),
+                    details: context.details || null
+                }
+            });
+            this.emit('selectionChanged', { clubId, selection: book.id, book, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Update a club's selection settings (mode and mode-specific options)
+     * @param {string} clubId 
+     * @param {Object} settings - Settings to merge into the current ones
+     */
+    setSelectionSettings(clubId, settings) {
+        const club = this.getBookClub(clubId);
+        if (club) {
+            club.selectionSettings = { ...club.selectionSettings, ...settings };
+            this.emit('selectionSettingsChanged', { clubId, settings: club.selectionSettings, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set a club's member rotation state
+     * @param {string} clubId 
+     * @param {Object} rotation - { order, turnIndex, lastPickedBy, lastPickedAt }
+     */
+    setClubRotation(clubId, rotation) {
+        const club = this.getBookClub(clubId);
+        if (club) {
+            club.rotation = rotation;
+            this.emit('rotationChanged', { clubId, rotation, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set a club's verifiable draw state (committed seed, list snapshot and draws)
+     * @param {string} clubId 
+     * @param {Object|null} drawState 
+     */
+    setDrawState(clubId, drawState) {
+        const club = this.getBookClub(clubId);
+        if (club) {
+            club.drawState = drawState;
+            this.emit('drawStateChanged', { clubId, drawState, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Replace a club's member roster
+     * @param {string} clubId 
+     * @param {Array<Object>} members - { userId, role, joinedAt, addedBy }
+     */
+    setMembers(clubId, members) {
+        const club = this.getBookClub(clubId);
+        if (club) {
+            club.members = members;
+            this.emit('membersChanged', { clubId, members, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get a club's invites
+     * @param {string} clubId 
+     * @returns {Array<Object>}
+     */
+    getInvites(clubId) {
+        return this.invites[clubId] || [];
+    }
+
+    /**
+     * Replace a club's invites
+     * @param {string} clubId 
+     * @param {Array<Object>} invites - { token, role, expiresAt, maxUses, useCount, revokedAt, ... }
+     */
+    setInvites(clubId, invites) {
+        this.invites[clubId] = invites;
+        this.emit('invitesChanged', { clubId, invites });
+    }
+
+    /**
+     * Get a club's join requests, oldest first
+     * @param {string} clubId 
+     * @returns {Array<Object>}
+     */
+    getJoinRequests(clubId) {
+        return this.joinRequests[clubId] || [];
+    }
+
+    /**
+     * Replace a club's join requests
+     * @param {string} clubId 
+     * @param {Array<Object>} requests - { id, userId, role, status, requestedAt, decidedAt, decidedBy, ... }
+     */
+    setJoinRequests(clubId, requests) {
+        this.joinRequests[clubId] = requests;
+        this.emit('joinRequestsChanged', { clubId, requests });
+    }
+
+    /**
+     * Add a join request or replace it with a newer copy
+     * @param {Object} request 
+     * @returns {boolean} True if the request is new
+     */
+    upsertJoinRequest(request) {
+        const requests = this.getJoinRequests(request.clubId);
+        const isNew = !requests.some(entry => entry.id === request.id);
+        
+        this.setJoinRequests(request.clubId, isNew 
+            ? [...requests, request] 
+            : requests.map(entry => entry.id === request.id ? request : entry));
+        return isNew;
+    }
+
+    /**
+     * Get a member's profile
+     * @param {string} userId 
+     * @returns {Object|null}
+     */
+    getProfile(userId) {
+        return this.profiles[userId] || null;
+    }
+
+    /**
+     * Add or replace member profiles
+     * @param {Array<Object>} profiles - { userId, displayName, color, genres, updatedAt }
+     */
+    setProfiles(profiles) {
+        profiles.forEach(profile => {
+            this.profiles[profile.userId] = profile;
+        });
+        this.emit('profilesChanged', { profiles });
+    }
+
+    /**
+     * Set a club's veto season (or null to clear it)
+     * @param {string} clubId 
+     * @param {Object|null} vetoState - { seasonId, startedAt, startedBy, log }
+     */
+    setVetoState(clubId, vetoState) {
+        const club = this.getBookClub(clubId);
+        if (club) {
+            club.vetoState = vetoState;
+            this.emit('vetoStateChanged', { clubId, vetoState, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record a spent veto in the club's current veto season
+     * @param {string} clubId 
+     * @param {Object} veto - { id, seasonId, userId, bookId, title, vetoedAt, replacementId }
+     * @returns {boolean} False when the veto is for another season or already recorded
+     */
+    recordVeto(clubId, veto) {
+        const club = this.getBookClub(clubId);
+        const vetoState = club?.vetoState;
+        if (!vetoState || vetoState.seasonId !== veto.seasonId) return false;
+        if (vetoState.log.some(entry => entry.id === veto.id)) return false;
+
+        club.vetoState = { ...vetoState, log: [...vetoState.log, veto] };
+        this.emit('vetoSpent', { clubId, veto, club });
+        return true;
+    }
+
+    /**
+     * Set a club's voting round (or null to clear it)
+     * @param {string} clubId 
+     * @param {Object|null} round 
+     */
+    setVotingRound(clubId, round) {
+        const club = this.getBookClub(clubId);
+        if (club) {
+            club.votingRound = round;
+            this.emit('votingRoundChanged', { clubId, round, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record a member's ballot in the club's open voting round
+     * @param {string} clubId 
+     * @param {string} roundId 
+     * @param {Object} ballot - { voterId, ranking, castAt }
+     */
+    setBallot(clubId, roundId, ballot) {
+        const club = this.getBookClub(clubId);
+        const round = club?.votingRound;
+        if (round && round.id === roundId && round.status === 'open') {
+            round.ballots = { ...round.ballots, [ballot.voterId]: ballot };
+            this.emit('ballotCast', { clubId, roundId, ballot, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set a club's tournament bracket (or null to clear it)
+     * @param {string} clubId 
+     * @param {Object|null} bracket 
      */
-    setClubSelection(clubId, selection) {
+    setBracket(clubId, bracket) {
         const club = this.getBookClub(clubId);
         if (club) {
-            club.currentSelection = selection;
-            this.emit('selectionChanged', { clubId, selection, club });
+            club.bracket = bracket;
+            this.emit('bracketChanged', { clubId, bracket, club });
             return true;
         }
         return false;
     }
 
     /**
-     * Confirm selection and remove from books
+     * Record a member's vote on a matchup in the club's open bracket
      * @param {string} clubId 
+     * @param {string} bracketId 
+     * @param {Object} vote - { matchId, voterId, bookId, castAt }
+     */
+    setBracketVote(clubId, bracketId, vote) {
+        const club = this.getBookClub(clubId);
+        const bracket = club?.bracket;
+        if (bracket && bracket.id === bracketId && bracket.status === 'open') {
+            const matchVotes = { ...bracket.votes[vote.matchId], [vote.voterId]: vote };
+            bracket.votes = { ...bracket.votes, [vote.matchId]: matchVotes };
+            this.emit('bracketVoteCast', { clubId, bracketId, vote, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set a club's draft season plan (or null to discard it)
+     * @param {string} clubId 
+     * @param {Object|null} plan 
+     */
+    setSeasonPlan(clubId, plan) {
+        const club = this.getBookClub(clubId);
+        if (club) {
+            club.seasonPlan = plan;
+            this.emit('seasonPlanChanged', { clubId, plan, club });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Confirm a club's season plan: every planned book leaves the list and is
+     * recorded in the reading history, in meeting order
+     * @param {string} clubId 
+     * @returns {Array|null} The new history entries
+     */
+    confirmSeasonPlan(clubId) {
+        const club = this.getBookClub(clubId);
+        const plan = club?.seasonPlan;
+        if (!plan) return null;
+
+        const entries = plan.slots.map((slot, index) => {
+            const book = bookModel.find(club.books, slot.bookId);
+            if (!book) return null;
+
+            const entry = this.createHistoryEntry(book, {
+                method: 'season',
+                selectedAt: plan.createdAt,
+                details: { season: { seasonId: plan.id, slot: index + 1, slotCount: plan.slots.length } }
+            });
+            return { ...entry, meetingDate: slot.meetingDate };
+        }).filter(Boolean);
+
+        operationManager.record(club, 'confirm', { bookIds: entries.map(entry => entry.book.id) });
+        club.readingHistory = [...club.readingHistory, ...entries];
+        club.seasonPlan = null;
+
+        this.emit('seasonConfirmed', { clubId, entries, club });
+        return entries;
+    }
+
+    /**
+     * Get the book record for a club's current selection
+     * @param {string} clubId 
+     * @returns {Object|null}
+     */
+    getSelectedBook(clubId) {
+        const club = this.getBookClub(clubId);
+        return club ? bookModel.find(club.books, club.currentSelection) : null;
+    }
+
+    /**
+     * Confirm selection, remove it from books and record it in the reading history
+     * @param {string} clubId 
+     * @returns {Object|null} The confirmed book record
      */
     confirmSelection(clubId) {
         const club = this.getBookClub(clubId);
-        if (club && club.currentSelection) {
-            const selection = club.currentSelection;
-            club.books = club.books.filter(book => book !== selection);
-            this.emit('selectionConfirmed', { clubId, selection, club });
-            club.currentSelection = null;
-            return selection;
+        const book = this.getSelectedBook(clubId);
+        if (club && book) {
+            const entry = this.createHistoryEntry(book, club.selectionContext);
+            operationManager.record(club, 'confirm', { bookIds: [book.id] });
+            club.readingHistory = [...club.readingHistory, entry];
+            club.drawState = null; // The next round needs a fresh commitment
+            if (club.votingRound?.status === 'closed') {
+                club.votingRound = null; // The tally lives on in the history entry
+            }
+            if (club.bracket?.status === 'complete') {
+                club.bracket = null;
+            }
+            // Listeners save and broadcast the club, so it has to be settled first
+            this.emit('selectionConfirmed', { clubId, selection: book.id, book, entry, club });
+            return book;
         }
         return null;
     }
 
+    /**
+     * Build a reading history entry for a confirmed book
+     * @param {Object} book 
+     * @param {Object|null} selectionContext 
+     * @returns {Object}
+     */
+    createHistoryEntry(book, selectionContext) {
+        return {
+            id: `read_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            book: { ...book, metadata: { ...book.metadata } },
+            confirmedAt: new Date().toISOString(),
+            confirmedBy: userManager.getCurrentUserId(),
+            method: selectionContext?.method || 'random',
+            selectedAt: selectionContext?.selectedAt || null,
+            details: selectionContext?.details || null
+        };
+    }
+
+    /**
+     * Get a club's reading history, most recent first
+     * @param {string} clubId 
+     * @returns {Array}
+     */
+    getReadingHistory(clubId) {
+        const club = this.getBookClub(clubId);
+        if (!club) return [];
+        // Planned seasons are confirmed in one go, so order them by their meeting dates
+        return [...club.readingHistory].sort((a, b) => 
+            new Date(b.meetingDate || b.confirmedAt) - new Date(a.meetingDate || a.confirmedAt)
+        );
+    }
+
     /**
      * Set pending delete club ID
      * @param {string} clubId 
@@ -281,6 +714,7 @@ class AppState {
         const sharedClubs = Object.values(accessibleClubs).filter(club => userManager.isSharedWithUser(club));
         
         const totalBooks = Object.values(accessibleClubs).reduce((sum, club) => sum + club.books.length, 0);
+        const booksRead = Object.values(accessibleClubs).reduce((sum, club) => sum + club.readingHistory.length, 0);
         
         return {
             userId,
@@ -288,6 +722,7 @@ class AppState {
             ownedClubs: ownedClubs.length,
             sharedClubs: sharedClubs.length,
             totalBooks,
+            booksRead,
             currentClub: this.currentClubId
         };
     }
@@ -7,10 +7,29 @@
 import supabaseManager from '../config/supabase.js';
 import appState from './state.js';
 import userManager from './user.js';
+import membershipManager from './membership.js';
+import migrationManager from './migrations.js';
+import operationManager from './operations.js';
+import outboxManager from './outbox.js';
+import tabSyncManager from './tabSync.js';
 
 class StorageManager {
     constructor() {
         this.LOCAL_STORAGE_KEY = 'literaryCircleBookClubs';
+        this.isReplaying = false;
+        // Columns a save patches on an existing club row. The book list, name and selection
+        // travel as operations; membership and ownership change through server functions.
+        this.PATCH_COLUMNS = [
+            'reading_history', 'selection_settings', 'rotation_state', 'draw_state', 'voting_round',
+            'bracket_state', 'season_plan', 'veto_state', 'require_approval'
+        ];
+        this.serverColumns = new Map(); // Club ID -> column -> JSON, as last loaded from or saved to the server
+        this.pendingRestores = new Set(); // Clubs with a refused change whose server copy couldn't be loaded yet
+        // Errors worth sending a change again for (the server refused anything else): the API
+        // unable to reach the database or expired sessions, and Postgres connection, rollback,
+        // resource and shutdown error classes
+        this.RETRY_CODES = ['PGRST000', 'PGRST001', 'PGRST002', 'PGRST301', 'PT401'];
+        this.RETRY_CLASSES = ['08', '40', '53', '57', '58'];
     }
 
     /**
@@ -21,8 +40,8 @@ class StorageManager {
         // Always save locally as backup
         this.saveToLocalStorage();
         
-        // If collaborative mode is enabled, also save to Supabase
-        if (supabaseManager.isCollaborativeMode()) {
+        // If collaborative mode is enabled, also save to Supabase (from one tab only)
+        if (supabaseManager.isCollaborativeMode() && tabSyncManager.claimCloudSave()) {
             await this.saveToSupabase();
         }
     }
@@ -59,6 +78,8 @@ class StorageManager {
      */
     loadFromLocalStorage() {
         try {
+            migrationManager.migrateLocalStorage(this.LOCAL_STORAGE_KEY);
+
             const savedClubs = localStorage.getItem(this.LOCAL_STORAGE_KEY);
             if (savedClubs) {
                 const allClubs = JSON.parse(savedClubs);
@@ -68,7 +89,7 @@ class StorageManager {
                 Object.keys(allClubs).forEach(clubId => {
                     const club = allClubs[clubId];
                     if (club.userId === userId || club.isOwner || club.isShared) {
-                        appState.setBookClub(clubId, club);
+                        appState.setBookClub(clubId, operationManager.merge(club));
                     }
                 });
                 
@@ -89,28 +110,12 @@ class StorageManager {
 
         try {
             const bookClubs = appState.getBookClubs(); // Only get accessible clubs
-            const userId = userManager.getCurrentUserId();
             
             for (const [clubId, club] of Object.entries(bookClubs)) {
-                // Only save clubs that this user owns
-                if (userManager.isOwner(club)) {
-                    const { error } = await supabase
-                        .from('book_clubs')
-                        .upsert({
-                            id: clubId,
-                            name: club.name,
-                            books: club.books,
-                            current_selection: club.currentSelection,
-                            created_at: club.createdAt,
-                            updated_at: new Date().toISOString(),
-                            user_id: club.userId || userId
-                        });
-
-                    if (error) {
-                        console.error('Error saving club to Supabase:', error);
-                    } else {
-                        console.log(`☁️ Saved club "${club.name}" to cloud`);
-                    }
+                // Only save clubs this user's role may change (viewers are read-only) and
+                // that changed here since they were last loaded or saved
+                if (membershipManager.can(club, 'editBooks') && this.hasUnsavedChanges(clubId, club)) {
+                    await this.saveOrQueue(() => this.sendClub(clubId), 'saveClub', clubId);
                 }
             }
         } catch (error) {
@@ -137,26 +142,45 @@ class StorageManager {
 
             if (error) {
                 console.error('Error loading from Supabase:', error);
+                if (error.message === 'member_id_requires_sign_in') {
+                    appState.emit('signInRequired', { userId });
+                }
                 return;
             }
 
             if (data) {
+                // Clubs joined from old links before rosters were kept on the server join properly now
+                const legacy = await this.migrateLegacyShares(data.map(club => club.id));
+                data.push(...legacy.joined);
+
+                // Upgrade any owned clubs still storing plain title strings
+                await migrationManager.migrateSupabaseRows(data);
+                data.forEach(club => this.rememberServerRecord(club));
+
+                // Shared clubs the server no longer returns were left or removed from
+                this.dropRevokedClubs([...data.map(club => club.id), ...legacy.kept]);
+
                 // Process loaded clubs
                 data.forEach(club => {
-                    const isOwner = club.user_id === userId;
-                    const isShared = club.user_id !== userId;
-                    
-                    appState.setBookClub(club.id, {
-                        id: club.id,
-                        name: club.name,
-                        books: club.books || [],
-                        currentSelection: club.current_selection,
-                        createdAt: club.created_at,
-                        userId: club.user_id,
-                        isOwner: isOwner,
-                        isShared: isShared
-                    });
+                    const localClub = appState.getBookClub(club.id);
+                    const remoteClub = this.fromSupabaseRecord(club);
+                    // A club left with a refused change restarts from the server's copy; one whose
+                    // save is still queued keeps this device's details until it's sent
+                    if (this.pendingRestores.delete(club.id)) {
+                        appState.setBookClub(club.id, operationManager.merge(remoteClub));
+                    } else {
+                        appState.setBookClub(club.id, localClub && outboxManager.hasEntry('saveClub', club.id)
+                            ? operationManager.merge(localClub, remoteClub)
+                            : operationManager.merge(remoteClub, localClub));
+                    }
                 });
+
+                for (const club of data) {
+                    const loadedClub = appState.getBookClub(club.id);
+                    if (loadedClub) {
+                        await this.loadOpenRoundVotes(loadedClub);
+                    }
+                }
                 
                 console.log(`☁️ Loaded ${data.length} book clubs from cloud for user: ${userId}`);
             }
@@ -165,6 +189,88 @@ class StorageManager {
         }
     }
 
+    /**
+     * Switch this device to another member ID whose server data now holds the current
+     * ID's clubs (after linking a device or signing in). Local copies of owned clubs
+     * follow, then the server's versions replace them; a club that never reached the
+     * server stays local.
+     * @param {string} userId 
+     * @returns {Promise<void>}
+     */
+    async adoptUserId(userId) {
+        const previousUserId = userManager.getCurrentUserId();
+        if (userId === previousUserId) return;
+
+        userManager.setUserId(userId);
+        Object.entries(appState.getAllBookClubs())
+            .filter(([, club]) => club.userId === previousUserId)
+            .forEach(([clubId, club]) => appState.setBookClub(clubId, { ...club, userId, isOwner: true }));
+
+        await this.loadFromSupabase();
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Put clubs joined from an old ?join= link, before the server kept rosters, on the
+     * server's roster through join_book_club. They are the shared clubs the server didn't
+     * return whose local roster doesn't list the current user; a club that does list them
+     * was shared through the server and has been left or removed from.
+     * @param {Array<string>} accessibleIds - Clubs the server returned
+     * @returns {Promise<Object>} { joined: club records now shared, kept: IDs to keep until the server decides }
+     */
+    async migrateLegacyShares(accessibleIds) {
+        const supabase = supabaseManager.getClient();
+        const userId = userManager.getCurrentUserId();
+        const accessible = new Set(accessibleIds);
+        const legacy = Object.values(appState.getBookClubs())
+            .filter(club => club.userId !== userId && !accessible.has(club.id))
+            .filter(club => !club.members.some(member => member.userId === userId));
+        const joined = [];
+        const kept = [];
+
+        for (const club of legacy) {
+            try {
+                const { data, error } = await supabase.rpc('join_book_club', { p_club_id: club.id });
+
+                // A club that is gone or whose owner turned old links off answers nothing and is dropped
+                if (error) {
+                    console.error('Error moving joined club to the server:', error);
+                    kept.push(club.id);
+                } else if (data?.status === 'joined' && data.club) {
+                    joined.push(data.club);
+                } else if (data?.status === 'pending') {
+                    kept.push(club.id);
+                }
+            } catch (error) {
+                console.error('Supabase join error:', error);
+                kept.push(club.id);
+            }
+        }
+
+        return { joined, kept };
+    }
+
+    /**
+     * Drop locally saved clubs shared with the current user that they no longer
+     * belong to. Only called with a successful server load, never while offline.
+     * @param {Array<string>} accessibleIds - Clubs the server returned
+     * @returns {number} Number of clubs dropped
+     */
+    dropRevokedClubs(accessibleIds) {
+        const userId = userManager.getCurrentUserId();
+        const accessible = new Set(accessibleIds);
+        const revoked = Object.values(appState.getBookClubs())
+            .filter(club => club.userId !== userId && !accessible.has(club.id));
+
+        revoked.forEach(club => appState.dropBookClub(club.id));
+
+        if (revoked.length > 0) {
+            this.saveToLocalStorage();
+            console.log(`🚪 Dropped ${revoked.length} clubs you no longer belong to`);
+        }
+        return revoked.length;
+    }
+
     /**
      * Save a specific book club to Supabase
      * @param {string} clubId 
@@ -174,140 +280,1534 @@ class StorageManager {
         const supabase = supabaseManager.getClient();
         if (!supabase) return false;
 
+        const club = appState.getBookClub(clubId);
+        if (!club || !membershipManager.can(club, 'editBooks')) {
+            console.warn('Cannot save club - not found or read-only for this member');
+            return false;
+        }
+
+        return this.saveOrQueue(() => this.sendClub(clubId), 'saveClub', clubId);
+    }
+
+    /**
+     * Save a club's record, then send its operations. A club's first save creates its
+     * row; after that only the columns changed here since the row was last loaded or
+     * saved are patched, so one member's save doesn't overwrite another's changes to
+     * the rest of the club.
+     * @param {string} clubId 
+     * @returns {Promise<string>} 'sent', 'rejected' or 'failed' (see getSendStatus)
+     */
+    async sendClub(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return 'failed';
+
+        const club = appState.getBookClub(clubId);
+        if (!club) {
+            // Deleted or left since the save was queued - nothing left to send
+            outboxManager.removeClubEntries(clubId, 'saveClub');
+            return 'sent';
+        }
+        if (!membershipManager.can(club, 'editBooks')) {
+            console.warn('Cannot save club - read-only for this member');
+            return 'rejected';
+        }
+
         try {
-            const club = appState.getBookClub(clubId);
-            if (!club || !userManager.isOwner(club)) {
-                console.warn('Cannot save club - not found or not owner');
-                return false;
+            const record = this.toSupabaseRecord({ ...club, id: clubId, userId: club.userId || userManager.getCurrentUserId() });
+            let changes = record;
+
+            if (typeof club.opSeq === 'number') {
+                // A club this tab hasn't loaded since it started is compared with the server's row
+                const serverColumns = this.serverColumns.get(clubId)
+                    || (await this.loadClubFromSupabase(clubId) && this.serverColumns.get(clubId));
+                if (!serverColumns) return 'failed';
+                changes = this.getChangedColumns(record, serverColumns);
             }
 
-            const { error } = await supabase
-                .from('book_clubs')
-                .upsert({
-                    id: clubId,
-                    name: club.name,
-                    books: club.books,
-                    current_selection: club.currentSelection,
-                    created_at: club.createdAt,
-                    updated_at: new Date().toISOString(),
-                    user_id: club.userId
-                });
+            const columns = Object.keys(changes);
+            if (columns.length > 0) {
+                const { data, error } = typeof club.opSeq === 'number'
+                    ? await supabase
+                        .from('book_clubs')
+                        .update({ ...changes, updated_at: record.updated_at, updated_by: record.updated_by })
+                        .eq('id', clubId)
+                        .select('id')
+                    : await supabase
+                        .from('book_clubs')
+                        .upsert(record);
 
-            if (error) {
-                console.error('Error saving club to Supabase:', error);
-                return false;
+                if (error) {
+                    console.error('Error saving club to Supabase:', error);
+                    return this.getSendStatus(error);
+                }
+
+                // Row security skips rows this member may not update rather than raising an error
+                if (typeof club.opSeq === 'number' && !data?.length) {
+                    console.warn(`Club "${club.name}" was not updated - no longer editable for this member`);
+                    return 'rejected';
+                }
+
+                console.log(`☁️ Saved club "${club.name}" to cloud (${typeof club.opSeq === 'number' ? columns.join(', ') : 'new'})`);
             }
 
-            console.log(`☁️ Saved club "${club.name}" to cloud`);
-            return true;
+            this.serverColumns.set(clubId, this.getColumnValues(record));
+            outboxManager.removeClubEntries(clubId, 'saveClub');
+            this.markClubCreated(club);
+            await this.saveOperations(clubId);
+            return 'sent';
         } catch (error) {
             console.error('Supabase save error:', error);
+            return 'failed';
+        }
+    }
+
+    /**
+     * Whether a club has anything this device hasn't sent: a first save, unsent
+     * operations or columns changed since the server's row was last seen
+     * @param {string} clubId 
+     * @param {Object} club 
+     * @returns {boolean}
+     */
+    hasUnsavedChanges(clubId, club) {
+        if (typeof club.opSeq !== 'number' || operationManager.getUnsent(clubId).length > 0) return true;
+
+        const serverColumns = this.serverColumns.get(clubId);
+        return !serverColumns || Object.keys(this.getChangedColumns(this.toSupabaseRecord(club), serverColumns)).length > 0;
+    }
+
+    /**
+     * Note a club row as the server has it, so later saves only send what changes here
+     * @param {Object} record - A book_clubs row
+     */
+    rememberServerRecord(record) {
+        if (!record?.id) return;
+        this.serverColumns.set(record.id, this.getColumnValues(this.toSupabaseRecord(this.fromSupabaseRecord(record))));
+    }
+
+    /**
+     * The patchable columns of a record, as canonical JSON
+     * @param {Object} record - From toSupabaseRecord
+     * @returns {Object} Column -> JSON
+     */
+    getColumnValues(record) {
+        return Object.fromEntries(this.PATCH_COLUMNS.map(column => [column, this.toCanonicalJson(record[column])]));
+    }
+
+    /**
+     * The patchable columns of a record that differ from the server's
+     * @param {Object} record - From toSupabaseRecord
+     * @param {Object} serverColumns - From getColumnValues
+     * @returns {Object} Column -> value
+     */
+    getChangedColumns(record, serverColumns) {
+        const values = this.getColumnValues(record);
+        return Object.fromEntries(this.PATCH_COLUMNS
+            .filter(column => values[column] !== serverColumns[column])
+            .map(column => [column, record[column]]));
+    }
+
+    /**
+     * JSON with object keys sorted, so values compare equal however JSONB ordered them
+     * @param {*} value 
+     * @returns {string}
+     */
+    toCanonicalJson(value) {
+        return JSON.stringify(value ?? null, (key, item) => item && typeof item === 'object' && !Array.isArray(item)
+            ? Object.fromEntries(Object.keys(item).sort().map(itemKey => [itemKey, item[itemKey]]))
+            : item);
+    }
+
+    /**
+     * Send a change now, or keep it in the outbox when offline or the network fails
+     * @param {Function} send - Resolves to 'sent', 'rejected' or 'failed'
+     * @param {string} type - Outbox entry type
+     * @param {string} clubId 
+     * @param {*} data - Outbox entry data
+     * @returns {Promise<boolean>} Whether the change was saved or queued
+     */
+    async saveOrQueue(send, type, clubId, data = null) {
+        const status = this.isOffline() ? 'failed' : await send();
+        if (status === 'failed') {
+            outboxManager.enqueue(type, clubId, data);
+            console.log(`📤 Queued ${type} for club ${clubId} until the connection is back`);
+        }
+        return status !== 'rejected';
+    }
+
+    /**
+     * Whether the browser reports having no network connection
+     * @returns {boolean}
+     */
+    isOffline() {
+        return globalThis.navigator?.onLine === false;
+    }
+
+    /**
+     * Classify a failed Supabase write. Network failures (no error code) and transient
+     * errors (see RETRY_CODES and RETRY_CLASSES) keep the change queued; any other error -
+     * a refusal, a broken constraint, an exception a trigger raised or a request the API
+     * can't serve - would fail the same way every time, so the change is dropped rather
+     * than holding up the changes queued behind it.
+     * @param {Object|null} error 
+     * @returns {string} 'sent', 'rejected' or 'failed'
+     */
+    getSendStatus(error) {
+        if (!error) return 'sent';
+
+        const code = error.code || '';
+        const retried = !code || this.RETRY_CODES.includes(code) || this.RETRY_CLASSES.includes(code.slice(0, 2));
+        return retried ? 'failed' : 'rejected';
+    }
+
+    /**
+     * Send the outbox's queued changes in order, after working offline or failed saves.
+     * Stops at the first change that still can't reach the server so later ones keep
+     * their place; changes the server refuses are dropped and undone here. Only the
+     * leader tab replays, so two tabs never send the same entries.
+     * @returns {Promise<{sent: number, rejected: number, pending: number}>} Numbers of changes
+     */
+    async replayOutbox() {
+        const result = { sent: 0, rejected: 0, pending: outboxManager.getCount() };
+        if (this.isReplaying || (result.pending === 0 && this.pendingRestores.size === 0) || !supabaseManager.isCollaborativeMode() || this.isOffline()
+            || !tabSyncManager.isLeader()) {
+            return result;
+        }
+
+        this.isReplaying = true;
+        try {
+            for (const entry of [...outboxManager.getEntries()]) {
+                if (!outboxManager.has(entry.id)) continue; // Sent along with an earlier entry
+
+                const queued = outboxManager.getCount();
+                const status = await this.replayEntry(entry);
+                if (status === 'failed') {
+                    outboxManager.markAttempt(entry.id);
+                    break;
+                }
+
+                // Operations leave the outbox as the server confirms or refuses them
+                if (entry.type !== 'operation') {
+                    outboxManager.removeWhere(item => item.id === entry.id);
+                }
+
+                // Other entries may have gone with this one, e.g. a club's operations with its save
+                const settled = queued - outboxManager.getCount();
+                if (status === 'rejected') {
+                    result.rejected += settled;
+                    if (entry.type === 'saveClub') {
+                        await this.restoreServerClub(entry.clubId);
+                    }
+                } else {
+                    result.sent += settled;
+                }
+            }
+
+            for (const clubId of [...this.pendingRestores]) {
+                await this.restoreServerClub(clubId);
+            }
+        } finally {
+            this.isReplaying = false;
+        }
+
+        result.pending = outboxManager.getCount();
+        console.log(`📤 Outbox replayed: ${result.sent} sent, ${result.rejected} refused, ${result.pending} still queued`);
+        return result;
+    }
+
+    /**
+     * Send one outbox entry
+     * @param {Object} entry 
+     * @returns {Promise<string>} 'sent', 'rejected' or 'failed'
+     */
+    async replayEntry(entry) {
+        switch (entry.type) {
+            case 'operation': {
+                // Operations can't reach a club the server doesn't have yet
+                const club = appState.getBookClub(entry.clubId);
+                return club && typeof club.opSeq !== 'number'
+                    ? this.sendClub(entry.clubId)
+                    : this.sendOperations(entry.clubId);
+            }
+            case 'saveClub':
+                return this.sendClub(entry.clubId);
+            case 'deleteClub':
+                return this.sendClubDeletion(entry.clubId);
+            case 'ballot':
+                return this.sendBallot(entry.clubId, entry.data);
+            case 'bracketVote':
+                return this.sendBracketVote(entry.clubId, entry.data);
+            default:
+                return 'rejected';
+        }
+    }
+
+    /**
+     * Put back the server's copy of a club whose queued save or operations were refused.
+     * Refused operations leave the outbox either way; if the server's copy can't be loaded
+     * now, the club restarts from it on a later load rather than holding up the outbox.
+     * @param {string} clubId 
+     * @param {Array<string>} refusedIds - IDs of refused operations, if any
+     * @returns {Promise<boolean>} Whether the server's copy was restored
+     */
+    async restoreServerClub(clubId, refusedIds = []) {
+        outboxManager.removeOperations(clubId, refusedIds);
+
+        const club = appState.getBookClub(clubId);
+        const serverClub = club ? await this.loadClubFromSupabase(clubId) : null;
+        if (!serverClub) {
+            if (club) {
+                this.pendingRestores.add(clubId);
+                console.warn(`Could not load club ${clubId} to undo a refused change - it will be restored on the next load`);
+            }
             return false;
         }
+
+        if (refusedIds.length > 0) {
+            operationManager.discard(club, serverClub, refusedIds);
+            appState.emit('operationsApplied', { clubId, operations: [], club });
+        } else {
+            // A club left over from an earlier refusal drops this device's copy entirely
+            appState.setBookClub(clubId, this.pendingRestores.has(clubId)
+                ? operationManager.merge(serverClub)
+                : operationManager.merge(serverClub, club));
+        }
+
+        this.pendingRestores.delete(clubId);
+        this.saveToLocalStorage();
+        return true;
+    }
+
+    /**
+     * After a club's first save, its book list changes only travel as operations
+     * @param {Object} club - Club in the app state (mutated)
+     */
+    markClubCreated(club) {
+        if (typeof club.opSeq !== 'number') {
+            club.opSeq = 0;
+        }
     }
 
     /**
-     * Delete a book club from Supabase
+     * Send a club's unsent operations to the apply_club_operations function, which
+     * logs them and applies them to the club row. Operations the server refuses are
+     * undone here; ones that didn't arrive stay in the outbox for the next save.
      * @param {string} clubId 
      * @returns {Promise<boolean>} Success status
      */
-    async deleteClubFromSupabase(clubId) {
+    async saveOperations(clubId) {
+        if (this.isOffline()) return false;
+        return (await this.sendOperations(clubId)) === 'sent';
+    }
+
+    /**
+     * Send a club's unsent operations (see saveOperations)
+     * @param {string} clubId 
+     * @returns {Promise<string>} 'sent', 'rejected' or 'failed'
+     */
+    async sendOperations(clubId) {
         const supabase = supabaseManager.getClient();
-        if (!supabase) return true; // Consider successful if not using Supabase
+        if (!supabase) return 'failed';
 
-        try {
-            const club = appState.getBookClub(clubId);
-            if (!club || !userManager.isOwner(club)) {
-                console.warn('Cannot delete club - not found or not owner');
-                return false;
+        const operations = operationManager.getUnsent(clubId);
+        if (operations.length === 0) {
+            // Sent before but not yet seen back - confirm them from the log
+            if (operationManager.getPending(clubId).length > 0) {
+                await this.applyConfirmedOperations(clubId);
             }
+            return 'sent';
+        }
 
-            const { error } = await supabase
-                .from('book_clubs')
-                .delete()
-                .eq('id', clubId)
-                .eq('user_id', userManager.getCurrentUserId()); // Extra safety check
+        try {
+            const { data, error } = await supabase.rpc('apply_club_operations', {
+                p_operations: operations.map(operation => this.toOperationRecord(operation))
+            });
 
             if (error) {
-                console.error('Error deleting from Supabase:', error);
-                return false;
+                console.error('Error saving operations to Supabase:', error);
+                const status = this.getSendStatus(error);
+                if (status === 'rejected') {
+                    await this.restoreServerClub(clubId, operations.map(operation => operation.id));
+                }
+                return status;
             }
 
-            console.log('☁️ Deleted club from cloud database');
-            return true;
+            const sent = operationManager.markSent(clubId, data || []);
+            console.log(`☁️ Sent ${operations.length} changes for club ${clubId}`);
+
+            await this.applyConfirmedOperations(clubId, sent);
+            return 'sent';
         } catch (error) {
-            console.error('Supabase delete error:', error);
-            return false;
+            console.error('Supabase operation save error:', error);
+            return 'failed';
         }
     }
 
     /**
-     * Load a specific book club from Supabase (for joining)
+     * Load a club's operations after a sequence number, oldest first
      * @param {string} clubId 
-     * @returns {Promise<Object|null>}
+     * @param {number} afterSeq 
+     * @returns {Promise<Array|null>} Operations in app format, or null if they could not be loaded
      */
-    async loadClubFromSupabase(clubId) {
+    async loadOperations(clubId, afterSeq = 0) {
         const supabase = supabaseManager.getClient();
         if (!supabase) return null;
 
         try {
             const { data, error } = await supabase
-                .from('book_clubs')
+                .from('club_operations')
                 .select('*')
-                .eq('id', clubId)
-                .single();
+                .eq('club_id', clubId)
+                .gt('seq', afterSeq)
+                .order('seq', { ascending: true });
 
             if (error) {
-                console.error('Error loading club from Supabase:', error);
+                console.error('Error loading operations from Supabase:', error);
                 return null;
             }
 
-            if (data) {
-                return {
-                    id: data.id,
-                    name: data.name,
-                    books: data.books || [],
-                    currentSelection: data.current_selection,
-                    createdAt: data.created_at,
-                    userId: data.user_id
-                };
+            return (data || []).map(row => this.fromOperationRecord(row));
+        } catch (error) {
+            console.error('Supabase operation load error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Apply a club's logged operations. With none given, or a gap in the sequence,
+     * the ones after the club's opSeq are loaded from the operation log.
+     * @param {string} clubId 
+     * @param {Array|null} operations - Confirmed operations in app format, oldest first
+     * @returns {Promise<Array>} Operations by other members that were new here
+     */
+    async applyConfirmedOperations(clubId, operations = null) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return [];
+
+        const opSeq = club.opSeq || 0;
+        if (operations) {
+            operations = operations.filter(operation => operation.seq > opSeq);
+            if (operations.length === 0) return [];
+        }
+
+        const hasGap = !operations || operations.some((operation, index) => operation.seq !== opSeq + 1 + index);
+        if (hasGap) {
+            operations = [...(operations || []), ...(await this.loadOperations(clubId, opSeq) || [])];
+        }
+
+        const received = operationManager.receive(club, operations);
+        if (received.length > 0) {
+            appState.emit('operationsApplied', { clubId, operations: received, club });
+        }
+        this.saveToLocalStorage();
+        return received;
+    }
+
+    /**
+     * Convert an operation to the format apply_club_operations takes
+     * @param {Object} operation 
+     * @returns {Object}
+     */
+    toOperationRecord(operation) {
+        return {
+            id: operation.id,
+            clubId: operation.clubId,
+            type: operation.type,
+            payload: operation.payload,
+            replicaId: operation.replicaId,
+            clock: operation.clock,
+            stamp: operation.stamp,
+            createdAt: operation.createdAt
+        };
+    }
+
+    /**
+     * Convert a club_operations row to an operation
+     * @param {Object} record 
+     * @returns {Object}
+     */
+    fromOperationRecord(record) {
+        return {
+            id: record.id,
+            clubId: record.club_id,
+            seq: Number(record.seq),
+            type: record.type,
+            payload: record.payload || {},
+            actorId: record.actor_id,
+            replicaId: record.replica_id,
+            clock: record.clock || {},
+            stamp: record.stamp,
+            createdAt: record.created_at
+        };
+    }
+
+    /**
+     * Save a member's ballot to the club_ballots table. Members cannot write the
+     * club row, so ballots live in their own table keyed by round and voter.
+     * @param {string} clubId 
+     * @param {string} roundId 
+     * @param {Object} ballot - { voterId, ranking, castAt }
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveBallot(clubId, roundId, ballot) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return true; // Local mode keeps ballots on the club record
+
+        const data = { roundId, ballot };
+        return this.saveOrQueue(() => this.sendBallot(clubId, data), 'ballot', clubId, data);
+    }
+
+    /**
+     * Upsert a ballot (see saveBallot)
+     * @param {string} clubId 
+     * @param {Object} data - { roundId, ballot }
+     * @returns {Promise<string>} 'sent', 'rejected' or 'failed'
+     */
+    async sendBallot(clubId, { roundId, ballot }) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return 'failed';
+
+        try {
+            const { error } = await supabase
+                .from('club_ballots')
+                .upsert({
+                    club_id: clubId,
+                    round_id: roundId,
+                    voter_id: ballot.voterId,
+                    ranking: ballot.ranking,
+                    cast_at: ballot.castAt
+                });
+
+            if (error) {
+                console.error('Error saving ballot to Supabase:', error);
+                return this.getSendStatus(error);
             }
 
-            return null;
+            console.log(`🗳️ Ballot saved for round ${roundId}`);
+            return 'sent';
         } catch (error) {
-            console.error('Supabase load error:', error);
-            return null;
+            console.error('Supabase ballot save error:', error);
+            return 'failed';
         }
     }
 
     /**
-     * Share a club with another user (placeholder for future implementation)
+     * Load every ballot cast in a voting round
      * @param {string} clubId 
-     * @param {string} targetUserId 
-     * @returns {Promise<boolean>}
+     * @param {string} roundId 
+     * @returns {Promise<Array>} Ballots in app format
      */
-    async shareClubWithUser(clubId, targetUserId) {
+    async loadBallots(clubId, roundId) {
         const supabase = supabaseManager.getClient();
-        if (!supabase) return false;
+        if (!supabase) return [];
 
         try {
-            const club = appState.getBookClub(clubId);
-            if (!club || !userManager.isOwner(club)) {
-                return false;
+            const { data, error } = await supabase
+                .from('club_ballots')
+                .select('*')
+                .eq('club_id', clubId)
+                .eq('round_id', roundId);
+
+            if (error) {
+                console.error('Error loading ballots from Supabase:', error);
+                return [];
             }
 
-            // This would require a more complex database schema
-            // For now, we'll just log the intention
-            console.log(`🤝 Would share club ${clubId} with user ${targetUserId}`);
-            
-            // TODO: Implement actual sharing mechanism
-            return true;
+            return (data || []).map(row => this.fromBallotRecord(row));
         } catch (error) {
-            console.error('Error sharing club:', error);
-            return false;
+            console.error('Supabase ballot load error:', error);
+            return [];
         }
     }
 
+    /**
+     * Convert a club_ballots row to a ballot
+     * @param {Object} record 
+     * @returns {Object}
+     */
+    fromBallotRecord(record) {
+        return {
+            voterId: record.voter_id,
+            ranking: record.ranking || [],
+            castAt: record.cast_at
+        };
+    }
+
+    /**
+     * Save a member's matchup vote to the bracket_votes table
+     * @param {string} clubId 
+     * @param {string} bracketId 
+     * @param {Object} vote - { matchId, voterId, bookId, castAt }
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveBracketVote(clubId, bracketId, vote) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return true; // Local mode keeps votes on the club record
+
+        const data = { bracketId, vote };
+        return this.saveOrQueue(() => this.sendBracketVote(clubId, data), 'bracketVote', clubId, data);
+    }
+
+    /**
+     * Upsert a matchup vote (see saveBracketVote)
+     * @param {string} clubId 
+     * @param {Object} data - { bracketId, vote }
+     * @returns {Promise<string>} 'sent', 'rejected' or 'failed'
+     */
+    async sendBracketVote(clubId, { bracketId, vote }) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return 'failed';
+
+        try {
+            const { error } = await supabase
+                .from('bracket_votes')
+                .upsert({
+                    club_id: clubId,
+                    bracket_id: bracketId,
+                    match_id: vote.matchId,
+                    voter_id: vote.voterId,
+                    book_id: vote.bookId,
+                    cast_at: vote.castAt
+                });
+
+            if (error) {
+                console.error('Error saving bracket vote to Supabase:', error);
+                return this.getSendStatus(error);
+            }
+
+            return 'sent';
+        } catch (error) {
+            console.error('Supabase bracket vote save error:', error);
+            return 'failed';
+        }
+    }
+
+    /**
+     * Load every vote cast in a bracket
+     * @param {string} clubId 
+     * @param {string} bracketId 
+     * @returns {Promise<Array>} Votes in app format
+     */
+    async loadBracketVotes(clubId, bracketId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return [];
+
+        try {
+            const { data, error } = await supabase
+                .from('bracket_votes')
+                .select('*')
+                .eq('club_id', clubId)
+                .eq('bracket_id', bracketId);
+
+            if (error) {
+                console.error('Error loading bracket votes from Supabase:', error);
+                return [];
+            }
+
+            return (data || []).map(row => this.fromBracketVoteRecord(row));
+        } catch (error) {
+            console.error('Supabase bracket vote load error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Convert a bracket_votes row to a vote
+     * @param {Object} record 
+     * @returns {Object}
+     */
+    fromBracketVoteRecord(record) {
+        return {
+            matchId: record.match_id,
+            voterId: record.voter_id,
+            bookId: record.book_id,
+            castAt: record.cast_at
+        };
+    }
+
+    /**
+     * Fill in votes and ballots cast by members since the owner last saved the club,
+     * so members who open the club partway through see the current tallies
+     * @param {Object} club 
+     * @returns {Promise<void>}
+     */
+    async loadOpenRoundVotes(club) {
+        if (club.votingRound?.status === 'open') {
+            const ballots = await this.loadBallots(club.id, club.votingRound.id);
+            ballots.forEach(ballot => appState.setBallot(club.id, club.votingRound.id, ballot));
+        }
+
+        if (club.bracket?.status === 'open') {
+            const votes = await this.loadBracketVotes(club.id, club.bracket.id);
+            votes.forEach(vote => appState.setBracketVote(club.id, club.bracket.id, vote));
+        }
+    }
+
+    /**
+     * Convert a club to a book_clubs row
+     * @param {Object} club 
+     * @returns {Object}
+     */
+    toSupabaseRecord(club) {
+        // The book list, name and selection only go with a club's first save; after
+        // that they change through operations (see saveOperations)
+        const bookFields = typeof club.opSeq === 'number' ? {} : {
+            books: club.books,
+            current_selection: club.currentSelection,
+            selection_context: club.selectionContext || null,
+            crdt_state: operationManager.getState(club)
+        };
+
+        return {
+            id: club.id,
+            name: club.name,
+            ...bookFields,
+            reading_history: club.readingHistory || [],
+            selection_settings: club.selectionSettings || null,
+            rotation_state: club.rotation || null,
+            draw_state: club.drawState || null,
+            voting_round: club.votingRound || null,
+            bracket_state: club.bracket || null,
+            season_plan: club.seasonPlan || null,
+            veto_state: club.vetoState || null,
+            members: club.members || [],
+            shared_users: (club.members || []).map(member => member.userId),
+            require_approval: club.requireApproval === true,
+            created_at: club.createdAt,
+            updated_at: new Date().toISOString(),
+            updated_by: userManager.getCurrentUserId(),
+            user_id: club.userId
+        };
+    }
+
+    /**
+     * Convert a book_clubs row to a club, upgrading legacy title strings
+     * @param {Object} record 
+     * @returns {Object}
+     */
+    fromSupabaseRecord(record) {
+        const userId = userManager.getCurrentUserId();
+        const { club } = migrationManager.migrateClub({
+            id: record.id,
+            name: record.name,
+            books: record.books || [],
+            currentSelection: record.current_selection,
+            selectionContext: record.selection_context || null,
+            readingHistory: record.reading_history || [],
+            selectionSettings: record.selection_settings || undefined,
+            rotation: record.rotation_state || null,
+            drawState: record.draw_state || null,
+            votingRound: record.voting_round || null,
+            bracket: record.bracket_state || null,
+            seasonPlan: record.season_plan || null,
+            vetoState: record.veto_state || null,
+            members: record.members || [],
+            legacyJoinEnabled: record.legacy_join_enabled === true,
+            requireApproval: record.require_approval === true,
+            publicPageId: record.public_page_id || null,
+            publicPageEnabled: record.public_page_enabled === true,
+            opSeq: Number(record.op_seq) || 0,
+            crdt: record.crdt_state || null,
+            ownershipTransfer: record.ownership_transfer || null,
+            bans: record.bans || [],
+            createdAt: record.created_at,
+            userId: record.user_id
+        });
+
+        return {
+            ...club,
+            isOwner: record.user_id === userId,
+            isShared: record.user_id !== userId
+        };
+    }
+
+    /**
+     * Delete a book club from Supabase
+     * @param {string} clubId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteClubFromSupabase(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return true; // Consider successful if not using Supabase
+
+        const club = appState.getBookClub(clubId);
+        if (!club || !membershipManager.can(club, 'delete')) {
+            console.warn('Cannot delete club - not found or not owner');
+            return false;
+        }
+
+        return this.saveOrQueue(() => this.sendClubDeletion(clubId), 'deleteClub', clubId);
+    }
+
+    /**
+     * Delete a club's row (see deleteClubFromSupabase). Nothing else queued for the
+     * club needs sending afterwards.
+     * @param {string} clubId 
+     * @returns {Promise<string>} 'sent', 'rejected' or 'failed'
+     */
+    async sendClubDeletion(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return 'failed';
+
+        try {
+            const { error } = await supabase
+                .from('book_clubs')
+                .delete()
+                .eq('id', clubId)
+                .eq('user_id', userManager.getCurrentUserId()); // Extra safety check
+
+            if (error) {
+                console.error('Error deleting from Supabase:', error);
+                return this.getSendStatus(error);
+            }
+
+            console.log('☁️ Deleted club from cloud database');
+            outboxManager.removeClubEntries(clubId);
+            this.serverColumns.delete(clubId);
+            return 'sent';
+        } catch (error) {
+            console.error('Supabase delete error:', error);
+            return 'failed';
+        }
+    }
+
+    /**
+     * Load a specific book club from Supabase
+     * @param {string} clubId 
+     * @returns {Promise<Object|null>}
+     */
+    async loadClubFromSupabase(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase
+                .from('book_clubs')
+                .select('*')
+                .eq('id', clubId)
+                .single();
+
+            if (error) {
+                console.error('Error loading club from Supabase:', error);
+                return null;
+            }
+
+            if (data) {
+                this.rememberServerRecord(data);
+                return this.fromSupabaseRecord(data);
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Supabase load error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Join a club as a member. The join_book_club function adds the current user to the
+     * club's roster and shared_users, so the club loads on their other sessions too - or
+     * files a join request if the club requires approval.
+     * @param {string} clubId 
+     * @returns {Promise<Object|null>} { club, request, clubName }, or null if the club could not be joined
+     */
+    async joinClubOnSupabase(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc('join_book_club', { p_club_id: clubId });
+
+            if (error) {
+                console.error('Error joining club on Supabase:', error);
+                return null;
+            }
+
+            return data ? this.fromJoinResult(data) : null;
+        } catch (error) {
+            console.error('Supabase join error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Convert the result of a join function
+     * @param {Object} result - { status: 'joined', club } or { status: 'pending', clubName, request }
+     * @returns {Object} { club, request, clubName }
+     */
+    fromJoinResult(result) {
+        if (result.status === 'pending') {
+            return {
+                club: null,
+                request: this.fromJoinRequestRecord(result.request),
+                clubName: result.clubName
+            };
+        }
+
+        const club = result.club ? this.fromSupabaseRecord(result.club) : null;
+        return { club, request: null, clubName: club?.name || null };
+    }
+
+    /**
+     * Share a club with another user by adding them to the roster
+     * @param {string} clubId 
+     * @param {string} targetUserId 
+     * @param {string} role - Defaults to member
+     * @returns {Promise<boolean>}
+     */
+    async shareClubWithUser(clubId, targetUserId, role = membershipManager.defaultRole) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return false;
+
+        try {
+            const club = appState.getBookClub(clubId);
+            if (!club || !membershipManager.can(club, 'invite')) {
+                console.warn('Cannot share club - not found or not an organizer');
+                return false;
+            }
+
+            const { data, error } = await supabase.rpc('share_book_club', {
+                p_club_id: clubId,
+                p_user_id: targetUserId,
+                p_role: role
+            });
+
+            if (error) {
+                console.error('Error sharing club:', error);
+                return false;
+            }
+
+            const record = Array.isArray(data) ? data[0] : data;
+            if (record) {
+                appState.setMembers(clubId, record.members || []);
+            }
+
+            console.log(`🤝 Shared club ${clubId} with user ${targetUserId}`);
+            return true;
+        } catch (error) {
+            console.error('Error sharing club:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Leave a club, taking the current user off its roster and shared_users
+     * @param {string} clubId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async leaveClubOnSupabase(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return true; // Local mode only keeps the club in this browser
+
+        try {
+            const { error } = await supabase.rpc('leave_book_club', { p_club_id: clubId });
+
+            if (error) {
+                console.error('Error leaving club on Supabase:', error);
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Supabase leave error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a member from a club, optionally banning them from joining again
+     * @param {string} clubId 
+     * @param {string} targetUserId 
+     * @param {boolean} ban 
+     * @returns {Promise<Object|null>} The updated club
+     */
+    async removeMemberOnSupabase(clubId, targetUserId, ban = false) {
+        return this.callMembershipFunction('remove_club_member', {
+            p_club_id: clubId,
+            p_user_id: targetUserId,
+            p_ban: ban
+        });
+    }
+
+    /**
+     * Lift a member's ban
+     * @param {string} clubId 
+     * @param {string} targetUserId 
+     * @returns {Promise<Object|null>} The updated club
+     */
+    async unbanMemberOnSupabase(clubId, targetUserId) {
+        return this.callMembershipFunction('unban_club_member', {
+            p_club_id: clubId,
+            p_user_id: targetUserId
+        });
+    }
+
+    /**
+     * Change a member's role
+     * @param {string} clubId 
+     * @param {string} targetUserId 
+     * @param {string} role 
+     * @returns {Promise<Object|null>} The updated club
+     */
+    async setMemberRoleOnSupabase(clubId, targetUserId, role) {
+        return this.callMembershipFunction('set_club_member_role', {
+            p_club_id: clubId,
+            p_user_id: targetUserId,
+            p_role: role
+        });
+    }
+
+    /**
+     * Call a membership function that returns the updated club row
+     * @param {string} name 
+     * @param {Object} params 
+     * @returns {Promise<Object|null>} The updated club
+     */
+    async callMembershipFunction(name, params) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc(name, params);
+
+            if (error) {
+                console.error(`Error calling ${name} on Supabase:`, error);
+                return null;
+            }
+
+            const record = Array.isArray(data) ? data[0] : data;
+            return record ? this.fromSupabaseRecord(record) : null;
+        } catch (error) {
+            console.error(`Supabase ${name} error:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Offer a club's ownership to a member, or withdraw the offer
+     * @param {string} clubId 
+     * @param {string|null} targetUserId - null withdraws a pending offer
+     * @returns {Promise<Object|null>} The updated club
+     */
+    async offerOwnershipTransfer(clubId, targetUserId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc('offer_ownership_transfer', {
+                p_club_id: clubId,
+                p_user_id: targetUserId
+            });
+
+            if (error) {
+                console.error('Error offering ownership on Supabase:', error);
+                return null;
+            }
+
+            const record = Array.isArray(data) ? data[0] : data;
+            return record ? this.fromSupabaseRecord(record) : null;
+        } catch (error) {
+            console.error('Supabase ownership offer error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Accept or decline an ownership offer made to the current user. On acceptance
+     * respond_ownership_transfer makes them the owner and the previous owner a co-owner.
+     * @param {string} clubId 
+     * @param {boolean} accept 
+     * @returns {Promise<Object|null>} The updated club
+     */
+    async respondToOwnershipTransfer(clubId, accept) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc('respond_ownership_transfer', {
+                p_club_id: clubId,
+                p_accept: accept
+            });
+
+            if (error) {
+                console.error('Error responding to ownership offer on Supabase:', error);
+                return null;
+            }
+
+            const record = Array.isArray(data) ? data[0] : data;
+            return record ? this.fromSupabaseRecord(record) : null;
+        } catch (error) {
+            console.error('Supabase ownership response error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a new invite to the club_invites table
+     * @param {Object} invite 
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveInvite(invite) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return false;
+
+        try {
+            const { error } = await supabase
+                .from('club_invites')
+                .insert(this.toInviteRecord(invite));
+
+            if (error) {
+                console.error('Error saving invite to Supabase:', error);
+                return false;
+            }
+
+            console.log(`🎟️ Invite created for club ${invite.clubId}`);
+            return true;
+        } catch (error) {
+            console.error('Supabase invite save error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a club's invites, newest first (organizers only)
+     * @param {string} clubId 
+     * @returns {Promise<Array>} Invites in app format
+     */
+    async loadInvites(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return [];
+
+        try {
+            const { data, error } = await supabase
+                .from('club_invites')
+                .select('*')
+                .eq('club_id', clubId)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                console.error('Error loading invites from Supabase:', error);
+                return [];
+            }
+
+            return (data || []).map(row => this.fromInviteRecord(row));
+        } catch (error) {
+            console.error('Supabase invite load error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Revoke an invite so it can no longer be redeemed
+     * @param {string} token 
+     * @param {string} revokedAt 
+     * @returns {Promise<boolean>} Success status
+     */
+    async revokeInviteOnSupabase(token, revokedAt) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return false;
+
+        try {
+            const { error } = await supabase
+                .from('club_invites')
+                .update({ revoked_at: revokedAt })
+                .eq('token', token);
+
+            if (error) {
+                console.error('Error revoking invite on Supabase:', error);
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Supabase invite revoke error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Redeem an invite token. redeem_club_invite checks expiry, usage and revocation,
+     * then adds the current user to the roster with the invite's role (or files a
+     * join request if the club requires approval).
+     * @param {string} token 
+     * @returns {Promise<Object>} { club, request, clubName, error } - error is a code such as 'invite_expired'
+     */
+    async redeemInvite(token) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return { club: null, request: null, clubName: null, error: null };
+
+        try {
+            const { data, error } = await supabase.rpc('redeem_club_invite', { p_token: token });
+
+            if (error) {
+                console.error('Error redeeming invite on Supabase:', error);
+                return { club: null, request: null, clubName: null, error: error.message };
+            }
+
+            return { ...this.fromJoinResult(data || {}), error: null };
+        } catch (error) {
+            console.error('Supabase invite redeem error:', error);
+            return { club: null, request: null, clubName: null, error: null };
+        }
+    }
+
+    /**
+     * Turn a club's old ?join=<clubId> links on or off
+     * @param {string} clubId 
+     * @param {boolean} enabled 
+     * @returns {Promise<boolean>} Success status
+     */
+    async setLegacyJoinEnabled(clubId, enabled) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return false;
+
+        try {
+            const { error } = await supabase
+                .from('book_clubs')
+                .update({ legacy_join_enabled: enabled })
+                .eq('id', clubId);
+
+            if (error) {
+                console.error('Error updating club links on Supabase:', error);
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Supabase club link update error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Publish or unpublish a club's read-only public page. The page ID is created on
+     * first publish and kept afterwards, so its URL doesn't change.
+     * @param {string} clubId 
+     * @param {boolean} enabled 
+     * @returns {Promise<Object|null>} The updated club
+     */
+    async setPublicPage(clubId, enabled) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc('set_club_public_page', {
+                p_club_id: clubId,
+                p_enabled: enabled
+            });
+
+            if (error) {
+                console.error('Error publishing club on Supabase:', error);
+                return null;
+            }
+
+            const record = Array.isArray(data) ? data[0] : data;
+            return record ? this.fromSupabaseRecord(record) : null;
+        } catch (error) {
+            console.error('Supabase club publish error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load a published club page. Reading it doesn't add the visitor to the club.
+     * @param {string} pageId 
+     * @returns {Promise<Object|null>} { name, books, currentSelection, readingHistory, updatedAt },
+     *          or null if the page doesn't exist or isn't published
+     */
+    async loadPublicPage(pageId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc('get_public_club_page', { p_page_id: pageId });
+
+            if (error) {
+                console.error('Error loading public page from Supabase:', error);
+                return null;
+            }
+
+            return data || null;
+        } catch (error) {
+            console.error('Supabase public page error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load a club's join requests, oldest first (owner only)
+     * @param {string} clubId 
+     * @returns {Promise<Array>} Requests in app format
+     */
+    async loadJoinRequests(clubId) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return [];
+
+        try {
+            const { data, error } = await supabase
+                .from('club_join_requests')
+                .select('*')
+                .eq('club_id', clubId)
+                .order('requested_at', { ascending: true });
+
+            if (error) {
+                console.error('Error loading join requests from Supabase:', error);
+                return [];
+            }
+
+            return (data || []).map(row => this.fromJoinRequestRecord(row));
+        } catch (error) {
+            console.error('Supabase join request load error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Approve or deny a pending join request. decide_join_request adds approved
+     * users to the roster and records who decided.
+     * @param {string} requestId 
+     * @param {boolean} approve 
+     * @returns {Promise<Object|null>} The decided request
+     */
+    async decideJoinRequest(requestId, approve) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc('decide_join_request', {
+                p_request_id: requestId,
+                p_approve: approve
+            });
+
+            if (error) {
+                console.error('Error deciding join request on Supabase:', error);
+                return null;
+            }
+
+            return data ? this.fromJoinRequestRecord(data) : null;
+        } catch (error) {
+            console.error('Supabase join request decision error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Convert a club_join_requests row to a join request
+     * @param {Object} record 
+     * @returns {Object}
+     */
+    fromJoinRequestRecord(record) {
+        return {
+            id: record.id,
+            clubId: record.club_id,
+            userId: record.user_id,
+            role: record.role,
+            inviteToken: record.invite_token || null,
+            status: record.status,
+            requestedAt: record.requested_at,
+            decidedAt: record.decided_at || null,
+            decidedBy: record.decided_by || null
+        };
+    }
+
+    /**
+     * Convert an invite to a club_invites row
+     * @param {Object} invite 
+     * @returns {Object}
+     */
+    toInviteRecord(invite) {
+        return {
+            token: invite.token,
+            club_id: invite.clubId,
+            role: invite.role,
+            created_by: invite.createdBy,
+            created_at: invite.createdAt,
+            expires_at: invite.expiresAt,
+            max_uses: invite.maxUses,
+            use_count: invite.useCount,
+            revoked_at: invite.revokedAt
+        };
+    }
+
+    /**
+     * Convert a club_invites row to an invite
+     * @param {Object} record 
+     * @returns {Object}
+     */
+    fromInviteRecord(record) {
+        return {
+            token: record.token,
+            clubId: record.club_id,
+            role: record.role,
+            createdBy: record.created_by,
+            createdAt: record.created_at,
+            expiresAt: record.expires_at,
+            maxUses: record.max_uses ?? null,
+            useCount: record.use_count || 0,
+            revokedAt: record.revoked_at
+        };
+    }
+
+    /**
+     * Save the current user's profile to the user_profiles table
+     * @param {Object} profile 
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveProfile(profile) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return false;
+
+        try {
+            const { error } = await supabase
+                .from('user_profiles')
+                .upsert(this.toProfileRecord(profile), { onConflict: 'user_id' });
+
+            if (error) {
+                console.error('Error saving profile to Supabase:', error);
+                return false;
+            }
+
+            console.log('🪪 Profile synced to Supabase');
+            return true;
+        } catch (error) {
+            console.error('Supabase profile save error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the profiles of the given users; users without a profile are left out
+     * @param {Array<string>} userIds 
+     * @returns {Promise<Array>} Profiles in app format
+     */
+    async loadProfiles(userIds) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase || userIds.length === 0) return [];
+
+        try {
+            const { data, error } = await supabase
+                .from('user_profiles')
+                .select('*')
+                .in('user_id', userIds);
+
+            if (error) {
+                console.error('Error loading profiles from Supabase:', error);
+                return [];
+            }
+
+            return (data || []).map(row => this.fromProfileRecord(row));
+        } catch (error) {
+            console.error('Supabase profile load error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Store the hash of a recovery phrase or pairing code for the current user
+     * @param {string} codeHash 
+     * @param {string} kind - 'recovery' or 'pairing'
+     * @returns {Promise<Object|null>} { expiresAt } or null on failure
+     */
+    async createLinkCode(codeHash, kind) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return null;
+
+        try {
+            const { data, error } = await supabase.rpc('create_identity_link_code', {
+                p_code_hash: codeHash,
+                p_kind: kind
+            });
+
+            if (error) {
+                console.error('Error creating link code on Supabase:', error);
+                return null;
+            }
+
+            return { expiresAt: data || null };
+        } catch (error) {
+            console.error('Supabase link code error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Redeem a recovery phrase or pairing code hash, moving the current user's clubs
+     * to the ID it belongs to
+     * @param {string} codeHash 
+     * @returns {Promise<Object>} { userId, error } - error is the code raised by link_device
+     */
+    async linkDevice(codeHash) {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return { userId: null, error: null };
+
+        try {
+            const { data, error } = await supabase.rpc('link_device', { p_code_hash: codeHash });
+
+            if (error) {
+                console.error('Error linking device on Supabase:', error);
+                return { userId: null, error: error.message };
+            }
+
+            return { userId: data || null, error: null };
+        } catch (error) {
+            console.error('Supabase device link error:', error);
+            return { userId: null, error: null };
+        }
+    }
+
+    /**
+     * Claim the current member ID for the signed-in account, or get the ID the account
+     * already has (the current ID is then merged into it)
+     * @returns {Promise<Object>} { memberId, error }
+     */
+    async claimMemberAccount() {
+        const supabase = supabaseManager.getClient();
+        if (!supabase) return { memberId: null, error: null };
+
+        try {
+            const { data, error } = await supabase.rpc('claim_member_account');
+
+            if (error) {
+                console.error('Error claiming member account on Supabase:', error);
+                return { memberId: null, error: error.message };
+            }
+
+            return { memberId: data || null, error: null };
+        } catch (error) {
+            console.error('Supabase account claim error:', error);
+            return { memberId: null, error: null };
+        }
+    }
+
+    /**
+     * Convert a profile to a user_profiles row
+     * @param {Object} profile 
+     * @returns {Object}
+     */
+    toProfileRecord(profile) {
+        return {
+            user_id: profile.userId,
+            display_name: profile.displayName,
+            avatar_color: profile.color,
+            favourite_genres: profile.genres,
+            updated_at: profile.updatedAt
+        };
+    }
+
+    /**
+     * Convert a user_profiles row to a profile
+     * @param {Object} record 
+     * @returns {Object}
+     */
+    fromProfileRecord(record) {
+        return {
+            userId: record.user_id,
+            displayName: record.display_name || '',
+            color: record.avatar_color,
+            genres: record.favourite_genres || [],
+            updatedAt: record.updated_at
+        };
+    }
+
     /**
      * Get storage statistics
      * @returns {Object}
@@ -329,6 +1829,7 @@ class StorageManager {
      */
     clearLocalData() {
         localStorage.removeItem(this.LOCAL_STORAGE_KEY);
+        outboxManager.clear();
         appState.reset();
         console.log('🗑️ Local data cleared');
     }
@@ -0,0 +1,316 @@
+// js/core/tabSync.js
+/**
+ * Cross-tab sync - tabs of the app open in the same browser share their state changes
+ * over a BroadcastChannel (or, without one, localStorage storage events). A tab sends
+ * the clubs its state events touched; the others join them into their own copies the
+ * way a club from the server is joined (see OperationManager.merge and ClubMerge), so
+ * concurrent edits in two tabs converge instead of the last localStorage save winning.
+ *
+ * One tab at a time is the leader, chosen by a lease in localStorage that it renews
+ * while open. Only the leader saves to Supabase, replays the outbox and runs the
+ * connection heartbeat; other tabs ask it to save. Two tabs can both hold the lease
+ * for a moment after claiming it together, until the next renewal settles it.
+ *
+ * Open tabs also lease numbered slots the same way, so two tabs on one device never
+ * edit a club as the same CRDT replica (see OperationManager.getReplicaId).
+ */
+
+import appState from './state.js';
+import operationManager from './operations.js';
+import outboxManager from './outbox.js';
+import clubMerge from './clubMerge.js';
+
+class TabSyncManager {
+    constructor() {
+        this.CHANNEL_NAME = 'literary-circle';
+        this.MESSAGE_KEY = 'literaryCircleTabMessage';
+        this.LEADER_KEY = 'literaryCircleTabLeader';
+        this.SLOTS_KEY = 'literaryCircleTabSlots';
+        this.leaseMs = 5000;
+        this.renewMs = 2000;
+        this.slotLeaseMs = 120000; // Long enough to outlast timer throttling in hidden tabs
+        this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+        this.channel = null;
+        this.renewTimer = null;
+        this.leader = false;
+        this.isApplying = false; // Changes from another tab aren't sent back out
+        this.outgoing = new Map(); // clubId -> events since the last flush
+        this.flushTimer = null;
+        this.syncedEvents = [
+            'clubAdded', 'clubUpdated', 'clubRemoved', 'bookAdded', 'bookRemoved', 'bookMoved',
+            'bookUpvoted', 'allBooksCleared', 'operationsApplied', 'selectionChanged',
+            'selectionConfirmed', 'selectionSettingsChanged', 'drawStateChanged', 'rotationChanged',
+            'membersChanged', 'vetoSpent', 'vetoStateChanged', 'votingRoundChanged', 'ballotCast',
+            'bracketChanged', 'bracketVoteCast', 'seasonPlanChanged', 'seasonConfirmed'
+        ];
+    }
+
+    /**
+     * Start sharing state with other tabs and take part in leader election
+     */
+    initialize() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = event => this.handleMessage(event.data);
+        }
+
+        window.addEventListener('storage', event => this.handleStorageEvent(event));
+        window.addEventListener('pagehide', () => this.resign());
+
+        this.syncedEvents.forEach(name => {
+            appState.on(name, data => this.queueChange(name, data));
+        });
+
+        this.renewLeases();
+        this.renewTimer = setInterval(() => this.renewLeases(), this.renewMs);
+    }
+
+    /**
+     * Renew this tab's slot and check the leader lease
+     */
+    renewLeases() {
+        this.claimSlot();
+        this.electLeader();
+    }
+
+    /**
+     * Keep this tab's slot, or take the lowest free one if another tab has it
+     * @returns {number}
+     */
+    claimSlot() {
+        const now = Date.now();
+        const slots = this.readJson(this.SLOTS_KEY) || {};
+        let slot = Object.keys(slots).find(key => slots[key].tabId === this.tabId);
+
+        if (slot === undefined) {
+            slot = 0;
+            while (slots[slot] && slots[slot].expiresAt >= now) slot++;
+        }
+
+        slots[slot] = { tabId: this.tabId, expiresAt: now + this.slotLeaseMs };
+        Object.keys(slots)
+            .filter(key => slots[key].expiresAt < now)
+            .forEach(key => delete slots[key]);
+        localStorage.setItem(this.SLOTS_KEY, JSON.stringify(slots));
+
+        operationManager.setTabSlot(Number(slot));
+        return Number(slot);
+    }
+
+    /**
+     * Whether this tab is the leader, claiming the lease if it's free or renewing it
+     * if it's this tab's
+     * @returns {boolean}
+     */
+    isLeader() {
+        return this.electLeader();
+    }
+
+    /**
+     * Check the leader lease, claiming it if it's free or this tab's, and announce
+     * a change of leadership
+     * @returns {boolean} Whether this tab leads
+     */
+    electLeader() {
+        const now = Date.now();
+        const lease = this.readJson(this.LEADER_KEY);
+
+        if (!lease || lease.expiresAt < now || lease.tabId === this.tabId) {
+            localStorage.setItem(this.LEADER_KEY, JSON.stringify({ tabId: this.tabId, expiresAt: now + this.leaseMs }));
+        }
+
+        const isLeader = this.readJson(this.LEADER_KEY)?.tabId === this.tabId;
+        if (isLeader !== this.leader) {
+            this.leader = isLeader;
+            appState.emit('tabLeadershipChanged', { isLeader });
+        }
+        return isLeader;
+    }
+
+    /**
+     * Read a lease record from localStorage
+     * @param {string} key
+     * @returns {Object|null}
+     */
+    readJson(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Give up this tab's slot and leadership as it closes, so another tab takes over at once
+     */
+    resign() {
+        clearInterval(this.renewTimer);
+        this.flush();
+
+        const slots = this.readJson(this.SLOTS_KEY) || {};
+        Object.keys(slots)
+            .filter(key => slots[key].tabId === this.tabId)
+            .forEach(key => delete slots[key]);
+        localStorage.setItem(this.SLOTS_KEY, JSON.stringify(slots));
+
+        if (this.readJson(this.LEADER_KEY)?.tabId === this.tabId) {
+            localStorage.removeItem(this.LEADER_KEY);
+            this.post({ type: 'resigned' });
+        }
+        this.leader = false;
+    }
+
+    /**
+     * Decide which tab saves to the cloud: true if this one should, otherwise the
+     * leader is asked to (after the changes queued here reach it)
+     * @returns {boolean}
+     */
+    claimCloudSave() {
+        if (this.isLeader()) return true;
+
+        this.flush();
+        this.post({ type: 'save' });
+        return false;
+    }
+
+    /**
+     * Note a club a state event changed; changes are sent together once the current
+     * task finishes, with the club as it is then
+     * @param {string} event
+     * @param {Object} data - The event's data
+     */
+    queueChange(event, data) {
+        const clubId = data?.clubId || data?.club?.id;
+        if (this.isApplying || !clubId) return;
+
+        this.outgoing.set(clubId, [...(this.outgoing.get(clubId) || []), event]);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), 0);
+        }
+    }
+
+    /**
+     * Send the queued club changes to the other tabs
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        this.outgoing.forEach((events, clubId) => {
+            const club = appState.getBookClub(clubId);
+            this.post(club
+                ? { type: 'club', clubId, events, club: JSON.parse(JSON.stringify(club)) }
+                : { type: 'clubRemoved', clubId, events });
+        });
+        this.outgoing.clear();
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {Object} message
+     */
+    post(message) {
+        const stamped = { ...message, tabId: this.tabId };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(stamped);
+            } else {
+                // Storage events reach every other tab; the nonce makes repeats fire too
+                localStorage.setItem(this.MESSAGE_KEY, JSON.stringify({ ...stamped, nonce: Math.random() }));
+            }
+        } catch (error) {
+            console.error('Error sending to other tabs:', error);
+        }
+    }
+
+    /**
+     * Handle localStorage changes made by other tabs
+     * @param {StorageEvent} event
+     */
+    handleStorageEvent(event) {
+        if (event.key === outboxManager.OUTBOX_KEY) {
+            outboxManager.reload();
+        } else if (event.key === this.LEADER_KEY && !event.newValue) {
+            this.electLeader();
+        } else if (event.key === this.MESSAGE_KEY && event.newValue && !this.channel) {
+            try {
+                this.handleMessage(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Error reading a message from another tab:', error);
+            }
+        }
+    }
+
+    /**
+     * Apply a message from another tab
+     * @param {Object} message
+     */
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        switch (message.type) {
+            case 'club':
+            case 'clubRemoved':
+                this.applyClubChange(message);
+                break;
+            case 'save':
+                if (this.isLeader()) {
+                    appState.emit('cloudSaveRequested', { tabId: message.tabId });
+                }
+                break;
+            case 'resigned':
+                this.electLeader();
+                break;
+            default:
+                console.warn(`Unknown tab message: ${message.type}`);
+        }
+    }
+
+    /**
+     * Take another tab's version of a club into this tab's state. Listeners to
+     * tabChangesReceived save the merged state to localStorage.
+     * @param {Object} message - { type, clubId, events, club }
+     */
+    applyClubChange(message) {
+        this.isApplying = true;
+        try {
+            // Operations the other tab queued are in the shared outbox
+            outboxManager.reload();
+
+            if (message.type === 'clubRemoved') {
+                appState.dropBookClub(message.clubId);
+            } else {
+                appState.setBookClub(message.clubId, this.mergeClub(message.club, appState.getBookClub(message.clubId)));
+            }
+        } finally {
+            this.isApplying = false;
+        }
+
+        appState.emit('tabChangesReceived', { clubId: message.clubId, events: message.events });
+    }
+    /**
+     * Join another tab's version of a club with this tab's. Ballots, matchup votes,
+     * vetoes, members and reading history entries only this tab holds yet are kept;
+     * other settings take the other tab's value.
+     * @param {Object} tabClub - The other tab's club
+     * @param {Object|null} localClub
+     * @returns {Object}
+     */
+    mergeClub(tabClub, localClub) {
+        if (!localClub) return operationManager.merge(tabClub);
+
+        return operationManager.merge({
+            ...tabClub,
+            readingHistory: clubMerge.mergeReadingHistory(localClub.readingHistory, tabClub.readingHistory),
+            votingRound: clubMerge.mergeVotingRound(localClub.votingRound, tabClub.votingRound),
+            bracket: clubMerge.mergeBracket(localClub.bracket, tabClub.bracket),
+            vetoState: clubMerge.mergeVetoState(localClub.vetoState, tabClub.vetoState),
+            members: clubMerge.mergeMembers(localClub.members, tabClub.members)
+        }, localClub);
+    }
+}
+
+// Export singleton instance
+const tabSyncManager = new TabSyncManager();
+export default tabSyncManager;
\ No newline at end of file
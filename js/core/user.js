@@ -7,6 +7,8 @@ class UserManager {
     constructor() {
         this.currentUserId = null;
         this.USER_ID_KEY = 'literaryCircleUserId';
+        this.PROFILE_KEY = 'literaryCircleUserProfile';
+        this.account = null; // { authUserId, email, memberId } while signed in
     }
 
     /**
@@ -22,6 +24,11 @@ class UserManager {
      * @returns {string}
      */
     getCurrentUserId() {
+        // A signed-in account decides the ID
+        if (this.account) {
+            return this.account.memberId;
+        }
+
         if (!this.currentUserId) {
             this.currentUserId = localStorage.getItem(this.USER_ID_KEY);
             
@@ -57,6 +64,56 @@ class UserManager {
         return this.getCurrentUserId();
     }
 
+    /**
+     * Back the current user ID with a signed-in account
+     * @param {Object} account - { authUserId, email, memberId }
+     */
+    setAccount(account) {
+        this.account = account;
+        this.setUserId(account.memberId);
+        console.log('🔐 Signed in as', account.email || account.authUserId);
+    }
+
+    /**
+     * Forget the signed-in account and start over with a new anonymous ID
+     * @returns {string} New user ID
+     */
+    clearAccount() {
+        this.account = null;
+        return this.resetUserId();
+    }
+
+    /**
+     * Check if an account is signed in
+     * @returns {boolean}
+     */
+    isSignedIn() {
+        return this.account !== null;
+    }
+
+    /**
+     * Get the current user's profile as stored on this device
+     * @returns {Object|null} { displayName, color, genres, updatedAt }
+     */
+    getProfile() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.PROFILE_KEY));
+            return stored && stored.userId === this.getCurrentUserId() ? stored : null;
+        } catch (error) {
+            console.warn('Could not read stored profile');
+            return null;
+        }
+    }
+
+    /**
+     * Store the current user's profile next to their ID
+     * @param {Object} profile 
+     */
+    setProfile(profile) {
+        localStorage.setItem(this.PROFILE_KEY, JSON.stringify({ ...profile, userId: this.getCurrentUserId() }));
+        console.log('🪪 Saved profile:', profile.displayName || '(no name)');
+    }
+
     /**
      * Check if a club belongs to the current user
      * @param {Object} club 
@@ -93,7 +150,8 @@ class UserManager {
         return {
             id: this.getCurrentUserId(),
             createdAt: this.getCreationDate(),
-            isAnonymous: true // Always anonymous for privacy
+            isAnonymous: !this.isSignedIn(),
+            email: this.account?.email || null
         };
     }
 
@@ -122,6 +180,7 @@ class UserManager {
         return {
             userId: this.getCurrentUserId(),
             createdAt: this.getCreationDate()?.toISOString(),
+            profile: this.getProfile(),
             exportedAt: new Date().toISOString()
         };
     }
@@ -135,6 +194,9 @@ class UserManager {
         try {
             if (userData.userId) {
                 this.setUserId(userData.userId);
+                if (userData.profile) {
+                    this.setProfile(userData.profile);
+                }
                 console.log('📥 Imported user data successfully');
                 return true;
             }
@@ -6,10 +6,12 @@
 
 import appState from '../core/state.js';
 import userManager from '../core/user.js';
+import membershipManager from '../core/membership.js';
 import storageManager from '../core/storage.js';
 import navigationManager from '../core/navigation.js';
 import uiComponents from '../ui/components.js';
 import supabaseManager from '../config/supabase.js';
+import inviteManager from './invites.js';
 
 class BookClubManager {
     constructor() {
@@ -84,7 +86,7 @@ class BookClubManager {
         }
 
         // Check if user has permission to delete
-        if (!userManager.isOwner(club)) {
+        if (!membershipManager.can(club, 'delete')) {
             this.handleError('You do not have permission to delete this reading group.');
             return;
         }
@@ -118,7 +120,7 @@ class BookClubManager {
             }
 
             // Check permission again
-            if (!userManager.isOwner(club)) {
+            if (!membershipManager.can(club, 'delete')) {
                 this.handleError('You do not have permission to delete this reading group.');
                 return;
             }
@@ -158,65 +160,306 @@ class BookClubManager {
     }
 
     /**
-     * Join a book club from a shared URL
-     * @param {string} clubId 
+     * Join a book club from an invite link
+     * @param {string} token - Invite token from ?invite=
      * @returns {Promise<boolean>} Success status
      */
-    async joinFromUrl(clubId) {
+    async joinFromUrl(token) {
         if (!supabaseManager.isCollaborativeMode()) {
             console.warn('Cannot join club - collaborative mode not enabled');
             return false;
         }
 
         try {
-            console.log(`🔗 Attempting to join club: ${clubId}`);
+            console.log('🔗 Attempting to join club from invite');
 
-            // Load club data from Supabase
-            const clubData = await storageManager.loadClubFromSupabase(clubId);
+            // The server checks the invite's expiry, usage limit and revocation
+            const { club: clubData, request, clubName, error } = await storageManager.redeemInvite(token);
+
+            if (request) {
+                return this.handleJoinRequested(request, clubName);
+            }
 
             if (!clubData) {
-                this.handleError('Could not find this reading group. Please check the link or make sure it still exists.');
+                this.handleError(inviteManager.getErrorMessage(error));
+                this.cleanUpJoinUrl();
                 return false;
             }
 
-            const userId = userManager.getCurrentUserId();
+            return await this.completeJoin(clubData);
+
+        } catch (error) {
+            console.error('Error joining club:', error);
+            this.handleError('Error joining reading group. Please try again.');
+            return false;
+        }
+    }
+
+    /**
+     * Join a book club from an old ?join=<clubId> link. These only work for clubs
+     * created before invite links, until the owner turns them off.
+     * @param {string} clubId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async joinFromLegacyLink(clubId) {
+        if (!supabaseManager.isCollaborativeMode()) {
+            console.warn('Cannot join club - collaborative mode not enabled');
+            return false;
+        }
+
+        try {
+            console.log(`🔗 Attempting to join club: ${clubId}`);
+
+            // Join on Supabase - this adds us to the club's roster and shared users
+            const result = await storageManager.joinClubOnSupabase(clubId);
+
+            if (result?.request) {
+                return this.handleJoinRequested(result.request, result.clubName);
+            }
 
-            // Check if user is already the owner
-            if (clubData.userId === userId) {
-                alert(`📚 You're already the owner of "${clubData.name}"`);
-                navigationManager.showBookClub(clubId);
+            if (!result?.club) {
+                this.handleError('This link is no longer valid. Ask an organizer of the reading group for a new invite link.');
                 this.cleanUpJoinUrl();
-                return true;
+                return false;
             }
 
-            // Add as shared club for this user
-            const sharedClubData = {
-                ...clubData,
-                isOwner: false,
-                isShared: true
-            };
+            return await this.completeJoin(result.club);
 
-            appState.setBookClub(clubId, sharedClubData);
+        } catch (error) {
+            console.error('Error joining club:', error);
+            this.handleError('Error joining reading group. Please try again.');
+            return false;
+        }
+    }
 
-            // Save locally
-            await storageManager.saveData();
+    /**
+     * Add a club the server has let us join and open it
+     * @param {Object} clubData - Club loaded from Supabase
+     * @returns {Promise<boolean>} Success status
+     */
+    async completeJoin(clubData) {
+        const clubId = clubData.id;
+        const userId = userManager.getCurrentUserId();
 
-            // Navigate to the club
+        // Check if user is already the owner
+        if (clubData.userId === userId) {
+            alert(`📚 You're already the owner of "${clubData.name}"`);
             navigationManager.showBookClub(clubId);
+            this.cleanUpJoinUrl();
+            return true;
+        }
 
-            // Show success message
-            alert(`🎉 Successfully joined "${clubData.name}"! You can now collaborate with other members.`);
+        // Add as shared club for this user, listing them locally if the roster lags behind
+        const isListed = clubData.members.some(member => member.userId === userId);
+        const sharedClubData = {
+            ...clubData,
+            members: isListed ? clubData.members : [...clubData.members, membershipManager.createMember(userId)],
+            isOwner: false,
+            isShared: true
+        };
 
-            // Clean up URL
-            this.cleanUpJoinUrl();
+        appState.setBookClub(clubId, sharedClubData);
 
-            return true;
+        // Catch up on votes cast in a bracket or vote that is already under way
+        await storageManager.loadOpenRoundVotes(appState.getBookClub(clubId));
 
-        } catch (error) {
-            console.error('Error joining club:', error);
-            this.handleError('Error joining reading group. Please try again.');
+        // Save locally
+        await storageManager.saveData();
+
+        // Navigate to the club
+        navigationManager.showBookClub(clubId);
+
+        // Show success message
+        alert(`🎉 Successfully joined "${clubData.name}"! You can now collaborate with other members.`);
+
+        // Clean up URL
+        this.cleanUpJoinUrl();
+
+        return true;
+    }
+
+    /**
+     * Tell the user their join request is waiting for the owner
+     * @param {Object} request 
+     * @param {string} clubName 
+     * @returns {boolean} Always false - the user hasn't joined yet
+     */
+    handleJoinRequested(request, clubName) {
+        console.log(`🙋 Join request ${request.id} is pending approval`);
+        alert(`🙋 "${clubName}" requires approval from its owner. Your request has been sent - the group will appear in your list once it's approved.`);
+        this.cleanUpJoinUrl();
+        return false;
+    }
+
+    /**
+     * Turn owner approval for new members on or off
+     * @param {string} clubId 
+     * @param {boolean} enabled 
+     * @returns {Promise<boolean>} Success status
+     */
+    async setRequireApproval(clubId, enabled) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageMembers')) {
+            this.handleError('Only owners and co-owners can change how people join.');
+            return false;
+        }
+
+        appState.setBookClub(clubId, { ...club, requireApproval: enabled });
+        await storageManager.saveData();
+
+        console.log(`🙋 Join approval ${enabled ? 'required' : 'no longer required'} for ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Load a club's join requests for its owner
+     * @param {string} clubId 
+     * @returns {Promise<Array>}
+     */
+    async loadJoinRequests(clubId) {
+        const club = appState.getBookClub(clubId);
+        if (!club || !membershipManager.can(club, 'manageMembers')) return [];
+
+        const requests = await storageManager.loadJoinRequests(clubId);
+        appState.setJoinRequests(clubId, requests);
+        return requests;
+    }
+
+    /**
+     * Approve or deny a pending join request
+     * @param {string} clubId 
+     * @param {string} requestId 
+     * @param {boolean} approve 
+     * @returns {Promise<boolean>} Success status
+     */
+    async decideJoinRequest(clubId, requestId, approve) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageMembers')) {
+            this.handleError('Only owners and co-owners can approve or deny join requests.');
+            return false;
+        }
+
+        const request = await storageManager.decideJoinRequest(requestId, approve);
+        if (!request) {
+            this.handleError('Could not update this join request. It may already have been decided.');
+            await this.loadJoinRequests(clubId);
+            return false;
+        }
+
+        appState.upsertJoinRequest(request);
+
+        // The server added the member - list them locally until the club row syncs
+        if (approve && !club.members.some(member => member.userId === request.userId)) {
+            appState.setMembers(clubId, [...club.members, {
+                userId: request.userId,
+                role: request.role,
+                joinedAt: request.decidedAt,
+                addedBy: request.decidedBy
+            }]);
+            storageManager.saveToLocalStorage();
+        }
+
+        console.log(`🙋 ${approve ? 'Approved' : 'Denied'} join request from ${request.userId}`);
+        return true;
+    }
+
+    /**
+     * Create an invite link for a club
+     * @param {string} clubId 
+     * @param {Object} options - { role, expiresInDays, maxUses }
+     * @returns {Promise<Object|null>} The new invite
+     */
+    async createInvite(clubId, options = {}) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return null;
+
+        if (!membershipManager.can(club, 'invite')) {
+            this.handleError('Only owners and co-organizers can create invite links.');
+            return null;
+        }
+
+        const invite = inviteManager.createInvite(club, options);
+        const success = await storageManager.saveInvite(invite);
+        if (!success) {
+            this.handleError('Could not create the invite link. Please try again.');
+            return null;
+        }
+
+        appState.setInvites(clubId, [invite, ...appState.getInvites(clubId)]);
+        return invite;
+    }
+
+    /**
+     * Load a club's invites for its organizers
+     * @param {string} clubId 
+     * @returns {Promise<Array>}
+     */
+    async loadInvites(clubId) {
+        const club = appState.getBookClub(clubId);
+        if (!club || !membershipManager.can(club, 'invite')) return [];
+
+        const invites = await storageManager.loadInvites(clubId);
+        appState.setInvites(clubId, invites);
+        return invites;
+    }
+
+    /**
+     * Revoke an invite so its link stops working
+     * @param {string} clubId 
+     * @param {string} token 
+     * @returns {Promise<boolean>} Success status
+     */
+    async revokeInvite(clubId, token) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'invite')) {
+            this.handleError('Only owners and co-organizers can revoke invite links.');
+            return false;
+        }
+
+        const revokedAt = new Date().toISOString();
+        const success = await storageManager.revokeInviteOnSupabase(token, revokedAt);
+        if (!success) {
+            this.handleError('Could not revoke the invite link. Please try again.');
             return false;
         }
+
+        appState.setInvites(clubId, appState.getInvites(clubId).map(invite =>
+            invite.token === token ? { ...invite, revokedAt } : invite
+        ));
+        console.log(`🚫 Revoked an invite for ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Stop old ?join=<clubId> links from letting anyone in
+     * @param {string} clubId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async disableLegacyLinks(clubId) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageMembers')) {
+            this.handleError('Only owners and co-owners can turn off old club links.');
+            return false;
+        }
+
+        const success = await storageManager.setLegacyJoinEnabled(clubId, false);
+        if (!success) {
+            this.handleError('Could not turn off old club links. Please try again.');
+            return false;
+        }
+
+        appState.setBookClub(clubId, { ...club, legacyJoinEnabled: false });
+        storageManager.saveToLocalStorage();
+        console.log(`🔒 Turned off old club links for ${club.name}`);
+        return true;
     }
 
     /**
@@ -272,14 +515,20 @@ class BookClubManager {
             }
 
             // Check permission for modifications
-            if (!userManager.isOwner(club) && updates.name) {
-                throw new Error('Only owners can modify club details');
+            if (!membershipManager.can(club, 'editDetails') && updates.name) {
+                throw new Error('Only owners and co-owners can modify club details');
+            }
+
+            // The name is a CRDT register, so it changes through an operation
+            const { name, ...details } = updates;
+            if (name) {
+                appState.renameBookClub(clubId, name.trim());
             }
 
-            // Merge updates (preserve ownership info)
+            // Merge updates (preserve ownership info - it only changes through a transfer)
             const updatedClub = { 
-                ...club, 
-                ...updates,
+                ...appState.getBookClub(clubId), 
+                ...details,
                 userId: club.userId, // Preserve original owner
                 isOwner: club.isOwner,
                 isShared: club.isShared
@@ -298,6 +547,283 @@ class BookClubManager {
         }
     }
 
+    /**
+     * Change a member's role
+     * @param {string} clubId 
+     * @param {string} userId 
+     * @param {string} role - 'co-owner', 'co-organizer', 'member' or 'viewer'
+     * @returns {Promise<boolean>} Success status
+     */
+    async setMemberRole(clubId, userId, role) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageMembers')) {
+            this.handleError('Only owners and co-owners can change member roles.');
+            return false;
+        }
+
+        if (!membershipManager.assignableRoles.includes(role)) {
+            console.warn(`Unknown role: ${role}`);
+            return false;
+        }
+
+        const member = club.members.find(entry => entry.userId === userId);
+        if (!member || userId === club.userId) {
+            console.warn('Only listed members (not the owner) can change role');
+            return false;
+        }
+
+        if ((role === 'co-owner' || member.role === 'co-owner') && !membershipManager.can(club, 'transferOwnership')) {
+            this.handleError('Only the owner can make or change a co-owner.');
+            return false;
+        }
+
+        if (supabaseManager.isCollaborativeMode()) {
+            // Roles only change on the server through set_club_member_role
+            const updatedClub = await storageManager.setMemberRoleOnSupabase(clubId, userId, role);
+            if (!updatedClub) {
+                this.handleError('Could not change this member\'s role. Please try again.');
+                return false;
+            }
+
+            appState.setBookClub(clubId, updatedClub);
+            storageManager.saveToLocalStorage();
+        } else {
+            appState.setMembers(clubId, club.members.map(entry =>
+                entry.userId === userId ? { ...entry, role } : entry
+            ));
+            await storageManager.saveData();
+        }
+
+        console.log(`👥 Set ${userId} to ${membershipManager.getRoleLabel(role)} in ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Add a user to a club's roster by their member ID
+     * @param {string} clubId 
+     * @param {string} userId 
+     * @param {string} role - 'co-organizer', 'member' or 'viewer'
+     * @returns {Promise<boolean>} Success status
+     */
+    async shareWithUser(clubId, userId, role = membershipManager.defaultRole) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'invite')) {
+            this.handleError('Only owners and co-organizers can add members.');
+            return false;
+        }
+
+        if (!userId) {
+            this.handleError('Please enter the member ID of the person to add.');
+            return false;
+        }
+
+        if (membershipManager.getRole(club, userId)) {
+            this.handleError('That person is already in this reading group.');
+            return false;
+        }
+
+        const success = await storageManager.shareClubWithUser(clubId, userId, role);
+        if (!success) {
+            this.handleError('Could not add that member. Please check the ID and try again.');
+            return false;
+        }
+
+        storageManager.saveToLocalStorage();
+        console.log(`👥 Added ${userId} to ${club.name} as ${membershipManager.getRoleLabel(role)}`);
+        return true;
+    }
+
+    /**
+     * Leave a club shared with the current user
+     * @param {string} clubId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async leave(clubId) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (membershipManager.getRole(club) === 'owner') {
+            this.handleError('Owners can\'t leave their own reading group. Transfer ownership to a member first, or delete the group.');
+            return false;
+        }
+
+        const success = await storageManager.leaveClubOnSupabase(clubId);
+        if (!success) {
+            this.handleError('Could not leave the reading group. Please try again.');
+            return false;
+        }
+
+        const wasViewing = appState.currentClubId === clubId;
+        appState.dropBookClub(clubId);
+        storageManager.saveToLocalStorage();
+
+        if (wasViewing) {
+            navigationManager.showHome();
+        }
+
+        console.log(`🚪 Left club: ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Remove a member from a club, optionally banning them from joining again
+     * @param {string} clubId 
+     * @param {string} userId 
+     * @param {boolean} ban 
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeMember(clubId, userId, ban = false) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageMembers')) {
+            this.handleError('Only owners and co-owners can remove members.');
+            return false;
+        }
+
+        const role = membershipManager.getRole(club, userId);
+        if (role === 'owner') {
+            this.handleError('The owner can\'t be removed from their reading group.');
+            return false;
+        }
+        if (role === 'co-owner' && !membershipManager.can(club, 'transferOwnership')) {
+            this.handleError('Only the owner can remove a co-owner.');
+            return false;
+        }
+
+        const updatedClub = await storageManager.removeMemberOnSupabase(clubId, userId, ban);
+        if (!updatedClub) {
+            this.handleError(`Could not ${ban ? 'ban' : 'remove'} this member. Please try again.`);
+            return false;
+        }
+
+        appState.setBookClub(clubId, updatedClub);
+        storageManager.saveToLocalStorage();
+
+        console.log(`🚪 ${ban ? 'Banned' : 'Removed'} ${userId} from ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Lift a ban so the user can join again
+     * @param {string} clubId 
+     * @param {string} userId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async unbanMember(clubId, userId) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageMembers')) {
+            this.handleError('Only owners and co-owners can lift bans.');
+            return false;
+        }
+
+        const updatedClub = await storageManager.unbanMemberOnSupabase(clubId, userId);
+        if (!updatedClub) {
+            this.handleError('Could not lift this ban. Please try again.');
+            return false;
+        }
+
+        appState.setBookClub(clubId, updatedClub);
+        storageManager.saveToLocalStorage();
+
+        console.log(`✅ Lifted ban on ${userId} in ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Offer ownership of a club to one of its members. Nothing changes until they accept.
+     * @param {string} clubId 
+     * @param {string} userId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async offerOwnership(clubId, userId) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'transferOwnership')) {
+            this.handleError('Only the owner can transfer this reading group.');
+            return false;
+        }
+
+        const role = membershipManager.getRole(club, userId);
+        if (!role || role === 'owner') {
+            this.handleError('Ownership can only be offered to a member of this reading group.');
+            return false;
+        }
+
+        return this.applyOwnershipChange(clubId,
+            await storageManager.offerOwnershipTransfer(clubId, userId),
+            'Could not offer ownership. Please try again.');
+    }
+
+    /**
+     * Withdraw a pending ownership offer
+     * @param {string} clubId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async cancelOwnershipOffer(clubId) {
+        const club = appState.getBookClub(clubId);
+        if (!club?.ownershipTransfer) return false;
+
+        if (!membershipManager.can(club, 'transferOwnership')) {
+            this.handleError('Only the owner can withdraw an ownership offer.');
+            return false;
+        }
+
+        return this.applyOwnershipChange(clubId,
+            await storageManager.offerOwnershipTransfer(clubId, null),
+            'Could not withdraw the ownership offer. Please try again.');
+    }
+
+    /**
+     * Accept or decline an ownership offer made to the current user. Accepting makes
+     * them the owner; the previous owner stays on as a co-owner.
+     * @param {string} clubId 
+     * @param {boolean} accept 
+     * @returns {Promise<boolean>} Success status
+     */
+    async respondToOwnershipOffer(clubId, accept) {
+        const club = appState.getBookClub(clubId);
+        if (!club?.ownershipTransfer || club.ownershipTransfer.toUserId !== userManager.getCurrentUserId()) {
+            this.handleError('There is no ownership offer for you in this reading group.');
+            return false;
+        }
+
+        const success = await this.applyOwnershipChange(clubId,
+            await storageManager.respondToOwnershipTransfer(clubId, accept),
+            'Could not respond to the ownership offer. It may have been withdrawn.');
+
+        if (success && accept) {
+            alert(`👑 You're now the owner of "${club.name}"`);
+        }
+        return success;
+    }
+
+    /**
+     * Store the club the server returned after an ownership change
+     * @param {string} clubId 
+     * @param {Object|null} updatedClub 
+     * @param {string} errorMessage - Shown if the change failed
+     * @returns {boolean} Success status
+     */
+    applyOwnershipChange(clubId, updatedClub, errorMessage) {
+        if (!updatedClub) {
+            this.handleError(errorMessage);
+            return false;
+        }
+
+        appState.setBookClub(clubId, updatedClub);
+        storageManager.saveToLocalStorage();
+        console.log(`👑 Ownership of ${updatedClub.name}: ${updatedClub.ownershipTransfer ? 'offer pending' : `owned by ${updatedClub.userId}`}`);
+        return true;
+    }
+
     /**
      * Generate unique club ID
      * @returns {string}
@@ -307,17 +833,18 @@ class BookClubManager {
     }
 
     /**
-     * Generate shareable URL for a club
+     * Generate shareable URL for an invite
      * @param {string} clubId 
+     * @param {string} token 
      * @returns {string|null}
      */
-    generateShareUrl(clubId) {
+    generateShareUrl(clubId, token) {
         const club = appState.getBookClub(clubId);
-        if (!club || !userManager.isOwner(club)) {
+        if (!club || !membershipManager.can(club, 'invite')) {
             return null;
         }
 
-        return `${window.location.origin}${window.location.pathname}?join=${clubId}`;
+        return inviteManager.getInviteUrl(token);
     }
 
     /**
@@ -341,11 +868,14 @@ class BookClubManager {
         return {
             name: club.name,
             totalBooks: club.books.length,
+            booksRead: club.readingHistory.length,
             hasSelection: !!club.currentSelection,
             createdDate: new Date(club.createdAt).toLocaleDateString(),
             daysSinceCreation: Math.floor((Date.now() - new Date(club.createdAt)) / (1000 * 60 * 60 * 24)),
             isOwner: userManager.isOwner(club),
             isShared: userManager.isSharedWithUser(club),
+            role: membershipManager.getRole(club),
+            memberCount: membershipManager.getRoster(club).length,
             ownerId: club.userId
         };
     }
@@ -361,6 +891,7 @@ class BookClubManager {
         
         const totalBooks = allClubs.reduce((sum, club) => sum + club.books.length, 0);
         const totalSelections = allClubs.filter(club => club.currentSelection).length;
+        const booksRead = allClubs.reduce((sum, club) => sum + club.readingHistory.length, 0);
 
         return {
             totalClubs: allClubs.length,
@@ -368,6 +899,7 @@ class BookClubManager {
             sharedClubs: sharedClubs.length,
             totalBooks,
             totalSelections,
+            booksRead,
             collaborativeMode: supabaseManager.isCollaborativeMode()
         };
     }
@@ -383,6 +915,7 @@ class BookClubManager {
 
         return {
             ...club,
+            readingHistory: club.readingHistory.map(entry => ({ ...entry, book: { ...entry.book } })),
             exportedAt: new Date().toISOString(),
             exportedBy: userManager.getCurrentUserId(),
             version: '1.1'
@@ -409,6 +942,7 @@ class BookClubManager {
                 id: clubId,
                 name: `${clubData.name} (Imported)`,
                 books: clubData.books,
+                readingHistory: Array.isArray(clubData.readingHistory) ? clubData.readingHistory : [],
                 currentSelection: null, // Reset selection
                 createdAt: new Date().toISOString(),
                 userId: userId,
@@ -448,7 +982,7 @@ class BookClubManager {
             const duplicatedClub = {
                 id: clubId,
                 name: name,
-                books: [...sourceClub.books], // Copy books array
+                books: sourceClub.books.map(book => ({ ...book, metadata: { ...book.metadata } })), // Copy book records
                 currentSelection: null, // Reset selection
                 createdAt: new Date().toISOString(),
                 userId: userId,
@@ -6,72 +6,120 @@
 import appState from '../core/state.js';
 import storageManager from '../core/storage.js';
 import userManager from '../core/user.js';
+import membershipManager from '../core/membership.js';
+import bookModel from '../core/bookModel.js';
+import operationManager from '../core/operations.js';
+import rotationManager from './rotation.js';
+import verifiableDrawManager from './verifiableDraw.js';
+import votingManager from './voting.js';
+import weightingManager from './weighting.js';
+import constraintManager from './constraints.js';
+import bracketManager from './bracket.js';
+import seasonPlanner from './seasonPlanner.js';
+import vetoManager from './vetoes.js';
 
 class BookManager {
     constructor() {
         this.maxBooksPerClub = 100; // Reasonable limit
+        this.selectionModes = ['random', 'rotation', 'vote', 'bracket'];
+        this.drawModes = ['random', 'rotation']; // The others pick through members' votes
+    }
+
+    /**
+     * Check whether a club picks its book with a (random or weighted) draw
+     * @param {Object} club 
+     * @returns {boolean}
+     */
+    usesDraw(club) {
+        return this.drawModes.includes(club?.selectionSettings?.mode || 'random');
     }
 
     /**
      * Add a book to the current club
-     * @param {string} title 
-     * @returns {boolean} Success status
+     * @param {Object|string} details - Book details ({title, author, isbn, notes, metadata}) or a title
+     * @returns {Promise<Object|null>} The added book record
      */
-    async addBook(title = null) {
+    async addBook(details = null) {
         const club = appState.getCurrentClub();
         if (!club) {
             console.warn('No current club selected');
-            return false;
+            return null;
         }
 
-        // Get title from input if not provided
-        if (!title) {
-            const input = document.getElementById('bookInput');
-            title = input?.value?.trim();
+        if (!membershipManager.can(club, 'editBooks')) {
+            console.warn('Viewers cannot add books');
+            return null;
+        }
+
+        // Get details from the form if not provided
+        if (!details) {
+            details = this.readBookForm();
         }
 
+        const title = bookModel.getTitle(details).trim();
         if (!title) {
             console.warn('No book title provided');
-            return false;
+            return null;
         }
 
         // Check for duplicates
-        if (club.books.includes(title)) {
+        if (bookModel.find(club.books, title)) {
             console.log(`Book "${title}" already in collection`);
-            return false;
+            return null;
         }
 
         // Check limit
         if (club.books.length >= this.maxBooksPerClub) {
             alert(`Maximum of ${this.maxBooksPerClub} books per collection reached.`);
-            return false;
+            return null;
         }
 
         // Add the book
-        const success = appState.addBookToClub(club.id, title);
+        const book = appState.addBookToClub(club.id, details);
         
-        if (success) {
+        if (book) {
             await storageManager.saveData();
-            console.log(`📖 Added "${title}" to ${club.name}`);
+            console.log(`📖 Added "${bookModel.getLabel(book)}" to ${club.name}`);
         }
 
-        return success;
+        return book;
     }
 
     /**
-     * Remove a book by title
-     * @param {string} title 
+     * Read book details from the "Curate Collection" form
+     * @returns {Object}
+     */
+    readBookForm() {
+        const value = (id) => document.getElementById(id)?.value?.trim() || '';
+
+        return {
+            title: value('bookInput'),
+            author: value('bookAuthorInput'),
+            isbn: value('bookIsbnInput'),
+            notes: value('bookNotesInput'),
+            metadata: { pageCount: value('bookPagesInput'), genre: value('bookGenreInput') }
+        };
+    }
+
+    /**
+     * Remove a book by ID or title
+     * @param {string} bookRef 
      * @returns {boolean} Success status
      */
-    async removeBook(title) {
+    async removeBook(bookRef) {
         const club = appState.getCurrentClub();
         if (!club) return false;
 
-        const success = appState.removeBookFromClub(club.id, title);
+        if (!membershipManager.can(club, 'editBooks')) {
+            console.warn('Viewers cannot remove books');
+            return false;
+        }
+
+        const success = appState.removeBookFromClub(club.id, bookRef);
         
         if (success) {
             await storageManager.saveData();
-            console.log(`📚 Removed "${title}" from ${club.name}`);
+            console.log(`📚 Removed "${bookRef}" from ${club.name}`);
         }
 
         return success;
@@ -86,11 +134,16 @@ class BookManager {
         const club = appState.getCurrentClub();
         if (!club) return false;
 
+        if (!membershipManager.can(club, 'editBooks')) {
+            console.warn('Viewers cannot remove books');
+            return false;
+        }
+
         const removedBook = appState.removeBookByIndex(club.id, index);
         
         if (removedBook) {
             await storageManager.saveData();
-            console.log(`📚 Removed "${removedBook}" from ${club.name}`);
+            console.log(`📚 Removed "${removedBook.title}" from ${club.name}`);
             return true;
         }
 
@@ -105,6 +158,11 @@ class BookManager {
         const club = appState.getCurrentClub();
         if (!club) return false;
 
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can clear the collection');
+            return false;
+        }
+
         const success = appState.clearAllBooks(club.id);
         
         if (success) {
@@ -127,68 +185,840 @@ class BookManager {
             return false;
         }
 
-        const books = club.books;
-        const [movedBook] = books.splice(fromIndex, 1);
-        books.splice(toIndex, 0, movedBook);
+        if (!membershipManager.can(club, 'editBooks')) {
+            console.warn('Viewers cannot reorder books');
+            return false;
+        }
+
+        const movedBook = appState.moveBookInClub(club.id, club.books[fromIndex].id, toIndex);
 
         await storageManager.saveData();
-        console.log(`📖 Moved "${movedBook}" from position ${fromIndex} to ${toIndex}`);
+        console.log(`📖 Moved "${movedBook.title}" from position ${fromIndex} to ${toIndex}`);
         return true;
     }
 
     /**
-     * Get random book from current club
-     * @returns {string|null}
+     * Get random book from current club, weighted by the club's rules when enabled
+     * @param {Array} candidates - Books to draw from (defaults to the whole collection)
+     * @returns {Object|null}
      */
-    getRandomBook() {
+    getRandomBook(candidates = null) {
         const club = appState.getCurrentClub();
-        if (!club || club.books.length === 0) return null;
+        if (!club) return null;
 
-        const randomIndex = Math.floor(Math.random() * club.books.length);
-        return club.books[randomIndex];
+        const books = candidates || club.books;
+        if (books.length === 0) return null;
+
+        if (weightingManager.isEnabled(club)) {
+            return weightingManager.pick(weightingManager.getWeightedCandidates(club, books))?.book || null;
+        }
+
+        const randomIndex = Math.floor(Math.random() * books.length);
+        return books[randomIndex];
+    }
+
+    /**
+     * Get the books eligible for the next draw - the current rotation turn (if any),
+     * minus titles that break the club's constraints
+     * @param {Object} club 
+     * @returns {Object} { candidates, excluded }
+     */
+    getCandidates(club) {
+        const pool = club.selectionSettings?.mode === 'rotation'
+            ? rotationManager.getCandidates(club)
+            : club.books;
+
+        const { eligible, excluded } = constraintManager.evaluate(club, pool);
+        return { candidates: eligible, excluded };
     }
 
     /**
-     * Select random book for club selection process
-     * @returns {string|null}
+     * Get each candidate's chance in the next draw
+     * @returns {Array<Object>} { book, weight, probability, factors }
      */
-    selectRandom() {
+    getDrawProbabilities() {
+        const club = appState.getCurrentClub();
+        if (!club) return [];
+
+        const { candidates } = this.getCandidates(club);
+        if (candidates.length === 0) return [];
+
+        if (weightingManager.isEnabled(club) && !club.selectionSettings?.verifiable) {
+            return weightingManager.getWeightedCandidates(club, candidates);
+        }
+
+        return candidates.map(book => ({ book, weight: 1, probability: 1 / candidates.length, factors: [] }));
+    }
+
+    /**
+     * Select random book for club selection process, honouring the club's selection mode
+     * and, when enabled, drawing from the committed seed
+     * @param {Object} options - { veto } when redrawing after a veto
+     * @returns {Promise<Object|null>}
+     */
+    async selectRandom(options = {}) {
         const club = appState.getCurrentClub();
         if (!club || club.books.length === 0) return null;
 
-        const selection = this.getRandomBook();
+        if (!membershipManager.can(club, 'draw')) {
+            console.warn('Viewers cannot draw a selection');
+            return null;
+        }
+
+        const mode = club.selectionSettings?.mode || 'random';
+        if (!this.usesDraw(club)) {
+            console.warn(`Clubs in ${mode} mode pick their book through members' votes`);
+            return null;
+        }
+
+        const { candidates: eligible, excluded } = this.getCandidates(club);
+        if (eligible.length === 0) {
+            alert(`❌ No eligible titles remain - every candidate breaks a club rule:\n${constraintManager.describeExclusions(excluded)}`);
+            return null;
+        }
+
+        // A vetoed title sits out the redraw (a verifiable draw keeps its committed list
+        // and leaves the title out of the seeded pick instead)
+        const veto = options.veto || null;
+        const candidates = veto ? eligible.filter(book => book.id !== veto.bookId) : eligible;
+        if (candidates.length === 0) {
+            alert('❌ There is no other eligible title to draw instead.');
+            return null;
+        }
+
+        let context = { method: 'random', details: {} };
+
+        if (mode === 'rotation') {
+            const turn = rotationManager.getCurrentTurn(club);
+            context = {
+                method: 'rotation',
+                details: { turnUserId: turn?.userId || null, skipped: turn?.skipped || [] }
+            };
+        }
+
+        if (excluded.length > 0) {
+            context.details.excluded = excluded.map(({ book, reasons }) => ({
+                bookId: book.id,
+                title: book.title,
+                reasons: reasons.map(result => result.reason)
+            }));
+        }
+
+        let selection = null;
+
+        if (club.selectionSettings?.verifiable) {
+            try {
+                const result = await verifiableDrawManager.draw(club.id, eligible, veto ? [veto.bookId] : []);
+                selection = result.book;
+                context.details.verifiable = result.details;
+            } catch (error) {
+                console.warn('Verifiable draw failed:', error);
+                alert(`❌ ${error.message}`);
+                return null;
+            }
+        } else if (weightingManager.isEnabled(club)) {
+            const entry = weightingManager.pick(weightingManager.getWeightedCandidates(club, candidates));
+            selection = entry?.book || null;
+            if (entry) {
+                context.details.weighted = {
+                    probability: entry.probability,
+                    factors: entry.factors.map(({ rule, multiplier }) => ({ rule, multiplier }))
+                };
+            }
+        } else {
+            selection = this.getRandomBook(candidates);
+        }
+
         if (selection) {
-            appState.setClubSelection(club.id, selection);
+            // Vetoes spent on this meeting's earlier draws stay with the pick
+            const vetoes = club.currentSelection ? club.selectionContext?.details?.vetoes || [] : [];
+            if (veto) {
+                veto.replacementId = selection.id;
+            }
+            if (vetoes.length > 0 || veto) {
+                context.details.vetoes = veto ? [...vetoes, { ...veto }] : vetoes;
+            }
+
+            appState.setClubSelection(club.id, selection.id, context);
+            // Send the pick's operation now (and publish a verifiable draw's reroll count)
+            await storageManager.saveData();
         }
         
         return selection;
     }
 
     /**
-     * Regenerate selection (alias for selectRandom)
-     * @returns {string|null}
+     * Regenerate selection (alias for selectRandom). Verifiable draws count this as a reroll.
+     * When the club uses veto tokens, only the owner can redraw without spending one.
+     * @param {Object} veto - The veto paying for this redraw, if any
+     * @returns {Promise<Object|null>}
+     */
+    async regenerateSelection(veto = null) {
+        const club = appState.getCurrentClub();
+        if (!club) return null;
+
+        if (!veto && vetoManager.isEnabled(club) && !membershipManager.can(club, 'manageSelection')) {
+            console.warn('Members redraw by spending a veto when vetoes are on');
+            return null;
+        }
+
+        return this.selectRandom({ veto });
+    }
+
+    /**
+     * Spend one of the current user's vetoes to reject the current pick and redraw
+     * @returns {Promise<Object|null>} The recorded veto (with the replacement's ID)
+     */
+    async vetoSelection() {
+        const club = appState.getCurrentClub();
+        const book = appState.getSelectedBook(club?.id);
+        if (!club || !book) return null;
+
+        if (!vetoManager.isEnabled(club) || !club.vetoState) {
+            console.warn('This club does not use veto tokens');
+            return null;
+        }
+
+        if (!membershipManager.can(club, 'vote')) {
+            console.warn('Viewers cannot veto a pick');
+            return null;
+        }
+
+        if (!['random', 'rotation'].includes(club.selectionContext?.method)) {
+            alert('❌ Only a drawn pick can be vetoed - vote and bracket results stand.');
+            return null;
+        }
+
+        if (vetoManager.getRemaining(club) === 0) {
+            alert('❌ You have no vetoes left this season.');
+            return null;
+        }
+
+        const veto = vetoManager.createVeto(club, book);
+        const replacement = await this.regenerateSelection(veto);
+        if (!replacement) return null;
+
+        appState.recordVeto(club.id, veto);
+        await storageManager.saveData();
+        console.log(`🚫 Vetoed "${book.title}" - redrew "${replacement.title}"`);
+        return veto;
+    }
+
+    /**
+     * Turn veto tokens on or off for the current club
+     * @param {boolean} enabled 
+     * @param {number} perSeason - Vetoes each member gets per season
+     * @returns {Promise<boolean>} Success status
+     */
+    async setVetoSettings(enabled, perSeason) {
+        const club = appState.getCurrentClub();
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can change veto settings');
+            return false;
+        }
+
+        appState.setSelectionSettings(club.id, {
+            vetoes: { enabled: !!enabled, perSeason: vetoManager.normalizePerSeason(perSeason) }
+        });
+        if (enabled && !club.vetoState) {
+            appState.setVetoState(club.id, vetoManager.createSeason());
+        }
+
+        await storageManager.saveData();
+        return true;
+    }
+
+    /**
+     * Start a new veto season - every member's vetoes are refilled
+     * @returns {Promise<boolean>} Success status
      */
-    regenerateSelection() {
-        return this.selectRandom();
+    async startVetoSeason() {
+        const club = appState.getCurrentClub();
+        if (!club || !vetoManager.isEnabled(club)) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can start a new veto season');
+            return false;
+        }
+
+        appState.setVetoState(club.id, vetoManager.createSeason());
+        await storageManager.saveData();
+        console.log(`🚫 Started a new veto season for ${club.name}`);
+        return true;
     }
 
     /**
      * Confirm current selection and remove from books
-     * @returns {string|null} The confirmed selection
+     * @returns {Promise<Object|null>} The confirmed book record
      */
     async confirmSelection() {
         const club = appState.getCurrentClub();
         if (!club) return null;
 
+        if (!membershipManager.can(club, 'confirm')) {
+            console.warn('Only owners and co-organizers can confirm a selection');
+            return null;
+        }
+
+        const method = club.selectionContext?.method;
         const selection = appState.confirmSelection(club.id);
         
         if (selection) {
+            // Pass the turn on whenever a rotation pick is confirmed
+            if (method === 'rotation') {
+                rotationManager.advance(club.id, selection);
+            }
             await storageManager.saveData();
         }
 
         return selection;
     }
 
+    /**
+     * Turn verifiable seeded draws on or off for the current club
+     * @param {boolean} enabled 
+     * @returns {Promise<boolean>} Success status
+     */
+    async setVerifiableDraws(enabled) {
+        const club = appState.getCurrentClub();
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can change verifiable draw settings');
+            return false;
+        }
+
+        appState.setSelectionSettings(club.id, { verifiable: !!enabled });
+        appState.setDrawState(club.id, null);
+        await storageManager.saveData();
+        return true;
+    }
+
+    /**
+     * Turn weighted draws on or off for the current club
+     * @param {boolean} enabled 
+     * @returns {Promise<boolean>} Success status
+     */
+    async setWeightedDraws(enabled) {
+        const club = appState.getCurrentClub();
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can change weighting settings');
+            return false;
+        }
+
+        appState.setSelectionSettings(club.id, {
+            weighting: { rules: weightingManager.getRules(club), enabled: !!enabled }
+        });
+        await storageManager.saveData();
+        return true;
+    }
+
+    /**
+     * Save the current club's weighting rules
+     * @param {Object} rules - Rule settings keyed by rule name
+     * @returns {Promise<boolean>} Success status
+     */
+    async setWeightingRules(rules) {
+        const club = appState.getCurrentClub();
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can change weighting rules');
+            return false;
+        }
+
+        appState.setSelectionSettings(club.id, {
+            weighting: {
+                enabled: weightingManager.isEnabled(club),
+                rules: weightingManager.normalizeRules(rules)
+            }
+        });
+        await storageManager.saveData();
+        console.log(`⚖️ Weighting rules updated for ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Save the current club's selection constraints
+     * @param {Object} settings - Constraint settings keyed by rule ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async setConstraints(settings) {
+        const club = appState.getCurrentClub();
+        if (!club) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can change selection constraints');
+            return false;
+        }
+
+        appState.setSelectionSettings(club.id, { constraints: constraintManager.normalizeSettings(settings) });
+        appState.setDrawState(club.id, null); // The eligible list may have changed
+        await storageManager.saveData();
+        console.log(`🚧 Selection constraints updated for ${club.name}`);
+        return true;
+    }
+
+    /**
+     * Upvote a book in the current club, or withdraw the upvote
+     * @param {string} bookId 
+     * @returns {Promise<boolean|null>} Whether the book is now upvoted
+     */
+    async toggleUpvote(bookId) {
+        const club = appState.getCurrentClub();
+        if (!club || !membershipManager.can(club, 'vote')) return null;
+
+        const upvoted = appState.toggleBookUpvote(club.id, bookId, userManager.getCurrentUserId());
+        if (upvoted !== null) {
+            await storageManager.saveData();
+        }
+
+        return upvoted;
+    }
+
+    /**
+     * Commit the seed for the next verifiable draw before anyone draws
+     * @param {string} meetingDate - YYYY-MM-DD
+     * @returns {Promise<Object|null>} The commitment
+     */
+    async commitDraw(meetingDate = null) {
+        const club = appState.getCurrentClub();
+        if (!club || !club.selectionSettings?.verifiable) return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can commit a draw');
+            return null;
+        }
+
+        if (club.currentSelection) {
+            alert('❌ Confirm the current selection before committing a new draw.');
+            return null;
+        }
+
+        const { candidates, excluded } = this.getCandidates(club);
+        if (candidates.length === 0) {
+            alert(`❌ No eligible titles remain - every candidate breaks a club rule:\n${constraintManager.describeExclusions(excluded)}`);
+            return null;
+        }
+
+        let commitment = null;
+        try {
+            commitment = await verifiableDrawManager.commit(club.id, candidates, meetingDate);
+        } catch (error) {
+            console.warn('Draw commitment refused:', error);
+            alert(`❌ ${error.message}`);
+            return null;
+        }
+
+        if (commitment) {
+            await storageManager.saveData();
+            console.log(`🔐 Committed draw #${commitment.commitCount} for ${commitment.meetingDate}`);
+        }
+
+        return commitment;
+    }
+
+    /**
+     * Open a voting round on a random shortlist of the current club's books
+     * @param {Object} options - { method: 'irv' | 'borda' | 'approval', shortlistSize }
+     * @returns {Promise<Object|null>} The new round
+     */
+    async openVote(options = {}) {
+        const club = appState.getCurrentClub();
+        if (!club) return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can open a vote');
+            return null;
+        }
+
+        if (club.currentSelection) {
+            alert('❌ Confirm the current selection before opening a new vote.');
+            return null;
+        }
+
+        if (club.books.length < 2) {
+            alert('❌ Add at least two books before opening a vote.');
+            return null;
+        }
+
+        const { eligible, excluded } = constraintManager.evaluate(club, club.books);
+        if (eligible.length < 2) {
+            alert(`❌ Fewer than two titles are eligible for a vote:\n${constraintManager.describeExclusions(excluded)}`);
+            return null;
+        }
+
+        const round = votingManager.openRound(club.id, options, eligible);
+        if (round) {
+            await storageManager.saveData();
+            console.log(`🗳️ Opened ${round.method} vote on ${round.shortlist.length} books`);
+        }
+
+        return round;
+    }
+
+    /**
+     * Cast the current user's ballot in the open round
+     * @param {Array<string>} ranking - Book IDs, most preferred first
+     * @returns {Promise<boolean>} Success status
+     */
+    async submitBallot(ranking) {
+        const club = appState.getCurrentClub();
+        if (!club?.votingRound || club.votingRound.status !== 'open') return false;
+
+        if (!membershipManager.can(club, 'vote')) {
+            console.warn('Viewers cannot vote');
+            return false;
+        }
+
+        const ballot = votingManager.castBallot(club.id, ranking);
+        if (!ballot) return false;
+
+        storageManager.saveToLocalStorage();
+        await storageManager.saveBallot(club.id, club.votingRound.id, ballot);
+        return true;
+    }
+
+    /**
+     * Close the open round, tally it and make the winner the current selection
+     * @returns {Promise<Object|null>} The tally result
+     */
+    async closeVote() {
+        const club = appState.getCurrentClub();
+        const round = club?.votingRound;
+        if (!round || round.status !== 'open') return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can close a vote');
+            return null;
+        }
+
+        // Pick up ballots that arrived while this device was offline
+        const remoteBallots = await storageManager.loadBallots(club.id, round.id);
+        remoteBallots.forEach(ballot => appState.setBallot(club.id, round.id, ballot));
+
+        let result = null;
+        try {
+            result = votingManager.closeRound(club.id);
+        } catch (error) {
+            alert(`❌ ${error.message}`);
+            return null;
+        }
+
+        await storageManager.saveData();
+        return result;
+    }
+
+    /**
+     * Cancel the open round without picking a winner
+     * @returns {Promise<boolean>} Success status
+     */
+    async cancelVote() {
+        const club = appState.getCurrentClub();
+        if (!club?.votingRound) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can cancel a vote');
+            return false;
+        }
+
+        appState.setVotingRound(club.id, null);
+        await storageManager.saveData();
+        return true;
+    }
+
+    /**
+     * Seed a tournament bracket from the current club's eligible books
+     * @param {number} size - 8, 16 or 32
+     * @param {Object} options - { daysPerRound }
+     * @returns {Promise<Object|null>} The new bracket
+     */
+    async startBracket(size, options = {}) {
+        const club = appState.getCurrentClub();
+        if (!club) return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can start a bracket');
+            return null;
+        }
+
+        if (club.currentSelection) {
+            alert('❌ Confirm the current selection before starting a bracket.');
+            return null;
+        }
+
+        const { eligible, excluded } = constraintManager.evaluate(club, club.books);
+        if (eligible.length < size) {
+            alert(`❌ A ${size}-title bracket needs ${size} eligible books - this club has ${eligible.length}.` +
+                (excluded.length > 0 ? `\n${constraintManager.describeExclusions(excluded)}` : ''));
+            return null;
+        }
+
+        const bracket = bracketManager.create(club.id, size, eligible, options);
+        if (bracket) {
+            await storageManager.saveData();
+            console.log(`🏆 Started a ${size}-title bracket in ${club.name}`);
+        }
+
+        return bracket;
+    }
+
+    /**
+     * Vote for one side of a matchup in the current club's bracket
+     * @param {string} matchId 
+     * @param {string} bookId 
+     * @returns {Promise<boolean>} Success status
+     */
+    async voteInMatch(matchId, bookId) {
+        const club = appState.getCurrentClub();
+        if (!club?.bracket) return false;
+
+        if (!membershipManager.can(club, 'vote')) {
+            console.warn('Viewers cannot vote');
+            return false;
+        }
+
+        const vote = bracketManager.castVote(club.id, matchId, bookId);
+        if (!vote) return false;
+
+        storageManager.saveToLocalStorage();
+        await storageManager.saveBracketVote(club.id, club.bracket.id, vote);
+        return true;
+    }
+
+    /**
+     * Close the bracket's current round and advance the winners
+     * @returns {Promise<Object|null>} The updated bracket
+     */
+    async closeBracketRound() {
+        const club = appState.getCurrentClub();
+        const bracket = club?.bracket;
+        if (!bracket || bracket.status !== 'open') return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can close a bracket round');
+            return null;
+        }
+
+        // Pick up votes that arrived while this device was offline
+        await storageManager.loadOpenRoundVotes(club);
+
+        const updated = bracketManager.closeRound(club.id);
+        if (updated) {
+            await storageManager.saveData();
+        }
+
+        return updated;
+    }
+
+    /**
+     * Cancel the current club's bracket
+     * @returns {Promise<boolean>} Success status
+     */
+    async cancelBracket() {
+        const club = appState.getCurrentClub();
+        if (!club?.bracket) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can cancel a bracket');
+            return false;
+        }
+
+        appState.setBracket(club.id, null);
+        await storageManager.saveData();
+        return true;
+    }
+
+    /**
+     * Draft a season plan for the current club
+     * @param {Object} options - { count, startDate, interval }
+     * @returns {Promise<Object|null>} The draft plan
+     */
+    async planSeason(options = {}) {
+        const club = appState.getCurrentClub();
+        if (!club) return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can plan a season');
+            return null;
+        }
+
+        if (club.currentSelection) {
+            alert('❌ Confirm the current selection before planning a season.');
+            return null;
+        }
+
+        const plan = await this.updateSeasonPlan(club, () => seasonPlanner.createPlan(club.id, options));
+        if (plan) {
+            console.log(`📅 Drafted a ${plan.slots.length}-meeting season for ${club.name}`);
+        }
+
+        return plan;
+    }
+
+    /**
+     * Redraw every unlocked slot of the current club's season plan
+     * @returns {Promise<Object|null>} The updated plan
+     */
+    async redrawSeason() {
+        const club = appState.getCurrentClub();
+        return this.updateSeasonPlan(club, () => seasonPlanner.redrawUnlocked(club.id));
+    }
+
+    /**
+     * Swap one season slot for a different eligible title
+     * @param {number} index 
+     * @returns {Promise<Object|null>} The updated plan
+     */
+    async swapSeasonSlot(index) {
+        const club = appState.getCurrentClub();
+        return this.updateSeasonPlan(club, () => seasonPlanner.swapSlot(club.id, index));
+    }
+
+    /**
+     * Move a season slot's book one meeting earlier or later
+     * @param {number} index 
+     * @param {number} direction - -1 for earlier, 1 for later
+     * @returns {Promise<Object|null>} The updated plan
+     */
+    async moveSeasonSlot(index, direction) {
+        const club = appState.getCurrentClub();
+        return this.updateSeasonPlan(club, () => seasonPlanner.moveSlot(club.id, index, direction));
+    }
+
+    /**
+     * Lock or unlock a season slot so redraws leave it alone
+     * @param {number} index 
+     * @returns {Promise<Object|null>} The updated plan
+     */
+    async toggleSeasonSlotLock(index) {
+        const club = appState.getCurrentClub();
+        return this.updateSeasonPlan(club, () => seasonPlanner.toggleLock(club.id, index));
+    }
+
+    /**
+     * Change a season slot's meeting date
+     * @param {number} index 
+     * @param {string} meetingDate - YYYY-MM-DD
+     * @returns {Promise<Object|null>} The updated plan
+     */
+    async setSeasonMeetingDate(index, meetingDate) {
+        const club = appState.getCurrentClub();
+        return this.updateSeasonPlan(club, () => seasonPlanner.setMeetingDate(club.id, index, meetingDate));
+    }
+
+    /**
+     * Apply an owner's change to the season plan and save it. The whole plan is checked
+     * against the club's rules again, since reordering or swapping a meeting changes
+     * what the meetings after it count as already read.
+     * @param {Object} club 
+     * @param {Function} change - Returns the updated plan, or throws when no title fits
+     * @returns {Promise<Object|null>} The updated plan
+     */
+    async updateSeasonPlan(club, change) {
+        if (!club) return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can edit the season plan');
+            return null;
+        }
+
+        const knownProblems = new Set(club.seasonPlan ? seasonPlanner.validatePlan(club) : []);
+
+        let plan;
+        try {
+            plan = change();
+        } catch (error) {
+            alert(`❌ ${error.message}`);
+            return null;
+        }
+
+        if (plan) {
+            const newProblems = seasonPlanner.validatePlan(appState.getBookClub(club.id))
+                .filter(problem => !knownProblems.has(problem));
+            if (newProblems.length > 0) {
+                alert(`⚠️ This change breaks the club's rules - swap or move these meetings before confirming:\n${newProblems.map(problem => `• ${problem}`).join('\n')}`);
+            }
+
+            await storageManager.saveData();
+        }
+
+        return plan;
+    }
+
+    /**
+     * Confirm the current club's season plan - the planned books move to the reading history
+     * @returns {Promise<Array|null>} The new history entries
+     */
+    async confirmSeasonPlan() {
+        const club = appState.getCurrentClub();
+        if (!club?.seasonPlan) return null;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can confirm a season plan');
+            return null;
+        }
+
+        const problems = seasonPlanner.validatePlan(club);
+        if (problems.length > 0) {
+            alert(`❌ This season breaks the club's rules - swap or redraw these meetings first:\n${problems.map(problem => `• ${problem}`).join('\n')}`);
+            return null;
+        }
+
+        const entries = appState.confirmSeasonPlan(club.id);
+        if (entries) {
+            await storageManager.saveData();
+            console.log(`📅 Confirmed a ${entries.length}-meeting season for ${club.name}`);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Discard the current club's draft season plan
+     * @returns {Promise<boolean>} Success status
+     */
+    async discardSeasonPlan() {
+        const club = appState.getCurrentClub();
+        if (!club?.seasonPlan) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can discard a season plan');
+            return false;
+        }
+
+        appState.setSeasonPlan(club.id, null);
+        await storageManager.saveData();
+        return true;
+    }
+
+    /**
+     * Change how the current club draws its selection
+     * @param {string} mode - 'random', 'rotation', 'vote' or 'bracket'
+     * @returns {Promise<boolean>} Success status
+     */
+    async setSelectionMode(mode) {
+        const club = appState.getCurrentClub();
+        if (!club || !this.selectionModes.includes(mode)) return false;
+
+        if (!membershipManager.can(club, 'manageSelection')) {
+            console.warn('Only owners and co-organizers can change the selection mode');
+            return false;
+        }
+
+        const success = appState.setSelectionSettings(club.id, { mode });
+        if (success) {
+            await storageManager.saveData();
+            console.log(`🎛️ Selection mode for ${club.name} set to ${mode}`);
+        }
+
+        return success;
+    }
+
     /**
      * Search books in current club
      * @param {string} query 
@@ -200,7 +1030,9 @@ class BookManager {
 
         const lowercaseQuery = query.toLowerCase();
         return club.books.filter(book => 
-            book.toLowerCase().includes(lowercaseQuery)
+            [book.title, book.author, book.isbn].some(field => 
+                field && field.toLowerCase().includes(lowercaseQuery)
+            )
         );
     }
 
@@ -215,7 +1047,7 @@ class BookManager {
         const totalBooks = club.books.length;
         const hasSelection = !!club.currentSelection;
         const averageLength = totalBooks > 0 ? 
-            club.books.reduce((sum, book) => sum + book.length, 0) / totalBooks : 0;
+            club.books.reduce((sum, book) => sum + book.title.length, 0) / totalBooks : 0;
 
         return {
             totalBooks,
@@ -233,11 +1065,11 @@ class BookManager {
      */
     exportBooks() {
         const club = appState.getCurrentClub();
-        if (!club || !userManager.isOwner(club)) return null;
+        if (!club || !membershipManager.can(club, 'manageSelection')) return null;
 
         return {
             clubName: club.name,
-            books: [...club.books],
+            books: club.books.map(book => ({ ...book, metadata: { ...book.metadata } })),
             currentSelection: club.currentSelection,
             exportedAt: new Date().toISOString(),
             exportedBy: userManager.getCurrentUserId()
@@ -246,12 +1078,12 @@ class BookManager {
 
     /**
      * Import books to current club
-     * @param {Array} books 
+     * @param {Array} books - Book records or plain titles
      * @returns {Promise<number>} Number of books imported
      */
     async importBooks(books) {
         const club = appState.getCurrentClub();
-        if (!club || !userManager.isOwner(club)) return 0;
+        if (!club || !membershipManager.can(club, 'editBooks')) return 0;
 
         if (!Array.isArray(books)) {
             console.error('Books must be an array');
@@ -261,16 +1093,14 @@ class BookManager {
         let importedCount = 0;
         
         for (const book of books) {
-            if (typeof book === 'string' && book.trim()) {
-                const title = book.trim();
+            const record = bookModel.create(book);
+            
+            // Check for duplicates and limits
+            if (record && !bookModel.find(club.books, record.title) && 
+                club.books.length < this.maxBooksPerClub) {
                 
-                // Check for duplicates and limits
-                if (!club.books.includes(title) && 
-                    club.books.length < this.maxBooksPerClub) {
-                    
-                    club.books.push(title);
-                    importedCount++;
-                }
+                operationManager.record(club, 'add', { book: record });
+                importedCount++;
             }
         }
 
@@ -300,14 +1130,14 @@ class BookManager {
             '1984',
             'Pride and Prejudice',
             'The Catcher in the Rye'
-        ].filter(suggestion => !club.books.includes(suggestion));
+        ].filter(suggestion => !bookModel.find(club.books, suggestion));
 
         return suggestions.slice(0, 3);
     }
 
     /**
      * Extract common words from book titles (helper for suggestions)
-     * @param {Array} books 
+     * @param {Array} books - Book records
      * @returns {Array}
      */
     extractCommonWords(books) {
@@ -315,7 +1145,7 @@ class BookManager {
         const commonWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
         
         books.forEach(book => {
-            book.toLowerCase().split(' ').forEach(word => {
+            bookModel.getTitle(book).toLowerCase().split(' ').forEach(word => {
                 const cleanWord = word.replace(/[^a-z]/g, '');
                 if (cleanWord.length > 2 && !commonWords.includes(cleanWord)) {
                     words[cleanWord] = (words[cleanWord] || 0) + 1;
@@ -350,7 +1180,7 @@ class BookManager {
         }
 
         const club = appState.getCurrentClub();
-        if (club && club.books.includes(trimmedTitle)) {
+        if (club && bookModel.find(club.books, trimmedTitle)) {
             return { valid: false, error: 'Book already in collection' };
         }
 
@@ -0,0 +1,295 @@
+// js/features/bracket.js
+/**
+ * Tournament bracket selection
+ * Seeds 8, 16 or 32 titles into a single-elimination bracket. Members vote on each
+ * matchup while a round is open; closing the round advances the winners, and the
+ * champion of the final becomes the club's selection.
+ */
+
+import appState from '../core/state.js';
+import userManager from '../core/user.js';
+
+class BracketManager {
+    constructor() {
+        this.sizes = [8, 16, 32];
+        this.defaultDaysPerRound = 2;
+    }
+
+    /**
+     * Generate unique bracket ID
+     * @returns {string}
+     */
+    generateBracketId() {
+        return `bracket_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Get the bracket sizes a list of candidates can fill
+     * @param {number} candidateCount
+     * @returns {Array<number>}
+     */
+    getAvailableSizes(candidateCount) {
+        return this.sizes.filter(size => size <= candidateCount);
+    }
+
+    /**
+     * Standard seeding order, so the top seeds can only meet in the late rounds
+     * (8 → 1, 8, 4, 5, 2, 7, 3, 6)
+     * @param {number} size - A power of two
+     * @returns {Array<number>} Seed numbers in bracket position order
+     */
+    getSeedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Rank candidates for seeding - most upvoted first, then longest on the list
+     * @param {Array} candidates
+     * @returns {Array}
+     */
+    rankForSeeding(candidates) {
+        return [...candidates].sort((a, b) =>
+            (b.upvotes?.length || 0) - (a.upvotes?.length || 0) ||
+            (new Date(a.addedAt).getTime() || 0) - (new Date(b.addedAt).getTime() || 0) ||
+            a.id.localeCompare(b.id)
+        );
+    }
+
+    /**
+     * Get the number of rounds for a bracket size
+     * @param {number} size
+     * @returns {number}
+     */
+    getRoundCount(size) {
+        return Math.log2(size);
+    }
+
+    /**
+     * Get a readable name for a round
+     * @param {number} roundIndex - Zero-based
+     * @param {number} size
+     * @returns {string}
+     */
+    getRoundName(roundIndex, size) {
+        const remaining = this.getRoundCount(size) - roundIndex;
+        if (remaining === 1) return 'Final';
+        if (remaining === 2) return 'Semi-finals';
+        if (remaining === 3) return 'Quarter-finals';
+        return `Round of ${size / 2 ** roundIndex}`;
+    }
+
+    /**
+     * Start a bracket for a club
+     * @param {string} clubId
+     * @param {number} size - 8, 16 or 32
+     * @param {Array} candidates - Books eligible for seeding
+     * @param {Object} options - { daysPerRound }
+     * @returns {Object|null} The new bracket
+     */
+    create(clubId, size, candidates, options = {}) {
+        const club = appState.getBookClub(clubId);
+        if (!club || !this.sizes.includes(size) || candidates.length < size) return null;
+
+        const seeds = this.rankForSeeding(candidates).slice(0, size);
+        const positions = this.getSeedOrder(size).map(seed => seeds[seed - 1].id);
+        const daysPerRound = Math.max(1, parseInt(options.daysPerRound, 10) || this.defaultDaysPerRound);
+
+        const bracket = {
+            id: this.generateBracketId(),
+            status: 'open',
+            size,
+            seeds: seeds.map(book => book.id),
+            titles: Object.fromEntries(seeds.map(book => [book.id, book.title])),
+            rounds: [this.createMatches(positions, 0)],
+            currentRound: 0,
+            daysPerRound,
+            roundEndsAt: this.getRoundDeadline(daysPerRound),
+            votes: {},
+            openedBy: userManager.getCurrentUserId(),
+            openedAt: new Date().toISOString(),
+            completedAt: null,
+            winnerId: null
+        };
+
+        appState.setBracket(clubId, bracket);
+        return bracket;
+    }
+
+    /**
+     * Pair up entrants into matchups
+     * @param {Array<string>} entrants - Book IDs in bracket order
+     * @param {number} roundIndex
+     * @returns {Array<Object>}
+     */
+    createMatches(entrants, roundIndex) {
+        const matches = [];
+        for (let i = 0; i < entrants.length; i += 2) {
+            matches.push({
+                id: `r${roundIndex}m${i / 2}`,
+                a: entrants[i],
+                b: entrants[i + 1],
+                winner: null,
+                tally: null,
+                decidedBySeed: false
+            });
+        }
+        return matches;
+    }
+
+    /**
+     * Get the suggested closing time for a round
+     * @param {number} days
+     * @returns {string}
+     */
+    getRoundDeadline(days) {
+        return new Date(Date.now() + days * 86400000).toISOString();
+    }
+
+    /**
+     * Get the matchups members can vote on now
+     * @param {Object} bracket
+     * @returns {Array<Object>}
+     */
+    getOpenMatches(bracket) {
+        if (!bracket || bracket.status !== 'open') return [];
+        return bracket.rounds[bracket.currentRound] || [];
+    }
+
+    /**
+     * Vote for one side of an open matchup (replaces an earlier vote)
+     * @param {string} clubId
+     * @param {string} matchId
+     * @param {string} bookId
+     * @returns {Object|null} The recorded vote
+     */
+    castVote(clubId, matchId, bookId) {
+        const club = appState.getBookClub(clubId);
+        const match = this.getOpenMatches(club?.bracket).find(item => item.id === matchId);
+        if (!match || (bookId !== match.a && bookId !== match.b)) return null;
+
+        const vote = {
+            matchId,
+            voterId: userManager.getCurrentUserId(),
+            bookId,
+            castAt: new Date().toISOString()
+        };
+
+        return appState.setBracketVote(clubId, club.bracket.id, vote) ? vote : null;
+    }
+
+    /**
+     * Count the votes in a matchup
+     * @param {Object} bracket
+     * @param {Object} match
+     * @returns {Object} Votes keyed by book ID
+     */
+    getTally(bracket, match) {
+        if (match.tally) return match.tally;
+
+        const tally = { [match.a]: 0, [match.b]: 0 };
+        Object.values(bracket.votes?.[match.id] || {}).forEach(vote => {
+            if (vote.bookId in tally) {
+                tally[vote.bookId]++;
+            }
+        });
+        return tally;
+    }
+
+    /**
+     * Get a book's seed number
+     * @param {Object} bracket
+     * @param {string} bookId
+     * @returns {number}
+     */
+    getSeed(bracket, bookId) {
+        return bracket.seeds.indexOf(bookId) + 1;
+    }
+
+    /**
+     * Close the current round: decide every matchup (ties go to the higher seed)
+     * and either open the next round or crown the winner
+     * @param {string} clubId
+     * @returns {Object|null} The updated bracket
+     */
+    closeRound(clubId) {
+        const club = appState.getBookClub(clubId);
+        const bracket = club?.bracket;
+        if (!bracket || bracket.status !== 'open') return null;
+
+        const decided = this.getOpenMatches(bracket).map(match => {
+            const tally = this.getTally(bracket, match);
+            const tied = tally[match.a] === tally[match.b];
+            const higherSeed = this.getSeed(bracket, match.a) < this.getSeed(bracket, match.b) ? match.a : match.b;
+            const winner = tied ? higherSeed : (tally[match.a] > tally[match.b] ? match.a : match.b);
+
+            return { ...match, tally, winner, decidedBySeed: tied };
+        });
+
+        const rounds = bracket.rounds.map((round, index) => index === bracket.currentRound ? decided : round);
+        const winners = decided.map(match => match.winner);
+        let updated;
+
+        if (winners.length === 1) {
+            updated = {
+                ...bracket,
+                rounds,
+                status: 'complete',
+                winnerId: winners[0],
+                completedAt: new Date().toISOString()
+            };
+
+            appState.setClubSelection(clubId, winners[0], {
+                method: 'bracket',
+                details: { bracket: this.summarize(updated) }
+            });
+        } else {
+            const nextRound = bracket.currentRound + 1;
+            updated = {
+                ...bracket,
+                rounds: [...rounds, this.createMatches(winners, nextRound)],
+                currentRound: nextRound,
+                roundEndsAt: this.getRoundDeadline(bracket.daysPerRound)
+            };
+        }
+
+        appState.setBracket(clubId, updated);
+        return updated;
+    }
+
+    /**
+     * Copy of a finished bracket for the reading history
+     * @param {Object} bracket
+     * @returns {Object}
+     */
+    summarize(bracket) {
+        return {
+            bracketId: bracket.id,
+            size: bracket.size,
+            seeds: [...bracket.seeds],
+            titles: { ...bracket.titles },
+            rounds: bracket.rounds.map(round => round.map(match => ({ ...match }))),
+            winnerId: bracket.winnerId,
+            openedAt: bracket.openedAt,
+            completedAt: bracket.completedAt
+        };
+    }
+
+    /**
+     * Get the current user's vote in a matchup
+     * @param {Object} bracket
+     * @param {string} matchId
+     * @returns {string|null} Book ID
+     */
+    getOwnVote(bracket, matchId) {
+        return bracket?.votes?.[matchId]?.[userManager.getCurrentUserId()]?.bookId || null;
+    }
+}
+
+// Export singleton instance
+const bracketManager = new BracketManager();
+export default bracketManager;
\ No newline at end of file
@@ -0,0 +1,251 @@
+// js/features/conflicts.js
+/**
+ * Conflict review - an optional mode in which a concurrent modification is shown to
+ * the user instead of only being merged. Books, the name and the selection are CRDT
+ * state, so they merge on their own; the review lists where this device's version and
+ * the other member's differed, and the user's choices are applied on top of the merge
+ * as ordinary club operations.
+ */
+
+import appState from '../core/state.js';
+import membershipManager from '../core/membership.js';
+import operationManager from '../core/operations.js';
+import clubCrdt from '../core/crdt.js';
+
+class ConflictReviewManager {
+    constructor() {
+        this.REVIEW_KEY = 'literaryCircleReviewConflicts';
+    }
+
+    /**
+     * Check whether this device asks before settling conflicts
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return localStorage.getItem(this.REVIEW_KEY) === 'on';
+    }
+
+    /**
+     * Turn review mode on or off for this device
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled) {
+            localStorage.setItem(this.REVIEW_KEY, 'on');
+        } else {
+            localStorage.removeItem(this.REVIEW_KEY);
+        }
+    }
+
+    /**
+     * Copy the parts of a club a review compares, before a merge changes them
+     * @param {Object} club
+     * @returns {Object} { name, books, currentSelection, selectionContext, crdt }
+     */
+    snapshot(club) {
+        return {
+            name: club.name,
+            books: [...(club.books || [])],
+            currentSelection: club.currentSelection || null,
+            selectionContext: club.selectionContext || null,
+            crdt: clubCrdt.copy(operationManager.getState(club))
+        };
+    }
+
+    /**
+     * List where two versions of a club differ, limited to what the current member may
+     * change. Each item has the value on this device (mine) and on the server (theirs).
+     * @param {Object} club - The merged club
+     * @param {Object} mine - Snapshot of this device's version
+     * @param {Object} theirs - The other member's version (a club from the server)
+     * @returns {Array<Object>} { id, kind, label, mine, theirs, merged }
+     */
+    describe(club, mine, theirs) {
+        const items = [];
+
+        if (membershipManager.can(club, 'editBooks')) {
+            items.push(...this.describeBooks(club, mine, theirs));
+        }
+
+        if (membershipManager.can(club, 'editDetails') && mine.name !== theirs.name) {
+            items.push({
+                id: 'name',
+                kind: 'name',
+                label: '✏️ Group name',
+                mine: mine.name,
+                theirs: theirs.name,
+                merged: club.name
+            });
+        }
+
+        const mySelection = this.getSelection(mine);
+        const theirSelection = this.getSelection(theirs);
+        if (membershipManager.can(club, 'manageSelection') && mySelection?.bookId !== theirSelection?.bookId) {
+            items.push({
+                id: 'selection',
+                kind: 'selection',
+                label: '🎯 Current pick',
+                mine: mySelection,
+                theirs: theirSelection,
+                merged: this.getSelection(club)
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Books in one version's list but not the other's. The CRDT tombstones tell a book
+     * one side removed apart from one the other side added.
+     * @param {Object} club - The merged club
+     * @param {Object} mine
+     * @param {Object} theirs
+     * @returns {Array<Object>} Items whose mine/theirs are whether the book is listed
+     */
+    describeBooks(club, mine, theirs) {
+        const myState = mine.crdt || clubCrdt.createState(mine);
+        const theirState = theirs.crdt || clubCrdt.createState(theirs);
+        const myIds = new Set(mine.books.map(book => book.id));
+        const theirIds = new Set(theirs.books.map(book => book.id));
+        const mergedIds = new Set((club.books || []).map(book => book.id));
+
+        const onlyMine = mine.books
+            .filter(book => !theirIds.has(book.id))
+            .map(book => ({
+                book,
+                action: this.wasRemoved(myState, theirState, book.id) ? 'removed by them' : 'added by you'
+            }));
+        const onlyTheirs = theirs.books
+            .filter(book => !myIds.has(book.id))
+            .map(book => ({
+                book,
+                action: this.wasRemoved(theirState, myState, book.id) ? 'removed by you' : 'added by them'
+            }));
+
+        return [...onlyMine, ...onlyTheirs].map(({ book, action }) => ({
+            id: `book:${book.id}`,
+            kind: 'book',
+            label: `📖 "${book.title}" - ${action}`,
+            book,
+            mine: myIds.has(book.id),
+            theirs: theirIds.has(book.id),
+            merged: mergedIds.has(book.id)
+        }));
+    }
+
+    /**
+     * Whether a book listed in one state was removed in the other (every add tag that
+     * keeps it listed is tombstoned there)
+     * @param {Object} listedState
+     * @param {Object} otherState
+     * @param {string} bookId
+     * @returns {boolean}
+     */
+    wasRemoved(listedState, otherState, bookId) {
+        const tags = clubCrdt.getTags(listedState, [bookId]);
+        return tags.length > 0 && tags.every(tag => otherState.tombstones[tag]);
+    }
+
+    /**
+     * A version's selection
+     * @param {Object} club
+     * @returns {Object|null} { bookId, title, context }
+     */
+    getSelection(club) {
+        if (!club.currentSelection) return null;
+
+        const book = (club.books || []).find(item => item.id === club.currentSelection);
+        return {
+            bookId: club.currentSelection,
+            title: book?.title || 'a book no longer listed',
+            context: club.selectionContext || null
+        };
+    }
+
+    /**
+     * Describe one side of an item for the dialog
+     * @param {Object} item
+     * @param {string} side - 'mine' or 'theirs'
+     * @returns {string}
+     */
+    formatValue(item, side) {
+        const value = item[side];
+        switch (item.kind) {
+            case 'book':
+                return value ? 'In the list' : 'Not in the list';
+            case 'selection':
+                return value ? value.title : 'No pick';
+            default:
+                return value || '(none)';
+        }
+    }
+
+    /**
+     * Which side the merge already agrees with, to preselect it
+     * @param {Object} item
+     * @returns {string} 'mine' or 'theirs'
+     */
+    getDefaultChoice(item) {
+        const matches = value => item.kind === 'selection'
+            ? (value?.bookId || null) === (item.merged?.bookId || null)
+            : value === item.merged;
+        return matches(item.theirs) || !matches(item.mine) ? 'theirs' : 'mine';
+    }
+
+    /**
+     * Apply the user's choices to the merged club as club operations
+     * @param {string} clubId
+     * @param {Array<Object>} items - From describe
+     * @param {Object} choices - Item ID -> 'mine' or 'theirs'
+     * @returns {number} Number of changes made
+     */
+    applyChoices(clubId, items, choices) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return 0;
+
+        let changes = 0;
+        items.forEach(item => {
+            const side = choices[item.id] || this.getDefaultChoice(item);
+            const wanted = item[side];
+
+            switch (item.kind) {
+                case 'book': {
+                    const isListed = club.books.some(book => book.id === item.book.id);
+                    if (wanted && !isListed) {
+                        operationManager.record(club, 'add', { book: item.book });
+                        changes++;
+                    } else if (!wanted && isListed) {
+                        operationManager.record(club, 'remove', { bookId: item.book.id, title: item.book.title });
+                        changes++;
+                    }
+                    break;
+                }
+                case 'name':
+                    if (wanted && wanted !== club.name) {
+                        operationManager.record(club, 'rename', { name: wanted });
+                        changes++;
+                    }
+                    break;
+                case 'selection': {
+                    const bookId = wanted?.bookId || null;
+                    if (bookId === (club.currentSelection || null)) break;
+                    if (bookId && !club.books.some(book => book.id === bookId)) {
+                        console.warn(`Cannot pick "${wanted.title}" - it is no longer in the list`);
+                        break;
+                    }
+                    operationManager.record(club, 'select', bookId
+                        ? { bookId, title: wanted.title, context: wanted.context }
+                        : { bookId: null, context: null });
+                    changes++;
+                    break;
+                }
+            }
+        });
+
+        return changes;
+    }
+}
+
+// Export singleton instance
+const conflictReviewManager = new ConflictReviewManager();
+export default conflictReviewManager;
\ No newline at end of file
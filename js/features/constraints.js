@@ -0,0 +1,150 @@
+// js/features/constraints.js
+/**
+ * Selection constraints - per-club rules that take titles out of the draw
+ * Each rule explains why it excluded a book, so members can see what the next draw is
+ * working with and why nothing is eligible when every title breaks a rule.
+ */
+
+class ConstraintManager {
+    constructor() {
+        this.rules = [
+            {
+                id: 'recentAuthor',
+                label: 'No repeat authors',
+                defaults: { enabled: false, lookback: 3 },
+                check: (book, settings, context) => {
+                    const author = book.author?.trim().toLowerCase();
+                    if (!author) return null;
+
+                    const recent = context.history.slice(-settings.lookback);
+                    const match = recent.find(entry => entry.book?.author?.trim().toLowerCase() === author);
+                    return match
+                        ? `${book.author} was read in the last ${settings.lookback} selection${settings.lookback === 1 ? '' : 's'} (${match.book.title})`
+                        : null;
+                }
+            },
+            {
+                id: 'maxPages',
+                label: 'Page-count limit',
+                defaults: { enabled: false, maxPages: 350 },
+                check: (book, settings) => {
+                    const pageCount = book.metadata?.pageCount;
+                    return pageCount && pageCount > settings.maxPages
+                        ? `${pageCount} pages is over the ${settings.maxPages}-page limit`
+                        : null;
+                }
+            },
+            {
+                id: 'genreRotation',
+                label: 'Genre rotation',
+                defaults: { enabled: false },
+                check: (book, settings, context) => {
+                    const genre = book.metadata?.genre?.trim().toLowerCase();
+                    const lastGenre = context.history[context.history.length - 1]?.book?.metadata?.genre;
+                    return genre && lastGenre && genre === lastGenre.trim().toLowerCase()
+                        ? `Same genre as the last pick (${lastGenre})`
+                        : null;
+                }
+            }
+        ];
+    }
+
+    /**
+     * Get a club's constraint settings merged over the defaults
+     * @param {Object} club
+     * @returns {Object} Settings keyed by rule ID
+     */
+    getSettings(club) {
+        const saved = club?.selectionSettings?.constraints || {};
+        return Object.fromEntries(this.rules.map(rule => [rule.id, { ...rule.defaults, ...saved[rule.id] }]));
+    }
+
+    /**
+     * Clean up settings read from the constraints form
+     * @param {Object} settings
+     * @returns {Object}
+     */
+    normalizeSettings(settings = {}) {
+        const integer = (value, fallback, min, max) => {
+            const parsed = parseInt(value, 10);
+            return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+        };
+        const defaults = Object.fromEntries(this.rules.map(rule => [rule.id, rule.defaults]));
+
+        return {
+            recentAuthor: {
+                enabled: !!settings.recentAuthor?.enabled,
+                lookback: integer(settings.recentAuthor?.lookback, defaults.recentAuthor.lookback, 1, 50)
+            },
+            maxPages: {
+                enabled: !!settings.maxPages?.enabled,
+                maxPages: integer(settings.maxPages?.maxPages, defaults.maxPages.maxPages, 1, 10000)
+            },
+            genreRotation: {
+                enabled: !!settings.genreRotation?.enabled
+            }
+        };
+    }
+
+    /**
+     * Check whether any constraint is switched on for a club
+     * @param {Object} club
+     * @returns {boolean}
+     */
+    hasActiveRules(club) {
+        const settings = this.getSettings(club);
+        return this.rules.some(rule => settings[rule.id].enabled);
+    }
+
+    /**
+     * Split candidates into eligible and excluded titles
+     * @param {Object} club
+     * @param {Array} candidates
+     * @returns {Object} { eligible, excluded: [{ book, reasons: [{ rule, reason }] }] }
+     */
+    evaluate(club, candidates) {
+        const settings = this.getSettings(club);
+        const activeRules = this.rules.filter(rule => settings[rule.id].enabled);
+        const context = { history: club.readingHistory || [] };
+        const eligible = [];
+        const excluded = [];
+
+        candidates.forEach(book => {
+            const reasons = activeRules
+                .map(rule => ({ rule: rule.id, reason: rule.check(book, settings[rule.id], context) }))
+                .filter(result => result.reason);
+
+            if (reasons.length > 0) {
+                excluded.push({ book, reasons });
+            } else {
+                eligible.push(book);
+            }
+        });
+
+        return { eligible, excluded };
+    }
+
+    /**
+     * List excluded titles with their reasons, one per line
+     * @param {Array} excluded - From evaluate
+     * @returns {string}
+     */
+    describeExclusions(excluded) {
+        return excluded.map(({ book, reasons }) =>
+            `• ${book.title}: ${reasons.map(result => result.reason).join('; ')}`
+        ).join('\n');
+    }
+
+    /**
+     * Get a rule's label
+     * @param {string} ruleId
+     * @returns {string}
+     */
+    getRuleLabel(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId)?.label || ruleId;
+    }
+}
+
+// Export singleton instance
+const constraintManager = new ConstraintManager();
+export default constraintManager;
\ No newline at end of file
@@ -0,0 +1,234 @@
+// js/features/deviceLink.js
+/**
+ * Device linking - one member ID across browsers and devices
+ * A recovery phrase (twelve words the user writes down) or a pairing code (shown on a
+ * device that already has the ID, valid for ten minutes) lets another device adopt the
+ * ID. Clubs the device held under its old ID move to the adopted one on the server.
+ */
+
+import userManager from '../core/user.js';
+import storageManager from '../core/storage.js';
+import supabaseManager from '../config/supabase.js';
+import profileManager from './profiles.js';
+
+class DeviceLinkManager {
+    constructor() {
+        this.phraseLength = 12;
+        this.pairingLength = 8;
+        this.pairingMinutes = 10;
+        this.pairingAlphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32, no I, L, O or U
+        this.words = [
+            'acorn', 'actor', 'amber', 'anchor', 'angle', 'apple', 'april', 'arrow', 'atlas', 'attic',
+            'autumn', 'badge', 'baker', 'bamboo', 'banjo', 'barley', 'basket', 'beach', 'beacon', 'bean',
+            'bear', 'berry', 'birch', 'blanket', 'bloom', 'boat', 'bonnet', 'border', 'bottle', 'branch',
+            'brave', 'bread', 'breeze', 'brick', 'bridge', 'brook', 'brush', 'bucket', 'bugle', 'butter',
+            'cabin', 'cactus', 'camel', 'candle', 'canoe', 'canvas', 'canyon', 'captain', 'carbon', 'carpet',
+            'castle', 'cedar', 'cello', 'chalk', 'chapel', 'cherry', 'chess', 'circle', 'citrus', 'clay',
+            'cliff', 'clock', 'cloud', 'clover', 'cobalt', 'comet', 'copper', 'coral', 'cotton', 'crane',
+            'crayon', 'creek', 'cricket', 'crown', 'crystal', 'cuckoo', 'daisy', 'dancer', 'dawn', 'delta',
+            'desert', 'diamond', 'dolphin', 'dragon', 'dream', 'drum', 'eagle', 'easel', 'echo', 'ember',
+            'emerald', 'engine', 'falcon', 'feather', 'fence', 'fern', 'fiddle', 'finch', 'flame', 'flute',
+            'forest', 'fossil', 'fountain', 'fox', 'frost', 'garden', 'garnet', 'ginger', 'glacier', 'globe',
+            'goose', 'granite', 'grape', 'gravel', 'grove', 'guitar', 'hammer', 'harbor', 'harp', 'hazel',
+            'heron', 'hill', 'honey', 'horizon', 'island', 'ivory', 'jacket', 'jade', 'jasmine', 'jungle',
+            'kettle', 'kite', 'koala', 'ladder', 'lagoon', 'lake', 'lantern', 'lark', 'laurel', 'lemon',
+            'lily', 'linen', 'lion', 'lotus', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon',
+            'meteor', 'mint', 'mirror', 'moon', 'morning', 'moss', 'mountain', 'nectar', 'needle', 'nest',
+            'novel', 'oasis', 'ocean', 'olive', 'opal', 'orbit', 'orchard', 'otter', 'owl', 'paddle',
+            'palace', 'panda', 'paper', 'parrot', 'peach', 'pearl', 'pebble', 'pepper', 'piano', 'pilot',
+            'pine', 'planet', 'plum', 'pocket', 'poem', 'pony', 'poppy', 'prairie', 'puzzle', 'quartz',
+            'quill', 'rabbit', 'raven', 'reed', 'ribbon', 'river', 'robin', 'rocket', 'rose', 'ruby',
+            'saddle', 'saffron', 'sail', 'salmon', 'sand', 'satin', 'scarf', 'sea', 'shell', 'silver',
+            'sketch', 'sky', 'slate', 'snow', 'spark', 'sparrow', 'spice', 'spruce', 'squirrel', 'star',
+            'stone', 'storm', 'sugar', 'summer', 'sun', 'swan', 'tablet', 'teapot', 'thistle', 'thunder',
+            'tiger', 'timber', 'topaz', 'torch', 'tower', 'trail', 'tulip', 'tunnel', 'turtle', 'valley',
+            'velvet', 'violet', 'violin', 'voyage', 'wagon', 'walnut', 'water', 'willow', 'window', 'winter',
+            'wizard', 'wolf', 'wool', 'yarn', 'zebra', 'zephyr'
+        ];
+        this.errorMessages = {
+            link_code_invalid: 'That doesn\'t look like a recovery phrase or pairing code. Check it and try again.',
+            link_code_not_found: 'That recovery phrase or pairing code isn\'t recognised. Check it or create a new one on your other device.',
+            link_code_used: 'That pairing code has already been used. Create a new one on your other device.',
+            link_code_expired: 'That pairing code has expired. Create a new one on your other device.',
+            link_requires_sign_in: 'That member ID belongs to an account. Sign in to the account on this device instead.',
+            link_requires_sign_out: 'This device is signed in to an account. Sign out before linking it to another member ID.'
+        };
+    }
+
+    /**
+     * Generate a recovery phrase - one word per random byte
+     * @returns {string}
+     */
+    generatePhrase() {
+        const bytes = crypto.getRandomValues(new Uint8Array(this.phraseLength));
+        return Array.from(bytes, byte => this.words[byte]).join(' ');
+    }
+
+    /**
+     * Generate a pairing code like 7KQ2-M9XD
+     * @returns {string}
+     */
+    generatePairingCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(this.pairingLength));
+        const code = Array.from(bytes, byte => this.pairingAlphabet[byte % this.pairingAlphabet.length]).join('');
+        return this.formatPairingCode(code);
+    }
+
+    /**
+     * Split a pairing code into two groups for reading aloud
+     * @param {string} code
+     * @returns {string}
+     */
+    formatPairingCode(code) {
+        return `${code.slice(0, 4)}-${code.slice(4)}`;
+    }
+
+    /**
+     * Clean up a phrase or code as typed, so case, spacing and look-alike characters
+     * don't matter
+     * @param {string} input
+     * @returns {Object|null} { kind: 'recovery'|'pairing', code } or null if it's neither
+     */
+    normalizeCode(input) {
+        const words = String(input || '').trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+        if (words.length === this.phraseLength && words.every(word => this.words.includes(word))) {
+            return { kind: 'recovery', code: words.join(' ') };
+        }
+
+        const code = String(input || '')
+            .toUpperCase()
+            .replace(/[^0-9A-Z]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+        if (code.length === this.pairingLength && [...code].every(char => this.pairingAlphabet.includes(char))) {
+            return { kind: 'pairing', code: this.formatPairingCode(code) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Hash a normalized phrase or code - only the hash is sent to the server
+     * @param {string} code
+     * @returns {Promise<string>} Hex-encoded SHA-256
+     */
+    async hashCode(code) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(code));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Get the link that pairs a device when opened (also used for the QR code)
+     * @param {string} code
+     * @returns {string}
+     */
+    getPairingUrl(code) {
+        return `${window.location.origin}${window.location.pathname}?link=${encodeURIComponent(code)}`;
+    }
+
+    /**
+     * Get the message for a failed link
+     * @param {string} code - Error code raised by link_device
+     * @returns {string}
+     */
+    getErrorMessage(code) {
+        return this.errorMessages[code] || 'Error linking this device. Please try again.';
+    }
+
+    /**
+     * Create a recovery phrase for the current ID, retiring any earlier one
+     * @returns {Promise<string|null>} The phrase, shown once
+     */
+    async createRecoveryPhrase() {
+        if (!supabaseManager.isCollaborativeMode()) {
+            this.handleError('Recovery phrases need collaborative mode.');
+            return null;
+        }
+
+        const phrase = this.generatePhrase();
+        const saved = await storageManager.createLinkCode(await this.hashCode(phrase), 'recovery');
+        if (!saved) {
+            this.handleError('Failed to create a recovery phrase. Please try again.');
+            return null;
+        }
+
+        return phrase;
+    }
+
+    /**
+     * Create a pairing code another device can enter or scan within ten minutes
+     * @returns {Promise<Object|null>} { code, url, expiresAt }
+     */
+    async createPairingCode() {
+        if (!supabaseManager.isCollaborativeMode()) {
+            this.handleError('Pairing devices needs collaborative mode.');
+            return null;
+        }
+
+        const code = this.generatePairingCode();
+        const saved = await storageManager.createLinkCode(await this.hashCode(code), 'pairing');
+        if (!saved) {
+            this.handleError('Failed to create a pairing code. Please try again.');
+            return null;
+        }
+
+        return {
+            code,
+            url: this.getPairingUrl(code),
+            expiresAt: saved.expiresAt || new Date(Date.now() + this.pairingMinutes * 60 * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Adopt the member ID a recovery phrase or pairing code belongs to. Everything this
+     * device holds is saved first, so the server can move it all to the adopted ID.
+     * @param {string} input - Phrase or code as typed
+     * @returns {Promise<Object|null>} { userId, previousUserId } or null on failure
+     */
+    async linkDevice(input) {
+        if (!supabaseManager.isCollaborativeMode()) {
+            this.handleError('Linking devices needs collaborative mode.');
+            return null;
+        }
+
+        if (userManager.isSignedIn()) {
+            this.handleError(this.getErrorMessage('link_requires_sign_out'));
+            return null;
+        }
+
+        const normalized = this.normalizeCode(input);
+        if (!normalized) {
+            this.handleError(this.getErrorMessage('link_code_invalid'));
+            return null;
+        }
+
+        const previousUserId = userManager.getCurrentUserId();
+        await storageManager.saveToSupabase();
+
+        const { userId, error } = await storageManager.linkDevice(await this.hashCode(normalized.code));
+        if (!userId) {
+            this.handleError(this.getErrorMessage(error));
+            return null;
+        }
+
+        if (userId !== previousUserId) {
+            await storageManager.adoptUserId(userId);
+            await profileManager.restoreOwnProfile();
+        }
+
+        return { userId, previousUserId };
+    }
+
+    /**
+     * Handle errors with user feedback
+     * @param {string} message
+     */
+    handleError(message) {
+        console.error('Device Link Error:', message);
+        alert(`❌ ${message}`);
+    }
+}
+
+// Export singleton instance
+const deviceLinkManager = new DeviceLinkManager();
+export default deviceLinkManager;
\ No newline at end of file
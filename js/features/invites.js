@@ -0,0 +1,134 @@
+// js/features/invites.js
+/**
+ * Invite tokens - share links carry a random token instead of the club ID
+ * Each invite expires, can be limited to a number of uses and grants a role. Organizers
+ * can revoke an invite at any time; redeeming one is checked server-side.
+ */
+
+import userManager from '../core/user.js';
+import membershipManager from '../core/membership.js';
+
+class InviteManager {
+    constructor() {
+        this.expiryOptions = [1, 7, 30];
+        this.defaultExpiryDays = 7;
+        this.maxUsesLimit = 100;
+        this.tokenBytes = 18;
+        this.statusLabels = {
+            active: 'Active',
+            expired: 'Expired',
+            'used-up': 'Used up',
+            revoked: 'Revoked'
+        };
+        this.errorMessages = {
+            invite_not_found: 'This invite link is not valid. Please check the link or ask for a new one.',
+            invite_revoked: 'This invite link has been revoked. Ask an organizer for a new one.',
+            invite_expired: 'This invite link has expired. Ask an organizer for a new one.',
+            invite_used_up: 'This invite link has already been used the maximum number of times. Ask an organizer for a new one.',
+            member_banned: 'You have been banned from this reading group and can\'t join it again.'
+        };
+    }
+
+    /**
+     * Generate a random URL-safe token
+     * @returns {string}
+     */
+    generateToken() {
+        const bytes = crypto.getRandomValues(new Uint8Array(this.tokenBytes));
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Clean up an expiry read from the invite form
+     * @param {*} value - Days until expiry; blank means never
+     * @returns {number|null}
+     */
+    normalizeExpiryDays(value) {
+        if (value === '' || value === null || value === undefined) return null;
+        const parsed = parseInt(value, 10);
+        return this.expiryOptions.includes(parsed) ? parsed : this.defaultExpiryDays;
+    }
+
+    /**
+     * Clean up a usage limit read from the invite form
+     * @param {*} value - Blank means unlimited
+     * @returns {number|null}
+     */
+    normalizeMaxUses(value) {
+        const parsed = parseInt(value, 10);
+        return Number.isFinite(parsed) && parsed > 0 ? Math.min(this.maxUsesLimit, parsed) : null;
+    }
+
+    /**
+     * Build an invite for a club
+     * @param {Object} club
+     * @param {Object} options - { role, expiresInDays, maxUses }
+     * @returns {Object} { token, clubId, role, createdBy, createdAt, expiresAt, maxUses, useCount, revokedAt }
+     */
+    createInvite(club, options = {}) {
+        const now = new Date();
+        const expiresInDays = this.normalizeExpiryDays(options.expiresInDays);
+        const role = membershipManager.invitableRoles.includes(options.role) ? options.role : membershipManager.defaultRole;
+
+        return {
+            token: this.generateToken(),
+            clubId: club.id,
+            role,
+            createdBy: userManager.getCurrentUserId(),
+            createdAt: now.toISOString(),
+            expiresAt: expiresInDays === null
+                ? null
+                : new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+            maxUses: this.normalizeMaxUses(options.maxUses),
+            useCount: 0,
+            revokedAt: null
+        };
+    }
+
+    /**
+     * Get whether an invite can still be redeemed
+     * @param {Object} invite
+     * @param {Date} now
+     * @returns {string} 'active', 'expired', 'used-up' or 'revoked'
+     */
+    getStatus(invite, now = new Date()) {
+        if (invite.revokedAt) return 'revoked';
+        if (invite.expiresAt && new Date(invite.expiresAt) <= now) return 'expired';
+        if (invite.maxUses !== null && invite.useCount >= invite.maxUses) return 'used-up';
+        return 'active';
+    }
+
+    /**
+     * Get a status label
+     * @param {string} status
+     * @returns {string}
+     */
+    getStatusLabel(status) {
+        return this.statusLabels[status] || status;
+    }
+
+    /**
+     * Get the share link for an invite
+     * @param {string} token
+     * @returns {string}
+     */
+    getInviteUrl(token) {
+        return `${window.location.origin}${window.location.pathname}?invite=${encodeURIComponent(token)}`;
+    }
+
+    /**
+     * Get the message for a failed redemption
+     * @param {string} code - Error code raised by redeem_club_invite
+     * @returns {string}
+     */
+    getErrorMessage(code) {
+        return this.errorMessages[code] || 'Error joining reading group. Please try again.';
+    }
+}
+
+// Export singleton instance
+const inviteManager = new InviteManager();
+export default inviteManager;
\ No newline at end of file
@@ -0,0 +1,204 @@
+// js/features/profiles.js
+/**
+ * Member profiles - a display name, avatar colour and favourite genres per user ID
+ * The current user's profile is kept next to their ID by UserManager and synced to
+ * Supabase; other members' profiles are loaded for the clubs the user opens.
+ */
+
+import appState from '../core/state.js';
+import userManager from '../core/user.js';
+import storageManager from '../core/storage.js';
+
+class ProfileManager {
+    constructor() {
+        this.colors = ['#2d5016', '#8b4513', '#1f4e79', '#7b2d6b', '#b8860b', '#2f6f6f', '#a0522d', '#4b4b8f'];
+        this.maxNameLength = 40;
+        this.maxGenres = 5;
+        this.maxGenreLength = 30;
+    }
+
+    /**
+     * Clean up a profile read from the profile form or Supabase
+     * @param {string} userId
+     * @param {Object} fields - { displayName, color, genres }
+     * @returns {Object} { userId, displayName, color, genres, updatedAt }
+     */
+    normalizeProfile(userId, fields = {}) {
+        const genres = Array.isArray(fields.genres) ? fields.genres : String(fields.genres || '').split(',');
+        const uniqueGenres = [...new Set(genres
+            .map(genre => String(genre).trim().slice(0, this.maxGenreLength))
+            .filter(Boolean))];
+
+        return {
+            userId,
+            displayName: String(fields.displayName || '').replace(/\s+/g, ' ').trim().slice(0, this.maxNameLength),
+            color: this.colors.includes(fields.color) ? fields.color : this.getDefaultColor(userId),
+            genres: uniqueGenres.slice(0, this.maxGenres),
+            updatedAt: fields.updatedAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Pick a stable colour for users who haven't chosen one
+     * @param {string} userId
+     * @returns {string}
+     */
+    getDefaultColor(userId) {
+        const hash = [...String(userId || '')].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+        return this.colors[hash % this.colors.length];
+    }
+
+    /**
+     * Get a user's profile; users without one get their default colour and no name
+     * @param {string} userId
+     * @returns {Object}
+     */
+    getProfile(userId) {
+        if (userId === userManager.getCurrentUserId()) {
+            return this.normalizeProfile(userId, userManager.getProfile() || {});
+        }
+        return appState.getProfile(userId) || this.normalizeProfile(userId);
+    }
+
+    /**
+     * Get the name to show for a user, or null if they haven't set one
+     * @param {string} userId
+     * @returns {string|null}
+     */
+    getDisplayName(userId) {
+        return this.getProfile(userId).displayName || null;
+    }
+
+    /**
+     * Get a readable label for a user - 'you', their display name or 'another member'
+     * @param {string} userId
+     * @returns {string}
+     */
+    getLabel(userId) {
+        if (!userId) return 'unknown';
+        if (userId === userManager.getCurrentUserId()) return 'you';
+        return this.getDisplayName(userId) || 'another member';
+    }
+
+    /**
+     * Get up to two initials for a user's avatar
+     * @param {string} userId
+     * @returns {string}
+     */
+    getInitials(userId) {
+        return this.toInitials(this.getDisplayName(userId));
+    }
+
+    /**
+     * Get up to two initials from a name - first and last word, or the first two letters,
+     * skipping punctuation
+     * @param {string|null} name
+     * @returns {string}
+     */
+    toInitials(name) {
+        const words = String(name || '')
+            .split(/\s+/)
+            .map(word => word.match(/[\p{L}\p{N}]/gu)?.join('') || '')
+            .filter(Boolean);
+        if (words.length === 0) return '?';
+
+        const initials = words.length > 1 ? words[0][0] + words[words.length - 1][0] : words[0].slice(0, 2);
+        return initials.toUpperCase();
+    }
+
+    /**
+     * Save the current user's profile locally and to Supabase
+     * @param {Object} fields - { displayName, color, genres }
+     * @returns {Promise<Object>} The saved profile
+     */
+    async saveOwnProfile(fields) {
+        const profile = this.normalizeProfile(userManager.getCurrentUserId(), fields);
+        userManager.setProfile(profile);
+        appState.setProfiles([profile]);
+
+        await this.syncOwnProfile();
+        return profile;
+    }
+
+    /**
+     * Send the locally stored profile to Supabase unless it's already there, so a
+     * profile edited offline reaches other members once the app is online again
+     * @returns {Promise<boolean>} Success status
+     */
+    async syncOwnProfile() {
+        const stored = userManager.getProfile();
+        if (!stored || stored.syncedAt === stored.updatedAt) return false;
+
+        const saved = await storageManager.saveProfile(this.normalizeProfile(stored.userId, stored));
+        if (saved) {
+            userManager.setProfile({ ...stored, syncedAt: stored.updatedAt });
+        }
+        return saved;
+    }
+
+    /**
+     * Replace the locally stored profile with the one saved for the current ID, e.g.
+     * after this device adopted another member ID
+     * @returns {Promise<void>}
+     */
+    async restoreOwnProfile() {
+        const userId = userManager.getCurrentUserId();
+        const [profile] = await storageManager.loadProfiles([userId]);
+        if (profile) {
+            userManager.setProfile({ ...this.normalizeProfile(userId, profile), syncedAt: profile.updatedAt });
+        }
+    }
+
+    /**
+     * Load the profiles of everyone on a club's roster, including people named in its
+     * bans and join requests
+     * @param {Object} club
+     * @returns {Promise<void>}
+     */
+    async loadClubProfiles(club) {
+        if (!club) return;
+
+        const userIds = new Set([
+            club.userId,
+            ...(club.members || []).map(member => member.userId),
+            ...(club.bans || []).map(ban => ban.userId),
+            ...appState.getJoinRequests(club.id).map(request => request.userId)
+        ]);
+        userIds.delete(userManager.getCurrentUserId());
+        userIds.delete(undefined);
+
+        await this.loadProfiles([...userIds]);
+    }
+
+    /**
+     * Load other users' profiles from Supabase into the app state
+     * @param {Array<string>} userIds
+     * @returns {Promise<void>}
+     */
+    async loadProfiles(userIds) {
+        if (userIds.length === 0) return;
+
+        const profiles = await storageManager.loadProfiles(userIds);
+        if (profiles.length > 0) {
+            appState.setProfiles(profiles.map(profile => this.normalizeProfile(profile.userId, profile)));
+        }
+    }
+
+    /**
+     * Remember a profile another client announced, e.g. through presence
+     * @param {string} userId
+     * @param {Object} fields - { displayName, color }
+     */
+    rememberProfile(userId, fields) {
+        if (!userId || userId === userManager.getCurrentUserId() || !fields?.displayName) return;
+
+        const known = appState.getProfile(userId);
+        if (known && known.displayName === fields.displayName && known.color === fields.color) return;
+
+        appState.setProfiles([this.normalizeProfile(userId, { ...known, ...fields })]);
+    }
+}
+
+// Export singleton instance
+const profileManager = new ProfileManager();
+export default profileManager;
\ No newline at end of file
@@ -0,0 +1,95 @@
+// js/features/publicPages.js
+/**
+ * Public club pages - a read-only view of a club's reading list, current pick and past
+ * reads that owners can share with people outside the club. The page has its own ID, so
+ * its link can't be used to join, and opening it never adds the visitor to the club.
+ */
+
+import appState from '../core/state.js';
+import membershipManager from '../core/membership.js';
+import storageManager from '../core/storage.js';
+import supabaseManager from '../config/supabase.js';
+
+class PublicPageManager {
+    /**
+     * Get the link to a club's public page
+     * @param {string} pageId
+     * @returns {string}
+     */
+    getPageUrl(pageId) {
+        return `${window.location.origin}${window.location.pathname}?page=${encodeURIComponent(pageId)}`;
+    }
+
+    /**
+     * Get the link to a club's public page if it is published
+     * @param {Object} club
+     * @returns {string|null}
+     */
+    getPublishedUrl(club) {
+        return club?.publicPageEnabled && club.publicPageId ? this.getPageUrl(club.publicPageId) : null;
+    }
+
+    /**
+     * Publish or unpublish a club's public page
+     * @param {string} clubId
+     * @param {boolean} enabled
+     * @returns {Promise<boolean>} Success status
+     */
+    async setPublished(clubId, enabled) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return false;
+
+        if (!supabaseManager.isCollaborativeMode()) {
+            this.handleError('Public pages need collaborative mode.');
+            return false;
+        }
+
+        if (!membershipManager.can(club, 'manageMembers')) {
+            this.handleError('Only owners and co-owners can publish a reading group.');
+            return false;
+        }
+
+        const updated = await storageManager.setPublicPage(clubId, enabled);
+        if (!updated) {
+            this.handleError(`Could not ${enabled ? 'publish' : 'unpublish'} the public page. Please try again.`);
+            return false;
+        }
+
+        appState.setBookClub(clubId, {
+            ...club,
+            publicPageId: updated.publicPageId,
+            publicPageEnabled: updated.publicPageEnabled
+        });
+        storageManager.saveToLocalStorage();
+
+        return true;
+    }
+
+    /**
+     * Load a published page for a visitor
+     * @param {string} pageId
+     * @returns {Promise<Object|null>} The page, or null if it isn't published
+     */
+    async loadPage(pageId) {
+        if (!supabaseManager.isCollaborativeMode()) return null;
+
+        const page = await storageManager.loadPublicPage(pageId);
+        if (!page) {
+            console.warn(`Public page ${pageId} not found or unpublished`);
+        }
+        return page;
+    }
+
+    /**
+     * Handle errors with user feedback
+     * @param {string} message
+     */
+    handleError(message) {
+        console.error('Public Page Error:', message);
+        alert(`❌ ${message}`);
+    }
+}
+
+// Export singleton instance
+const publicPageManager = new PublicPageManager();
+export default publicPageManager;
\ No newline at end of file
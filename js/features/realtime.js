@@ -7,14 +7,23 @@
 import supabaseManager from '../config/supabase.js';
 import appState from '../core/state.js';
 import userManager from '../core/user.js';
+import membershipManager from '../core/membership.js';
 import storageManager from '../core/storage.js';
+import operationManager from '../core/operations.js';
+import outboxManager from '../core/outbox.js';
+import tabSyncManager from '../core/tabSync.js';
+import clubMerge from '../core/clubMerge.js';
 import uiComponents from '../ui/components.js';
+import profileManager from './profiles.js';
+import conflictReviewManager from './conflicts.js';
 
 class RealtimeManager {
     constructor() {
         this.subscriptions = new Map();
         this.presenceChannels = new Map();
         this.connectionState = 'disconnected';
+        this.shownStatus = null; // Status in the connection indicator, if it's showing
+        this.indicatorHideTimer = null;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
@@ -73,6 +82,32 @@ class RealtimeManager {
                     table: 'book_clubs',
                     filter: `id=eq.${clubId}`
                 }, (payload) => this.handleBookClubUpdate(payload))
+                .on('postgres_changes', {
+                    event: 'INSERT',
+                    schema: 'public',
+                    table: 'club_operations',
+                    filter: `club_id=eq.${clubId}`
+                }, (payload) => this.handleOperationInsert(payload))
+                .on('postgres_changes', {
+                    event: '*',
+                    schema: 'public',
+                    table: 'club_ballots',
+                    filter: `club_id=eq.${clubId}`
+                }, (payload) => this.handleBallotChange(payload))
+                .on('postgres_changes', {
+                    event: '*',
+                    schema: 'public',
+                    table: 'bracket_votes',
+                    filter: `club_id=eq.${clubId}`
+                }, (payload) => this.handleBracketVoteChange(payload))
+                .on('postgres_changes', {
+                    event: '*',
+                    schema: 'public',
+                    table: 'club_join_requests',
+                    filter: `club_id=eq.${clubId}`
+                }, (payload) => this.handleJoinRequestChange(payload))
+                .on('broadcast', { event: 'veto' }, ({ payload }) => this.handleVetoBroadcast(payload))
+                .on('broadcast', { event: 'membership' }, ({ payload }) => this.handleMembershipBroadcast(payload))
                 .subscribe((status) => {
                     this.handleSubscriptionStatus(clubId, status);
                 });
@@ -137,6 +172,7 @@ class RealtimeManager {
         try {
             const supabase = supabaseManager.getClient();
             const userId = userManager.getCurrentUserId();
+            const profile = profileManager.getProfile(userId);
             
             const presenceChannel = supabase
                 .channel(`presence-${clubId}`)
@@ -154,6 +190,8 @@ class RealtimeManager {
                         // Track this user's presence
                         await presenceChannel.track({
                             user_id: userId,
+                            display_name: profile.displayName,
+                            avatar_color: profile.color,
                             online_at: new Date().toISOString(),
                             club_id: clubId
                         });
@@ -193,8 +231,9 @@ class RealtimeManager {
             const { eventType, new: newRecord, old: oldRecord } = payload;
             const userId = userManager.getCurrentUserId();
 
-            // Ignore updates from this user to prevent loops
-            if (newRecord && newRecord.user_id === userId) {
+            // Ignore updates from this user to prevent loops (members save the club row too,
+            // so go by who wrote it rather than who owns it)
+            if (newRecord && (newRecord.updated_by || newRecord.user_id) === userId) {
                 this.log('Ignoring own update to prevent loop');
                 return;
             }
@@ -239,24 +278,28 @@ class RealtimeManager {
 
         // Determine if user has access to this club
         const hasAccess = updatedClub.user_id === userId || 
-                         (updatedClub.shared_users && updatedClub.shared_users.includes(userId));
+                         (updatedClub.shared_users && updatedClub.shared_users.includes(userId)) ||
+                         (updatedClub.members || []).some(member => member.userId === userId);
 
         if (!hasAccess) {
             this.log(`User ${userId} doesn't have access to club ${updatedClub.id}`);
+            if (currentClub) {
+                this.handleAccessRevoked(updatedClub.id, `🚪 You're no longer a member of "${currentClub.name}"`);
+            }
             return;
         }
 
-        // Create club data with ownership information
-        const clubData = {
-            id: updatedClub.id,
-            name: updatedClub.name,
-            books: updatedClub.books || [],
-            currentSelection: updatedClub.current_selection,
-            createdAt: updatedClub.created_at,
-            userId: updatedClub.user_id,
-            isOwner: updatedClub.user_id === userId,
-            isShared: updatedClub.user_id !== userId
-        };
+        // Book list changes are announced as their operations come in
+        const operations = await this.catchUpOperations(updatedClub.id, Number(updatedClub.op_seq) || 0);
+
+        storageManager.rememberServerRecord(updatedClub);
+
+        // Create club data with ownership information (upgrades legacy title strings) and
+        // join its CRDT state with this device's
+        const clubData = operationManager.merge(storageManager.fromSupabaseRecord(updatedClub), currentClub);
+        clubData.votingRound = clubMerge.mergeVotingRound(currentClub?.votingRound, clubData.votingRound);
+        clubData.bracket = clubMerge.mergeBracket(currentClub?.bracket, clubData.bracket);
+        clubData.vetoState = clubMerge.mergeVetoState(currentClub?.vetoState, clubData.vetoState);
 
         // Update state
         appState.setBookClub(updatedClub.id, clubData);
@@ -264,7 +307,11 @@ class RealtimeManager {
         // Update UI if we're currently viewing this club
         if (appState.currentClubId === updatedClub.id) {
             uiComponents.updateBookClubView();
-            this.showRealtimeNotification('📚 Club updated by another member');
+            const message = this.describeOwnershipChange(currentClub, clubData)
+                || (operations.length === 0 ? `📚 Club updated by ${profileManager.getDisplayName(updatedClub.updated_by) || 'another member'}` : null);
+            if (message) {
+                this.showRealtimeNotification(message);
+            }
         } else {
             uiComponents.updateBookClubsList();
         }
@@ -275,6 +322,217 @@ class RealtimeManager {
         this.log(`✅ Updated club: ${updatedClub.name}`);
     }
 
+    /**
+     * Apply operations this device missed when a club row shows the server is ahead,
+     * and announce other members' changes
+     * @param {string} clubId 
+     * @param {number} remoteSeq - op_seq of the club row
+     * @returns {Promise<Array>} Operations by other members that were applied
+     */
+    async catchUpOperations(clubId, remoteSeq) {
+        const club = appState.getBookClub(clubId);
+        if (!club || remoteSeq <= (club.opSeq || 0)) return [];
+
+        const operations = await storageManager.applyConfirmedOperations(clubId);
+        this.announceOperations(clubId, operations);
+        return operations;
+    }
+
+    /**
+     * Handle an operation logged for a club
+     * @param {Object} payload 
+     */
+    async handleOperationInsert(payload) {
+        const record = payload.new;
+        if (!record?.club_id) return;
+
+        const operation = storageManager.fromOperationRecord(record);
+        const operations = await storageManager.applyConfirmedOperations(record.club_id, [operation]);
+        this.announceOperations(record.club_id, operations);
+        this.lastUpdate.set(record.club_id, new Date());
+    }
+
+    /**
+     * Show other members' changes to the club being viewed
+     * @param {string} clubId 
+     * @param {Array} operations 
+     */
+    announceOperations(clubId, operations) {
+        if (appState.currentClubId !== clubId) return;
+
+        operations
+            .map(operation => this.describeOperation(operation))
+            .filter(Boolean)
+            .forEach(message => this.showRealtimeNotification(message));
+    }
+
+    /**
+     * Describe another member's operation
+     * @param {Object} operation 
+     * @returns {string|null} Notification text, or null for changes not worth a notification
+     */
+    describeOperation(operation) {
+        const name = profileManager.getDisplayName(operation.actorId) || 'Another member';
+        const { payload } = operation;
+
+        switch (operation.type) {
+            case 'add':
+                return `📖 ${name} added "${payload.book?.title}"`;
+            case 'remove':
+                return `🗑️ ${name} removed "${payload.title}"`;
+            case 'select':
+                return `🎯 ${name} picked "${payload.title}"`;
+            case 'clear':
+                return `🧹 ${name} cleared the book list`;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Describe an ownership offer or transfer that concerns the current user
+     * @param {Object|null} previousClub 
+     * @param {Object} club 
+     * @returns {string|null} Notification text, or null if nothing changed for this user
+     */
+    describeOwnershipChange(previousClub, club) {
+        const userId = userManager.getCurrentUserId();
+
+        if (previousClub && previousClub.userId !== club.userId) {
+            return club.userId === userId 
+                ? `👑 You're now the owner of "${club.name}"` 
+                : `👑 Ownership of "${club.name}" was transferred`;
+        }
+
+        const offeredTo = club.ownershipTransfer?.toUserId;
+        if (offeredTo === userId && previousClub?.ownershipTransfer?.toUserId !== userId) {
+            return `👑 You've been offered ownership of "${club.name}" - accept or decline in Members`;
+        }
+
+        if (previousClub?.ownershipTransfer && !club.ownershipTransfer && club.userId === userId) {
+            return `👑 Your ownership offer for "${club.name}" was declined`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Handle a ballot cast or changed by a member
+     * @param {Object} payload 
+     */
+    handleBallotChange(payload) {
+        const record = payload.new;
+        if (!record?.club_id || payload.eventType === 'DELETE') return;
+
+        const ballot = storageManager.fromBallotRecord(record);
+        if (!appState.setBallot(record.club_id, record.round_id, ballot)) {
+            this.log(`Ignoring ballot for inactive round: ${record.round_id}`);
+            return;
+        }
+
+        if (ballot.voterId !== userManager.getCurrentUserId() && appState.currentClubId === record.club_id) {
+            const voterName = profileManager.getDisplayName(ballot.voterId);
+            this.showRealtimeNotification(voterName ? `🗳️ ${voterName} cast their ballot` : '🗳️ A member cast their ballot');
+        }
+
+        storageManager.saveToLocalStorage();
+    }
+
+    /**
+     * Handle a bracket matchup vote cast or changed by a member
+     * @param {Object} payload 
+     */
+    handleBracketVoteChange(payload) {
+        const record = payload.new;
+        if (!record?.club_id || payload.eventType === 'DELETE') return;
+
+        const vote = storageManager.fromBracketVoteRecord(record);
+        if (!appState.setBracketVote(record.club_id, record.bracket_id, vote)) {
+            this.log(`Ignoring vote for inactive bracket: ${record.bracket_id}`);
+            return;
+        }
+
+        storageManager.saveToLocalStorage();
+    }
+
+    /**
+     * Handle a join request filed or decided - the owner hears about new requests
+     * @param {Object} payload 
+     */
+    async handleJoinRequestChange(payload) {
+        const record = payload.new;
+        if (!record?.club_id || payload.eventType === 'DELETE') return;
+
+        const club = appState.getBookClub(record.club_id);
+        if (!club || !membershipManager.can(club, 'manageMembers')) return;
+
+        const request = storageManager.fromJoinRequestRecord(record);
+        const isNew = appState.upsertJoinRequest(request);
+
+        if (isNew && request.status === 'pending') {
+            await profileManager.loadProfiles([request.userId]);
+            const requesterName = profileManager.getDisplayName(request.userId) || 'Someone';
+            this.showRealtimeNotification(`🙋 ${requesterName} asked to join "${club.name}" - approve or deny in Members`);
+        }
+    }
+
+    /**
+     * Tell everyone watching a club that the current user spent a veto, along with the
+     * draw state (the redrawn pick itself arrives as a select operation)
+     * @param {string} clubId 
+     * @param {Object} veto 
+     * @returns {Promise<boolean>} Success status
+     */
+    async broadcastVeto(clubId, veto) {
+        const subscription = this.subscriptions.get(clubId);
+        const club = appState.getBookClub(clubId);
+        if (!subscription || !club) return false;
+
+        try {
+            await subscription.channel.send({
+                type: 'broadcast',
+                event: 'veto',
+                payload: {
+                    clubId,
+                    veto,
+                    drawState: club.drawState
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('Error broadcasting veto:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Handle a veto spent by another member
+     * @param {Object} payload - { clubId, veto, drawState }
+     */
+    async handleVetoBroadcast(payload) {
+        const { clubId, veto } = payload || {};
+        if (!clubId || !veto || !appState.recordVeto(clubId, veto)) {
+            this.log('Ignoring veto for another season or already recorded');
+            return;
+        }
+
+        if (payload.drawState) {
+            appState.setDrawState(clubId, payload.drawState);
+        }
+
+        if (appState.currentClubId === clubId) {
+            this.showRealtimeNotification(`🚫 ${profileManager.getLabel(veto.userId)} vetoed "${veto.title}"`);
+        }
+
+        // Organizers keep the club row's veto log up to date for members who join later
+        const club = appState.getBookClub(clubId);
+        if (membershipManager.can(club, 'manageSelection')) {
+            await storageManager.saveData();
+        } else {
+            storageManager.saveToLocalStorage();
+        }
+    }
+
     /**
      * Handle club deletion
      * @param {Object} deletedClub 
@@ -288,15 +546,29 @@ class RealtimeManager {
             return;
         }
 
-        // Remove from state
-        appState.removeBookClub(clubId);
+        this.handleAccessRevoked(clubId, '📚 This club was deleted by its owner');
+
+        this.log(`🗑️ Deleted club: ${deletedClub.name}`);
+    }
+
+    /**
+     * Drop a club the current user can no longer see - it was deleted, or they
+     * were removed from it - and leave its view if they were looking at it
+     * @param {string} clubId 
+     * @param {string} message - Notification shown if the club was open
+     */
+    handleAccessRevoked(clubId, message) {
+        const wasViewing = appState.currentClubId === clubId;
+
+        // Remove from state (members have no delete permission, so drop rather than remove)
+        appState.dropBookClub(clubId);
 
         // Update UI
         uiComponents.updateBookClubsList();
 
         // If we were viewing this club, go home
-        if (appState.currentClubId === clubId) {
-            this.showRealtimeNotification('📚 This club was deleted by its owner');
+        if (wasViewing) {
+            this.showRealtimeNotification(message);
             setTimeout(() => {
                 window.showHome();
             }, 2000);
@@ -304,53 +576,127 @@ class RealtimeManager {
 
         // Save locally
         storageManager.saveToLocalStorage();
+    }
 
-        this.log(`🗑️ Deleted club: ${deletedClub.name}`);
+    /**
+     * Tell a member's open sessions they were removed from a club. The broadcast is
+     * only a hint - the receiver checks with the server before dropping the club.
+     * @param {string} clubId 
+     * @param {string} targetUserId 
+     * @param {string} action - 'removed' or 'banned'
+     * @returns {Promise<boolean>} Success status
+     */
+    async broadcastMembershipChange(clubId, targetUserId, action) {
+        const subscription = this.subscriptions.get(clubId);
+        if (!subscription) return false;
+
+        try {
+            await subscription.channel.send({
+                type: 'broadcast',
+                event: 'membership',
+                payload: { clubId, userId: targetUserId, action }
+            });
+            return true;
+        } catch (error) {
+            console.error('Error broadcasting membership change:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Handle a member being removed - if it's the current user, confirm with the
+     * server and drop the club
+     * @param {Object} payload - { clubId, userId, action }
+     */
+    async handleMembershipBroadcast(payload) {
+        const { clubId, userId } = payload || {};
+        const club = clubId ? appState.getBookClub(clubId) : null;
+        if (!club || userId !== userManager.getCurrentUserId()) return;
+
+        const serverClub = await storageManager.loadClubFromSupabase(clubId);
+        const stillMember = serverClub && (serverClub.userId === userId || 
+            serverClub.members.some(member => member.userId === userId));
+        if (stillMember) {
+            this.log('Ignoring membership broadcast - still a member');
+            return;
+        }
+
+        this.handleAccessRevoked(clubId, `🚪 You were removed from "${club.name}"`);
     }
 
     /**
-     * Detect conflicts between local and remote changes
+     * Detect conflicts between local and remote changes. Only changes this device hasn't
+     * synced yet can conflict: queued operations with operations from others it hasn't
+     * seen, and unsaved club settings with the same settings changed remotely.
      * @param {Object} payload 
      * @returns {Object|null} Conflict details or null
      */
     async detectConflict(payload) {
         const { new: remoteRecord } = payload;
-        const localClub = appState.getBookClub(remoteRecord.id);
+        const localClub = remoteRecord && appState.getBookClub(remoteRecord.id);
 
         if (!localClub) return null;
 
-        const remoteUpdatedAt = new Date(remoteRecord.updated_at);
-        const lastLocalUpdate = this.lastUpdate.get(remoteRecord.id);
-
-        // Check if local changes happened after the last known sync
-        if (lastLocalUpdate && remoteUpdatedAt < lastLocalUpdate) {
+        const columns = this.getConflictingColumns(localClub, remoteRecord);
+        if (columns.length > 0 || this.hasConcurrentOperations(localClub, remoteRecord)) {
             return {
                 type: 'concurrent_modification',
                 localClub,
                 remoteRecord,
+                columns,
                 conflictTime: new Date()
             };
         }
 
-        // Check for book list conflicts
-        const localBooks = new Set(localClub.books);
-        const remoteBooks = new Set(remoteRecord.books || []);
-        
-        const localOnly = [...localBooks].filter(book => !remoteBooks.has(book));
-        const remoteOnly = [...remoteBooks].filter(book => !localBooks.has(book));
+        return null;
+    }
 
-        if (localOnly.length > 0 && remoteOnly.length > 0) {
-            return {
-                type: 'book_list_conflict',
-                localClub,
-                remoteRecord,
-                localOnly,
-                remoteOnly,
-                conflictTime: new Date()
-            };
-        }
+    /**
+     * Whether a remote club row has operations this device hasn't seen while its own
+     * are still waiting for the server
+     * @param {Object} localClub 
+     * @param {Object} remoteRecord - A book_clubs row
+     * @returns {boolean}
+     */
+    hasConcurrentOperations(localClub, remoteRecord) {
+        if (operationManager.getPending(localClub.id).length === 0) return false;
 
-        return null;
+        const localClock = operationManager.getState(localClub).clock;
+        return Number(remoteRecord.op_seq) > (localClub.opSeq || 0)
+            || Object.entries(remoteRecord.crdt_state?.clock || {})
+                .some(([replicaId, counter]) => counter > (localClock[replicaId] || 0));
+    }
+
+    /**
+     * Club columns changed on this device and not yet saved, since the row was last
+     * loaded or saved here
+     * @param {Object} localClub 
+     * @returns {Array<string>} Column names
+     */
+    getUnsavedColumns(localClub) {
+        const serverColumns = storageManager.serverColumns.get(localClub.id);
+        if (!serverColumns) return [];
+
+        const local = storageManager.getColumnValues(storageManager.toSupabaseRecord(localClub));
+        return storageManager.PATCH_COLUMNS.filter(column => local[column] !== serverColumns[column]);
+    }
+
+    /**
+     * Club columns changed both on this device (not yet saved) and remotely, to
+     * different values, since the row was last loaded or saved here
+     * @param {Object} localClub 
+     * @param {Object} remoteRecord - A book_clubs row
+     * @returns {Array<string>} Column names
+     */
+    getConflictingColumns(localClub, remoteRecord) {
+        const serverColumns = storageManager.serverColumns.get(localClub.id);
+        if (!serverColumns) return [];
+
+        const local = storageManager.getColumnValues(storageManager.toSupabaseRecord(localClub));
+        const remote = storageManager.getColumnValues(storageManager.toSupabaseRecord(storageManager.fromSupabaseRecord(remoteRecord)));
+        return storageManager.PATCH_COLUMNS.filter(column => local[column] !== serverColumns[column]
+            && remote[column] !== serverColumns[column]
+            && local[column] !== remote[column]);
     }
 
     /**
@@ -364,9 +710,6 @@ class RealtimeManager {
             case 'concurrent_modification':
                 await this.resolveConcurrentModification(conflict);
                 break;
-            case 'book_list_conflict':
-                await this.resolveBookListConflict(conflict);
-                break;
             default:
                 this.log(`Unknown conflict type: ${conflict.type}`);
         }
@@ -377,21 +720,44 @@ class RealtimeManager {
      * @param {Object} conflict 
      */
     async resolveConcurrentModification(conflict) {
-        // Simple strategy: merge changes and notify user
+        // Merge changes, then either notify the user or, in review mode, let them choose
         const { localClub, remoteRecord } = conflict;
+        const localVersion = conflictReviewManager.snapshot(localClub);
         
-        // Merge book lists (union of both)
-        const mergedBooks = [...new Set([...localClub.books, ...(remoteRecord.books || [])])];
+        const remoteClub = storageManager.fromSupabaseRecord(remoteRecord);
+        const unsaved = this.getUnsavedColumns(localClub);
+        storageManager.rememberServerRecord(remoteRecord);
+        const readingHistory = clubMerge.mergeReadingHistory(localClub.readingHistory, remoteClub.readingHistory);
+        await this.catchUpOperations(localClub.id, remoteClub.opSeq);
         
-        // Use remote metadata but merged books
+        // Use remote metadata, except settings changed here and not yet saved - those keep
+        // this device's value and go out with the save below. The name, book list and
+        // selection join as CRDT state
+        const pick = (column, local, remote) => unsaved.includes(column) ? local : remote;
         const mergedClub = {
             ...localClub,
-            name: remoteRecord.name,
-            books: mergedBooks,
-            currentSelection: remoteRecord.current_selection || localClub.currentSelection
+            ...this.getOwnership(remoteClub),
+            readingHistory,
+            selectionSettings: pick('selection_settings', localClub.selectionSettings, remoteClub.selectionSettings),
+            rotation: pick('rotation_state', localClub.rotation, remoteClub.rotation || localClub.rotation),
+            drawState: pick('draw_state', localClub.drawState, remoteClub.drawState || localClub.drawState),
+            votingRound: clubMerge.mergeVotingRound(localClub.votingRound, remoteClub.votingRound),
+            bracket: clubMerge.mergeBracket(localClub.bracket, remoteClub.bracket),
+            seasonPlan: pick('season_plan', localClub.seasonPlan, remoteClub.seasonPlan || localClub.seasonPlan),
+            vetoState: clubMerge.mergeVetoState(localClub.vetoState, remoteClub.vetoState),
+            members: clubMerge.mergeMembers(localClub.members, remoteClub.members)
         };
 
-        appState.setBookClub(localClub.id, mergedClub);
+        appState.setBookClub(localClub.id, operationManager.merge(mergedClub, remoteClub));
+        
+        const club = appState.getBookClub(localClub.id);
+        const items = conflictReviewManager.isEnabled() && !uiComponents.isConflictReviewOpen()
+            ? conflictReviewManager.describe(club, localVersion, remoteClub)
+            : [];
+        if (items.length > 0) {
+            uiComponents.showConflictReview(club, items, choices => this.applyConflictChoices(club.id, items, choices));
+            return;
+        }
         
         this.showRealtimeNotification('🔄 Changes merged with another user\'s updates');
         
@@ -400,28 +766,40 @@ class RealtimeManager {
     }
 
     /**
-     * Resolve book list conflicts
-     * @param {Object} conflict 
+     * Apply the choices made in the conflict review dialog and save the result
+     * @param {string} clubId 
+     * @param {Array<Object>} items - Items the dialog showed
+     * @param {Object|null} choices - Item ID -> 'mine' or 'theirs'; null keeps the merge as it is
      */
-    async resolveBookListConflict(conflict) {
-        const { localClub, remoteRecord, localOnly, remoteOnly } = conflict;
-        
-        // Merge all books together
-        const mergedBooks = [...new Set([...localClub.books, ...(remoteRecord.books || [])])];
-        
-        const mergedClub = {
-            ...localClub,
-            books: mergedBooks
-        };
+    async applyConflictChoices(clubId, items, choices) {
+        const changes = choices ? conflictReviewManager.applyChoices(clubId, items, choices) : 0;
+        const club = appState.getBookClub(clubId);
 
-        appState.setBookClub(localClub.id, mergedClub);
-        
-        const addedCount = localOnly.length + remoteOnly.length;
-        this.showRealtimeNotification(`📚 ${addedCount} books merged from collaborative changes`);
+        if (changes > 0 && club) {
+            appState.emit('operationsApplied', { clubId, operations: [], club });
+        }
+        this.showRealtimeNotification(changes > 0 
+            ? '⚖️ Your conflict choices were applied' 
+            : '🔄 Changes merged with another user\'s updates');
         
         await storageManager.saveData();
     }
 
+    /**
+     * Pick out a club's ownership fields. Ownership only changes on the server,
+     * so merges always take these from the remote copy.
+     * @param {Object} remoteClub
+     * @returns {Object} { userId, isOwner, isShared, ownershipTransfer }
+     */
+    getOwnership(remoteClub) {
+        return {
+            userId: remoteClub.userId,
+            isOwner: remoteClub.isOwner,
+            isShared: remoteClub.isShared,
+            ownershipTransfer: remoteClub.ownershipTransfer
+        };
+    }
+
     /**
      * Handle presence sync events
      * @param {string} clubId 
@@ -429,10 +807,12 @@ class RealtimeManager {
      */
     handlePresenceSync(clubId, channel) {
         const state = channel.presenceState();
-        const users = Object.keys(state);
+        const presences = Object.values(state).map(entries => entries[0]).filter(Boolean);
         
-        this.log(`👥 ${users.length} users present in club ${clubId}`);
-        this.updatePresenceIndicator(clubId, users.length);
+        presences.forEach(presence => this.rememberPresenceProfile(presence));
+        
+        this.log(`👥 ${presences.length} users present in club ${clubId}`);
+        this.updatePresenceIndicator(clubId, presences.map(presence => presence.user_id));
     }
 
     /**
@@ -445,9 +825,11 @@ class RealtimeManager {
         newPresences.forEach(presence => {
             const userId = presence.user_id;
             this.log(`👋 User ${userId} joined club ${clubId}`);
+            this.rememberPresenceProfile(presence);
             
             if (userId !== userManager.getCurrentUserId()) {
-                this.showRealtimeNotification('👋 Another member joined');
+                const name = profileManager.getDisplayName(userId);
+                this.showRealtimeNotification(name ? `👋 ${name} joined` : '👋 Another member joined');
             }
         });
     }
@@ -466,21 +848,37 @@ class RealtimeManager {
     }
 
     /**
-     * Update presence indicator in UI
+     * Keep the name and colour a member announced with their presence
+     * @param {Object} presence - { user_id, display_name, avatar_color, ... }
+     */
+    rememberPresenceProfile(presence) {
+        profileManager.rememberProfile(presence.user_id, {
+            displayName: presence.display_name,
+            color: presence.avatar_color
+        });
+    }
+
+    /**
+     * Update presence indicator in UI - who else is looking at the club right now
      * @param {string} clubId 
-     * @param {number} userCount 
-     */
-    updatePresenceIndicator(clubId, userCount) {
-        // Add presence indicator to current club view
-        if (appState.currentClubId === clubId && userCount > 1) {
-            const header = document.querySelector('.current-club');
-            if (header && !header.querySelector('.presence-indicator')) {
-                const indicator = document.createElement('span');
-                indicator.className = 'presence-indicator';
-                indicator.innerHTML = ` <span class="status-indicator online"></span>${userCount} online`;
-                header.appendChild(indicator);
-            }
-        }
+     * @param {Array<string>} userIds 
+     */
+    updatePresenceIndicator(clubId, userIds) {
+        if (appState.currentClubId !== clubId) return;
+
+        const header = document.querySelector('.current-club');
+        if (!header) return;
+
+        header.querySelector('.presence-indicator')?.remove();
+        if (userIds.length < 2) return;
+
+        const names = userIds.map(userId => profileManager.getLabel(userId));
+        const indicator = document.createElement('span');
+        indicator.className = 'presence-indicator';
+        indicator.title = `Online: ${names.join(', ')}`;
+        indicator.innerHTML = ` <span class="status-indicator online"></span>${userIds.length} online
+            <span class="presence-avatars">${userIds.map(userId => uiComponents.renderAvatar(userId)).join('')}</span>`;
+        header.appendChild(indicator);
     }
 
     /**
@@ -577,6 +975,18 @@ class RealtimeManager {
             this.handleConnectionLost();
         });
 
+        // Keep the pending count in the connection indicator current
+        outboxManager.onChange(count => this.showPendingCount(count));
+
+        // Send changes queued before the last reload
+        if (outboxManager.getCount() > 0) {
+            if (navigator.onLine === false) {
+                this.handleConnectionLost();
+            } else {
+                await this.replayOutbox();
+            }
+        }
+
         // Set up heartbeat to detect connection issues
         this.startHeartbeat();
     }
@@ -595,10 +1005,10 @@ class RealtimeManager {
     }
 
     /**
-     * Check connection health
+     * Check connection health (from the leader tab only)
      */
     async checkConnectionHealth() {
-        if (!supabaseManager.isCollaborativeMode()) return;
+        if (!supabaseManager.isCollaborativeMode() || !tabSyncManager.isLeader()) return;
 
         try {
             const supabase = supabaseManager.getClient();
@@ -643,6 +1053,8 @@ class RealtimeManager {
      * Handle connection restored
      */
     async handleConnectionRestored() {
+        this.connectionState = 'connected';
+        this.showConnectionStatus('connected');
         this.showRealtimeNotification('🔄 Connection restored - syncing...');
         
         // Resubscribe to all active clubs
@@ -652,12 +1064,33 @@ class RealtimeManager {
             await this.subscribeToBookClub(clubId);
         }
         
-        // Force data sync
+        // Send changes made while offline, then force data sync
+        await this.replayOutbox();
         await storageManager.loadData();
         uiComponents.updateBookClubsList();
         uiComponents.updateBookClubView();
     }
 
+    /**
+     * Send the changes queued in the outbox and report any the server refused
+     * @returns {Promise<Object>} The replay result (see StorageManager.replayOutbox)
+     */
+    async replayOutbox() {
+        const result = await storageManager.replayOutbox();
+
+        if (result.rejected > 0) {
+            const count = result.rejected;
+            this.showRealtimeNotification(`⚠️ ${count} offline change${count === 1 ? ' was' : 's were'} refused by the server and undone`);
+            uiComponents.updateBookClubsList();
+            uiComponents.updateBookClubView();
+        } else if (result.sent > 0) {
+            this.showRealtimeNotification(`✅ Synced ${result.sent} offline change${result.sent === 1 ? '' : 's'}`);
+        }
+
+        this.showPendingCount(result.pending);
+        return result;
+    }
+
     /**
      * Handle connection lost
      */
@@ -667,6 +1100,19 @@ class RealtimeManager {
         this.showRealtimeNotification('📱 Working offline - changes will sync when reconnected');
     }
 
+    /**
+     * Update the pending count in the connection indicator, showing the indicator
+     * while changes are waiting
+     * @param {number} count
+     */
+    showPendingCount(count) {
+        if (this.shownStatus) {
+            this.showConnectionStatus(this.shownStatus);
+        } else if (count > 0) {
+            this.showConnectionStatus(navigator.onLine === false ? 'offline' : this.connectionState);
+        }
+    }
+
     /**
      * Set up global error handling
      */
@@ -781,19 +1227,27 @@ class RealtimeManager {
         };
 
         const config = statusConfig[status] || statusConfig.disconnected;
+        const pending = outboxManager.getCount();
+        const pendingText = pending > 0 ? ` · ${pending} pending change${pending === 1 ? '' : 's'}` : '';
         
-        indicator.innerHTML = `${config.dot} ${config.text}`;
+        this.shownStatus = status;
+        indicator.innerHTML = `${config.dot} ${config.text}${pendingText}`;
+        indicator.title = pending > 0 ? 'Changes waiting to sync to the cloud' : '';
         indicator.style.background = config.color;
         indicator.style.color = 'white';
+        indicator.style.opacity = '1';
 
-        // Auto-hide after a delay for connected status
-        if (status === 'connected') {
-            setTimeout(() => {
+        // Auto-hide after a delay for connected status, once nothing is waiting
+        clearTimeout(this.indicatorHideTimer);
+        if (status === 'connected' && pending === 0) {
+            this.indicatorHideTimer = setTimeout(() => {
                 if (indicator.parentNode) {
                     indicator.style.opacity = '0';
                     setTimeout(() => {
-                        if (indicator.parentNode) {
+                        // Unless it was shown again meanwhile
+                        if (indicator.parentNode && indicator.style.opacity === '0') {
                             indicator.parentNode.removeChild(indicator);
+                            this.shownStatus = null;
                         }
                     }, 300);
                 }
@@ -824,7 +824,7 @@ class RecommendationManager {
     // Include all the original methods for analysis, scoring, etc.
     getCurrentClubBooks() {
         const club = appState.getCurrentClub();
-        return club ? club.books : [];
+        return club ? club.books.map(book => book.title) : [];
     }
 
     analyzeCollection(books) {
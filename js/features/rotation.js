@@ -0,0 +1,151 @@
+// js/features/rotation.js
+/**
+ * Member-fair rotation for book selection
+ * Each member's nominations get picked in turn, so nobody goes several rounds without one of their books
+ */
+
+import appState from '../core/state.js';
+import constraintManager from './constraints.js';
+
+class RotationManager {
+    /**
+     * Get members who currently have nominations, in order of their first nomination
+     * @param {Object} club
+     * @returns {Array<string>} User IDs
+     */
+    getNominators(club) {
+        const firstNominated = new Map();
+
+        club.books.forEach(book => {
+            const addedAt = new Date(book.addedAt).getTime() || 0;
+            if (!book.addedBy) return;
+            if (!firstNominated.has(book.addedBy) || addedAt < firstNominated.get(book.addedBy)) {
+                firstNominated.set(book.addedBy, addedAt);
+            }
+        });
+
+        return [...firstNominated.entries()]
+            .sort((a, b) => a[1] - b[1])
+            .map(([userId]) => userId);
+    }
+
+    /**
+     * Get the rotation order - the stored order plus any new nominators at the end.
+     * Members keep their place while they have no nominations.
+     * @param {Object} club
+     * @returns {Array<string>}
+     */
+    getOrder(club) {
+        const order = [...(club.rotation?.order || [])];
+
+        this.getNominators(club).forEach(userId => {
+            if (!order.includes(userId)) {
+                order.push(userId);
+            }
+        });
+
+        return order;
+    }
+
+    /**
+     * Get the books the club's constraints leave in the draw
+     * @param {Object} club
+     * @returns {Set<string>} Book IDs
+     */
+    getEligibleIds(club) {
+        return new Set(constraintManager.evaluate(club, club.books).eligible.map(book => book.id));
+    }
+
+    /**
+     * Get whose turn it is, skipping members with nothing on the list and members
+     * whose nominations all break the club's constraints
+     * @param {Object} club
+     * @returns {Object|null} { userId, index, books, skipped } - books are the eligible nominations
+     */
+    getCurrentTurn(club) {
+        const order = this.getOrder(club);
+        if (order.length === 0) return null;
+
+        const eligibleIds = this.getEligibleIds(club);
+        const start = (club.rotation?.turnIndex || 0) % order.length;
+        const skipped = [];
+
+        for (let offset = 0; offset < order.length; offset++) {
+            const index = (start + offset) % order.length;
+            const userId = order[index];
+            const books = club.books.filter(book => book.addedBy === userId && eligibleIds.has(book.id));
+
+            if (books.length > 0) {
+                return { userId, index, books, skipped };
+            }
+            skipped.push(userId);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the books this round's draw considers - all of the current member's
+     * nominations, so the ones the constraints exclude can be listed
+     * @param {Object} club
+     * @returns {Array}
+     */
+    getCandidates(club) {
+        const turn = this.getCurrentTurn(club);
+        return turn ? club.books.filter(book => book.addedBy === turn.userId) : club.books;
+    }
+
+    /**
+     * Move the turn on after a member's nomination has been confirmed
+     * @param {string} clubId
+     * @param {Object} book - The confirmed book record
+     * @returns {boolean} Success status
+     */
+    advance(clubId, book) {
+        const club = appState.getBookClub(clubId);
+        if (!club || !book) return false;
+
+        const order = this.getOrder(club);
+        if (!order.includes(book.addedBy)) {
+            order.push(book.addedBy);
+        }
+
+        const pickedIndex = order.indexOf(book.addedBy);
+
+        return appState.setClubRotation(clubId, {
+            order,
+            turnIndex: (pickedIndex + 1) % order.length,
+            lastPickedBy: book.addedBy,
+            lastPickedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get rotation state for display
+     * @param {Object} club
+     * @returns {Object}
+     */
+    getStatus(club) {
+        const turn = this.getCurrentTurn(club);
+        const order = this.getOrder(club);
+        const eligibleIds = this.getEligibleIds(club);
+
+        const upNext = turn
+            ? [...order.slice(turn.index + 1), ...order.slice(0, turn.index)]
+                .filter(userId => club.books.some(book => book.addedBy === userId && eligibleIds.has(book.id)))
+            : [];
+
+        return {
+            currentUserId: turn?.userId || null,
+            currentNominations: turn?.books.length || 0,
+            skipped: turn?.skipped || [],
+            upNext,
+            lastPickedBy: club.rotation?.lastPickedBy || null,
+            memberCount: order.length
+        };
+    }
+}
+
+// Export singleton instance
+const rotationManager = new RotationManager();
+export default rotationManager;
\ No newline at end of file
@@ -0,0 +1,267 @@
+// js/features/seasonPlanner.js
+/**
+ * Season planner - draws an ordered run of books for the coming meetings
+ * Each slot is drawn as if the slots before it had already been read, so the club's
+ * selection rules (no repeat authors, genre rotation...) hold across the whole season.
+ */
+
+import appState from '../core/state.js';
+import userManager from '../core/user.js';
+import bookModel from '../core/bookModel.js';
+import constraintManager from './constraints.js';
+import weightingManager from './weighting.js';
+
+class SeasonPlanner {
+    constructor() {
+        this.intervals = {
+            weekly: 'Weekly',
+            biweekly: 'Every two weeks',
+            monthly: 'Monthly'
+        };
+        this.defaultSlotCount = 3;
+        this.maxSlots = 24;
+    }
+
+    /**
+     * Generate unique season ID
+     * @returns {string}
+     */
+    generateSeasonId() {
+        return `season_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Work out meeting dates from a first date and an interval
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {number} count
+     * @param {string} interval - 'weekly', 'biweekly' or 'monthly'
+     * @returns {Array<string>} YYYY-MM-DD dates
+     */
+    getMeetingDates(startDate, count, interval = 'monthly') {
+        const [year, month, day] = startDate.split('-').map(Number);
+
+        return Array.from({ length: count }, (_, index) => {
+            const date = interval === 'monthly'
+                ? new Date(Date.UTC(year, month - 1 + index, Math.min(day, this.getDaysInMonth(year, month - 1 + index))))
+                : new Date(Date.UTC(year, month - 1, day + index * (interval === 'weekly' ? 7 : 14)));
+            return date.toISOString().split('T')[0];
+        });
+    }
+
+    /**
+     * Get the number of days in a month
+     * @param {number} year
+     * @param {number} monthIndex - May overflow past 11
+     * @returns {number}
+     */
+    getDaysInMonth(year, monthIndex) {
+        return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    }
+
+    /**
+     * Draw books for a run of slots. Locked slots keep their book; the others are drawn
+     * in order, each one checked against the club's history plus the slots before it.
+     * @param {Object} club
+     * @param {Array<Object>} slots - { bookId, meetingDate, locked }
+     * @returns {Array<Object>} Slots with books filled in
+     * @throws {Error} When a slot has no eligible title left
+     */
+    fillSlots(club, slots) {
+        const lockedIds = new Set(slots.filter(slot => slot.locked).map(slot => slot.bookId));
+        const planned = [];
+
+        return slots.map((slot, index) => {
+            let book = slot.locked ? bookModel.find(club.books, slot.bookId) : null;
+
+            if (!book) {
+                const usedIds = new Set([...lockedIds, ...planned.map(item => item.id)]);
+                const pool = club.books.filter(item => !usedIds.has(item.id));
+                const context = {
+                    ...club,
+                    readingHistory: [...(club.readingHistory || []), ...planned.map(item => ({ book: item }))]
+                };
+                const { eligible, excluded } = constraintManager.evaluate(context, pool);
+
+                if (eligible.length === 0) {
+                    const details = excluded.length > 0 ? `\n${constraintManager.describeExclusions(excluded)}` : '';
+                    throw new Error(`No eligible title is left for meeting ${index + 1} (${slot.meetingDate}).${details}`);
+                }
+
+                book = this.pickBook(club, eligible);
+            }
+
+            planned.push(book);
+            return { ...slot, bookId: book.id };
+        });
+    }
+
+    /**
+     * Pick one book, weighted when the club uses weighting
+     * @param {Object} club
+     * @param {Array} candidates
+     * @returns {Object}
+     */
+    pickBook(club, candidates) {
+        if (weightingManager.isEnabled(club)) {
+            return weightingManager.pick(weightingManager.getWeightedCandidates(club, candidates)).book;
+        }
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    /**
+     * Draw a new draft plan
+     * @param {string} clubId
+     * @param {Object} options - { count, startDate, interval }
+     * @returns {Object|null} The draft plan
+     * @throws {Error} When there are not enough eligible titles
+     */
+    createPlan(clubId, options = {}) {
+        const club = appState.getBookClub(clubId);
+        if (!club) return null;
+
+        const count = Math.min(this.maxSlots, Math.max(1, parseInt(options.count, 10) || this.defaultSlotCount));
+        if (count > club.books.length) {
+            throw new Error(`A ${count}-meeting season needs ${count} books - this club has ${club.books.length}.`);
+        }
+
+        const interval = this.intervals[options.interval] ? options.interval : 'monthly';
+        const startDate = options.startDate || new Date().toISOString().split('T')[0];
+        const slots = this.getMeetingDates(startDate, count, interval)
+            .map(meetingDate => ({ bookId: null, meetingDate, locked: false }));
+
+        const plan = {
+            id: this.generateSeasonId(),
+            interval,
+            slots: this.fillSlots(club, slots),
+            createdBy: userManager.getCurrentUserId(),
+            createdAt: new Date().toISOString()
+        };
+
+        appState.setSeasonPlan(clubId, plan);
+        return plan;
+    }
+
+    /**
+     * Redraw every unlocked slot
+     * @param {string} clubId
+     * @returns {Object|null} The updated plan
+     */
+    redrawUnlocked(clubId) {
+        const club = appState.getBookClub(clubId);
+        if (!club?.seasonPlan) return null;
+
+        return this.updateSlots(clubId, this.fillSlots(club, club.seasonPlan.slots));
+    }
+
+    /**
+     * Swap one slot's book for a different eligible title, keeping the rest of the plan
+     * @param {string} clubId
+     * @param {number} index
+     * @returns {Object|null} The updated plan
+     */
+    swapSlot(clubId, index) {
+        const club = appState.getBookClub(clubId);
+        const slots = club?.seasonPlan?.slots;
+        if (!slots?.[index] || slots[index].locked) return null;
+
+        // Lock everything else for this draw and leave the current book out of the pool
+        const currentId = slots[index].bookId;
+        const pinned = slots.map((slot, i) => i === index ? { ...slot, locked: false } : { ...slot, locked: true });
+        const filled = this.fillSlots({ ...club, books: club.books.filter(book => book.id !== currentId) }, pinned);
+
+        return this.updateSlots(clubId, slots.map((slot, i) => i === index ? { ...slot, bookId: filled[i].bookId } : slot));
+    }
+
+    /**
+     * Move a slot's book one meeting earlier or later (meeting dates stay put)
+     * @param {string} clubId
+     * @param {number} index
+     * @param {number} direction - -1 for earlier, 1 for later
+     * @returns {Object|null} The updated plan
+     */
+    moveSlot(clubId, index, direction) {
+        const slots = appState.getBookClub(clubId)?.seasonPlan?.slots;
+        const target = index + direction;
+        if (!slots?.[index] || !slots[target] || slots[index].locked || slots[target].locked) return null;
+
+        const moved = slots.map(slot => ({ ...slot }));
+        [moved[index].bookId, moved[target].bookId] = [moved[target].bookId, moved[index].bookId];
+        return this.updateSlots(clubId, moved);
+    }
+
+    /**
+     * Lock or unlock a slot
+     * @param {string} clubId
+     * @param {number} index
+     * @returns {Object|null} The updated plan
+     */
+    toggleLock(clubId, index) {
+        const slots = appState.getBookClub(clubId)?.seasonPlan?.slots;
+        if (!slots?.[index]) return null;
+
+        return this.updateSlots(clubId, slots.map((slot, i) => i === index ? { ...slot, locked: !slot.locked } : slot));
+    }
+
+    /**
+     * Change a slot's meeting date
+     * @param {string} clubId
+     * @param {number} index
+     * @param {string} meetingDate - YYYY-MM-DD
+     * @returns {Object|null} The updated plan
+     */
+    setMeetingDate(clubId, index, meetingDate) {
+        const slots = appState.getBookClub(clubId)?.seasonPlan?.slots;
+        if (!slots?.[index] || !meetingDate) return null;
+
+        return this.updateSlots(clubId, slots.map((slot, i) => i === index ? { ...slot, meetingDate } : slot));
+    }
+
+    /**
+     * Store new slots on the club's plan
+     * @param {string} clubId
+     * @param {Array<Object>} slots
+     * @returns {Object} The updated plan
+     */
+    updateSlots(clubId, slots) {
+        const plan = { ...appState.getBookClub(clubId).seasonPlan, slots };
+        appState.setSeasonPlan(clubId, plan);
+        return plan;
+    }
+
+    /**
+     * Check a plan against the current list and the club's rules before confirming
+     * @param {Object} club
+     * @returns {Array<string>} Problems found (empty when the plan is good to confirm)
+     */
+    validatePlan(club) {
+        const plan = club.seasonPlan;
+        if (!plan) return ['There is no season plan to confirm.'];
+
+        const problems = [];
+        const planned = [];
+
+        plan.slots.forEach((slot, index) => {
+            const book = bookModel.find(club.books, slot.bookId);
+            if (!book) {
+                problems.push(`Meeting ${index + 1}: the planned book is no longer on the list.`);
+                return;
+            }
+
+            const context = {
+                ...club,
+                readingHistory: [...(club.readingHistory || []), ...planned.map(item => ({ book: item }))]
+            };
+            const { excluded } = constraintManager.evaluate(context, [book]);
+            excluded.forEach(({ reasons }) => {
+                problems.push(`Meeting ${index + 1} (${book.title}): ${reasons.map(result => result.reason).join('; ')}`);
+            });
+            planned.push(book);
+        });
+
+        return problems;
+    }
+}
+
+// Export singleton instance
+const seasonPlanner = new SeasonPlanner();
+export default seasonPlanner;
\ No newline at end of file
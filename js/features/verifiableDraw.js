@@ -0,0 +1,310 @@
+// js/features/verifiableDraw.js
+/**
+ * Verifiable seeded draws for book selection
+ * The seed is committed before drawing (hashed from the club ID, the meeting date and the
+ * list snapshot), so any member can recompute the pick on their own device and every
+ * reroll is counted on the club record.
+ */
+
+import appState from '../core/state.js';
+import userManager from '../core/user.js';
+import membershipManager from '../core/membership.js';
+
+class VerifiableDrawManager {
+    /**
+     * SHA-256 hex digest of a string
+     * @param {string} text
+     * @returns {Promise<string>}
+     */
+    async sha256(text) {
+        const data = new TextEncoder().encode(text);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return [...new Uint8Array(digest)]
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Create a seeded PRNG (sfc32) from a hex seed
+     * @param {string} seedHex - At least 32 hex characters
+     * @returns {Function} Returns floats in [0, 1)
+     */
+    createPrng(seedHex) {
+        let [a, b, c, d] = [0, 8, 16, 24].map(offset => parseInt(seedHex.substring(offset, offset + 8), 16) >>> 0);
+
+        return () => {
+            a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+            let t = (a + b) | 0;
+            a = b ^ (b >>> 9);
+            b = (c + (c << 3)) | 0;
+            c = (c << 21) | (c >>> 11);
+            d = (d + 1) | 0;
+            t = (t + d) | 0;
+            c = (c + t) | 0;
+            return (t >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Canonical snapshot of the candidate list - book IDs in sorted order
+     * @param {Array} books
+     * @returns {Array<string>}
+     */
+    getSnapshot(books) {
+        return books.map(book => book.id).sort();
+    }
+
+    /**
+     * Hash a list snapshot
+     * @param {Array<string>} bookIds
+     * @returns {Promise<string>}
+     */
+    async hashList(bookIds) {
+        return this.sha256(bookIds.join('\n'));
+    }
+
+    /**
+     * Derive the committed seed
+     * @param {string} clubId
+     * @param {string} meetingDate - YYYY-MM-DD
+     * @param {string} listHash
+     * @returns {Promise<string>}
+     */
+    async deriveSeed(clubId, meetingDate, listHash) {
+        return this.sha256(`${clubId}|${meetingDate}|${listHash}`);
+    }
+
+    /**
+     * Pick an index for a given draw number. Draw 0 is the first draw, each reroll
+     * takes the next value from the same PRNG stream.
+     * @param {string} seed
+     * @param {number} drawNumber
+     * @param {number} candidateCount
+     * @returns {number}
+     */
+    pickIndex(seed, drawNumber, candidateCount) {
+        const random = this.createPrng(seed);
+        let value = random();
+
+        for (let i = 0; i < drawNumber; i++) {
+            value = random();
+        }
+
+        return Math.floor(value * candidateCount);
+    }
+
+    /**
+     * Get today's date as YYYY-MM-DD (default meeting date)
+     * @returns {string}
+     */
+    getDefaultMeetingDate() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * Commit a seed for the upcoming meeting before anyone draws. Once a draw has been
+     * revealed the meeting date is locked, and a new commitment (after the list changed)
+     * keeps the earlier one in its history so members can see every seed that was drawn from.
+     * @param {string} clubId
+     * @param {Array} candidates - Books eligible for the draw
+     * @param {string} meetingDate - YYYY-MM-DD
+     * @returns {Promise<Object|null>} The commitment
+     * @throws {Error} When a draw was revealed for a different meeting date
+     */
+    async commit(clubId, candidates, meetingDate = null) {
+        const club = appState.getBookClub(clubId);
+        if (!club || candidates.length === 0) return null;
+
+        const previous = club.drawState;
+        const revealed = previous?.draws?.length > 0;
+        if (revealed && meetingDate && meetingDate !== previous.meetingDate) {
+            throw new Error(`A draw for ${previous.meetingDate} has already been revealed. Confirm the selection before committing for another meeting.`);
+        }
+
+        const date = meetingDate || previous?.meetingDate || this.getDefaultMeetingDate();
+        const snapshot = this.getSnapshot(candidates);
+        const listHash = await this.hashList(snapshot);
+        const seed = await this.deriveSeed(clubId, date, listHash);
+        const previousCommitments = previous?.previousCommitments || [];
+
+        const commitment = {
+            meetingDate: date,
+            listHash,
+            seed,
+            snapshot,
+            committedAt: new Date().toISOString(),
+            committedBy: userManager.getCurrentUserId(),
+            commitCount: (previous?.commitCount || 0) + 1,
+            rerolls: revealed ? previous.rerolls : 0,
+            draws: [],
+            previousCommitments: revealed
+                ? [...previousCommitments, this.summarizeCommitment(previous)]
+                : previousCommitments
+        };
+
+        appState.setDrawState(clubId, commitment);
+        return commitment;
+    }
+
+    /**
+     * Short record of a replaced commitment and the draws revealed from it
+     * @param {Object} drawState
+     * @returns {Object}
+     */
+    summarizeCommitment(drawState) {
+        return {
+            commitCount: drawState.commitCount,
+            meetingDate: drawState.meetingDate,
+            listHash: drawState.listHash,
+            seed: drawState.seed,
+            committedAt: drawState.committedAt,
+            committedBy: drawState.committedBy,
+            draws: drawState.draws.map(({ drawNumber, bookId }) => ({ drawNumber, bookId }))
+        };
+    }
+
+    /**
+     * Count the draws revealed from commitments this one replaced
+     * @param {Object} drawState
+     * @returns {number}
+     */
+    getEarlierDrawCount(drawState) {
+        return (drawState.previousCommitments || []).reduce((total, item) => total + item.draws.length, 0);
+    }
+
+    /**
+     * Check whether a commitment still matches the current candidate list
+     * @param {Object} drawState
+     * @param {Array} candidates
+     * @returns {boolean}
+     */
+    matchesCandidates(drawState, candidates) {
+        if (!drawState?.snapshot) return false;
+        const snapshot = this.getSnapshot(candidates);
+        return snapshot.length === drawState.snapshot.length &&
+               snapshot.every((id, index) => id === drawState.snapshot[index]);
+    }
+
+    /**
+     * Draw from the committed seed. The first call uses draw 0; every later call
+     * for the same commitment is a reroll and is counted.
+     * Excluded titles (a veto) stay in the committed list but are left out of the pick:
+     * the draw's PRNG value indexes the snapshot minus the excluded IDs, so the result
+     * can still be recomputed from the published details.
+     * @param {string} clubId
+     * @param {Array} candidates
+     * @param {Array<string>} excludedIds - Book IDs to leave out of this draw
+     * @returns {Promise<{book: Object, details: Object}>}
+     * @throws {Error} When the list no longer matches the commitment, or a member draws before one was made
+     */
+    async draw(clubId, candidates, excludedIds = []) {
+        const club = appState.getBookClub(clubId);
+        if (!club) throw new Error('Club not found');
+
+        let drawState = club.drawState;
+        if (!drawState?.seed) {
+            // Members draw from a commitment; making one is the organizers' call
+            if (!membershipManager.can(club, 'manageSelection')) {
+                throw new Error('An organizer has to commit this draw before members can draw from it.');
+            }
+            drawState = await this.commit(clubId, candidates);
+        } else if (!this.matchesCandidates(drawState, candidates)) {
+            throw new Error('The reading list changed since the draw was committed. Commit a new draw before selecting.');
+        }
+
+        const excluded = drawState.snapshot.filter(id => excludedIds.includes(id));
+        const pool = this.getPool(drawState.snapshot, excluded);
+        if (pool.length === 0) {
+            throw new Error('There is no other eligible title to draw instead.');
+        }
+
+        const drawNumber = drawState.draws.length;
+        const rerolls = this.getEarlierDrawCount(drawState) + drawNumber;
+        const candidatesById = new Map(candidates.map(book => [book.id, book]));
+        const index = this.pickIndex(drawState.seed, drawNumber, pool.length);
+        const book = candidatesById.get(pool[index]);
+
+        const drawRecord = {
+            drawNumber,
+            bookId: book.id,
+            excludedIds: excluded,
+            drawnAt: new Date().toISOString(),
+            drawnBy: userManager.getCurrentUserId()
+        };
+
+        appState.setDrawState(clubId, {
+            ...drawState,
+            rerolls,
+            draws: [...drawState.draws, drawRecord]
+        });
+
+        return {
+            book,
+            details: {
+                clubId,
+                meetingDate: drawState.meetingDate,
+                listHash: drawState.listHash,
+                seed: drawState.seed,
+                snapshot: drawState.snapshot,
+                excludedIds: excluded,
+                drawNumber,
+                rerolls,
+                previousCommitments: drawState.previousCommitments || [],
+                resultId: book.id
+            }
+        };
+    }
+
+    /**
+     * The snapshot a draw picks from once its excluded titles are left out
+     * @param {Array<string>} snapshot
+     * @param {Array<string>} excludedIds
+     * @returns {Array<string>}
+     */
+    getPool(snapshot, excludedIds = []) {
+        return snapshot.filter(id => !excludedIds.includes(id));
+    }
+
+    /**
+     * Recompute a draw from its published details
+     * @param {Object} details - Details stored with the selection or history entry
+     * @returns {Promise<Object>} { valid, checks, expectedId, previousCommitments }
+     */
+    async verify(details) {
+        if (!details?.seed || !Array.isArray(details.snapshot)) {
+            return { valid: false, checks: { complete: false }, expectedId: null, previousCommitments: [] };
+        }
+
+        const listHash = await this.hashList(details.snapshot);
+        const seed = await this.deriveSeed(details.clubId, details.meetingDate, listHash);
+        const pool = this.getPool(details.snapshot, details.excludedIds);
+        const expectedId = pool[this.pickIndex(seed, details.drawNumber, pool.length)];
+
+        const checks = {
+            complete: true,
+            listHash: listHash === details.listHash,
+            seed: seed === details.seed,
+            result: expectedId === details.resultId
+        };
+
+        return {
+            valid: checks.listHash && checks.seed && checks.result,
+            checks,
+            expectedId,
+            previousCommitments: details.previousCommitments || []
+        };
+    }
+
+    /**
+     * Shorten a hash for display
+     * @param {string} hash
+     * @returns {string}
+     */
+    shortHash(hash) {
+        return hash ? hash.substring(0, 12) : '';
+    }
+}
+
+// Export singleton instance
+const verifiableDrawManager = new VerifiableDrawManager();
+export default verifiableDrawManager;
\ No newline at end of file
@@ -0,0 +1,108 @@
+// js/features/vetoes.js
+/**
+ * Veto tokens - each member gets a few vetoes per season to reject a draw
+ * The season's veto log lives on the club record; spending a veto redraws the pick
+ * and is broadcast to everyone watching the club.
+ */
+
+import userManager from '../core/user.js';
+
+class VetoManager {
+    constructor() {
+        this.defaultPerSeason = 2;
+        this.maxPerSeason = 20;
+    }
+
+    /**
+     * Generate unique ID
+     * @param {string} prefix
+     * @returns {string}
+     */
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Check whether a club hands out veto tokens
+     * @param {Object} club
+     * @returns {boolean}
+     */
+    isEnabled(club) {
+        return !!club?.selectionSettings?.vetoes?.enabled;
+    }
+
+    /**
+     * Get how many vetoes each member gets per season
+     * @param {Object} club
+     * @returns {number}
+     */
+    getPerSeason(club) {
+        return club?.selectionSettings?.vetoes?.perSeason ?? this.defaultPerSeason;
+    }
+
+    /**
+     * Clean up a per-season allowance read from the settings form
+     * @param {*} value
+     * @returns {number}
+     */
+    normalizePerSeason(value) {
+        const parsed = parseInt(value, 10);
+        return Number.isFinite(parsed) ? Math.min(this.maxPerSeason, Math.max(1, parsed)) : this.defaultPerSeason;
+    }
+
+    /**
+     * Start a fresh veto season
+     * @returns {Object} { seasonId, startedAt, startedBy, log }
+     */
+    createSeason() {
+        return {
+            seasonId: this.generateId('vetoseason'),
+            startedAt: new Date().toISOString(),
+            startedBy: userManager.getCurrentUserId(),
+            log: []
+        };
+    }
+
+    /**
+     * Count the vetoes a member has spent this season
+     * @param {Object} club
+     * @param {string} userId
+     * @returns {number}
+     */
+    getSpent(club, userId = userManager.getCurrentUserId()) {
+        return (club?.vetoState?.log || []).filter(veto => veto.userId === userId).length;
+    }
+
+    /**
+     * Count the vetoes a member has left this season
+     * @param {Object} club
+     * @param {string} userId
+     * @returns {number}
+     */
+    getRemaining(club, userId = userManager.getCurrentUserId()) {
+        if (!this.isEnabled(club) || !club.vetoState) return 0;
+        return Math.max(0, this.getPerSeason(club) - this.getSpent(club, userId));
+    }
+
+    /**
+     * Build the record for vetoing a club's current pick
+     * @param {Object} club
+     * @param {Object} book - The vetoed book
+     * @returns {Object} { id, seasonId, userId, bookId, title, vetoedAt, replacementId }
+     */
+    createVeto(club, book) {
+        return {
+            id: this.generateId('veto'),
+            seasonId: club.vetoState.seasonId,
+            userId: userManager.getCurrentUserId(),
+            bookId: book.id,
+            title: book.title,
+            vetoedAt: new Date().toISOString(),
+            replacementId: null
+        };
+    }
+}
+
+// Export singleton instance
+const vetoManager = new VetoManager();
+export default vetoManager;
\ No newline at end of file
@@ -0,0 +1,413 @@
+// js/features/voting.js
+/**
+ * Voting rounds as an alternative to random selection
+ * Members rank a shortlist drawn from the club's books; the winner is found by
+ * instant-runoff (default), Borda count or approval voting.
+ */
+
+import appState from '../core/state.js';
+import userManager from '../core/user.js';
+import bookModel from '../core/bookModel.js';
+
+class VotingManager {
+    constructor() {
+        this.methods = {
+            irv: 'Instant-runoff',
+            borda: 'Borda count',
+            approval: 'Approval'
+        };
+        this.defaultShortlistSize = 5;
+        this.tieBreakRules = {
+            irv: [
+                'Eliminate the tied book with the fewest votes in the earliest round where the tied books differ',
+                'Then eliminate the book with the fewest Borda points across all ballots',
+                'Then eliminate the book added to the collection most recently'
+            ],
+            borda: [
+                'Prefer the tied book ranked first on more ballots',
+                'Then prefer the book added to the collection earliest'
+            ],
+            approval: [
+                'Prefer the tied book ranked first on more ballots',
+                'Then prefer the book added to the collection earliest'
+            ]
+        };
+    }
+
+    /**
+     * Generate unique voting round ID
+     * @returns {string}
+     */
+    generateRoundId() {
+        return `vote_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Open a voting round on a shortlist drawn at random from the club's books
+     * @param {string} clubId
+     * @param {Object} options - { method, shortlistSize }
+     * @param {Array} candidates - Books the shortlist may include (defaults to all)
+     * @returns {Object|null} The new round
+     */
+    openRound(clubId, options = {}, candidates = null) {
+        const club = appState.getBookClub(clubId);
+        const books = candidates || club?.books || [];
+        if (!club || books.length === 0) return null;
+
+        const method = this.methods[options.method] ? options.method : 'irv';
+        const size = Math.max(2, parseInt(options.shortlistSize, 10) || this.defaultShortlistSize);
+
+        const pool = [...books];
+        const shortlist = [];
+        while (pool.length > 0 && shortlist.length < size) {
+            const [book] = pool.splice(Math.floor(Math.random() * pool.length), 1);
+            shortlist.push(book.id);
+        }
+
+        const round = {
+            id: this.generateRoundId(),
+            status: 'open',
+            method,
+            shortlist,
+            titles: Object.fromEntries(shortlist.map(id => [id, bookModel.find(club.books, id).title])),
+            tieBreakRules: this.tieBreakRules[method],
+            openedBy: userManager.getCurrentUserId(),
+            openedAt: new Date().toISOString(),
+            closedAt: null,
+            ballots: {},
+            result: null
+        };
+
+        appState.setVotingRound(clubId, round);
+        return round;
+    }
+
+    /**
+     * Cast or replace the current user's ballot
+     * @param {string} clubId
+     * @param {Array<string>} ranking - Book IDs, most preferred first. For approval
+     *                                  voting every ranked book counts as approved.
+     * @returns {Object|null} The recorded ballot
+     */
+    castBallot(clubId, ranking) {
+        const club = appState.getBookClub(clubId);
+        const round = club?.votingRound;
+        if (!round || round.status !== 'open') return null;
+
+        const cleanRanking = [...new Set(ranking)].filter(id => round.shortlist.includes(id));
+        if (cleanRanking.length === 0) return null;
+
+        const ballot = {
+            voterId: userManager.getCurrentUserId(),
+            ranking: cleanRanking,
+            castAt: new Date().toISOString()
+        };
+
+        return appState.setBallot(clubId, round.id, ballot) ? ballot : null;
+    }
+
+    /**
+     * Close the round, tally the ballots and make the winner the current selection
+     * @param {string} clubId
+     * @returns {Object|null} The tally result
+     * @throws {Error} When nobody has voted yet
+     */
+    closeRound(clubId) {
+        const club = appState.getBookClub(clubId);
+        const round = club?.votingRound;
+        if (!round || round.status !== 'open') return null;
+
+        const ballots = Object.values(round.ballots);
+        if (ballots.length === 0) {
+            throw new Error('No ballots have been cast yet.');
+        }
+
+        const result = this.tally(round, club.books);
+        if (result.totalBallots === 0) {
+            throw new Error('None of the ballots rank a book that is still on the list.');
+        }
+
+        const closedRound = {
+            ...round,
+            status: 'closed',
+            closedAt: new Date().toISOString(),
+            result
+        };
+
+        // Select before publishing the closed round so listeners see the vote as the selection method
+        if (result.winnerId) {
+            appState.setClubSelection(clubId, result.winnerId, {
+                method: 'vote',
+                details: { vote: this.summarizeRound(closedRound) }
+            });
+        }
+
+        appState.setVotingRound(clubId, closedRound);
+
+        return result;
+    }
+
+    /**
+     * Copy of a closed round for the reading history
+     * @param {Object} round
+     * @returns {Object}
+     */
+    summarizeRound(round) {
+        return {
+            roundId: round.id,
+            method: round.method,
+            shortlist: [...round.shortlist],
+            titles: { ...round.titles },
+            winnerId: round.result.winnerId,
+            ballots: Object.values(round.ballots),
+            rounds: round.result.rounds,
+            tieBreaks: round.result.tieBreaks,
+            tieBreakRules: round.tieBreakRules,
+            closedAt: round.closedAt
+        };
+    }
+
+    /**
+     * Tally a round with its configured method
+     * @param {Object} round
+     * @param {Array} books - Club books (used for tie-breaks on nomination date)
+     * @returns {Object} { method, winnerId, rounds, tieBreaks, totalBallots }
+     */
+    tally(round, books) {
+        // Books removed from the list since the vote opened can no longer win
+        const shortlist = round.shortlist.filter(id => bookModel.find(books, id));
+        const ballots = Object.values(round.ballots)
+            .map(ballot => ballot.ranking.filter(id => shortlist.includes(id)))
+            .filter(ranking => ranking.length > 0);
+
+        const context = {
+            shortlist,
+            ballots,
+            addedAt: this.getAddedAtLookup(shortlist, books),
+            tieBreaks: []
+        };
+
+        let outcome;
+        switch (round.method) {
+            case 'borda':
+                outcome = this.tallyBorda(context);
+                break;
+            case 'approval':
+                outcome = this.tallyApproval(context);
+                break;
+            default:
+                outcome = this.tallyInstantRunoff(context);
+        }
+
+        return {
+            method: round.method,
+            winnerId: outcome.winnerId,
+            rounds: outcome.rounds,
+            tieBreaks: context.tieBreaks,
+            totalBallots: ballots.length
+        };
+    }
+
+    /**
+     * Instant-runoff: eliminate the weakest book until one has a majority of active ballots
+     * @param {Object} context
+     * @returns {Object}
+     */
+    tallyInstantRunoff(context) {
+        const remaining = [...context.shortlist];
+        const rounds = [];
+
+        while (remaining.length > 0) {
+            const counts = Object.fromEntries(remaining.map(id => [id, 0]));
+            let exhausted = 0;
+
+            context.ballots.forEach(ranking => {
+                const top = ranking.find(id => remaining.includes(id));
+                if (top) {
+                    counts[top]++;
+                } else {
+                    exhausted++;
+                }
+            });
+
+            const active = context.ballots.length - exhausted;
+            const maxVotes = Math.max(...Object.values(counts));
+            const leaders = remaining.filter(id => counts[id] === maxVotes);
+
+            if (remaining.length === 1 || (leaders.length === 1 && maxVotes > active / 2)) {
+                rounds.push({ round: rounds.length + 1, counts, exhausted, eliminated: null });
+                return { winnerId: leaders[0], rounds };
+            }
+
+            const minVotes = Math.min(...Object.values(counts));
+            const lowest = remaining.filter(id => counts[id] === minVotes);
+            const eliminated = lowest.length === 1
+                ? lowest[0]
+                : this.breakEliminationTie(lowest, rounds, context, rounds.length + 1);
+
+            rounds.push({ round: rounds.length + 1, counts, exhausted, eliminated });
+            remaining.splice(remaining.indexOf(eliminated), 1);
+        }
+
+        return { winnerId: null, rounds };
+    }
+
+    /**
+     * Borda count: with n books, a first choice scores n-1 points, the last n-len(ranking)
+     * @param {Object} context
+     * @returns {Object}
+     */
+    tallyBorda(context) {
+        const counts = this.getBordaPoints(context);
+        return this.pickHighest(counts, context);
+    }
+
+    /**
+     * Approval: every book a member ranked counts as one approval
+     * @param {Object} context
+     * @returns {Object}
+     */
+    tallyApproval(context) {
+        const counts = Object.fromEntries(context.shortlist.map(id => [id, 0]));
+        context.ballots.forEach(ranking => {
+            ranking.forEach(id => { counts[id]++; });
+        });
+        return this.pickHighest(counts, context);
+    }
+
+    /**
+     * Single-round winner for point-based methods
+     * @param {Object} counts
+     * @param {Object} context
+     * @returns {Object}
+     */
+    pickHighest(counts, context) {
+        const maxPoints = Math.max(...Object.values(counts));
+        const leaders = context.shortlist.filter(id => counts[id] === maxPoints);
+        const winnerId = leaders.length === 1 ? leaders[0] : this.breakWinnerTie(leaders, context);
+
+        return { winnerId, rounds: [{ round: 1, counts, exhausted: 0, eliminated: null }] };
+    }
+
+    /**
+     * Borda points for every shortlisted book
+     * @param {Object} context
+     * @returns {Object}
+     */
+    getBordaPoints(context) {
+        const size = context.shortlist.length;
+        const points = Object.fromEntries(context.shortlist.map(id => [id, 0]));
+
+        context.ballots.forEach(ranking => {
+            ranking.forEach((id, position) => {
+                points[id] += size - 1 - position;
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Count first preferences for every shortlisted book
+     * @param {Object} context
+     * @returns {Object}
+     */
+    getFirstPreferences(context) {
+        const firsts = Object.fromEntries(context.shortlist.map(id => [id, 0]));
+        context.ballots.forEach(ranking => { firsts[ranking[0]]++; });
+        return firsts;
+    }
+
+    /**
+     * Choose which of several tied books to eliminate in an instant-runoff round
+     * @param {Array<string>} tied
+     * @param {Array} previousRounds
+     * @param {Object} context
+     * @param {number} roundNumber
+     * @returns {string} Book ID to eliminate
+     */
+    breakEliminationTie(tied, previousRounds, context, roundNumber) {
+        let candidates = [...tied];
+
+        // 1. Fewest votes in the earliest round where the tied books differ
+        for (const previous of previousRounds) {
+            const fewest = Math.min(...candidates.map(id => previous.counts[id] ?? 0));
+            const narrowed = candidates.filter(id => (previous.counts[id] ?? 0) === fewest);
+            if (narrowed.length < candidates.length) {
+                candidates = narrowed;
+                break;
+            }
+        }
+
+        // 2. Fewest Borda points
+        if (candidates.length > 1) {
+            const points = this.getBordaPoints(context);
+            const fewest = Math.min(...candidates.map(id => points[id]));
+            candidates = candidates.filter(id => points[id] === fewest);
+        }
+
+        // 3. Most recently added
+        const eliminated = candidates.length === 1
+            ? candidates[0]
+            : [...candidates].sort((a, b) => this.compareAddedAt(b, a, context))[0];
+
+        context.tieBreaks.push({ round: roundNumber, tied, eliminated, type: 'elimination' });
+        return eliminated;
+    }
+
+    /**
+     * Choose the winner among books tied on points
+     * @param {Array<string>} tied
+     * @param {Object} context
+     * @returns {string}
+     */
+    breakWinnerTie(tied, context) {
+        const firsts = this.getFirstPreferences(context);
+        const most = Math.max(...tied.map(id => firsts[id]));
+        let candidates = tied.filter(id => firsts[id] === most);
+
+        if (candidates.length > 1) {
+            candidates = [...candidates].sort((a, b) => this.compareAddedAt(a, b, context));
+        }
+
+        context.tieBreaks.push({ round: 1, tied, winner: candidates[0], type: 'winner' });
+        return candidates[0];
+    }
+
+    /**
+     * Order two books by when they were added (ID as a stable fallback)
+     * @param {string} a
+     * @param {string} b
+     * @param {Object} context
+     * @returns {number}
+     */
+    compareAddedAt(a, b, context) {
+        return (context.addedAt[a] - context.addedAt[b]) || a.localeCompare(b);
+    }
+
+    /**
+     * Map shortlisted book IDs to their added timestamps
+     * @param {Array<string>} shortlist
+     * @param {Array} books
+     * @returns {Object}
+     */
+    getAddedAtLookup(shortlist, books) {
+        return Object.fromEntries(shortlist.map(id => {
+            const book = bookModel.find(books, id);
+            return [id, book ? new Date(book.addedAt).getTime() || 0 : 0];
+        }));
+    }
+
+    /**
+     * Get the current user's ballot in the open round
+     * @param {Object} club
+     * @returns {Object|null}
+     */
+    getOwnBallot(club) {
+        return club.votingRound?.ballots?.[userManager.getCurrentUserId()] || null;
+    }
+}
+
+// Export singleton instance
+const votingManager = new VotingManager();
+export default votingManager;
\ No newline at end of file
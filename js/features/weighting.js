@@ -0,0 +1,221 @@
+// js/features/weighting.js
+/**
+ * Weighted random selection
+ * Per-club rules turn the uniform draw into a weighted one: books gain weight the longer
+ * they wait and the more upvotes they collect, and lose weight for a recently read author
+ * or a page count the club would rather avoid.
+ */
+
+import bookModel from '../core/bookModel.js';
+
+class WeightingManager {
+    constructor() {
+        this.minimumMultiplier = 0.05; // No rule can take a book out of the draw entirely
+        this.defaultRules = {
+            age: { enabled: true, strength: 0.25 },
+            upvotes: { enabled: true, strength: 0.5 },
+            recentAuthor: { enabled: false, lookback: 3, penalty: 0.75 },
+            pageCount: { enabled: false, prefer: 'shorter', targetPages: 300 }
+        };
+    }
+
+    /**
+     * Check whether a club draws with weights
+     * @param {Object} club
+     * @returns {boolean}
+     */
+    isEnabled(club) {
+        return !!club?.selectionSettings?.weighting?.enabled;
+    }
+
+    /**
+     * Get a club's rules merged over the defaults
+     * @param {Object} club
+     * @returns {Object}
+     */
+    getRules(club) {
+        const saved = club?.selectionSettings?.weighting?.rules || {};
+        return Object.fromEntries(Object.entries(this.defaultRules).map(([name, defaults]) =>
+            [name, { ...defaults, ...saved[name] }]
+        ));
+    }
+
+    /**
+     * Clean up rules read from the settings form
+     * @param {Object} rules
+     * @returns {Object}
+     */
+    normalizeRules(rules = {}) {
+        const number = (value, fallback, min, max) => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+        };
+        const defaults = this.defaultRules;
+
+        return {
+            age: {
+                enabled: !!rules.age?.enabled,
+                strength: number(rules.age?.strength, defaults.age.strength, 0, 10)
+            },
+            upvotes: {
+                enabled: !!rules.upvotes?.enabled,
+                strength: number(rules.upvotes?.strength, defaults.upvotes.strength, 0, 10)
+            },
+            recentAuthor: {
+                enabled: !!rules.recentAuthor?.enabled,
+                lookback: Math.round(number(rules.recentAuthor?.lookback, defaults.recentAuthor.lookback, 1, 50)),
+                penalty: number(rules.recentAuthor?.penalty, defaults.recentAuthor.penalty, 0, 1)
+            },
+            pageCount: {
+                enabled: !!rules.pageCount?.enabled,
+                prefer: rules.pageCount?.prefer === 'longer' ? 'longer' : 'shorter',
+                targetPages: Math.round(number(rules.pageCount?.targetPages, defaults.pageCount.targetPages, 1, 5000))
+            }
+        };
+    }
+
+    /**
+     * Get the authors of the club's most recent confirmed selections
+     * @param {Object} club
+     * @param {number} lookback
+     * @returns {Set<string>} Lower-cased author names
+     */
+    getRecentAuthors(club, lookback) {
+        return new Set((club.readingHistory || [])
+            .slice(-lookback)
+            .map(entry => entry.book?.author?.trim().toLowerCase())
+            .filter(Boolean));
+    }
+
+    /**
+     * Work out each rule's multiplier for one book
+     * @param {Object} book
+     * @param {Object} rules
+     * @param {Object} context - { now, recentAuthors }
+     * @returns {Array<Object>} { rule, multiplier, reason }
+     */
+    getFactors(book, rules, context) {
+        const factors = [];
+
+        if (rules.age.enabled) {
+            const days = Math.max(0, (context.now - new Date(book.addedAt).getTime()) / 86400000) || 0;
+            const months = days / 30;
+            factors.push({
+                rule: 'age',
+                multiplier: 1 + rules.age.strength * months,
+                reason: `${Math.floor(days)} days on the list`
+            });
+        }
+
+        if (rules.upvotes.enabled) {
+            const count = book.upvotes?.length || 0;
+            factors.push({
+                rule: 'upvotes',
+                multiplier: 1 + rules.upvotes.strength * count,
+                reason: `${count} upvote${count === 1 ? '' : 's'}`
+            });
+        }
+
+        if (rules.recentAuthor.enabled && book.author &&
+            context.recentAuthors.has(book.author.trim().toLowerCase())) {
+            factors.push({
+                rule: 'recentAuthor',
+                multiplier: 1 - rules.recentAuthor.penalty,
+                reason: `${book.author} was read in the last ${rules.recentAuthor.lookback} picks`
+            });
+        }
+
+        const pageCount = book.metadata?.pageCount;
+        if (rules.pageCount.enabled && pageCount) {
+            const target = rules.pageCount.targetPages;
+            const offTarget = rules.pageCount.prefer === 'shorter' ? pageCount > target : pageCount < target;
+            if (offTarget) {
+                factors.push({
+                    rule: 'pageCount',
+                    multiplier: rules.pageCount.prefer === 'shorter' ? target / pageCount : pageCount / target,
+                    reason: `${pageCount} pages (${rules.pageCount.prefer} than ${target} preferred)`
+                });
+            }
+        }
+
+        return factors.map(factor => ({
+            ...factor,
+            multiplier: Math.max(this.minimumMultiplier, factor.multiplier)
+        }));
+    }
+
+    /**
+     * Compute every candidate's weight and effective probability
+     * @param {Object} club
+     * @param {Array} candidates - Books eligible for the draw
+     * @returns {Array<Object>} { book, weight, probability, factors }
+     */
+    getWeightedCandidates(club, candidates) {
+        if (!candidates || candidates.length === 0) return [];
+
+        const rules = this.getRules(club);
+        const context = {
+            now: Date.now(),
+            recentAuthors: this.getRecentAuthors(club, rules.recentAuthor.lookback)
+        };
+
+        const entries = candidates.map(book => {
+            const factors = this.getFactors(book, rules, context);
+            const weight = factors.reduce((product, factor) => product * factor.multiplier, 1);
+            return { book, weight, factors };
+        });
+
+        const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        return entries.map(entry => ({ ...entry, probability: entry.weight / total }));
+    }
+
+    /**
+     * Draw one entry in proportion to its weight
+     * @param {Array<Object>} entries - From getWeightedCandidates
+     * @param {Function} random - Returns floats in [0, 1)
+     * @returns {Object|null} The chosen entry
+     */
+    pick(entries, random = Math.random) {
+        if (entries.length === 0) return null;
+
+        let remaining = random();
+        for (const entry of entries) {
+            remaining -= entry.probability;
+            if (remaining < 0) return entry;
+        }
+
+        return entries[entries.length - 1];
+    }
+
+    /**
+     * Get a readable label for a rule
+     * @param {string} rule
+     * @returns {string}
+     */
+    getRuleLabel(rule) {
+        const labels = {
+            age: 'Time on list',
+            upvotes: 'Member upvotes',
+            recentAuthor: 'Recent author',
+            pageCount: 'Page count'
+        };
+        return labels[rule] || rule;
+    }
+
+    /**
+     * Describe a book's weighting for display
+     * @param {Object} entry
+     * @returns {string}
+     */
+    describe(entry) {
+        const label = bookModel.getLabel(entry.book);
+        const reasons = entry.factors
+            .filter(factor => factor.multiplier !== 1)
+            .map(factor => `${factor.reason} ×${factor.multiplier.toFixed(2)}`);
+        return reasons.length > 0 ? `${label}: ${reasons.join(', ')}` : label;
+    }
+}
+
+// Export singleton instance
+const weightingManager = new WeightingManager();
+export default weightingManager;
\ No newline at end of file
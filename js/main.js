@@ -8,11 +8,18 @@ import supabaseManager from './config/supabase.js';
 import appState from './core/state.js';
 import userManager from './core/user.js';
 import storageManager from './core/storage.js';
+import tabSyncManager from './core/tabSync.js';
+import authManager from './core/auth.js';
 import navigationManager from './core/navigation.js';
 import bookClubManager from './features/bookClubs.js';
 import bookManager from './features/books.js';
 import recommendationManager from './features/recommendations.js';
 import realtimeManager from './features/realtime.js';
+import verifiableDrawManager from './features/verifiableDraw.js';
+import profileManager from './features/profiles.js';
+import deviceLinkManager from './features/deviceLink.js';
+import publicPageManager from './features/publicPages.js';
+import conflictReviewManager from './features/conflicts.js';
 import uiComponents from './ui/components.js';
 
 class LiteraryCircleApp {
@@ -40,11 +47,13 @@ class LiteraryCircleApp {
             // Initialize UI
             this.initializeUI();
 
-            // Handle special URL parameters (join links)
-            await this.handleSpecialUrls();
+            // Handle special URL parameters (join links, public pages)
+            const showingPublicPage = await this.handleSpecialUrls();
 
             // Show initial view
-            navigationManager.showHome();
+            if (!showingPublicPage) {
+                navigationManager.showHome();
+            }
 
             this.isInitialized = true;
             console.log('✅ Literary Circle initialized successfully');
@@ -80,8 +89,21 @@ class LiteraryCircleApp {
         // Initialize Supabase (optional)
         const supabaseEnabled = supabaseManager.initialize();
         
+        // Registered before the first load, which is when a claimed member ID is refused
+        appState.on('signInRequired', () => {
+            alert('🔐 Your member ID now belongs to an account. Sign in under Your Profile to keep using it on this device.');
+        });
+
         // Load data from storage
         await storageManager.loadData();
+
+        // Share changes with this app's other open tabs (after the load, which they don't need)
+        tabSyncManager.initialize();
+        
+        // Restore a signed-in account (moves this device's clubs into it on first sign-in)
+        if (supabaseEnabled) {
+            await authManager.initialize();
+        }
         
         // Update collaboration status in UI
         uiComponents.updateCollaborationStatus();
@@ -89,6 +111,7 @@ class LiteraryCircleApp {
         console.log('🔧 Core systems initialized');
         
         if (supabaseEnabled) {
+            profileManager.syncOwnProfile();
             console.log('☁️ Collaborative features enabled');
         } else {
             console.log('📱 Running in local mode');
@@ -122,13 +145,13 @@ class LiteraryCircleApp {
         appState.on('bookAdded', (data) => {
             uiComponents.updateBookClubView();
             storageManager.saveData();
-            console.log(`📖 Book added: "${data.book}" to ${data.club.name}`);
+            console.log(`📖 Book added: "${data.book.title}" to ${data.club.name}`);
         });
 
         appState.on('bookRemoved', (data) => {
             uiComponents.updateBookClubView();
             storageManager.saveData();
-            console.log(`📚 Book removed: "${data.book}" from ${data.club.name}`);
+            console.log(`📚 Book removed: "${data.book.title}" from ${data.club.name}`);
         });
 
         appState.on('allBooksCleared', (data) => {
@@ -139,16 +162,137 @@ class LiteraryCircleApp {
             console.log(`🧹 Cleared ${data.bookCount} books from ${data.club.name}`);
         });
 
+        appState.on('operationsApplied', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateBookClubView();
+            } else {
+                uiComponents.updateBookClubsList();
+            }
+        });
+
         appState.on('selectionChanged', (data) => {
-            uiComponents.showBookSelection(data.selection, false);
-            console.log(`🎲 Selected: "${data.selection}" in ${data.club.name}`);
+            uiComponents.showBookSelection(data.book, false);
+            uiComponents.updateVetoControls(data.club);
+            console.log(`🎲 Selected: "${data.book.title}" in ${data.club.name}`);
         });
 
         appState.on('selectionConfirmed', (data) => {
-            uiComponents.showBookSelection(data.selection, true);
+            uiComponents.showBookSelection(data.book, true);
             uiComponents.updateBookClubView();
             storageManager.saveData();
-            console.log(`✅ Confirmed selection: "${data.selection}" in ${data.club.name}`);
+            console.log(`✅ Confirmed selection: "${data.book.title}" in ${data.club.name}`);
+        });
+
+        appState.on('selectionSettingsChanged', (data) => {
+            uiComponents.updateSelectionSection();
+            console.log(`🎛️ Selection settings changed in ${data.club.name}`);
+        });
+
+        appState.on('drawStateChanged', () => {
+            uiComponents.updateSelectionSection();
+        });
+
+        appState.on('rotationChanged', (data) => {
+            uiComponents.updateSelectionSection();
+            console.log(`🔁 Rotation advanced in ${data.club.name}`);
+        });
+
+        appState.on('membersChanged', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateBookClubView();
+            }
+        });
+
+        appState.on('invitesChanged', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateSharingSection();
+            }
+        });
+
+        appState.on('joinRequestsChanged', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateMemberRoster();
+            }
+        });
+
+        appState.on('accountChanged', async (data) => {
+            if (data.account) {
+                await profileManager.restoreOwnProfile();
+            }
+            if (this.isInitialized) {
+                navigationManager.showHome();
+            }
+        });
+
+        appState.on('profilesChanged', () => {
+            if (appState.currentClubId) {
+                uiComponents.updateBookClubView();
+            }
+        });
+
+        appState.on('vetoSpent', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateVetoControls(data.club);
+            }
+            console.log(`🚫 "${data.veto.title}" vetoed in ${data.club.name}`);
+        });
+
+        appState.on('vetoStateChanged', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateVetoControls(data.club);
+            }
+        });
+
+        appState.on('bookUpvoted', () => {
+            uiComponents.updateBookClubView();
+        });
+
+        appState.on('votingRoundChanged', () => {
+            uiComponents.updateSelectionSection();
+        });
+
+        appState.on('bracketChanged', () => {
+            uiComponents.updateSelectionSection();
+        });
+
+        appState.on('seasonPlanChanged', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateSeasonPlanner();
+            }
+        });
+
+        appState.on('seasonConfirmed', (data) => {
+            uiComponents.updateBookClubView();
+            console.log(`📅 Season confirmed in ${data.club.name}: ${data.entries.length} meetings scheduled`);
+        });
+
+        appState.on('bracketVoteCast', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateBracketPanel(data.club);
+            }
+        });
+
+        appState.on('ballotCast', (data) => {
+            if (data.clubId === appState.currentClubId) {
+                uiComponents.updateVoteTurnout(data.club);
+            }
+        });
+
+        // Cloud work for all tabs happens in the leader tab
+        appState.on('cloudSaveRequested', () => {
+            storageManager.saveData();
+        });
+
+        // Keep this tab's local copy current with what other tabs merged in, so a reload
+        // or a tab closing doesn't fall back to the version from before their changes
+        appState.on('tabChangesReceived', () => {
+            storageManager.saveToLocalStorage();
+        });
+
+        appState.on('tabLeadershipChanged', (data) => {
+            if (data.isLeader && supabaseManager.isCollaborativeMode()) {
+                realtimeManager.replayOutbox();
+            }
         });
 
         // Global keyboard shortcuts
@@ -197,6 +341,11 @@ class LiteraryCircleApp {
             });
         }
 
+        const profileNameInput = document.getElementById('profileNameInput');
+        if (profileNameInput) {
+            profileNameInput.addEventListener('input', () => uiComponents.updateProfilePreview());
+        }
+
         // Make functions available globally for onclick handlers
         this.setupGlobalFunctions();
     }
@@ -209,12 +358,64 @@ class LiteraryCircleApp {
         window.showBookClub = (clubId) => navigationManager.showBookClub(clubId);
         window.createBookClub = () => this.createBookClub();
         window.handleDeleteClub = (clubId) => this.handleDeleteClub(clubId);
+        window.leaveClub = (clubId) => this.leaveClub(clubId);
+        window.removeMember = (userId, ban) => this.removeMember(userId, ban);
+        window.unbanMember = (userId) => bookClubManager.unbanMember(appState.currentClubId, userId);
+        window.setMemberRole = (userId, role) => this.setMemberRole(userId, role);
+        window.saveProfile = () => this.saveProfile();
+        window.selectProfileColor = (color) => uiComponents.selectProfileColor(color);
+        window.sendMagicLink = () => this.sendMagicLink();
+        window.signInWithPassword = () => this.signInWithPassword();
+        window.signUp = () => this.signUp();
+        window.signOut = () => this.signOut();
+        window.createPairingCode = () => this.createPairingCode();
+        window.createRecoveryPhrase = () => this.createRecoveryPhrase();
+        window.linkDevice = () => this.linkDevice(uiComponents.getLinkCodeValue());
+        window.shareWithUser = () => this.shareWithUser();
+        window.createInvite = () => this.createInvite();
+        window.revokeInvite = (token) => this.revokeInvite(token);
+        window.disableLegacyLinks = () => this.disableLegacyLinks();
+        window.toggleJoinApproval = (enabled) => this.toggleJoinApproval(enabled);
+        window.togglePublicPage = (enabled) => this.togglePublicPage(enabled);
+        window.toggleConflictReview = (enabled) => conflictReviewManager.setEnabled(enabled);
+        window.decideJoinRequest = (requestId, approve) => this.decideJoinRequest(requestId, approve);
+        window.offerOwnership = (userId) => this.offerOwnership(userId);
+        window.cancelOwnershipOffer = () => bookClubManager.cancelOwnershipOffer(appState.currentClubId);
+        window.respondToOwnershipOffer = (accept) => this.respondToOwnershipOffer(accept);
         window.addBook = () => this.addBook();
         window.removeBookByIndex = (index) => this.removeBookByIndex(index);
         window.clearAllBooks = () => this.clearAllBooks();
         window.selectRandomBook = () => this.selectRandomBook();
         window.regenerateSelection = () => this.regenerateSelection();
         window.confirmSelection = () => this.confirmSelection();
+        window.changeSelectionMode = (mode) => this.changeSelectionMode(mode);
+        window.toggleVerifiableDraw = (enabled) => this.toggleVerifiableDraw(enabled);
+        window.toggleWeightedDraw = (enabled) => this.toggleWeightedDraw(enabled);
+        window.saveWeightingRules = () => this.saveWeightingRules();
+        window.saveConstraints = () => this.saveConstraints();
+        window.toggleUpvote = (bookId) => this.toggleUpvote(bookId);
+        window.commitDraw = () => this.commitDraw();
+        window.verifyDraw = (entryId) => this.verifyDraw(entryId);
+        window.openVote = () => this.openVote();
+        window.submitBallot = () => this.submitBallot();
+        window.closeVote = () => this.closeVote();
+        window.cancelVote = () => this.cancelVote();
+        window.startBracket = () => this.startBracket();
+        window.voteInMatch = (matchId, bookId) => this.voteInMatch(matchId, bookId);
+        window.closeBracketRound = () => this.closeBracketRound();
+        window.cancelBracket = () => this.cancelBracket();
+        window.planSeason = () => this.planSeason();
+        window.redrawSeason = () => this.redrawSeason();
+        window.swapSeasonSlot = (index) => this.swapSeasonSlot(index);
+        window.moveSeasonSlot = (index, direction) => this.moveSeasonSlot(index, direction);
+        window.toggleSeasonSlotLock = (index) => this.toggleSeasonSlotLock(index);
+        window.setSeasonMeetingDate = (index, meetingDate) => this.setSeasonMeetingDate(index, meetingDate);
+        window.confirmSeasonPlan = () => this.confirmSeasonPlan();
+        window.discardSeasonPlan = () => this.discardSeasonPlan();
+        window.vetoSelection = () => this.vetoSelection();
+        window.toggleVetoes = (enabled) => this.toggleVetoes(enabled);
+        window.saveVetoSettings = () => this.saveVetoSettings();
+        window.startVetoSeason = () => this.startVetoSeason();
         window.getRecommendations = () => this.getRecommendations();
         window.handleClubNameKeyPress = (event) => this.handleClubNameKeyPress(event);
         window.handleKeyPress = (event) => this.handleKeyPress(event);
@@ -234,6 +435,9 @@ class LiteraryCircleApp {
         // Subscribe to new club's real-time updates
         if (newClubId && supabaseManager.isCollaborativeMode()) {
             realtimeManager.subscribeToBookClub(newClubId);
+            bookClubManager.loadInvites(newClubId);
+            bookClubManager.loadJoinRequests(newClubId)
+                .then(() => profileManager.loadClubProfiles(appState.getBookClub(newClubId)));
         }
 
         // Update UI
@@ -249,11 +453,40 @@ class LiteraryCircleApp {
      */
     async handleSpecialUrls() {
         const urlParams = new URLSearchParams(window.location.search);
-        const joinClubId = urlParams.get('join');
+        const inviteToken = urlParams.get('invite');
+        const joinClubId = urlParams.get('join'); // Links from before invite tokens
+        const pairingCode = urlParams.get('link');
+        const publicPageId = urlParams.get('page');
+
+        if (!supabaseManager.isCollaborativeMode()) return false;
 
-        if (joinClubId && supabaseManager.isCollaborativeMode()) {
-            await bookClubManager.joinFromUrl(joinClubId);
+        if (publicPageId) {
+            return this.showPublicPage(publicPageId);
+        } else if (pairingCode) {
+            await this.linkDevice(pairingCode);
+        } else if (inviteToken) {
+            await bookClubManager.joinFromUrl(inviteToken);
+        } else if (joinClubId) {
+            await bookClubManager.joinFromLegacyLink(joinClubId);
         }
+        return false;
+    }
+
+    /**
+     * Show a club's public page to a visitor, without adding them to the club
+     * @param {string} pageId 
+     * @returns {Promise<boolean>} Whether the page is showing
+     */
+    async showPublicPage(pageId) {
+        const page = await publicPageManager.loadPage(pageId);
+        if (!page) {
+            alert('❌ This page is not available. The reading group may have stopped sharing it.');
+            return false;
+        }
+
+        navigationManager.navigateTo('publicClub', { pageId });
+        uiComponents.showPublicClub(page);
+        return true;
     }
 
     /**
@@ -267,6 +500,8 @@ class LiteraryCircleApp {
             if (overlay && overlay.style.display === 'flex') {
                 uiComponents.hideConfirmation();
             }
+            // A dismissed conflict review keeps the automatic merge
+            uiComponents.resolveConflictReview('merged');
         }
 
         // Ctrl/Cmd + H for home
@@ -307,56 +542,364 @@ class LiteraryCircleApp {
         bookClubManager.delete(clubId);
     }
 
+    async leaveClub(clubId) {
+        const club = appState.getBookClub(clubId);
+        if (club && confirm(`Leave "${club.name}"? You'll need a new invite to rejoin.`)) {
+            await bookClubManager.leave(clubId);
+        }
+    }
+
+    async removeMember(userId, ban) {
+        const message = ban 
+            ? 'Ban this member? They will be removed and can\'t rejoin until the ban is lifted.' 
+            : 'Remove this member? They can rejoin with a new invite.';
+        if (!confirm(message)) return;
+        
+        const clubId = appState.currentClubId;
+        const success = await bookClubManager.removeMember(clubId, userId, ban);
+        if (success) {
+            await realtimeManager.broadcastMembershipChange(clubId, userId, ban ? 'banned' : 'removed');
+        }
+    }
+
+    async setMemberRole(userId, role) {
+        const success = await bookClubManager.setMemberRole(appState.currentClubId, userId, role);
+        if (!success) {
+            // Put the selector back to the member's actual role
+            uiComponents.updateMemberRoster();
+        }
+    }
+
+    async saveProfile() {
+        const profile = await profileManager.saveOwnProfile(uiComponents.getProfileFormValues());
+        uiComponents.updateProfileForm();
+        console.log(`🪪 Profile saved${profile.displayName ? ` - members now see you as ${profile.displayName}` : ''}`);
+    }
+
+    async sendMagicLink() {
+        const { email } = uiComponents.getAccountFormValues();
+        if (await authManager.sendMagicLink(email)) {
+            alert(`✉️ Check ${email} for a sign-in link. Open it in this browser to finish signing in.`);
+        }
+    }
+
+    async signInWithPassword() {
+        const { email, password } = uiComponents.getAccountFormValues();
+        await authManager.signInWithPassword(email, password);
+    }
+
+    async signUp() {
+        const { email, password } = uiComponents.getAccountFormValues();
+        const result = await authManager.signUp(email, password);
+        if (result === 'confirm-email') {
+            alert(`✉️ Check ${email} to confirm your account, then sign in.`);
+        }
+    }
+
+    async signOut() {
+        if (confirm('Sign out? Your reading groups are removed from this device until you sign in again.')) {
+            await authManager.signOut();
+        }
+    }
+
+    async createPairingCode() {
+        const pairing = await deviceLinkManager.createPairingCode();
+        if (pairing) {
+            uiComponents.showPairingCode(pairing);
+        }
+    }
+
+    async createRecoveryPhrase() {
+        const message = 'Create a new recovery phrase? Any phrase you saved before stops working.';
+        if (!confirm(message)) return;
+
+        const phrase = await deviceLinkManager.createRecoveryPhrase();
+        if (phrase) {
+            uiComponents.showRecoveryPhrase(phrase);
+        }
+    }
+
+    async linkDevice(code) {
+        if (!code) return;
+
+        const message = 'Link this device? It switches to the member ID the code belongs to, and reading groups on this device move to that ID.';
+        if (!confirm(message)) return;
+
+        const result = await deviceLinkManager.linkDevice(code);
+        if (result) {
+            uiComponents.hideDeviceLinkCode();
+            navigationManager.showHome();
+            if (result.userId !== result.previousUserId) {
+                alert('🔗 This device is now linked - your reading groups from both IDs are together.');
+            }
+        }
+    }
+
+    async shareWithUser() {
+        const { userId, role } = uiComponents.getShareFormValues();
+        await bookClubManager.shareWithUser(appState.currentClubId, userId, role);
+    }
+
+    async createInvite() {
+        const invite = await bookClubManager.createInvite(appState.currentClubId, uiComponents.getInviteFormValues());
+        if (invite) {
+            uiComponents.showInviteUrl(bookClubManager.generateShareUrl(appState.currentClubId, invite.token));
+        }
+    }
+
+    async revokeInvite(token) {
+        if (confirm('Revoke this invite link? Anyone who has it will no longer be able to join.')) {
+            await bookClubManager.revokeInvite(appState.currentClubId, token);
+        }
+    }
+
+    async disableLegacyLinks() {
+        await bookClubManager.disableLegacyLinks(appState.currentClubId);
+    }
+
+    async toggleJoinApproval(enabled) {
+        const success = await bookClubManager.setRequireApproval(appState.currentClubId, enabled);
+        if (!success) {
+            uiComponents.updateMemberRoster();
+        }
+    }
+
+    async togglePublicPage(enabled) {
+        const success = await publicPageManager.setPublished(appState.currentClubId, enabled);
+        if (!success) {
+            uiComponents.updateSharingSection();
+        }
+    }
+
+    async decideJoinRequest(requestId, approve) {
+        if (approve || confirm('Deny this join request?')) {
+            await bookClubManager.decideJoinRequest(appState.currentClubId, requestId, approve);
+        }
+    }
+
+    async offerOwnership(userId) {
+        if (confirm('Offer ownership of this reading group? It transfers once they accept, and you stay on as a co-owner.')) {
+            await bookClubManager.offerOwnership(appState.currentClubId, userId);
+        }
+    }
+
+    async respondToOwnershipOffer(accept) {
+        if (!accept || confirm('Become the owner of this reading group? Only the owner can delete it or transfer it again.')) {
+            await bookClubManager.respondToOwnershipOffer(appState.currentClubId, accept);
+        }
+    }
+
     /**
      * Book management functions
      */
     async addBook() {
-        const club = appState.getCurrentClub();
-        const input = document.getElementById('bookInput');
-        const title = input?.value?.trim();
-        
-        if (title && club && !club.books.includes(title)) {
-            const success = appState.addBookToClub(club.id, title);
-            if (success && input) {
-                input.value = '';
-            }
+        const book = await bookManager.addBook();
+        if (book) {
+            uiComponents.clearBookForm();
         }
     }
 
-    removeBookByIndex(index) {
-        const club = appState.getCurrentClub();
-        if (club) {
-            appState.removeBookByIndex(club.id, index);
-        }
+    async removeBookByIndex(index) {
+        await bookManager.removeByIndex(index);
     }
 
-    clearAllBooks() {
+    async clearAllBooks() {
         const club = appState.getCurrentClub();
         if (club && confirm('Clear all books from the collection?')) {
-            appState.clearAllBooks(club.id);
+            await bookManager.clearAll();
         }
     }
 
     /**
      * Selection functions
      */
-    selectRandomBook() {
-        const club = appState.getCurrentClub();
-        if (!club || club.books.length === 0) return;
-        
-        const randomIndex = Math.floor(Math.random() * club.books.length);
-        const selection = club.books[randomIndex];
-        appState.setClubSelection(club.id, selection);
+    async selectRandomBook() {
+        await bookManager.selectRandom();
+    }
+
+    async regenerateSelection() {
+        await bookManager.regenerateSelection();
+    }
+
+    async vetoSelection() {
+        const veto = await bookManager.vetoSelection();
+        if (veto) {
+            await realtimeManager.broadcastVeto(appState.currentClubId, veto);
+        }
+    }
+
+    async toggleVetoes(enabled) {
+        const success = await bookManager.setVetoSettings(enabled, uiComponents.getVetoPerSeason());
+        if (!success) {
+            uiComponents.updateSelectionSection();
+        }
+    }
+
+    async saveVetoSettings() {
+        await bookManager.setVetoSettings(true, uiComponents.getVetoPerSeason());
+    }
+
+    async startVetoSeason() {
+        if (confirm('Start a new veto season? Every member gets their vetoes back.')) {
+            await bookManager.startVetoSeason();
+        }
+    }
+
+    async toggleVerifiableDraw(enabled) {
+        const success = await bookManager.setVerifiableDraws(enabled);
+        if (!success) {
+            uiComponents.updateSelectionSection();
+        }
+    }
+
+    async toggleWeightedDraw(enabled) {
+        const success = await bookManager.setWeightedDraws(enabled);
+        if (!success) {
+            uiComponents.updateSelectionSection();
+        }
+    }
+
+    async saveWeightingRules() {
+        await bookManager.setWeightingRules(uiComponents.getWeightingRules());
+    }
+
+    async saveConstraints() {
+        await bookManager.setConstraints(uiComponents.getConstraintSettings());
+    }
+
+    async toggleUpvote(bookId) {
+        await bookManager.toggleUpvote(bookId);
     }
 
-    regenerateSelection() {
-        this.selectRandomBook();
+    async commitDraw() {
+        const meetingDate = document.getElementById('meetingDateInput')?.value || null;
+        await bookManager.commitDraw(meetingDate);
     }
 
-    confirmSelection() {
+    /**
+     * Recompute a verifiable draw locally - the pending selection, or a past read
+     * @param {string} entryId - Reading history entry ID (optional)
+     */
+    async verifyDraw(entryId = null) {
         const club = appState.getCurrentClub();
-        if (club) {
-            appState.confirmSelection(club.id);
+        if (!club) return;
+
+        const entry = entryId ? club.readingHistory.find(item => item.id === entryId) : null;
+        const details = entry ? entry.details?.verifiable : club.selectionContext?.details?.verifiable;
+        const title = entry ? entry.book.title : appState.getSelectedBook(club.id)?.title;
+
+        if (!details) return;
+
+        const result = await verifiableDrawManager.verify(details);
+        uiComponents.showVerificationResult(result, title);
+    }
+
+    async confirmSelection() {
+        await bookManager.confirmSelection();
+    }
+
+    /**
+     * Voting functions
+     */
+    async openVote() {
+        await bookManager.openVote(uiComponents.getVoteOptions());
+    }
+
+    async submitBallot() {
+        const ranking = uiComponents.getBallotRanking();
+        if (ranking.length === 0) {
+            alert('❌ Rank at least one book before submitting your ballot.');
+            return;
+        }
+
+        const success = await bookManager.submitBallot(ranking);
+        if (success) {
+            uiComponents.updateVotingPanel(appState.getCurrentClub());
+            console.log('🗳️ Ballot submitted');
+        }
+    }
+
+    async closeVote() {
+        if (confirm('Close the vote and tally the ballots?')) {
+            await bookManager.closeVote();
+        }
+    }
+
+    async cancelVote() {
+        if (confirm('Cancel this vote? Ballots cast so far will be discarded.')) {
+            await bookManager.cancelVote();
+        }
+    }
+
+    /**
+     * Bracket functions
+     */
+    async startBracket() {
+        const { size, daysPerRound } = uiComponents.getBracketOptions();
+        await bookManager.startBracket(size, { daysPerRound });
+    }
+
+    async voteInMatch(matchId, bookId) {
+        await bookManager.voteInMatch(matchId, bookId);
+    }
+
+    async closeBracketRound() {
+        if (confirm('Close this round? Winners advance and votes can no longer change.')) {
+            await bookManager.closeBracketRound();
+        }
+    }
+
+    async cancelBracket() {
+        if (confirm('Cancel this bracket? All matchup votes will be discarded.')) {
+            await bookManager.cancelBracket();
+        }
+    }
+
+    /**
+     * Season planner functions
+     */
+    async planSeason() {
+        await bookManager.planSeason(uiComponents.getSeasonOptions());
+    }
+
+    async redrawSeason() {
+        await bookManager.redrawSeason();
+    }
+
+    async swapSeasonSlot(index) {
+        await bookManager.swapSeasonSlot(index);
+    }
+
+    async moveSeasonSlot(index, direction) {
+        await bookManager.moveSeasonSlot(index, direction);
+    }
+
+    async toggleSeasonSlotLock(index) {
+        await bookManager.toggleSeasonSlotLock(index);
+    }
+
+    async setSeasonMeetingDate(index, meetingDate) {
+        await bookManager.setSeasonMeetingDate(index, meetingDate);
+    }
+
+    async confirmSeasonPlan() {
+        const count = appState.getCurrentClub()?.seasonPlan?.slots.length || 0;
+        if (confirm(`Confirm this ${count}-meeting season? The planned books move to Past Reads.`)) {
+            await bookManager.confirmSeasonPlan();
+        }
+    }
+
+    async discardSeasonPlan() {
+        if (confirm('Discard this season plan?')) {
+            await bookManager.discardSeasonPlan();
+        }
+    }
+
+    async changeSelectionMode(mode) {
+        const success = await bookManager.setSelectionMode(mode);
+        if (!success) {
+            // Put the selector back to the club's actual mode
+            uiComponents.updateSelectionSection();
         }
     }
 
@@ -370,7 +913,7 @@ class LiteraryCircleApp {
         uiComponents.showRecommendationsLoading();
         
         try {
-            const recommendations = await recommendationManager.generate(club.books);
+            const recommendations = await recommendationManager.generate(club.books.map(book => book.title));
             uiComponents.showRecommendations(recommendations);
         } catch (error) {
             console.error('Error generating recommendations:', error);
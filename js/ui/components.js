@@ -6,12 +6,27 @@
 
 import appState from '../core/state.js';
 import userManager from '../core/user.js';
+import membershipManager from '../core/membership.js';
 import supabaseManager from '../config/supabase.js';
+import rotationManager from '../features/rotation.js';
+import verifiableDrawManager from '../features/verifiableDraw.js';
+import votingManager from '../features/voting.js';
+import weightingManager from '../features/weighting.js';
+import bookManager from '../features/books.js';
+import constraintManager from '../features/constraints.js';
+import bracketManager from '../features/bracket.js';
+import seasonPlanner from '../features/seasonPlanner.js';
+import vetoManager from '../features/vetoes.js';
+import inviteManager from '../features/invites.js';
+import profileManager from '../features/profiles.js';
+import publicPageManager from '../features/publicPages.js';
+import conflictReviewManager from '../features/conflicts.js';
 
 class UIComponents {
     constructor() {
         this.elements = {};
         this.confirmationCallback = null;
+        this.pairingUrl = null; // Pairing link behind the QR code button, while one is shown
     }
 
     /**
@@ -22,128 +37,1690 @@ class UIComponents {
             // Home view elements
             homeView: document.getElementById('homeView'),
             bookClubView: document.getElementById('bookClubView'),
+            publicClubView: document.getElementById('publicClubView'),
             navigation: document.getElementById('navigation'),
             currentClubName: document.getElementById('currentClubName'),
             clubNameInput: document.getElementById('clubNameInput'),
             bookClubsList: document.getElementById('bookClubsList'),
+            profileAvatarPreview: document.getElementById('profileAvatarPreview'),
+            profileNameInput: document.getElementById('profileNameInput'),
+            profileColorOptions: document.getElementById('profileColorOptions'),
+            profileGenresInput: document.getElementById('profileGenresInput'),
+            accountPanel: document.getElementById('accountPanel'),
+            accountSignedOut: document.getElementById('accountSignedOut'),
+            accountSignedIn: document.getElementById('accountSignedIn'),
+            accountEmailLabel: document.getElementById('accountEmailLabel'),
+            accountEmailInput: document.getElementById('accountEmailInput'),
+            accountPasswordInput: document.getElementById('accountPasswordInput'),
+            deviceLinkPanel: document.getElementById('deviceLinkPanel'),
+            deviceLinkCode: document.getElementById('deviceLinkCode'),
+            linkCodeInput: document.getElementById('linkCodeInput'),
 
             // Book club view elements
             sharingSection: document.getElementById('sharingSection'),
             shareUrl: document.getElementById('shareUrl'),
+            inviteRoleSelect: document.getElementById('inviteRoleSelect'),
+            inviteExpirySelect: document.getElementById('inviteExpirySelect'),
+            inviteMaxUsesInput: document.getElementById('inviteMaxUsesInput'),
+            inviteList: document.getElementById('inviteList'),
+            legacyLinkNotice: document.getElementById('legacyLinkNotice'),
+            publicPageSettings: document.getElementById('publicPageSettings'),
+            publicPageToggle: document.getElementById('publicPageToggle'),
+            publicPageLink: document.getElementById('publicPageLink'),
+            publicPageUrl: document.getElementById('publicPageUrl'),
             bookInput: document.getElementById('bookInput'),
+            bookAuthorInput: document.getElementById('bookAuthorInput'),
+            bookIsbnInput: document.getElementById('bookIsbnInput'),
+            bookPagesInput: document.getElementById('bookPagesInput'),
+            bookGenreInput: document.getElementById('bookGenreInput'),
+            bookNotesInput: document.getElementById('bookNotesInput'),
             bookList: document.getElementById('bookList'),
             bookCount: document.getElementById('bookCount'),
             selectBtn: document.getElementById('selectBtn'),
+            selectionModeSelect: document.getElementById('selectionModeSelect'),
+            selectionStatus: document.getElementById('selectionStatus'),
+            verifiableDrawControls: document.getElementById('verifiableDrawControls'),
+            verifiableToggle: document.getElementById('verifiableToggle'),
+            verifiableCommitControls: document.getElementById('verifiableCommitControls'),
+            meetingDateInput: document.getElementById('meetingDateInput'),
+            drawCommitment: document.getElementById('drawCommitment'),
+            weightingControls: document.getElementById('weightingControls'),
+            weightedToggle: document.getElementById('weightedToggle'),
+            weightingPanel: document.getElementById('weightingPanel'),
+            constraintsPanel: document.getElementById('constraintsPanel'),
+            votingPanel: document.getElementById('votingPanel'),
+            bracketPanel: document.getElementById('bracketPanel'),
+            seasonPlanPanel: document.getElementById('seasonPlanPanel'),
+            membersSection: document.getElementById('membersSection'),
+            curateSection: document.getElementById('curateSection'),
+            memberRoster: document.getElementById('memberRoster'),
+            memberShareForm: document.getElementById('memberShareForm'),
+            shareUserIdInput: document.getElementById('shareUserIdInput'),
+            shareRoleSelect: document.getElementById('shareRoleSelect'),
+            currentUserIdLabel: document.getElementById('currentUserIdLabel'),
+            ownershipTransferNotice: document.getElementById('ownershipTransferNotice'),
+            banList: document.getElementById('banList'),
+            approvalSetting: document.getElementById('approvalSetting'),
+            requireApprovalToggle: document.getElementById('requireApprovalToggle'),
+            joinRequestsPanel: document.getElementById('joinRequestsPanel'),
+            pendingJoinRequests: document.getElementById('pendingJoinRequests'),
+            decidedJoinRequests: document.getElementById('decidedJoinRequests'),
+            regenerateBtn: document.getElementById('regenerateBtn'),
+            vetoControls: document.getElementById('vetoControls'),
+            vetoToggle: document.getElementById('vetoToggle'),
+            vetoSettings: document.getElementById('vetoSettings'),
+            vetoPerSeasonInput: document.getElementById('vetoPerSeasonInput'),
+            vetoBtn: document.getElementById('vetoBtn'),
+            confirmBtn: document.getElementById('confirmBtn'),
+            vetoLog: document.getElementById('vetoLog'),
             selectedBook: document.getElementById('selectedBook'),
             selectionButtons: document.getElementById('selectionButtons'),
+            pastReadsList: document.getElementById('pastReadsList'),
+            pastReadsCount: document.getElementById('pastReadsCount'),
             recommendationsContainer: document.getElementById('recommendationsContainer'),
             recommendBtn: document.getElementById('recommendBtn'),
             recommendDivider: document.getElementById('recommendDivider'),
 
+            conflictReviewSetting: document.getElementById('conflictReviewSetting'),
+            conflictReviewToggle: document.getElementById('conflictReviewToggle'),
+
             // Confirmation dialog
             confirmationOverlay: document.getElementById('confirmationOverlay'),
-            confirmationMessage: document.getElementById('confirmationMessage')
+            confirmationMessage: document.getElementById('confirmationMessage'),
+
+            // Conflict review dialog
+            conflictReviewOverlay: document.getElementById('conflictReviewOverlay'),
+            conflictReviewMessage: document.getElementById('conflictReviewMessage'),
+            conflictReviewItems: document.getElementById('conflictReviewItems')
+        };
+
+        console.log('🎨 UI elements initialized');
+    }
+
+    /**
+     * Update the book clubs list with ownership indicators
+     */
+    updateBookClubsList() {
+        if (!this.elements.bookClubsList) return;
+
+        const userClubs = Object.values(appState.getBookClubs());
+        
+        if (userClubs.length === 0) {
+            this.elements.bookClubsList.innerHTML = '<div class="empty-state">No reading groups yet. Create your first group above.</div>';
+            return;
+        }
+        
+        this.elements.bookClubsList.innerHTML = userClubs.map(club => {
+            const ownershipLabel = userManager.isSharedWithUser(club) ? ' (Shared)' : '';
+            const role = membershipManager.getRole(club);
+            const deleteButton = membershipManager.can(club, 'delete') ? 
+                `<button class="btn btn-danger btn-small" onclick="handleDeleteClub('${club.id}')" type="button" title="Delete this reading group">Delete</button>` : 
+                `<button class="btn btn-secondary btn-small" onclick="leaveClub('${club.id}')" type="button" title="Leave this reading group">Leave</button>`;
+            
+            return `
+                <div class="bookclub-card">
+                    <div onclick="showBookClub('${club.id}')" style="cursor: pointer; padding: 0; margin: -35px; padding: 35px;">
+                        <h3>${this.escapeHtml(club.name)}${ownershipLabel}</h3>
+                        <div class="bookclub-meta">
+                            ${club.books.length} titles • Created ${new Date(club.createdAt).toLocaleDateString()}
+                            ${role !== 'owner' ? ` • ${membershipManager.getRoleLabel(role)}${role === 'viewer' ? ' (read-only)' : ''}` : ''}
+                        </div>
+                    </div>
+                    <div class="bookclub-actions" style="position: relative; z-index: 10;">
+                        <button class="btn btn-small" onclick="showBookClub('${club.id}')" type="button">Enter</button>
+                        ${deleteButton}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Update the current book club view
+     */
+    updateBookClubView() {
+        this.updateBookList();
+        this.updatePastReads();
+        this.updateSelectionSection();
+        this.updateSeasonPlanner();
+        this.updateRecommendationButton();
+        this.updateSharingSection();
+        this.updateMemberRoster();
+        this.updateNavigationTitle();
+    }
+
+    /**
+     * Update the book list display
+     */
+    updateBookList() {
+        const club = appState.getCurrentClub();
+        if (!club) return;
+        
+        if (!this.elements.bookList || !this.elements.bookCount) return;
+        
+        this.elements.bookCount.textContent = club.books.length;
+        
+        // Viewers can't change the collection
+        this.elements.curateSection?.querySelectorAll('input, button').forEach(control => {
+            control.disabled = !membershipManager.can(club, 'editBooks');
+        });
+        
+        if (club.books.length === 0) {
+            this.elements.bookList.innerHTML = '<div class="empty-state">No titles in collection</div>';
+            if (this.elements.selectBtn) {
+                this.elements.selectBtn.disabled = true;
+            }
+            return;
+        }
+        
+        if (this.elements.selectBtn) {
+            this.elements.selectBtn.disabled = false;
+        }
+        
+        const canEdit = membershipManager.can(club, 'editBooks');
+        const canVote = membershipManager.can(club, 'vote');
+        
+        this.elements.bookList.innerHTML = club.books.map((book, index) => `
+            <div class="book-item">
+                <div class="book-details">
+                    <span class="book-title">${this.escapeHtml(book.title)}</span>
+                    ${book.author ? `<span class="book-author">by ${this.escapeHtml(book.author)}</span>` : ''}
+                    <div class="book-meta">${this.formatBookMeta(book)}</div>
+                    ${book.notes ? `<div class="book-notes">${this.escapeHtml(book.notes)}</div>` : ''}
+                </div>
+                ${this.renderUpvoteButton(book, canVote)}
+                ${canEdit ? `<button class="delete-btn" onclick="removeBookByIndex(${index}); event.stopPropagation();" title="Remove book">×</button>` : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the upvote toggle for a book
+     * @param {Object} book 
+     * @param {boolean} canVote - False for viewers, who see the count only
+     * @returns {string} HTML
+     */
+    renderUpvoteButton(book, canVote = true) {
+        const upvoted = book.upvotes.includes(userManager.getCurrentUserId());
+        return `
+            <button class="upvote-btn${upvoted ? ' upvoted' : ''}" onclick="toggleUpvote('${book.id}'); event.stopPropagation();" 
+                    type="button" aria-pressed="${upvoted}" title="${upvoted ? 'Withdraw your upvote' : 'Upvote this book'}" ${canVote ? '' : 'disabled'}>
+                ▲ ${book.upvotes.length}
+            </button>
+        `;
+    }
+
+    /**
+     * Format the secondary details line for a book record
+     * @param {Object} book 
+     * @returns {string}
+     */
+    formatBookMeta(book) {
+        const parts = [];
+        
+        if (book.metadata?.genre) {
+            parts.push(this.escapeHtml(book.metadata.genre));
+        }
+        if (book.metadata?.pageCount) {
+            parts.push(`${book.metadata.pageCount} pages`);
+        }
+        if (book.isbn) {
+            parts.push(`ISBN ${this.escapeHtml(book.isbn)}`);
+        }
+        
+        parts.push(`Added by ${this.formatUserLabel(book.addedBy)} ${new Date(book.addedAt).toLocaleDateString()}`);
+        
+        return parts.join(' • ');
+    }
+
+    /**
+     * Update the selection mode picker and mode status line
+     */
+    updateSelectionSection() {
+        const club = appState.getCurrentClub();
+        if (!club) return;
+        
+        const mode = club.selectionSettings?.mode || 'random';
+        
+        if (this.elements.selectionModeSelect) {
+            this.elements.selectionModeSelect.value = mode;
+            this.elements.selectionModeSelect.disabled = !membershipManager.can(club, 'manageSelection');
+        }
+        
+        const drawDisplay = bookManager.usesDraw(club) ? '' : 'none';
+        
+        if (this.elements.selectBtn) {
+            this.elements.selectBtn.style.display = membershipManager.can(club, 'draw') ? drawDisplay : 'none';
+        }
+        
+        if (this.elements.confirmBtn) {
+            this.elements.confirmBtn.style.display = membershipManager.can(club, 'confirm') ? '' : 'none';
+        }
+        
+        if (this.elements.verifiableDrawControls) {
+            this.elements.verifiableDrawControls.style.display = drawDisplay;
+        }
+        
+        if (this.elements.weightingControls) {
+            this.elements.weightingControls.style.display = drawDisplay;
+        }
+        
+        if (this.elements.vetoControls) {
+            this.elements.vetoControls.style.display = drawDisplay;
+        }
+        
+        this.updateVetoControls(club);
+        this.updateDrawCommitment(club);
+        this.updateWeightingPanel(club);
+        this.updateConstraintsPanel(club);
+        this.updateVotingPanel(club);
+        this.updateBracketPanel(club);
+        
+        if (!this.elements.selectionStatus) return;
+        
+        if (mode === 'bracket') {
+            const bracket = club.bracket;
+            
+            this.elements.selectionStatus.textContent = bracket?.status === 'open' 
+                ? `Tournament bracket: ${bracketManager.getRoundName(bracket.currentRound, bracket.size)} open until ${new Date(bracket.roundEndsAt).toLocaleDateString()}` 
+                : 'Tournament bracket: no bracket running';
+        } else if (mode === 'vote') {
+            const round = club.votingRound;
+            const ballotCount = round ? Object.keys(round.ballots).length : 0;
+            
+            this.elements.selectionStatus.textContent = round?.status === 'open' 
+                ? `Member vote: ${votingManager.methods[round.method]} vote open • ${this.formatBallotCount(ballotCount)} cast` 
+                : 'Member vote: no vote open';
+        } else if (mode === 'rotation') {
+            const status = rotationManager.getStatus(club);
+            
+            if (!status.currentUserId) {
+                this.elements.selectionStatus.textContent = 'Member rotation: no eligible nominations yet';
+                return;
+            }
+            
+            const current = this.formatUserLabel(status.currentUserId);
+            const upNext = status.upNext.map(userId => this.formatUserLabel(userId)).join(', ');
+            const nominations = `${status.currentNominations} nomination${status.currentNominations === 1 ? '' : 's'}`;
+            
+            this.elements.selectionStatus.textContent = 
+                `Member rotation: ${current === 'you' ? 'your' : `${current}'s`} turn (${nominations})` +
+                (upNext ? ` • Up next: ${upNext}` : '') +
+                (status.skipped.length > 0 ? ` • ${status.skipped.length} skipped with nothing eligible on the list` : '');
+        } else {
+            this.elements.selectionStatus.textContent = '';
+        }
+    }
+
+    /**
+     * Update the veto settings, the Draw Again / Veto buttons and this season's veto log
+     * @param {Object} club 
+     */
+    updateVetoControls(club) {
+        const enabled = vetoManager.isEnabled(club);
+        const canManage = membershipManager.can(club, 'manageSelection');
+        // A vote or bracket result can't be redrawn
+        const drawnSelection = ['random', 'rotation'].includes(club.selectionContext?.method || 'random');
+        
+        if (this.elements.vetoToggle) {
+            this.elements.vetoToggle.checked = enabled;
+            this.elements.vetoToggle.disabled = !canManage;
+        }
+        
+        if (this.elements.vetoSettings) {
+            this.elements.vetoSettings.style.display = enabled && canManage ? 'inline-flex' : 'none';
+        }
+        
+        if (this.elements.vetoPerSeasonInput && document.activeElement !== this.elements.vetoPerSeasonInput) {
+            this.elements.vetoPerSeasonInput.value = vetoManager.getPerSeason(club);
+        }
+        
+        if (this.elements.regenerateBtn) {
+            // With vetoes on, members redraw by spending one
+            const canRedraw = enabled ? canManage : membershipManager.can(club, 'draw');
+            this.elements.regenerateBtn.style.display = drawnSelection && canRedraw ? '' : 'none';
+        }
+        
+        if (this.elements.vetoBtn) {
+            const remaining = vetoManager.getRemaining(club);
+            const canVeto = membershipManager.can(club, 'vote');
+            this.elements.vetoBtn.style.display = enabled && canVeto && drawnSelection && club.currentSelection ? '' : 'none';
+            this.elements.vetoBtn.disabled = remaining === 0;
+            this.elements.vetoBtn.textContent = `Veto (${remaining} left)`;
+        }
+        
+        if (!this.elements.vetoLog) return;
+        
+        if (!enabled || !club.vetoState) {
+            this.elements.vetoLog.innerHTML = '';
+            return;
+        }
+        
+        const remaining = vetoManager.getRemaining(club);
+        const recent = [...club.vetoState.log].reverse().slice(0, 5).map(veto => {
+            const replacement = club.books.find(book => book.id === veto.replacementId);
+            return `
+                <li>
+                    ${this.formatUserLabel(veto.userId)} vetoed "${this.escapeHtml(veto.title)}"
+                    ${replacement ? ` → redrew "${this.escapeHtml(replacement.title)}"` : ''}
+                    <small>${new Date(veto.vetoedAt).toLocaleString()}</small>
+                </li>
+            `;
+        }).join('');
+        
+        this.elements.vetoLog.innerHTML = `
+            <p>You have ${remaining} veto${remaining === 1 ? '' : 'es'} left this season 
+               (season started ${new Date(club.vetoState.startedAt).toLocaleDateString()}).</p>
+            ${recent ? `<ul>${recent}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Get the per-season veto allowance from the veto settings
+     * @returns {string|undefined}
+     */
+    getVetoPerSeason() {
+        return this.elements.vetoPerSeasonInput?.value;
+    }
+
+    /**
+     * Update the verifiable draw controls and the published commitment
+     * @param {Object} club 
+     */
+    updateDrawCommitment(club) {
+        const verifiable = !!club.selectionSettings?.verifiable;
+        const canManage = membershipManager.can(club, 'manageSelection');
+        const drawState = club.drawState;
+        
+        if (this.elements.verifiableToggle) {
+            this.elements.verifiableToggle.checked = verifiable;
+            this.elements.verifiableToggle.disabled = !canManage;
+        }
+        
+        if (this.elements.verifiableCommitControls) {
+            this.elements.verifiableCommitControls.style.display = verifiable && canManage ? 'inline-flex' : 'none';
+        }
+        
+        if (this.elements.meetingDateInput && !this.elements.meetingDateInput.value) {
+            this.elements.meetingDateInput.value = drawState?.meetingDate || verifiableDrawManager.getDefaultMeetingDate();
+        }
+        
+        if (!this.elements.drawCommitment) return;
+        
+        if (!verifiable || !bookManager.usesDraw(club)) {
+            this.elements.drawCommitment.style.display = 'none';
+            return;
+        }
+        
+        this.elements.drawCommitment.style.display = 'block';
+        
+        if (!drawState?.seed) {
+            this.elements.drawCommitment.innerHTML = 
+                '<p>No seed committed yet. The first draw commits one from the club, the meeting date and the current list.</p>';
+            return;
+        }
+        
+        const lastDraw = drawState.draws[drawState.draws.length - 1];
+        const lastBook = lastDraw ? club.books.find(book => book.id === lastDraw.bookId) : null;
+        const canVerify = !!club.selectionContext?.details?.verifiable;
+        const earlier = (drawState.previousCommitments || []).map(item =>
+            `<li>#${item.commitCount} — list ${verifiableDrawManager.shortHash(item.listHash)}…, seed ${verifiableDrawManager.shortHash(item.seed)}…, ${item.draws.length} draw${item.draws.length === 1 ? '' : 's'} revealed</li>`
+        ).join('');
+        
+        this.elements.drawCommitment.innerHTML = `
+            <dl>
+                <dt>Meeting</dt><dd>${this.escapeHtml(drawState.meetingDate)}</dd>
+                <dt>List hash</dt><dd title="${drawState.listHash}">${verifiableDrawManager.shortHash(drawState.listHash)}… (${drawState.snapshot.length} titles)</dd>
+                <dt>Seed</dt><dd title="${drawState.seed}">${verifiableDrawManager.shortHash(drawState.seed)}…</dd>
+                <dt>Commitment</dt><dd>#${drawState.commitCount} by ${this.formatUserLabel(drawState.committedBy)}, ${new Date(drawState.committedAt).toLocaleString()}</dd>
+                <dt>Draws</dt><dd>${drawState.draws.length} (${drawState.rerolls} reroll${drawState.rerolls === 1 ? '' : 's'})</dd>
+                ${earlier ? `<dt>Earlier commitments</dt><dd><ul class="excluded-list">${earlier}</ul></dd>` : ''}
+                ${lastDraw ? `<dt>Result</dt><dd>${this.escapeHtml(lastBook?.title || lastDraw.bookId)} — draw ${lastDraw.drawNumber} by ${this.formatUserLabel(lastDraw.drawnBy)}</dd>` : ''}
+            </dl>
+            ${canVerify ? '<button class="link-button" onclick="verifyDraw()" type="button">Recompute this draw on my device</button>' : ''}
+        `;
+    }
+
+    /**
+     * Update the weighting toggle, the rule editor and each book's chance in the next draw
+     * @param {Object} club 
+     */
+    updateWeightingPanel(club) {
+        const enabled = weightingManager.isEnabled(club);
+        const canManage = membershipManager.can(club, 'manageSelection');
+        
+        if (this.elements.weightedToggle) {
+            this.elements.weightedToggle.checked = enabled;
+            this.elements.weightedToggle.disabled = !canManage;
+        }
+        
+        const panel = this.elements.weightingPanel;
+        if (!panel) return;
+        
+        if (!enabled || !bookManager.usesDraw(club)) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        
+        const rules = weightingManager.getRules(club);
+        const disabled = canManage ? '' : 'disabled';
+        const checkbox = (rule) => `
+            <label class="checkbox-label">
+                <input type="checkbox" data-rule="${rule}" data-field="enabled" ${rules[rule].enabled ? 'checked' : ''} ${disabled}>
+                ${weightingManager.getRuleLabel(rule)}
+            </label>
+        `;
+        const number = (rule, field, step, label) => `
+            <label>${label}
+                <input type="number" data-rule="${rule}" data-field="${field}" value="${rules[rule][field]}" step="${step}" min="0" ${disabled}>
+            </label>
+        `;
+        
+        const verifiableNote = club.selectionSettings?.verifiable 
+            ? '<p><em>Weights are not applied while Verifiable draw is on - every title has an equal chance.</em></p>' 
+            : '';
+        
+        const entries = bookManager.getDrawProbabilities()
+            .sort((a, b) => b.probability - a.probability);
+        const maxProbability = entries[0]?.probability || 1;
+        
+        const probabilities = entries.map(entry => `
+            <li class="probability-item" title="${this.escapeHtml(weightingManager.describe(entry))}">
+                <span>${this.escapeHtml(entry.book.title)}</span>
+                <span class="probability-value">${(entry.probability * 100).toFixed(1)}%</span>
+                <span class="probability-bar" style="width: ${Math.round(entry.probability / maxProbability * 100)}%"></span>
+            </li>
+        `).join('');
+        
+        panel.innerHTML = `
+            <div id="weightingRules" class="weighting-rules">
+                ${checkbox('age')}
+                <span class="weighting-rule-options">${number('age', 'strength', 0.05, '+ per month')}</span>
+                ${checkbox('upvotes')}
+                <span class="weighting-rule-options">${number('upvotes', 'strength', 0.1, '+ per upvote')}</span>
+                ${checkbox('recentAuthor')}
+                <span class="weighting-rule-options">
+                    ${number('recentAuthor', 'lookback', 1, 'last')} picks,
+                    ${number('recentAuthor', 'penalty', 0.05, 'penalty')}
+                </span>
+                ${checkbox('pageCount')}
+                <span class="weighting-rule-options">
+                    <select data-rule="pageCount" data-field="prefer" aria-label="Page count preference" ${disabled}>
+                        <option value="shorter" ${rules.pageCount.prefer === 'shorter' ? 'selected' : ''}>Prefer shorter than</option>
+                        <option value="longer" ${rules.pageCount.prefer === 'longer' ? 'selected' : ''}>Prefer longer than</option>
+                    </select>
+                    ${number('pageCount', 'targetPages', 10, '')} pages
+                </span>
+            </div>
+            ${canManage ? '<button class="btn btn-secondary btn-small" onclick="saveWeightingRules()" type="button">Save Weighting</button>' : ''}
+            ${verifiableNote}
+            <p>Chance in the next draw:</p>
+            <ul class="probability-list">${probabilities}</ul>
+        `;
+    }
+
+    /**
+     * Read the weighting rules from the rule editor
+     * @returns {Object} Rule settings keyed by rule name
+     */
+    getWeightingRules() {
+        const rules = {};
+        
+        document.querySelectorAll('#weightingRules [data-rule]').forEach(input => {
+            const { rule, field } = input.dataset;
+            rules[rule] = rules[rule] || {};
+            rules[rule][field] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        
+        return rules;
+    }
+
+    /**
+     * Update the selection rules editor and the list of titles they exclude
+     * @param {Object} club 
+     */
+    updateConstraintsPanel(club) {
+        const panel = this.elements.constraintsPanel;
+        if (!panel) return;
+        
+        const settings = constraintManager.getSettings(club);
+        const canManage = membershipManager.can(club, 'manageSelection');
+        const disabled = canManage ? '' : 'disabled';
+        const activeCount = constraintManager.rules.filter(rule => settings[rule.id].enabled).length;
+        const wasOpen = panel.querySelector('details')?.open;
+        
+        const checkbox = (ruleId) => `
+            <label class="checkbox-label">
+                <input type="checkbox" data-rule="${ruleId}" data-field="enabled" ${settings[ruleId].enabled ? 'checked' : ''} ${disabled}>
+                ${constraintManager.getRuleLabel(ruleId)}
+            </label>
+        `;
+        const number = (ruleId, field, label) => `
+            <label>${label}
+                <input type="number" data-rule="${ruleId}" data-field="${field}" value="${settings[ruleId][field]}" min="1" ${disabled}>
+            </label>
+        `;
+        
+        const { excluded } = activeCount > 0 ? bookManager.getCandidates(club) : { excluded: [] };
+        const exclusions = excluded.map(({ book, reasons }) => `
+            <li>
+                <span class="book-title">${this.escapeHtml(book.title)}</span>
+                <div class="book-meta">${reasons.map(result => this.escapeHtml(result.reason)).join(' • ')}</div>
+            </li>
+        `).join('');
+        
+        panel.innerHTML = `
+            <details ${wasOpen ? 'open' : ''}>
+                <summary>Selection rules${activeCount > 0 ? ` (${activeCount} active)` : ''}</summary>
+                <div id="constraintRules" class="weighting-rules">
+                    ${checkbox('recentAuthor')}
+                    <span class="weighting-rule-options">${number('recentAuthor', 'lookback', 'Skip authors from the last')} selections</span>
+                    ${checkbox('maxPages')}
+                    <span class="weighting-rule-options">${number('maxPages', 'maxPages', 'At most')} pages</span>
+                    ${checkbox('genreRotation')}
+                    <span class="weighting-rule-options">Skip the genre of the last pick</span>
+                </div>
+                ${canManage ? '<button class="btn btn-secondary btn-small" onclick="saveConstraints()" type="button">Save Rules</button>' : ''}
+            </details>
+            ${exclusions ? `
+                <p>Excluded from the next draw:</p>
+                <ul class="excluded-list">${exclusions}</ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Read the selection rules from the rules editor
+     * @returns {Object} Constraint settings keyed by rule ID
+     */
+    getConstraintSettings() {
+        const settings = {};
+        
+        document.querySelectorAll('#constraintRules [data-rule]').forEach(input => {
+            const { rule, field } = input.dataset;
+            settings[rule] = settings[rule] || {};
+            settings[rule][field] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        
+        return settings;
+    }
+
+    /**
+     * Update the bracket panel - start a bracket, vote on open matchups, or view the result
+     * @param {Object} club 
+     */
+    updateBracketPanel(club) {
+        const panel = this.elements.bracketPanel;
+        if (!panel || !club) return;
+        
+        const bracket = club.bracket;
+        const canManage = membershipManager.can(club, 'manageSelection');
+        
+        if (club.selectionSettings?.mode !== 'bracket' && !bracket) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        
+        if (!bracket) {
+            const { eligible } = constraintManager.evaluate(club, club.books);
+            const sizes = bracketManager.getAvailableSizes(eligible.length);
+            
+            if (!canManage) {
+                panel.innerHTML = '<p>Waiting for an organizer to start a bracket.</p>';
+            } else if (sizes.length === 0) {
+                panel.innerHTML = `<p>A bracket needs at least ${bracketManager.sizes[0]} eligible titles - this club has ${eligible.length}.</p>`;
+            } else {
+                panel.innerHTML = `
+                    <div class="vote-setup">
+                        <label for="bracketSizeSelect">Titles</label>
+                        <select id="bracketSizeSelect">
+                            ${sizes.map(size => `<option value="${size}">${size}</option>`).join('')}
+                        </select>
+                        <label for="bracketDaysInput">Days per round</label>
+                        <input type="number" id="bracketDaysInput" min="1" max="30" value="${bracketManager.defaultDaysPerRound}">
+                        <button class="btn btn-secondary btn-small" onclick="startBracket()" type="button" ${club.currentSelection ? 'disabled' : ''}>
+                            Start Bracket
+                        </button>
+                    </div>
+                    <p class="vote-turnout">Titles are seeded by upvotes, then by time on the list.</p>
+                `;
+            }
+            return;
+        }
+        
+        const isOpen = bracket.status === 'open';
+        
+        panel.innerHTML = `
+            ${isOpen ? `
+                <h3>${bracketManager.getRoundName(bracket.currentRound, bracket.size)}</h3>
+                <p>Vote in each matchup. The round closes on ${new Date(bracket.roundEndsAt).toLocaleString()}; ties go to the higher seed.</p>
+            ` : `<h3>Bracket winner: ${this.escapeHtml(bracket.titles[bracket.winnerId] || '')}</h3>`}
+            ${this.renderBracket(bracket, isOpen && membershipManager.can(club, 'vote'))}
+            ${isOpen && canManage ? `
+                <div class="vote-actions">
+                    <button class="btn btn-secondary btn-small" onclick="closeBracketRound()" type="button">
+                        ${bracket.rounds[bracket.currentRound].length === 1 ? 'Close Final' : 'Close Round &amp; Advance'}
+                    </button>
+                    <button class="link-button" onclick="cancelBracket()" type="button">Cancel bracket</button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render a bracket's rounds as columns of matchups
+     * @param {Object} bracket - A bracket or a bracket summary from a history entry
+     * @param {boolean} interactive - Whether the current round's matchups take votes
+     * @returns {string} HTML
+     */
+    renderBracket(bracket, interactive = false) {
+        const title = (bookId) => this.escapeHtml(bracket.titles?.[bookId] || bookId);
+        const seed = (bookId) => bracket.seeds.indexOf(bookId) + 1;
+        
+        const columns = bracket.rounds.map((round, roundIndex) => {
+            const isCurrent = interactive && roundIndex === bracket.currentRound;
+            
+            const matches = round.map(match => {
+                const tally = bracketManager.getTally(bracket, match);
+                const ownVote = isCurrent ? bracketManager.getOwnVote(bracket, match.id) : null;
+                
+                const side = (bookId) => {
+                    const classes = ['bracket-entry'];
+                    if (match.winner === bookId) classes.push('bracket-winner');
+                    if (match.winner && match.winner !== bookId) classes.push('bracket-loser');
+                    if (ownVote === bookId) classes.push('bracket-voted');
+                    
+                    const label = `<span class="bracket-seed">${seed(bookId)}</span> ${title(bookId)} <span class="bracket-count">${tally[bookId]}</span>`;
+                    
+                    return isCurrent 
+                        ? `<button class="${classes.join(' ')}" onclick="voteInMatch('${match.id}', '${bookId}')" type="button" 
+                                   aria-pressed="${ownVote === bookId}">${label}</button>` 
+                        : `<div class="${classes.join(' ')}">${label}</div>`;
+                };
+                
+                return `
+                    <div class="bracket-match">
+                        ${side(match.a)}
+                        ${side(match.b)}
+                        ${match.decidedBySeed ? '<small>Tied - higher seed advances</small>' : ''}
+                    </div>
+                `;
+            }).join('');
+            
+            return `
+                <div class="bracket-round">
+                    <h4>${bracketManager.getRoundName(roundIndex, bracket.size)}</h4>
+                    ${matches}
+                </div>
+            `;
+        }).join('');
+        
+        return `<div class="bracket">${columns}</div>`;
+    }
+
+    /**
+     * Get the options for starting a bracket from the bracket panel
+     * @returns {Object} { size, daysPerRound }
+     */
+    getBracketOptions() {
+        return {
+            size: parseInt(document.getElementById('bracketSizeSelect')?.value, 10) || bracketManager.sizes[0],
+            daysPerRound: document.getElementById('bracketDaysInput')?.value
+        };
+    }
+
+    /**
+     * Update the voting panel - open a vote, cast a ballot, or view the tally
+     * @param {Object} club 
+     */
+    updateVotingPanel(club) {
+        const panel = this.elements.votingPanel;
+        if (!panel || !club) return;
+        
+        const round = club.votingRound;
+        const canManage = membershipManager.can(club, 'manageSelection');
+        
+        if (club.selectionSettings?.mode !== 'vote' && !round) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        
+        if (!round) {
+            panel.innerHTML = canManage ? `
+                <div class="vote-setup">
+                    <label for="voteMethodSelect">Method</label>
+                    <select id="voteMethodSelect">
+                        ${Object.entries(votingManager.methods).map(([value, label]) => 
+                            `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <label for="voteShortlistSize">Shortlist</label>
+                    <input type="number" id="voteShortlistSize" min="2" max="${Math.max(2, club.books.length)}" 
+                           value="${Math.min(votingManager.defaultShortlistSize, Math.max(2, club.books.length))}">
+                    <button class="btn btn-secondary btn-small" onclick="openVote()" type="button" 
+                            ${club.books.length < 2 || club.currentSelection ? 'disabled' : ''}>
+                        Open Vote
+                    </button>
+                </div>
+            ` : '<p>Waiting for an organizer to open a vote.</p>';
+            return;
+        }
+        
+        if (round.status === 'closed') {
+            panel.innerHTML = `
+                <h3>${votingManager.methods[round.method]} result</h3>
+                ${this.renderVoteTally(votingManager.summarizeRound(round))}
+            `;
+            return;
+        }
+        
+        const ownBallot = votingManager.getOwnBallot(club);
+        const ballots = Object.values(round.ballots);
+        const canVote = membershipManager.can(club, 'vote');
+        const isApproval = round.method === 'approval';
+        
+        const choices = round.shortlist.map(bookId => {
+            const title = this.escapeHtml(round.titles?.[bookId] || bookId);
+            const rank = ownBallot ? ownBallot.ranking.indexOf(bookId) + 1 : 0;
+            
+            if (isApproval) {
+                return `
+                    <label class="checkbox-label vote-choice">
+                        <input type="checkbox" data-book-id="${bookId}" ${rank > 0 ? 'checked' : ''}>
+                        ${title}
+                    </label>
+                `;
+            }
+            
+            return `
+                <label class="vote-choice">
+                    <select data-book-id="${bookId}" aria-label="Rank for ${title}">
+                        <option value="">–</option>
+                        ${round.shortlist.map((_, index) => 
+                            `<option value="${index + 1}" ${rank === index + 1 ? 'selected' : ''}>${index + 1}</option>`).join('')}
+                    </select>
+                    ${title}
+                </label>
+            `;
+        }).join('');
+        
+        panel.innerHTML = `
+            <h3>${votingManager.methods[round.method]} vote</h3>
+            ${canVote ? `
+                <p>${isApproval ? 'Tick every book you would be happy to read.' : 'Rank the books you want to read, 1 for your first choice. Leave the rest blank.'}</p>
+                <div id="ballotChoices" class="vote-choices">${choices}</div>
+            ` : '<p>Viewers can follow the vote but not cast a ballot.</p>'}
+            <div class="vote-actions">
+                ${canVote ? `
+                    <button class="btn btn-small" onclick="submitBallot()" type="button">
+                        ${ownBallot ? 'Update Ballot' : 'Submit Ballot'}
+                    </button>
+                ` : ''}
+                ${canManage ? `
+                    <button class="btn btn-secondary btn-small" onclick="closeVote()" id="closeVoteBtn" type="button" ${ballots.length === 0 ? 'disabled' : ''}>
+                        Close Vote &amp; Tally
+                    </button>
+                    <button class="link-button" onclick="cancelVote()" type="button">Cancel vote</button>
+                ` : ''}
+            </div>
+            <p id="voteTurnout" class="vote-turnout">${this.formatVoteTurnout(ballots)}</p>
+        `;
+    }
+
+    /**
+     * Refresh the ballot count without redrawing a ballot the user may be filling in
+     * @param {Object} club 
+     */
+    updateVoteTurnout(club) {
+        const ballots = Object.values(club.votingRound?.ballots || {});
+        const turnout = document.getElementById('voteTurnout');
+        const closeButton = document.getElementById('closeVoteBtn');
+        
+        if (!turnout) {
+            this.updateVotingPanel(club);
+            return;
+        }
+        
+        turnout.textContent = this.formatVoteTurnout(ballots);
+        if (closeButton) {
+            closeButton.disabled = ballots.length === 0;
+        }
+        
+        if (this.elements.selectionStatus && club.votingRound) {
+            this.elements.selectionStatus.textContent = 
+                `Member vote: ${votingManager.methods[club.votingRound.method]} vote open • ${this.formatBallotCount(ballots.length)} cast`;
+        }
+    }
+
+    /**
+     * Describe who has voted so far
+     * @param {Array} ballots 
+     * @returns {string}
+     */
+    formatVoteTurnout(ballots) {
+        const voters = ballots.map(ballot => this.formatUserLabel(ballot.voterId)).join(', ');
+        return `${this.formatBallotCount(ballots.length)} cast${voters ? ` by ${voters}` : ''}`;
+    }
+
+    /**
+     * Pluralize a ballot count
+     * @param {number} count 
+     * @returns {string} e.g. "3 ballots"
+     */
+    formatBallotCount(count) {
+        return `${count} ballot${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Render the round-by-round tally of a closed vote
+     * @param {Object} vote - Summary from votingManager.summarizeRound
+     * @returns {string} HTML
+     */
+    renderVoteTally(vote) {
+        const title = (bookId) => this.escapeHtml(vote.titles?.[bookId] || bookId);
+        const rounds = vote.rounds || [];
+        const isApproval = vote.method === 'approval';
+        
+        const header = rounds.length > 1 
+            ? rounds.map(round => `<th scope="col">Round ${round.round}</th>`).join('') 
+            : `<th scope="col">${{ irv: 'Votes', borda: 'Points', approval: 'Approvals' }[vote.method]}</th>`;
+        
+        const rows = vote.shortlist.map(bookId => `
+            <tr class="${bookId === vote.winnerId ? 'vote-winner' : ''}">
+                <th scope="row">${title(bookId)}</th>
+                ${rounds.map(round => {
+                    if (!(bookId in round.counts)) return '<td></td>';
+                    const eliminated = round.eliminated === bookId ? ' ✕' : '';
+                    return `<td>${round.counts[bookId]}${eliminated}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+        
+        const exhaustedRow = vote.method === 'irv' && rounds.some(round => round.exhausted > 0) 
+            ? `<tr><th scope="row">Exhausted</th>${rounds.map(round => `<td>${round.exhausted}</td>`).join('')}</tr>` 
+            : '';
+        
+        const tieBreaks = (vote.tieBreaks || []).map(tieBreak => {
+            const tied = tieBreak.tied.map(title).join(', ');
+            return tieBreak.type === 'elimination' 
+                ? `<li>Round ${tieBreak.round}: ${tied} tied for last — ${title(tieBreak.eliminated)} eliminated</li>` 
+                : `<li>${tied} tied for first — ${title(tieBreak.winner)} wins</li>`;
+        }).join('');
+        
+        const ballots = (vote.ballots || []).map(ballot => `
+            <li>${this.formatUserLabel(ballot.voterId)}: ${ballot.ranking.map(title).join(isApproval ? ', ' : ' › ')}</li>
+        `).join('');
+        
+        return `
+            <div class="vote-tally">
+                <p>Winner: <strong>${vote.winnerId ? title(vote.winnerId) : 'none'}</strong> 
+                   (${this.formatBallotCount(vote.ballots?.length || 0)})</p>
+                <table>
+                    <thead><tr><th scope="col">Book</th>${header}</tr></thead>
+                    <tbody>${rows}${exhaustedRow}</tbody>
+                </table>
+                ${tieBreaks ? `<p>Tie-breaks:</p><ul>${tieBreaks}</ul>` : ''}
+                <details>
+                    <summary>Tie-break rules</summary>
+                    <ol>${(vote.tieBreakRules || []).map(rule => `<li>${this.escapeHtml(rule)}</li>`).join('')}</ol>
+                </details>
+                <details>
+                    <summary>Ballots</summary>
+                    <ul>${ballots}</ul>
+                </details>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the options for opening a vote from the voting panel
+     * @returns {Object} { method, shortlistSize }
+     */
+    getVoteOptions() {
+        return {
+            method: document.getElementById('voteMethodSelect')?.value || 'irv',
+            shortlistSize: document.getElementById('voteShortlistSize')?.value
+        };
+    }
+
+    /**
+     * Read the current user's ballot from the voting panel
+     * @returns {Array<string>} Book IDs, most preferred first
+     */
+    getBallotRanking() {
+        const inputs = [...document.querySelectorAll('#ballotChoices [data-book-id]')];
+        
+        if (inputs.some(input => input.type === 'checkbox')) {
+            return inputs.filter(input => input.checked).map(input => input.dataset.bookId);
+        }
+        
+        return inputs
+            .filter(select => select.value)
+            .sort((a, b) => Number(a.value) - Number(b.value))
+            .map(select => select.dataset.bookId);
+    }
+
+    /**
+     * Show the outcome of recomputing a verifiable draw
+     * @param {Object} result - From verifiableDrawManager.verify
+     * @param {string} title - Title of the book the draw claimed
+     */
+    showVerificationResult(result, title) {
+        const earlier = result.previousCommitments || [];
+        const history = earlier.length > 0
+            ? `\n\nEarlier commitments for this meeting, replaced after draws were revealed:\n` +
+              earlier.map(item => `• #${item.commitCount}: seed ${verifiableDrawManager.shortHash(item.seed)}…, ${item.draws.length} draw${item.draws.length === 1 ? '' : 's'}`).join('\n')
+            : '';
+        
+        if (result.valid) {
+            alert(`✅ Verified: the committed seed and list produce "${title}".${history}`);
+            return;
+        }
+        
+        const failed = Object.entries(result.checks)
+            .filter(([, passed]) => !passed)
+            .map(([check]) => check)
+            .join(', ');
+        alert(`⚠️ Could not verify "${title}" - mismatch in: ${failed}.${history}`);
+    }
+
+    /**
+     * Update the season planner - draft a season, then lock, swap or reorder its slots
+     */
+    updateSeasonPlanner() {
+        const club = appState.getCurrentClub();
+        const panel = this.elements.seasonPlanPanel;
+        if (!club || !panel) return;
+        
+        const plan = club.seasonPlan;
+        const canManage = membershipManager.can(club, 'manageSelection');
+        
+        if (!plan) {
+            if (!canManage) {
+                panel.innerHTML = '<div class="empty-state">No season planned yet</div>';
+                return;
+            }
+            
+            panel.innerHTML = `
+                <div class="vote-setup">
+                    <label for="seasonCountInput">Meetings</label>
+                    <input type="number" id="seasonCountInput" min="1" max="${seasonPlanner.maxSlots}" value="${seasonPlanner.defaultSlotCount}">
+                    <label for="seasonStartInput">First meeting</label>
+                    <input type="date" id="seasonStartInput" value="${verifiableDrawManager.getDefaultMeetingDate()}">
+                    <label for="seasonIntervalSelect">Every</label>
+                    <select id="seasonIntervalSelect">
+                        ${Object.entries(seasonPlanner.intervals).map(([value, label]) => 
+                            `<option value="${value}" ${value === 'monthly' ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                    <button class="btn btn-secondary btn-small" onclick="planSeason()" type="button" 
+                            ${club.books.length === 0 || club.currentSelection ? 'disabled' : ''}>
+                        Draw Season
+                    </button>
+                </div>
+                <p class="vote-turnout">Each meeting is drawn with the club's rules, counting the meetings before it as already read.</p>
+            `;
+            return;
+        }
+        
+        // Checked on every render, so a reordered plan shows what it breaks
+        const problems = seasonPlanner.validatePlan(club);
+        const slots = plan.slots.map((slot, index) => {
+            const book = club.books.find(item => item.id === slot.bookId);
+            const previousLocked = plan.slots[index - 1]?.locked;
+            const nextLocked = plan.slots[index + 1]?.locked;
+            
+            return `
+                <li class="season-slot${slot.locked ? ' season-slot-locked' : ''}">
+                    ${canManage 
+                        ? `<input type="date" value="${slot.meetingDate}" aria-label="Meeting ${index + 1} date" 
+                                  onchange="setSeasonMeetingDate(${index}, this.value)">` 
+                        : `<span class="season-date">${new Date(`${slot.meetingDate}T00:00:00`).toLocaleDateString()}</span>`}
+                    <span class="season-book">
+                        ${book ? this.escapeHtml(book.title) : '<em>No longer on the list</em>'}
+                        ${book?.author ? `<span class="book-author">by ${this.escapeHtml(book.author)}</span>` : ''}
+                    </span>
+                    ${canManage ? `
+                        <span class="season-slot-actions">
+                            <button class="link-button" onclick="moveSeasonSlot(${index}, -1)" type="button" 
+                                    ${index === 0 || slot.locked || previousLocked ? 'disabled' : ''} aria-label="Move earlier">↑</button>
+                            <button class="link-button" onclick="moveSeasonSlot(${index}, 1)" type="button" 
+                                    ${index === plan.slots.length - 1 || slot.locked || nextLocked ? 'disabled' : ''} aria-label="Move later">↓</button>
+                            <button class="link-button" onclick="swapSeasonSlot(${index})" type="button" ${slot.locked ? 'disabled' : ''}>Swap</button>
+                            <button class="link-button" onclick="toggleSeasonSlotLock(${index})" type="button" aria-pressed="${slot.locked}">
+                                ${slot.locked ? 'Unlock' : 'Lock'}
+                            </button>
+                        </span>
+                    ` : (slot.locked ? '<span class="season-slot-actions">Locked</span>' : '')}
+                </li>
+            `;
+        }).join('');
+        
+        panel.innerHTML = `
+            <p>Draft season (${seasonPlanner.intervals[plan.interval] || plan.interval}) - ${canManage 
+                ? 'lock the meetings you like, swap or redraw the rest, then confirm.' 
+                : 'waiting for an organizer to confirm.'}</p>
+            <ol class="season-slots">${slots}</ol>
+            ${problems.length > 0 ? `
+                <ul class="excluded-list season-problems" role="alert">
+                    ${problems.map(problem => `<li>⚠️ ${this.escapeHtml(problem)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${canManage ? `
+                <div class="vote-actions">
+                    <button class="btn btn-secondary btn-small" onclick="redrawSeason()" type="button">Redraw Unlocked</button>
+                    <button class="btn btn-small" onclick="confirmSeasonPlan()" type="button">Confirm Season</button>
+                    <button class="link-button" onclick="discardSeasonPlan()" type="button">Discard plan</button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Get the options for drafting a season from the season planner
+     * @returns {Object} { count, startDate, interval }
+     */
+    getSeasonOptions() {
+        return {
+            count: document.getElementById('seasonCountInput')?.value,
+            startDate: document.getElementById('seasonStartInput')?.value,
+            interval: document.getElementById('seasonIntervalSelect')?.value
+        };
+    }
+
+    /**
+     * Update the "Past Reads" list from the club's reading history
+     */
+    updatePastReads() {
+        const club = appState.getCurrentClub();
+        if (!club || !this.elements.pastReadsList) return;
+        
+        const history = appState.getReadingHistory(club.id);
+        
+        if (this.elements.pastReadsCount) {
+            this.elements.pastReadsCount.textContent = history.length;
+        }
+        
+        if (history.length === 0) {
+            this.elements.pastReadsList.innerHTML = '<div class="empty-state">No confirmed selections yet</div>';
+            return;
+        }
+        
+        this.elements.pastReadsList.innerHTML = history.map(entry => `
+            <div class="book-item past-read-item" role="listitem">
+                <div class="book-details">
+                    <span class="book-title">${this.escapeHtml(entry.book.title)}</span>
+                    ${entry.book.author ? `<span class="book-author">by ${this.escapeHtml(entry.book.author)}</span>` : ''}
+                    <div class="book-meta">
+                        ${entry.meetingDate ? 
+                            `Scheduled for ${new Date(`${entry.meetingDate}T00:00:00`).toLocaleDateString()}` : 
+                            new Date(entry.confirmedAt).toLocaleDateString()} • 
+                        ${this.formatSelectionMethod(entry.method, entry.details)} • 
+                        Confirmed by ${this.formatUserLabel(entry.confirmedBy)}
+                        ${entry.details?.verifiable ? 
+                            ` • <button class="link-button" onclick="verifyDraw('${entry.id}')" type="button">Verify draw</button>` : 
+                            ''}
+                    </div>
+                    ${entry.details?.bracket ? `
+                        <details class="past-read-vote">
+                            <summary>View bracket</summary>
+                            ${this.renderBracket(entry.details.bracket)}
+                        </details>
+                    ` : ''}
+                    ${entry.details?.vote ? `
+                        <details class="past-read-vote">
+                            <summary>View vote tally</summary>
+                            ${this.renderVoteTally(entry.details.vote)}
+                        </details>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Get a readable label for a selection method
+     * @param {string} method 
+     * @param {Object} details - The selection's details, if any
+     * @returns {string}
+     */
+    formatSelectionMethod(method, details = null) {
+        const labels = {
+            random: 'Random draw',
+            rotation: 'Member rotation',
+            vote: 'Member vote',
+            bracket: 'Tournament bracket',
+            season: 'Season plan'
+        };
+        const voteMethod = details?.vote ? votingManager.methods[details.vote.method] : null;
+        const season = details?.season ? ` (meeting ${details.season.slot} of ${details.season.slotCount})` : '';
+        const label = voteMethod ? `${labels.vote} (${voteMethod})` : `${labels[method] || 'Selection'}${season}`;
+        const vetoCount = details?.vetoes?.length || 0;
+        if (vetoCount > 0) {
+            return `${this.formatSelectionMethod(method, { ...details, vetoes: null })} after ${vetoCount} veto${vetoCount === 1 ? '' : 'es'}`;
+        }
+        if (details?.verifiable) return `${label} (verifiable)`;
+        if (details?.weighted) return `${label} (weighted, ${(details.weighted.probability * 100).toFixed(1)}% chance)`;
+        return label;
+    }
+
+    /**
+     * Get a readable label for a user ID
+     * @param {string} userId 
+     * @returns {string}
+     */
+    formatUserLabel(userId) {
+        return this.escapeHtml(profileManager.getLabel(userId));
+    }
+
+    /**
+     * Render a user's avatar - their initials on their colour
+     * @param {string} userId 
+     * @returns {string} HTML
+     */
+    renderAvatar(userId) {
+        const profile = profileManager.getProfile(userId);
+        return `<span class="member-avatar" style="background: ${profile.color}" aria-hidden="true">${this.escapeHtml(profileManager.getInitials(userId))}</span>`;
+    }
+
+    /**
+     * Get a roster name for a user - their display name, marked if it's the current user
+     * @param {string} userId 
+     * @returns {string} HTML
+     */
+    formatMemberName(userId) {
+        const name = profileManager.getDisplayName(userId);
+        if (userId !== userManager.getCurrentUserId()) return this.formatUserLabel(userId);
+        return name ? `${this.escapeHtml(name)} (you)` : 'you';
+    }
+
+    /**
+     * Fill the profile form with the current user's profile
+     */
+    updateProfileForm() {
+        const userId = userManager.getCurrentUserId();
+        const profile = profileManager.getProfile(userId);
+
+        if (this.elements.profileNameInput) {
+            this.elements.profileNameInput.value = profile.displayName;
+        }
+        if (this.elements.profileGenresInput) {
+            this.elements.profileGenresInput.value = profile.genres.join(', ');
+        }
+        this.renderProfileColors(profile.color);
+        this.updateProfilePreview();
+    }
+
+    /**
+     * Show the account controls in collaborative mode - sign-in options, or who is signed in
+     */
+    updateAccountPanel() {
+        if (!this.elements.accountPanel) return;
+
+        const isCollaborative = supabaseManager.isCollaborativeMode();
+        const account = userManager.account;
+        this.elements.accountPanel.style.display = isCollaborative ? 'block' : 'none';
+
+        if (this.elements.accountSignedOut) {
+            this.elements.accountSignedOut.style.display = account ? 'none' : 'block';
+        }
+        if (this.elements.accountSignedIn) {
+            this.elements.accountSignedIn.style.display = account ? 'flex' : 'none';
+        }
+        if (this.elements.accountEmailLabel) {
+            this.elements.accountEmailLabel.textContent = account?.email || '';
+        }
+    }
+
+    /**
+     * Get the values entered in the account form; the password field is cleared
+     * @returns {Object} { email, password }
+     */
+    getAccountFormValues() {
+        const email = this.elements.accountEmailInput?.value.trim() || '';
+        const password = this.elements.accountPasswordInput?.value || '';
+        if (this.elements.accountPasswordInput) {
+            this.elements.accountPasswordInput.value = '';
+        }
+        return { email, password };
+    }
+
+    /**
+     * Show the device linking controls in collaborative mode. Signed-in devices use the
+     * account instead.
+     */
+    updateDeviceLinkPanel() {
+        if (!this.elements.deviceLinkPanel) return;
+
+        const canLink = supabaseManager.isCollaborativeMode() && !userManager.isSignedIn();
+        this.elements.deviceLinkPanel.style.display = canLink ? 'block' : 'none';
+    }
+
+    /**
+     * Show a pairing code for another device to enter or scan
+     * @param {Object} pairing - { code, url, expiresAt }
+     */
+    showPairingCode(pairing) {
+        if (!this.elements.deviceLinkCode) return;
+
+        this.elements.deviceLinkCode.style.display = 'block';
+        this.elements.deviceLinkCode.innerHTML = `
+            <span>On your other device, enter this code or open the pairing link:</span>
+            <code>${this.escapeHtml(pairing.code)}</code>
+            <small>Works once, until ${new Date(pairing.expiresAt).toLocaleTimeString()}.</small>
+            <button class="btn btn-secondary btn-small" onclick="openPairingQRCode()" type="button">📱 QR Code</button>
+        `;
+        this.pairingUrl = pairing.url;
+    }
+
+    /**
+     * Open a QR code for the pairing link shown
+     */
+    openPairingQRCode() {
+        if (!this.pairingUrl) return;
+        const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(this.pairingUrl)}`;
+        window.open(qrUrl, '_blank');
+    }
+
+    /**
+     * Show a new recovery phrase - it can't be shown again
+     * @param {string} phrase 
+     */
+    showRecoveryPhrase(phrase) {
+        if (!this.elements.deviceLinkCode) return;
+
+        this.pairingUrl = null;
+        this.elements.deviceLinkCode.style.display = 'block';
+        this.elements.deviceLinkCode.innerHTML = `
+            <span>Write this phrase down and keep it private - anyone who has it can use your member ID:</span>
+            <code>${this.escapeHtml(phrase)}</code>
+            <small>It won't be shown again. Creating a new phrase stops this one from working.</small>
+        `;
+    }
+
+    /**
+     * Hide the pairing code or recovery phrase
+     */
+    hideDeviceLinkCode() {
+        if (!this.elements.deviceLinkCode) return;
+        this.elements.deviceLinkCode.style.display = 'none';
+        this.elements.deviceLinkCode.innerHTML = '';
+        this.pairingUrl = null;
+    }
+
+    /**
+     * Get the phrase or code entered to link this device
+     * @returns {string}
+     */
+    getLinkCodeValue() {
+        const value = this.elements.linkCodeInput?.value.trim() || '';
+        if (this.elements.linkCodeInput) {
+            this.elements.linkCodeInput.value = '';
+        }
+        return value;
+    }
+
+    /**
+     * Render the avatar colour choices
+     * @param {string} selectedColor 
+     */
+    renderProfileColors(selectedColor) {
+        if (!this.elements.profileColorOptions) return;
+
+        this.elements.profileColorOptions.innerHTML = profileManager.colors.map(color => `
+            <button class="profile-color ${color === selectedColor ? 'selected' : ''}" style="background: ${color}" 
+                    onclick="selectProfileColor('${color}')" type="button" 
+                    role="radio" aria-checked="${color === selectedColor}" aria-label="Colour ${color}" data-color="${color}"></button>
+        `).join('');
+    }
+
+    /**
+     * Pick an avatar colour in the profile form
+     * @param {string} color 
+     */
+    selectProfileColor(color) {
+        this.renderProfileColors(color);
+        this.updateProfilePreview();
+    }
+
+    /**
+     * Show the avatar the profile form would save
+     */
+    updateProfilePreview() {
+        if (!this.elements.profileAvatarPreview) return;
+
+        const { displayName, color } = this.getProfileFormValues();
+        const preview = profileManager.normalizeProfile(userManager.getCurrentUserId(), { displayName, color });
+
+        this.elements.profileAvatarPreview.style.background = preview.color;
+        this.elements.profileAvatarPreview.textContent = profileManager.toInitials(preview.displayName);
+    }
+
+    /**
+     * Get the values entered in the profile form
+     * @returns {Object} { displayName, color, genres }
+     */
+    getProfileFormValues() {
+        const selected = this.elements.profileColorOptions?.querySelector('.profile-color.selected');
+        return {
+            displayName: this.elements.profileNameInput?.value || '',
+            color: selected?.dataset.color || null,
+            genres: this.elements.profileGenresInput?.value || ''
         };
+    }
 
-        console.log('🎨 UI elements initialized');
+    /**
+     * Escape user-provided text for safe insertion into HTML
+     * @param {string} text 
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
-     * Update the book clubs list with ownership indicators
+     * Update the sharing section visibility and content
      */
-    updateBookClubsList() {
-        if (!this.elements.bookClubsList) return;
+    updateSharingSection() {
+        if (!this.elements.sharingSection || !this.elements.shareUrl) return;
+        
+        const club = appState.getCurrentClub();
+        const isCollaborative = supabaseManager.isCollaborativeMode();
+        const canInvite = club ? membershipManager.can(club, 'invite') : false;
+        
+        if (!isCollaborative || !club || !canInvite) {
+            this.elements.sharingSection.style.display = 'none';
+            return;
+        }
+        
+        this.elements.sharingSection.style.display = 'block';
+        
+        // The link box only ever holds an invite created on this screen for this club
+        if (this.elements.shareUrl.dataset.clubId !== club.id) {
+            this.showInviteUrl('');
+            this.elements.shareUrl.dataset.clubId = club.id;
+        }
+        
+        if (this.elements.inviteList) {
+            this.elements.inviteList.innerHTML = appState.getInvites(club.id).map(invite => {
+                const status = inviteManager.getStatus(invite);
+                const uses = invite.maxUses === null ? `${invite.useCount} used` : `${invite.useCount}/${invite.maxUses} used`;
+                const expiry = invite.expiresAt 
+                    ? `${status === 'expired' ? 'expired' : 'expires'} ${new Date(invite.expiresAt).toLocaleDateString()}` 
+                    : 'never expires';
+                
+                return `
+                    <li class="invite-item invite-${status}">
+                        <span class="invite-role">${membershipManager.getRoleLabel(invite.role)}</span>
+                        <small>${uses} • ${expiry} • created by ${this.formatUserLabel(invite.createdBy)}</small>
+                        <span class="invite-status">${inviteManager.getStatusLabel(status)}</span>
+                        ${status === 'active' 
+                            ? `<button class="btn btn-secondary btn-small" onclick="revokeInvite('${invite.token}')" type="button">Revoke</button>` 
+                            : ''}
+                    </li>
+                `;
+            }).join('');
+        }
+        
+        if (this.elements.legacyLinkNotice) {
+            const showNotice = club.legacyJoinEnabled && membershipManager.can(club, 'manageMembers');
+            this.elements.legacyLinkNotice.style.display = showNotice ? 'flex' : 'none';
+        }
+        
+        this.updatePublicPageSettings(club);
+    }
 
-        const userClubs = Object.values(appState.getBookClubs());
+    /**
+     * Show the public page toggle to owners and co-owners, and the page link once published
+     * @param {Object} club 
+     */
+    updatePublicPageSettings(club) {
+        if (!this.elements.publicPageSettings) return;
         
-        if (userClubs.length === 0) {
-            this.elements.bookClubsList.innerHTML = '<div class="empty-state">No reading groups yet. Create your first group above.</div>';
+        const canPublish = membershipManager.can(club, 'manageMembers');
+        const pageUrl = publicPageManager.getPublishedUrl(club);
+        
+        this.elements.publicPageSettings.style.display = canPublish || pageUrl ? 'block' : 'none';
+        if (this.elements.publicPageToggle) {
+            this.elements.publicPageToggle.checked = !!pageUrl;
+            this.elements.publicPageToggle.disabled = !canPublish;
+        }
+        if (this.elements.publicPageLink) {
+            this.elements.publicPageLink.style.display = pageUrl ? 'flex' : 'none';
+        }
+        if (this.elements.publicPageUrl) {
+            this.elements.publicPageUrl.value = pageUrl || '';
+        }
+    }
+
+    /**
+     * Read the invite form
+     * @returns {Object} { role, expiresInDays, maxUses }
+     */
+    getInviteFormValues() {
+        return {
+            role: this.elements.inviteRoleSelect?.value || membershipManager.defaultRole,
+            expiresInDays: this.elements.inviteExpirySelect?.value ?? inviteManager.defaultExpiryDays,
+            maxUses: this.elements.inviteMaxUsesInput?.value || null
+        };
+    }
+
+    /**
+     * Put an invite link in the share box
+     * @param {string} url 
+     */
+    showInviteUrl(url) {
+        if (this.elements.shareUrl) {
+            this.elements.shareUrl.value = url || '';
+        }
+    }
+
+    /**
+     * Update the member roster - everyone in the club with their role
+     */
+    updateMemberRoster() {
+        if (!this.elements.membersSection || !this.elements.memberRoster) return;
+        
+        const club = appState.getCurrentClub();
+        const roster = membershipManager.getRoster(club);
+        
+        // A club nobody has joined only has its owner to list
+        if (!club || (roster.length < 2 && !supabaseManager.isCollaborativeMode())) {
+            this.elements.membersSection.style.display = 'none';
             return;
         }
         
-        this.elements.bookClubsList.innerHTML = userClubs.map(club => {
-            const ownershipLabel = userManager.isSharedWithUser(club) ? ' (Shared)' : '';
-            const isOwner = userManager.isOwner(club);
-            const deleteButton = isOwner ? 
-                `<button class="btn btn-danger btn-small" onclick="handleDeleteClub('${club.id}')" type="button" title="Delete this reading group">Delete</button>` : 
-                '';
+        this.elements.membersSection.style.display = 'block';
+        const canManageMembers = membershipManager.can(club, 'manageMembers');
+        const isOwner = membershipManager.can(club, 'transferOwnership');
+        // Only the owner makes or changes co-owners
+        const assignableRoles = membershipManager.assignableRoles.filter(role => isOwner || role !== 'co-owner');
+        const canTransfer = membershipManager.can(club, 'transferOwnership') && supabaseManager.isCollaborativeMode();
+        const offeredTo = club.ownershipTransfer?.toUserId;
+        
+        this.elements.memberRoster.innerHTML = roster.map(member => {
+            const genres = profileManager.getProfile(member.userId).genres;
+            const roleControl = canManageMembers && member.role !== 'owner' && assignableRoles.includes(member.role)
+                ? `
+                    <select onchange="setMemberRole('${member.userId}', this.value)" aria-label="Role for ${this.formatUserLabel(member.userId)}">
+                        ${assignableRoles.map(role => 
+                            `<option value="${role}" ${role === member.role ? 'selected' : ''}>${membershipManager.getRoleLabel(role)}</option>`
+                        ).join('')}
+                    </select>
+                ` 
+                : `<span class="member-role member-role-${member.role}">${membershipManager.getRoleLabel(member.role)}</span>`;
             
             return `
-                <div class="bookclub-card">
-                    <div onclick="showBookClub('${club.id}')" style="cursor: pointer; padding: 0; margin: -35px; padding: 35px;">
-                        <h3>${club.name}${ownershipLabel}</h3>
-                        <div class="bookclub-meta">
-                            ${club.books.length} titles • Created ${new Date(club.createdAt).toLocaleDateString()}
-                            ${!isOwner ? ' • Read-only access' : ''}
-                        </div>
-                    </div>
-                    <div class="bookclub-actions" style="position: relative; z-index: 10;">
-                        <button class="btn btn-small" onclick="showBookClub('${club.id}')" type="button">Enter</button>
-                        ${deleteButton}
-                    </div>
-                </div>
+                <li class="member-item">
+                    ${this.renderAvatar(member.userId)}
+                    <span class="member-name">
+                        ${this.formatMemberName(member.userId)}
+                        ${genres.length > 0 ? `<span class="member-genres">Likes ${this.escapeHtml(genres.join(', '))}</span>` : ''}
+                    </span>
+                    <small>${member.role === 'owner' ? 'Created' : 'Joined'} ${new Date(member.joinedAt).toLocaleDateString()}</small>
+                    ${roleControl}
+                    ${canTransfer && member.role !== 'owner' && !offeredTo 
+                        ? `<button class="btn btn-secondary btn-small" onclick="offerOwnership('${member.userId}')" type="button">👑 Offer Ownership</button>` 
+                        : ''}
+                    ${this.canRemoveMember(club, member) 
+                        ? `
+                            <button class="btn btn-secondary btn-small" onclick="removeMember('${member.userId}', false)" type="button">Remove</button>
+                            <button class="btn btn-danger btn-small" onclick="removeMember('${member.userId}', true)" type="button">Ban</button>
+                        ` 
+                        : ''}
+                </li>
             `;
         }).join('');
+        
+        this.updateOwnershipTransfer(club);
+        
+        if (this.elements.banList) {
+            const bans = canManageMembers ? club.bans || [] : [];
+            this.elements.banList.style.display = bans.length > 0 ? 'block' : 'none';
+            this.elements.banList.innerHTML = bans.length === 0 ? '' : `
+                <h3>🚫 Banned</h3>
+                <ul class="member-roster">
+                    ${bans.map(ban => `
+                        <li class="member-item">
+                            <span class="member-name">${this.formatUserLabel(ban.userId)}</span>
+                            <small>Banned ${new Date(ban.bannedAt).toLocaleDateString()} by ${this.formatUserLabel(ban.bannedBy)}</small>
+                            <button class="btn btn-secondary btn-small" onclick="unbanMember('${ban.userId}')" type="button">Lift Ban</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+        
+        // Organizers can add people directly by the member ID shown on their screen
+        if (this.elements.memberShareForm) {
+            const canInvite = membershipManager.can(club, 'invite') && supabaseManager.isCollaborativeMode();
+            this.elements.memberShareForm.style.display = canInvite ? 'flex' : 'none';
+        }
+        if (this.elements.currentUserIdLabel) {
+            this.elements.currentUserIdLabel.textContent = userManager.getCurrentUserId();
+        }
+        if (this.elements.conflictReviewSetting && this.elements.conflictReviewToggle) {
+            this.elements.conflictReviewSetting.style.display = supabaseManager.isCollaborativeMode() ? '' : 'none';
+            this.elements.conflictReviewToggle.checked = conflictReviewManager.isEnabled();
+        }
+        
+        this.updateJoinRequests(club);
     }
 
     /**
-     * Update the current book club view
+     * Check whether the current user may remove a roster entry - owners and co-owners
+     * remove members, only the owner removes a co-owner, nobody removes the owner
+     * @param {Object} club 
+     * @param {Object} member - Roster entry
+     * @returns {boolean}
      */
-    updateBookClubView() {
-        this.updateBookList();
-        this.updateRecommendationButton();
-        this.updateSharingSection();
-        this.updateNavigationTitle();
+    canRemoveMember(club, member) {
+        if (!supabaseManager.isCollaborativeMode() || !membershipManager.can(club, 'manageMembers')) return false;
+        if (member.role === 'owner' || member.userId === userManager.getCurrentUserId()) return false;
+        return member.role !== 'co-owner' || membershipManager.can(club, 'transferOwnership');
     }
 
     /**
-     * Update the book list display
+     * Show a pending ownership offer - to the owner with a way to withdraw it, and to
+     * the member it was offered to with accept and decline buttons
+     * @param {Object} club 
      */
-    updateBookList() {
-        const club = appState.getCurrentClub();
-        if (!club) return;
+    updateOwnershipTransfer(club) {
+        if (!this.elements.ownershipTransferNotice) return;
         
-        if (!this.elements.bookList || !this.elements.bookCount) return;
+        const transfer = club.ownershipTransfer;
+        const userId = userManager.getCurrentUserId();
         
-        this.elements.bookCount.textContent = club.books.length;
+        if (!transfer || (transfer.toUserId !== userId && transfer.fromUserId !== userId)) {
+            this.elements.ownershipTransferNotice.style.display = 'none';
+            return;
+        }
         
-        if (club.books.length === 0) {
-            this.elements.bookList.innerHTML = '<div class="empty-state">No titles in collection</div>';
-            if (this.elements.selectBtn) {
-                this.elements.selectBtn.disabled = true;
-            }
+        this.elements.ownershipTransferNotice.style.display = 'flex';
+        this.elements.ownershipTransferNotice.innerHTML = transfer.toUserId === userId 
+            ? `
+                <span>👑 ${this.formatUserLabel(transfer.fromUserId)} offered you ownership of this reading group. The current owner stays on as a co-owner.</span>
+                <button class="btn btn-small" onclick="respondToOwnershipOffer(true)" type="button">Accept</button>
+                <button class="btn btn-secondary btn-small" onclick="respondToOwnershipOffer(false)" type="button">Decline</button>
+            ` 
+            : `
+                <span>👑 Ownership offered to ${this.formatUserLabel(transfer.toUserId)} on ${new Date(transfer.offeredAt).toLocaleDateString()} - waiting for them to accept.</span>
+                <button class="btn btn-secondary btn-small" onclick="cancelOwnershipOffer()" type="button">Withdraw Offer</button>
+            `;
+    }
+
+    /**
+     * Update the owner's approval setting and the join request queue and history
+     * @param {Object} club 
+     */
+    updateJoinRequests(club) {
+        const isOwner = membershipManager.can(club, 'manageMembers') && supabaseManager.isCollaborativeMode();
+        
+        if (this.elements.approvalSetting) {
+            this.elements.approvalSetting.style.display = isOwner ? 'flex' : 'none';
+        }
+        if (this.elements.requireApprovalToggle) {
+            this.elements.requireApprovalToggle.checked = !!club.requireApproval;
+        }
+        if (!this.elements.joinRequestsPanel) return;
+        
+        const requests = appState.getJoinRequests(club.id);
+        if (!isOwner || (requests.length === 0 && !club.requireApproval)) {
+            this.elements.joinRequestsPanel.style.display = 'none';
             return;
         }
         
-        if (this.elements.selectBtn) {
-            this.elements.selectBtn.disabled = false;
+        this.elements.joinRequestsPanel.style.display = 'block';
+        const pending = requests.filter(request => request.status === 'pending');
+        const decided = requests.filter(request => request.status !== 'pending').reverse();
+        
+        if (this.elements.pendingJoinRequests) {
+            this.elements.pendingJoinRequests.innerHTML = pending.length === 0 
+                ? '<li class="empty-state">No pending requests</li>' 
+                : pending.map(request => `
+                    <li class="member-item">
+                        <span class="member-name">${this.formatUserLabel(request.userId)}</span>
+                        <small>Asked ${new Date(request.requestedAt).toLocaleString()} to join as ${membershipManager.getRoleLabel(request.role)}</small>
+                        <button class="btn btn-small" onclick="decideJoinRequest('${request.id}', true)" type="button">Approve</button>
+                        <button class="btn btn-secondary btn-small" onclick="decideJoinRequest('${request.id}', false)" type="button">Deny</button>
+                    </li>
+                `).join('');
         }
         
-        this.elements.bookList.innerHTML = club.books.map((book, index) => `
-            <div class="book-item">
-                <span class="book-title">${book}</span>
-                <button class="delete-btn" onclick="removeBookByIndex(${index}); event.stopPropagation();" title="Remove book">×</button>
-            </div>
-        `).join('');
+        if (this.elements.decidedJoinRequests) {
+            this.elements.decidedJoinRequests.innerHTML = decided.length === 0 
+                ? '<li class="empty-state">No decided requests yet</li>' 
+                : decided.map(request => `
+                    <li class="member-item">
+                        <span class="member-name">${this.formatUserLabel(request.userId)}</span>
+                        <small>Asked ${new Date(request.requestedAt).toLocaleString()} • ${request.status === 'approved' ? 'approved' : 'denied'} by ${this.formatUserLabel(request.decidedBy)} ${new Date(request.decidedAt).toLocaleString()}</small>
+                        <span class="member-role join-request-${request.status}">${request.status === 'approved' ? 'Approved' : 'Denied'}</span>
+                    </li>
+                `).join('');
+        }
     }
 
     /**
-     * Update the sharing section visibility and content
+     * Read and clear the add-member form
+     * @returns {Object} { userId, role }
      */
-    updateSharingSection() {
-        if (!this.elements.sharingSection || !this.elements.shareUrl) return;
-        
-        const club = appState.getCurrentClub();
-        const isCollaborative = supabaseManager.isCollaborativeMode();
-        const isOwner = club ? userManager.isOwner(club) : false;
-        
-        if (isCollaborative && club && isOwner) {
-            this.elements.sharingSection.style.display = 'block';
-            const shareUrl = `${window.location.origin}${window.location.pathname}?join=${club.id}`;
-            this.elements.shareUrl.value = shareUrl;
-        } else {
-            this.elements.sharingSection.style.display = 'none';
+    getShareFormValues() {
+        const userId = this.elements.shareUserIdInput?.value.trim() || '';
+        const role = this.elements.shareRoleSelect?.value || membershipManager.defaultRole;
+        if (this.elements.shareUserIdInput) {
+            this.elements.shareUserIdInput.value = '';
         }
+        return { userId, role };
     }
 
     /**
@@ -192,20 +1769,24 @@ class UIComponents {
 
     /**
      * Show book selection display
-     * @param {string} selectedBook 
+     * @param {Object} selectedBook - Book record
      * @param {boolean} isConfirmed 
      */
     showBookSelection(selectedBook, isConfirmed = false) {
-        if (!this.elements.selectedBook || !this.elements.selectionButtons) return;
+        if (!this.elements.selectedBook || !this.elements.selectionButtons || !selectedBook) return;
         
+        const author = selectedBook.author ? 
+            `<small class="selected-book-author">by ${this.escapeHtml(selectedBook.author)}</small>` : 
+            '';
         const confirmedClass = isConfirmed ? ' confirmed' : '';
         const confirmedMessage = isConfirmed ? 
-            '<br><small style="font-size: 15px; opacity: 0.8; margin-top: 8px; display: block;">Selection confirmed — removed from collection</small>' : 
+            '<br><small style="font-size: 15px; opacity: 0.8; margin-top: 8px; display: block;">Selection confirmed — moved to Past Reads</small>' : 
             '';
         
         this.elements.selectedBook.innerHTML = `
             <div class="selected-book${confirmedClass}">
-                ${selectedBook}
+                ${this.escapeHtml(selectedBook.title)}
+                ${author}
                 ${confirmedMessage}
             </div>
         `;
@@ -335,6 +1916,82 @@ class UIComponents {
         this.hideConfirmation();
     }
 
+    /**
+     * Show the conflict review dialog: this device's and the other member's version of
+     * each differing item side by side, with the side the merge kept preselected
+     * @param {Object} club 
+     * @param {Array<Object>} items - From ConflictReviewManager.describe
+     * @param {Function} callback - Called with item ID -> 'mine' or 'theirs', or null to keep the merge
+     */
+    showConflictReview(club, items, callback) {
+        if (!this.elements.conflictReviewOverlay || !this.elements.conflictReviewItems) {
+            callback(null);
+            return;
+        }
+        
+        if (this.elements.conflictReviewMessage) {
+            this.elements.conflictReviewMessage.textContent = 
+                `Someone else edited "${club.name}" while you were making changes. Choose which version to keep.`;
+        }
+        
+        this.elements.conflictReviewItems.innerHTML = items.map((item, index) => {
+            const choice = conflictReviewManager.getDefaultChoice(item);
+            const option = side => `
+                <td>
+                    <label>
+                        <input type="radio" name="conflictChoice${index}" value="${side}" ${choice === side ? 'checked' : ''}>
+                        ${this.escapeHtml(conflictReviewManager.formatValue(item, side))}
+                    </label>
+                </td>
+            `;
+            
+            return `
+                <tr data-item-id="${this.escapeHtml(item.id)}">
+                    <th scope="row">${this.escapeHtml(item.label)}</th>
+                    ${option('mine')}
+                    ${option('theirs')}
+                </tr>
+            `;
+        }).join('');
+        
+        this.conflictReviewCallback = callback;
+        this.elements.conflictReviewOverlay.style.display = 'flex';
+    }
+
+    /**
+     * Check whether the conflict review dialog is waiting for the user
+     * @returns {boolean}
+     */
+    isConflictReviewOpen() {
+        return this.elements.conflictReviewOverlay?.style.display === 'flex';
+    }
+
+    /**
+     * Close the conflict review dialog with the user's decision
+     * @param {string} mode - 'mine', 'theirs', 'choices' (as marked per item) or 'merged' (keep the merge)
+     */
+    resolveConflictReview(mode) {
+        if (!this.isConflictReviewOpen()) return;
+        
+        let choices = null;
+        if (mode !== 'merged') {
+            choices = {};
+            this.elements.conflictReviewItems.querySelectorAll('tr[data-item-id]').forEach(row => {
+                const marked = row.querySelector('input[type="radio"]:checked')?.value;
+                choices[row.dataset.itemId] = mode === 'choices' ? marked : mode;
+            });
+        }
+        
+        const callback = this.conflictReviewCallback;
+        this.conflictReviewCallback = null;
+        this.elements.conflictReviewOverlay.style.display = 'none';
+        this.elements.conflictReviewItems.innerHTML = '';
+        
+        if (callback) {
+            callback(choices);
+        }
+    }
+
     /**
      * Show view by ID
      * @param {string} viewId 
@@ -360,6 +2017,68 @@ class UIComponents {
             this.elements.navigation.style.display = 'none';
         }
         this.updateBookClubsList();
+        this.updateProfileForm();
+        this.updateAccountPanel();
+        this.updateDeviceLinkPanel();
+    }
+
+    /**
+     * Show a club's public page - a read-only copy of its reading list, current pick and
+     * past reads, without any of the controls of the club view
+     * @param {Object} page - { name, books, currentSelection, readingHistory }
+     */
+    showPublicClub(page) {
+        this.showView('publicClubView');
+        if (this.elements.navigation) {
+            this.elements.navigation.style.display = 'none';
+        }
+        
+        const view = this.elements.publicClubView;
+        if (!view) return;
+        
+        const books = page.books || [];
+        const history = [...(page.readingHistory || [])].sort((a, b) => 
+            new Date(b.meetingDate || b.confirmedAt) - new Date(a.meetingDate || a.confirmedAt)
+        );
+        
+        view.querySelector('#publicClubName').textContent = `📚 ${page.name}`;
+        view.querySelector('#publicCurrentPick').innerHTML = page.currentSelection ? `
+            <div class="selected-book">
+                ${this.escapeHtml(page.currentSelection.title)}
+                ${page.currentSelection.author ? `<small class="selected-book-author">by ${this.escapeHtml(page.currentSelection.author)}</small>` : ''}
+                <small class="public-pick-label">Current pick</small>
+            </div>
+        ` : '';
+        
+        view.querySelector('#publicBookCount').textContent = books.length;
+        view.querySelector('#publicBookList').innerHTML = books.length === 0 
+            ? '<div class="empty-state">No titles in the reading list</div>' 
+            : books.map(book => `
+                <div class="book-item" role="listitem">
+                    <div class="book-details">
+                        <span class="book-title">${this.escapeHtml(book.title)}</span>
+                        ${book.author ? `<span class="book-author">by ${this.escapeHtml(book.author)}</span>` : ''}
+                    </div>
+                </div>
+            `).join('');
+        
+        view.querySelector('#publicPastReadsCount').textContent = history.length;
+        view.querySelector('#publicPastReadsList').innerHTML = history.length === 0 
+            ? '<div class="empty-state">No past reads yet</div>' 
+            : history.map(entry => `
+                <div class="book-item past-read-item" role="listitem">
+                    <div class="book-details">
+                        <span class="book-title">${this.escapeHtml(entry.book?.title || '')}</span>
+                        ${entry.book?.author ? `<span class="book-author">by ${this.escapeHtml(entry.book.author)}</span>` : ''}
+                        <div class="book-meta">
+                            ${entry.meetingDate ? 
+                                `Scheduled for ${new Date(`${entry.meetingDate}T00:00:00`).toLocaleDateString()}` : 
+                                new Date(entry.confirmedAt).toLocaleDateString()} • 
+                            ${this.formatSelectionMethod(entry.method)}
+                        </div>
+                    </div>
+                </div>
+            `).join('');
     }
 
     /**
@@ -380,6 +2099,11 @@ class UIComponents {
     async copyShareUrl() {
         if (!this.elements.shareUrl) return;
         
+        if (!this.elements.shareUrl.value) {
+            alert('❌ Create an invite link first.');
+            return;
+        }
+        
         try {
             this.elements.shareUrl.select();
             this.elements.shareUrl.setSelectionRange(0, 99999); // For mobile devices
@@ -405,10 +2129,31 @@ class UIComponents {
         if (!this.elements.shareUrl) return;
         
         const shareUrl = this.elements.shareUrl.value;
+        if (!shareUrl) {
+            alert('❌ Create an invite link first.');
+            return;
+        }
+        
         const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(shareUrl)}`;
         window.open(qrUrl, '_blank');
     }
 
+    /**
+     * Copy the public page link to the clipboard
+     */
+    async copyPublicPageUrl() {
+        const url = this.elements.publicPageUrl?.value;
+        if (!url) return;
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('📋 Public page link copied! Anyone with it can see the reading list without joining.');
+        } catch (error) {
+            console.error('Failed to copy URL:', error);
+            alert('📋 Link ready to copy: ' + url);
+        }
+    }
+
     /**
      * Clear form inputs
      */
@@ -421,6 +2166,17 @@ class UIComponents {
         }
     }
 
+    /**
+     * Clear the book details form after a book is added
+     */
+    clearBookForm() {
+        ['bookInput', 'bookAuthorInput', 'bookIsbnInput', 'bookPagesInput', 'bookGenreInput', 'bookNotesInput'].forEach(key => {
+            if (this.elements[key]) {
+                this.elements[key].value = '';
+            }
+        });
+    }
+
     /**
      * Show toast notification (for future enhancement)
      * @param {string} message 
@@ -443,7 +2199,12 @@ class UIComponents {
     getFormValues() {
         return {
             clubName: this.elements.clubNameInput?.value?.trim() || '',
-            bookTitle: this.elements.bookInput?.value?.trim() || ''
+            bookTitle: this.elements.bookInput?.value?.trim() || '',
+            bookAuthor: this.elements.bookAuthorInput?.value?.trim() || '',
+            bookIsbn: this.elements.bookIsbnInput?.value?.trim() || '',
+            bookPages: this.elements.bookPagesInput?.value?.trim() || '',
+            bookGenre: this.elements.bookGenreInput?.value?.trim() || '',
+            bookNotes: this.elements.bookNotesInput?.value?.trim() || ''
         };
     }
 
@@ -478,7 +2239,10 @@ const uiComponents = new UIComponents();
 window.handleOverlayClick = (event) => uiComponents.handleOverlayClick(event);
 window.hideConfirmation = () => uiComponents.hideConfirmation();
 window.confirmDeletion = () => uiComponents.confirmAction();
+window.resolveConflictReview = (mode) => uiComponents.resolveConflictReview(mode);
 window.copyShareUrl = () => uiComponents.copyShareUrl();
 window.generateQRCode = () => uiComponents.generateQRCode();
+window.openPairingQRCode = () => uiComponents.openPairingQRCode();
+window.copyPublicPageUrl = () => uiComponents.copyPublicPageUrl();
 
 export default uiComponents;
\ No newline at end of file
@@ -0,0 +1,19 @@
+-- Literary Circle - initial schema
+-- Clubs are owned by an anonymous client-generated user ID sent in the x-user-id header
+
+CREATE TABLE book_clubs (
+    id VARCHAR PRIMARY KEY,
+    name VARCHAR NOT NULL,
+    books JSONB DEFAULT '[]'::jsonb,
+    current_selection VARCHAR,
+    user_id VARCHAR,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE book_clubs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage own clubs" ON book_clubs
+    FOR ALL USING (user_id = current_setting('request.headers', true)::json->>'x-user-id');
+
+ALTER PUBLICATION supabase_realtime ADD TABLE book_clubs;
@@ -0,0 +1,6 @@
+-- Reading history: confirmed selections are kept instead of discarded
+-- selection_context records how the pending selection was drawn (method, who, when)
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS selection_context JSONB,
+    ADD COLUMN IF NOT EXISTS reading_history JSONB DEFAULT '[]'::jsonb;
@@ -0,0 +1,5 @@
+-- Selection modes: per-club settings (random draw or member rotation) and rotation turn state
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS selection_settings JSONB,
+    ADD COLUMN IF NOT EXISTS rotation_state JSONB;
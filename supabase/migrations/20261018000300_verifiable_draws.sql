@@ -0,0 +1,4 @@
+-- Verifiable draws: committed seed, list snapshot, draws and reroll count for the current round
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS draw_state JSONB;
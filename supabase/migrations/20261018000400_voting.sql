@@ -0,0 +1,30 @@
+-- Voting rounds: the open or last closed round lives on the club row,
+-- ballots go in their own table so members can vote without write access to the club
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS voting_round JSONB;
+
+CREATE TABLE IF NOT EXISTS club_ballots (
+    club_id VARCHAR NOT NULL REFERENCES book_clubs(id) ON DELETE CASCADE,
+    round_id VARCHAR NOT NULL,
+    voter_id VARCHAR NOT NULL,
+    ranking JSONB NOT NULL DEFAULT '[]'::jsonb,
+    cast_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (round_id, voter_id)
+);
+
+CREATE INDEX IF NOT EXISTS club_ballots_club_round_idx ON club_ballots (club_id, round_id);
+
+ALTER TABLE club_ballots ENABLE ROW LEVEL SECURITY;
+
+-- Ballots are published with the tally, so anyone in the club may read them
+CREATE POLICY "Ballots are readable" ON club_ballots
+    FOR SELECT USING (true);
+
+CREATE POLICY "Voters cast own ballots" ON club_ballots
+    FOR INSERT WITH CHECK (voter_id = current_setting('request.headers', true)::json->>'x-user-id');
+
+CREATE POLICY "Voters change own ballots" ON club_ballots
+    FOR UPDATE USING (voter_id = current_setting('request.headers', true)::json->>'x-user-id');
+
+ALTER PUBLICATION supabase_realtime ADD TABLE club_ballots;
@@ -0,0 +1,30 @@
+-- Tournament brackets: bracket state lives on the club row,
+-- matchup votes go in their own table so members can vote without write access to the club
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS bracket_state JSONB;
+
+CREATE TABLE IF NOT EXISTS bracket_votes (
+    club_id VARCHAR NOT NULL REFERENCES book_clubs(id) ON DELETE CASCADE,
+    bracket_id VARCHAR NOT NULL,
+    match_id VARCHAR NOT NULL,
+    voter_id VARCHAR NOT NULL,
+    book_id VARCHAR NOT NULL,
+    cast_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (bracket_id, match_id, voter_id)
+);
+
+CREATE INDEX IF NOT EXISTS bracket_votes_club_bracket_idx ON bracket_votes (club_id, bracket_id);
+
+ALTER TABLE bracket_votes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Bracket votes are readable" ON bracket_votes
+    FOR SELECT USING (true);
+
+CREATE POLICY "Voters cast own bracket votes" ON bracket_votes
+    FOR INSERT WITH CHECK (voter_id = current_setting('request.headers', true)::json->>'x-user-id');
+
+CREATE POLICY "Voters change own bracket votes" ON bracket_votes
+    FOR UPDATE USING (voter_id = current_setting('request.headers', true)::json->>'x-user-id');
+
+ALTER PUBLICATION supabase_realtime ADD TABLE bracket_votes;
@@ -0,0 +1,4 @@
+-- Season planner: the draft season plan (slots, meeting dates, locks) lives on the club row
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS season_plan JSONB;
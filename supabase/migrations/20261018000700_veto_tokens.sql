@@ -0,0 +1,4 @@
+-- Veto tokens: the current veto season (start date and every veto spent) lives on the club row
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS veto_state JSONB;
@@ -0,0 +1,20 @@
+-- Club members and roles: the roster lives on the club row as [{ userId, role, joinedAt, addedBy }].
+-- Members, co-organizers and the owner may save the club; viewers can only read it.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS members JSONB DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS updated_by VARCHAR;
+
+CREATE POLICY "Members read their clubs" ON book_clubs
+    FOR SELECT USING (
+        members @> jsonb_build_array(jsonb_build_object('userId', current_setting('request.headers', true)::json->>'x-user-id'))
+    );
+
+CREATE POLICY "Editing members update their clubs" ON book_clubs
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM jsonb_array_elements(members) AS member
+            WHERE member->>'userId' = current_setting('request.headers', true)::json->>'x-user-id'
+              AND member->>'role' IN ('co-organizer', 'member')
+        )
+    );
@@ -0,0 +1,100 @@
+-- Shared users: the IDs of everyone on a club's roster, so a member's clubs can be loaded
+-- with a single array lookup. Joining and sharing go through security-definer functions
+-- because the joiner cannot read or write the club row until they are on it.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS shared_users TEXT[] DEFAULT '{}';
+
+UPDATE book_clubs
+SET shared_users = ARRAY(SELECT member->>'userId' FROM jsonb_array_elements(members) AS member)
+WHERE members IS NOT NULL AND jsonb_array_length(members) > 0;
+
+CREATE INDEX IF NOT EXISTS book_clubs_shared_users_idx ON book_clubs USING GIN (shared_users);
+
+CREATE POLICY "Shared users read their clubs" ON book_clubs
+    FOR SELECT USING (
+        current_setting('request.headers', true)::json->>'x-user-id' = ANY(shared_users)
+    );
+
+-- Add a user to a club's roster and shared_users unless they are already on it
+CREATE OR REPLACE FUNCTION add_club_member(p_club_id VARCHAR, p_user_id VARCHAR, p_role VARCHAR, p_added_by VARCHAR)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE book_clubs
+    SET shared_users = CASE
+            WHEN p_user_id = ANY(COALESCE(shared_users, '{}')) THEN shared_users
+            ELSE array_append(COALESCE(shared_users, '{}'), p_user_id)
+        END,
+        members = CASE
+            WHEN COALESCE(members, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('userId', p_user_id)) THEN members
+            ELSE COALESCE(members, '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                'userId', p_user_id,
+                'role', p_role,
+                'joinedAt', to_jsonb(NOW()),
+                'addedBy', p_added_by
+            ))
+        END,
+        updated_at = NOW(),
+        updated_by = p_added_by
+    WHERE id = p_club_id
+      AND user_id IS DISTINCT FROM p_user_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION add_club_member(VARCHAR, VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+
+-- Join a club from a shared link as a member; returns the club row
+CREATE OR REPLACE FUNCTION join_book_club(p_club_id VARCHAR)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    PERFORM add_club_member(p_club_id, v_user_id, 'member', v_user_id);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+-- Share a club with a user ID; only the owner and co-organizers may invite
+CREATE OR REPLACE FUNCTION share_book_club(p_club_id VARCHAR, p_user_id VARCHAR, p_role VARCHAR DEFAULT 'member')
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF p_role NOT IN ('co-organizer', 'member', 'viewer') THEN
+        RAISE EXCEPTION 'Unknown role %', p_role;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = p_club_id
+          AND (
+              user_id = v_user_id
+              OR members @> jsonb_build_array(jsonb_build_object('userId', v_user_id, 'role', 'co-organizer'))
+          )
+    ) THEN
+        RAISE EXCEPTION 'Only owners and co-organizers can share this club';
+    END IF;
+
+    PERFORM add_club_member(p_club_id, p_user_id, p_role, v_user_id);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION join_book_club(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION share_book_club(VARCHAR, VARCHAR, VARCHAR) TO anon, authenticated;
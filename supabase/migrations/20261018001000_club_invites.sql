@@ -0,0 +1,130 @@
+-- Invite tokens: share links carry a random token with an expiry, a usage limit and the role
+-- joiners get, so a leaked link runs out or can be revoked. Only organizers can read tokens;
+-- joiners redeem them through redeem_club_invite.
+
+CREATE TABLE IF NOT EXISTS club_invites (
+    token VARCHAR PRIMARY KEY,
+    club_id VARCHAR NOT NULL REFERENCES book_clubs(id) ON DELETE CASCADE,
+    role VARCHAR NOT NULL DEFAULT 'member' CHECK (role IN ('co-organizer', 'member', 'viewer')),
+    created_by VARCHAR NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS club_invites_club_idx ON club_invites (club_id);
+
+ALTER TABLE club_invites ENABLE ROW LEVEL SECURITY;
+
+-- Whether the requesting user is the club's owner or a co-organizer
+CREATE OR REPLACE FUNCTION is_club_organizer(p_club_id VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = p_club_id
+          AND (
+              user_id = current_setting('request.headers', true)::json->>'x-user-id'
+              OR members @> jsonb_build_array(jsonb_build_object(
+                  'userId', current_setting('request.headers', true)::json->>'x-user-id',
+                  'role', 'co-organizer'
+              ))
+          )
+    );
+$$;
+
+CREATE POLICY "Organizers read invites" ON club_invites
+    FOR SELECT USING (is_club_organizer(club_id));
+
+CREATE POLICY "Organizers create invites" ON club_invites
+    FOR INSERT WITH CHECK (
+        is_club_organizer(club_id)
+        AND created_by = current_setting('request.headers', true)::json->>'x-user-id'
+    );
+
+CREATE POLICY "Organizers revoke invites" ON club_invites
+    FOR UPDATE USING (is_club_organizer(club_id));
+
+-- Links with the raw club ID (?join=<clubId>) keep working for clubs that existed before
+-- invite tokens, until the owner turns them off. New clubs only accept invites.
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS legacy_join_enabled BOOLEAN DEFAULT TRUE;
+
+ALTER TABLE book_clubs
+    ALTER COLUMN legacy_join_enabled SET DEFAULT FALSE;
+
+CREATE OR REPLACE FUNCTION join_book_club(p_club_id VARCHAR)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM book_clubs WHERE id = p_club_id AND legacy_join_enabled) THEN
+        PERFORM add_club_member(p_club_id, v_user_id, 'member', v_user_id);
+    END IF;
+
+    RETURN QUERY
+        SELECT * FROM book_clubs
+        WHERE id = p_club_id
+          AND (user_id = v_user_id OR v_user_id = ANY(COALESCE(shared_users, '{}')));
+END;
+$$;
+
+-- Redeem an invite token; returns the club row. Owners and existing members get the club
+-- back without using up the invite.
+CREATE OR REPLACE FUNCTION redeem_club_invite(p_token VARCHAR)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_invite club_invites%ROWTYPE;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    SELECT * INTO v_invite FROM club_invites WHERE token = p_token FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'invite_not_found';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = v_invite.club_id
+          AND (user_id = v_user_id OR v_user_id = ANY(COALESCE(shared_users, '{}')))
+    ) THEN
+        IF v_invite.revoked_at IS NOT NULL THEN
+            RAISE EXCEPTION 'invite_revoked';
+        END IF;
+        IF v_invite.expires_at IS NOT NULL AND v_invite.expires_at <= NOW() THEN
+            RAISE EXCEPTION 'invite_expired';
+        END IF;
+        IF v_invite.max_uses IS NOT NULL AND v_invite.use_count >= v_invite.max_uses THEN
+            RAISE EXCEPTION 'invite_used_up';
+        END IF;
+
+        UPDATE club_invites SET use_count = use_count + 1 WHERE token = p_token;
+        PERFORM add_club_member(v_invite.club_id, v_user_id, v_invite.role, v_invite.created_by);
+    END IF;
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = v_invite.club_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION redeem_club_invite(VARCHAR) TO anon, authenticated;
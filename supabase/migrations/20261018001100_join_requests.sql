@@ -0,0 +1,202 @@
+-- Join requests: clubs can require the owner to approve new members. Opening a join link
+-- then files a pending request instead of adding the user. Requests are never deleted, so
+-- pending, approved and denied requests stay on record with who decided them and when.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS require_approval BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS club_join_requests (
+    id VARCHAR PRIMARY KEY DEFAULT ('joinreq_' || gen_random_uuid()::text),
+    club_id VARCHAR NOT NULL REFERENCES book_clubs(id) ON DELETE CASCADE,
+    user_id VARCHAR NOT NULL,
+    role VARCHAR NOT NULL DEFAULT 'member' CHECK (role IN ('co-organizer', 'member', 'viewer')),
+    invite_token VARCHAR,
+    status VARCHAR NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decided_by VARCHAR
+);
+
+CREATE INDEX IF NOT EXISTS club_join_requests_club_idx ON club_join_requests (club_id, requested_at);
+
+-- One open request per user and club
+CREATE UNIQUE INDEX IF NOT EXISTS club_join_requests_pending_idx
+    ON club_join_requests (club_id, user_id) WHERE status = 'pending';
+
+ALTER TABLE club_join_requests ENABLE ROW LEVEL SECURITY;
+
+-- Requests are filed and decided through the functions below; the owner reads the full
+-- record and requesters can see their own requests
+CREATE POLICY "Owners and requesters read join requests" ON club_join_requests
+    FOR SELECT USING (
+        user_id = current_setting('request.headers', true)::json->>'x-user-id'
+        OR EXISTS (
+            SELECT 1 FROM book_clubs
+            WHERE book_clubs.id = club_join_requests.club_id
+              AND book_clubs.user_id = current_setting('request.headers', true)::json->>'x-user-id'
+        )
+    );
+
+ALTER PUBLICATION supabase_realtime ADD TABLE club_join_requests;
+
+-- Add a user to a club, or file a pending request if the club requires approval.
+-- Returns { status: 'joined', club } or { status: 'pending', clubName, request }.
+CREATE OR REPLACE FUNCTION join_or_request_club(p_club_id VARCHAR, p_user_id VARCHAR, p_role VARCHAR, p_added_by VARCHAR, p_invite_token VARCHAR)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_club book_clubs%ROWTYPE;
+    v_request club_join_requests%ROWTYPE;
+BEGIN
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id;
+
+    IF v_club.require_approval
+       AND v_club.user_id IS DISTINCT FROM p_user_id
+       AND NOT (p_user_id = ANY(COALESCE(v_club.shared_users, '{}'))) THEN
+        SELECT * INTO v_request FROM club_join_requests
+        WHERE club_id = p_club_id AND user_id = p_user_id AND status = 'pending';
+
+        IF NOT FOUND THEN
+            INSERT INTO club_join_requests (club_id, user_id, role, invite_token)
+            VALUES (p_club_id, p_user_id, p_role, p_invite_token)
+            RETURNING * INTO v_request;
+        END IF;
+
+        RETURN jsonb_build_object('status', 'pending', 'clubName', v_club.name, 'request', to_jsonb(v_request));
+    END IF;
+
+    PERFORM add_club_member(p_club_id, p_user_id, p_role, p_added_by);
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id;
+
+    RETURN jsonb_build_object('status', 'joined', 'club', to_jsonb(v_club));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION join_or_request_club(VARCHAR, VARCHAR, VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+
+-- Joining now returns JSON so a pending request can be told apart from a join
+DROP FUNCTION IF EXISTS join_book_club(VARCHAR);
+DROP FUNCTION IF EXISTS redeem_club_invite(VARCHAR);
+
+CREATE FUNCTION join_book_club(p_club_id VARCHAR)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_club book_clubs%ROWTYPE;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_club.user_id = v_user_id OR v_user_id = ANY(COALESCE(v_club.shared_users, '{}')) THEN
+        RETURN jsonb_build_object('status', 'joined', 'club', to_jsonb(v_club));
+    END IF;
+
+    IF NOT v_club.legacy_join_enabled THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN join_or_request_club(p_club_id, v_user_id, 'member', v_user_id, NULL);
+END;
+$$;
+
+CREATE FUNCTION redeem_club_invite(p_token VARCHAR)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_invite club_invites%ROWTYPE;
+    v_club book_clubs%ROWTYPE;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    SELECT * INTO v_invite FROM club_invites WHERE token = p_token FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'invite_not_found';
+    END IF;
+
+    -- Owners and existing members get the club back without using up the invite
+    SELECT * INTO v_club FROM book_clubs WHERE id = v_invite.club_id;
+    IF v_club.user_id = v_user_id OR v_user_id = ANY(COALESCE(v_club.shared_users, '{}')) THEN
+        RETURN jsonb_build_object('status', 'joined', 'club', to_jsonb(v_club));
+    END IF;
+
+    -- Opening the link again while a request is pending doesn't use the invite again
+    IF EXISTS (
+        SELECT 1 FROM club_join_requests
+        WHERE club_id = v_invite.club_id AND user_id = v_user_id AND status = 'pending'
+    ) THEN
+        RETURN join_or_request_club(v_invite.club_id, v_user_id, v_invite.role, v_invite.created_by, p_token);
+    END IF;
+
+    IF v_invite.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'invite_revoked';
+    END IF;
+    IF v_invite.expires_at IS NOT NULL AND v_invite.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'invite_expired';
+    END IF;
+    IF v_invite.max_uses IS NOT NULL AND v_invite.use_count >= v_invite.max_uses THEN
+        RAISE EXCEPTION 'invite_used_up';
+    END IF;
+
+    UPDATE club_invites SET use_count = use_count + 1 WHERE token = p_token;
+
+    RETURN join_or_request_club(v_invite.club_id, v_user_id, v_invite.role, v_invite.created_by, p_token);
+END;
+$$;
+
+-- Approve or deny a pending request; only the club owner may decide
+CREATE OR REPLACE FUNCTION decide_join_request(p_request_id VARCHAR, p_approve BOOLEAN)
+RETURNS club_join_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_request club_join_requests%ROWTYPE;
+BEGIN
+    SELECT * INTO v_request FROM club_join_requests WHERE id = p_request_id FOR UPDATE;
+    IF NOT FOUND OR v_request.status <> 'pending' THEN
+        RAISE EXCEPTION 'join_request_not_pending';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM book_clubs WHERE id = v_request.club_id AND user_id = v_user_id) THEN
+        RAISE EXCEPTION 'Only the owner can decide join requests';
+    END IF;
+
+    IF p_approve THEN
+        PERFORM add_club_member(v_request.club_id, v_request.user_id, v_request.role, v_user_id);
+    END IF;
+
+    UPDATE club_join_requests
+    SET status = CASE WHEN p_approve THEN 'approved' ELSE 'denied' END,
+        decided_at = NOW(),
+        decided_by = v_user_id
+    WHERE id = p_request_id
+    RETURNING * INTO v_request;
+
+    RETURN v_request;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION join_book_club(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION redeem_club_invite(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION decide_join_request(VARCHAR, BOOLEAN) TO anon, authenticated;
@@ -0,0 +1,226 @@
+-- Ownership transfer and co-owners. The owner offers the club to a member, who must accept
+-- before user_id changes; the previous owner stays on as a co-owner. Co-owners have the
+-- owner's rights except transferring and deleting the club.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS ownership_transfer JSONB;
+
+-- Only respond_ownership_transfer may change a club's owner, so a stale save from another
+-- client can't hand ownership back
+CREATE OR REPLACE FUNCTION protect_club_owner()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.user_id IS DISTINCT FROM OLD.user_id
+       AND current_setting('app.ownership_transfer', true) IS DISTINCT FROM 'on' THEN
+        NEW.user_id := OLD.user_id;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_club_owner ON book_clubs;
+CREATE TRIGGER protect_club_owner
+    BEFORE UPDATE ON book_clubs
+    FOR EACH ROW EXECUTE FUNCTION protect_club_owner();
+
+-- Whether the requesting user is the club's owner or holds one of the given roles
+CREATE OR REPLACE FUNCTION has_club_role(p_club_id VARCHAR, p_roles TEXT[])
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = p_club_id
+          AND (
+              user_id = current_setting('request.headers', true)::json->>'x-user-id'
+              OR EXISTS (
+                  SELECT 1 FROM jsonb_array_elements(members) AS member
+                  WHERE member->>'userId' = current_setting('request.headers', true)::json->>'x-user-id'
+                    AND member->>'role' = ANY(p_roles)
+              )
+          )
+    );
+$$;
+
+-- Co-owners edit the club like the owner
+DROP POLICY IF EXISTS "Editing members update their clubs" ON book_clubs;
+CREATE POLICY "Editing members update their clubs" ON book_clubs
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM jsonb_array_elements(members) AS member
+            WHERE member->>'userId' = current_setting('request.headers', true)::json->>'x-user-id'
+              AND member->>'role' IN ('co-owner', 'co-organizer', 'member')
+        )
+    );
+
+-- Co-owners manage invites like the owner and co-organizers
+CREATE OR REPLACE FUNCTION is_club_organizer(p_club_id VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT has_club_role(p_club_id, ARRAY['co-owner', 'co-organizer']);
+$$;
+
+-- Co-owners see and decide join requests like the owner
+DROP POLICY IF EXISTS "Owners and requesters read join requests" ON club_join_requests;
+CREATE POLICY "Owners and requesters read join requests" ON club_join_requests
+    FOR SELECT USING (
+        user_id = current_setting('request.headers', true)::json->>'x-user-id'
+        OR has_club_role(club_id, ARRAY['co-owner'])
+    );
+
+CREATE OR REPLACE FUNCTION decide_join_request(p_request_id VARCHAR, p_approve BOOLEAN)
+RETURNS club_join_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_request club_join_requests%ROWTYPE;
+BEGIN
+    SELECT * INTO v_request FROM club_join_requests WHERE id = p_request_id FOR UPDATE;
+    IF NOT FOUND OR v_request.status <> 'pending' THEN
+        RAISE EXCEPTION 'join_request_not_pending';
+    END IF;
+
+    IF NOT has_club_role(v_request.club_id, ARRAY['co-owner']) THEN
+        RAISE EXCEPTION 'Only owners and co-owners can decide join requests';
+    END IF;
+
+    IF p_approve THEN
+        PERFORM add_club_member(v_request.club_id, v_request.user_id, v_request.role, v_user_id);
+    END IF;
+
+    UPDATE club_join_requests
+    SET status = CASE WHEN p_approve THEN 'approved' ELSE 'denied' END,
+        decided_at = NOW(),
+        decided_by = v_user_id
+    WHERE id = p_request_id
+    RETURNING * INTO v_request;
+
+    RETURN v_request;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION share_book_club(p_club_id VARCHAR, p_user_id VARCHAR, p_role VARCHAR DEFAULT 'member')
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF p_role NOT IN ('co-organizer', 'member', 'viewer') THEN
+        RAISE EXCEPTION 'Unknown role %', p_role;
+    END IF;
+
+    IF NOT is_club_organizer(p_club_id) THEN
+        RAISE EXCEPTION 'Only owners, co-owners and co-organizers can share this club';
+    END IF;
+
+    PERFORM add_club_member(p_club_id, p_user_id, p_role, v_user_id);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+-- Offer the club to a member, or withdraw the offer with a NULL user
+CREATE OR REPLACE FUNCTION offer_ownership_transfer(p_club_id VARCHAR, p_user_id VARCHAR)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM book_clubs WHERE id = p_club_id AND user_id = v_user_id) THEN
+        RAISE EXCEPTION 'Only the owner can transfer this club';
+    END IF;
+
+    IF p_user_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = p_club_id
+          AND members @> jsonb_build_array(jsonb_build_object('userId', p_user_id))
+    ) THEN
+        RAISE EXCEPTION 'Ownership can only be offered to a member';
+    END IF;
+
+    UPDATE book_clubs
+    SET ownership_transfer = CASE
+            WHEN p_user_id IS NULL THEN NULL
+            ELSE jsonb_build_object('fromUserId', v_user_id, 'toUserId', p_user_id, 'offeredAt', to_jsonb(NOW()))
+        END,
+        updated_at = NOW(),
+        updated_by = v_user_id
+    WHERE id = p_club_id;
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+-- Accept or decline an ownership offer made to the requesting user
+CREATE OR REPLACE FUNCTION respond_ownership_transfer(p_club_id VARCHAR, p_accept BOOLEAN)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_club book_clubs%ROWTYPE;
+BEGIN
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id FOR UPDATE;
+    IF NOT FOUND
+       OR v_club.ownership_transfer IS NULL
+       OR v_club.ownership_transfer->>'toUserId' IS DISTINCT FROM v_user_id
+       OR v_club.ownership_transfer->>'fromUserId' IS DISTINCT FROM v_club.user_id THEN
+        RAISE EXCEPTION 'No ownership offer for this user';
+    END IF;
+
+    IF p_accept THEN
+        PERFORM set_config('app.ownership_transfer', 'on', true);
+
+        UPDATE book_clubs
+        SET user_id = v_user_id,
+            members = COALESCE((
+                    SELECT jsonb_agg(member) FROM jsonb_array_elements(members) AS member
+                    WHERE member->>'userId' NOT IN (v_user_id, v_club.user_id)
+                ), '[]'::jsonb)
+                || jsonb_build_array(jsonb_build_object(
+                    'userId', v_club.user_id,
+                    'role', 'co-owner',
+                    'joinedAt', to_jsonb(v_club.created_at),
+                    'addedBy', v_user_id
+                )),
+            shared_users = array_append(array_remove(COALESCE(shared_users, '{}'), v_user_id), v_club.user_id),
+            ownership_transfer = NULL,
+            updated_at = NOW(),
+            updated_by = v_user_id
+        WHERE id = p_club_id;
+
+        PERFORM set_config('app.ownership_transfer', 'off', true);
+    ELSE
+        UPDATE book_clubs
+        SET ownership_transfer = NULL,
+            updated_at = NOW(),
+            updated_by = v_user_id
+        WHERE id = p_club_id;
+    END IF;
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION offer_ownership_transfer(VARCHAR, VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION respond_ownership_transfer(VARCHAR, BOOLEAN) TO anon, authenticated;
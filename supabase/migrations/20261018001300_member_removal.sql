@@ -0,0 +1,265 @@
+-- Leaving, removing and banning members. Membership (members and shared_users) now only
+-- changes through the functions below and the join functions, so a stale save from another
+-- client can't bring back someone who left or was removed. Banned users are listed in bans
+-- and can't join again until they are unbanned.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS bans JSONB DEFAULT '[]'::jsonb;
+
+-- Plain saves may change members' roles but not who is a member
+CREATE OR REPLACE FUNCTION protect_club_membership()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF current_setting('app.membership_change', true) IS DISTINCT FROM 'on'
+       AND current_setting('app.ownership_transfer', true) IS DISTINCT FROM 'on' THEN
+        NEW.shared_users := OLD.shared_users;
+        NEW.bans := OLD.bans;
+        NEW.members := COALESCE((
+                SELECT jsonb_agg(member) FROM jsonb_array_elements(COALESCE(NEW.members, '[]'::jsonb)) AS member
+                WHERE member->>'userId' = ANY(COALESCE(OLD.shared_users, '{}'))
+            ), '[]'::jsonb)
+            || COALESCE((
+                SELECT jsonb_agg(old_member) FROM jsonb_array_elements(COALESCE(OLD.members, '[]'::jsonb)) AS old_member
+                WHERE NOT COALESCE(NEW.members, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('userId', old_member->>'userId'))
+            ), '[]'::jsonb);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_club_membership ON book_clubs;
+CREATE TRIGGER protect_club_membership
+    BEFORE UPDATE ON book_clubs
+    FOR EACH ROW EXECUTE FUNCTION protect_club_membership();
+
+-- Whether a user is banned from a club
+CREATE OR REPLACE FUNCTION is_club_banned(p_club_id VARCHAR, p_user_id VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = p_club_id
+          AND bans @> jsonb_build_array(jsonb_build_object('userId', p_user_id))
+    );
+$$;
+
+-- Adding a member now refuses banned users and marks the change as a membership change
+CREATE OR REPLACE FUNCTION add_club_member(p_club_id VARCHAR, p_user_id VARCHAR, p_role VARCHAR, p_added_by VARCHAR)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF is_club_banned(p_club_id, p_user_id) THEN
+        RAISE EXCEPTION 'member_banned';
+    END IF;
+
+    PERFORM set_config('app.membership_change', 'on', true);
+
+    UPDATE book_clubs
+    SET shared_users = CASE
+            WHEN p_user_id = ANY(COALESCE(shared_users, '{}')) THEN shared_users
+            ELSE array_append(COALESCE(shared_users, '{}'), p_user_id)
+        END,
+        members = CASE
+            WHEN COALESCE(members, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('userId', p_user_id)) THEN members
+            ELSE COALESCE(members, '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                'userId', p_user_id,
+                'role', p_role,
+                'joinedAt', to_jsonb(NOW()),
+                'addedBy', p_added_by
+            ))
+        END,
+        updated_at = NOW(),
+        updated_by = p_added_by
+    WHERE id = p_club_id
+      AND user_id IS DISTINCT FROM p_user_id;
+
+    PERFORM set_config('app.membership_change', 'off', true);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION add_club_member(VARCHAR, VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+
+-- Banned users can't file join requests either
+CREATE OR REPLACE FUNCTION join_or_request_club(p_club_id VARCHAR, p_user_id VARCHAR, p_role VARCHAR, p_added_by VARCHAR, p_invite_token VARCHAR)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_club book_clubs%ROWTYPE;
+    v_request club_join_requests%ROWTYPE;
+BEGIN
+    IF is_club_banned(p_club_id, p_user_id) THEN
+        RAISE EXCEPTION 'member_banned';
+    END IF;
+
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id;
+
+    IF v_club.require_approval
+       AND v_club.user_id IS DISTINCT FROM p_user_id
+       AND NOT (p_user_id = ANY(COALESCE(v_club.shared_users, '{}'))) THEN
+        SELECT * INTO v_request FROM club_join_requests
+        WHERE club_id = p_club_id AND user_id = p_user_id AND status = 'pending';
+
+        IF NOT FOUND THEN
+            INSERT INTO club_join_requests (club_id, user_id, role, invite_token)
+            VALUES (p_club_id, p_user_id, p_role, p_invite_token)
+            RETURNING * INTO v_request;
+        END IF;
+
+        RETURN jsonb_build_object('status', 'pending', 'clubName', v_club.name, 'request', to_jsonb(v_request));
+    END IF;
+
+    PERFORM add_club_member(p_club_id, p_user_id, p_role, p_added_by);
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id;
+
+    RETURN jsonb_build_object('status', 'joined', 'club', to_jsonb(v_club));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION join_or_request_club(VARCHAR, VARCHAR, VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+
+-- Take a user off a club's roster and shared_users
+CREATE OR REPLACE FUNCTION drop_club_member(p_club_id VARCHAR, p_user_id VARCHAR, p_changed_by VARCHAR)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM set_config('app.membership_change', 'on', true);
+
+    UPDATE book_clubs
+    SET shared_users = array_remove(COALESCE(shared_users, '{}'), p_user_id),
+        members = COALESCE((
+                SELECT jsonb_agg(member) FROM jsonb_array_elements(COALESCE(members, '[]'::jsonb)) AS member
+                WHERE member->>'userId' <> p_user_id
+            ), '[]'::jsonb),
+        ownership_transfer = CASE
+            WHEN ownership_transfer->>'toUserId' = p_user_id THEN NULL
+            ELSE ownership_transfer
+        END,
+        updated_at = NOW(),
+        updated_by = p_changed_by
+    WHERE id = p_club_id;
+
+    PERFORM set_config('app.membership_change', 'off', true);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION drop_club_member(VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+
+-- Leave a club; the owner has to transfer ownership first
+CREATE OR REPLACE FUNCTION leave_book_club(p_club_id VARCHAR)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF EXISTS (SELECT 1 FROM book_clubs WHERE id = p_club_id AND user_id = v_user_id) THEN
+        RAISE EXCEPTION 'The owner cannot leave - transfer ownership first';
+    END IF;
+
+    PERFORM drop_club_member(p_club_id, v_user_id, v_user_id);
+END;
+$$;
+
+-- Remove a member, optionally banning them. Owners and co-owners may remove members;
+-- only the owner may remove a co-owner.
+CREATE OR REPLACE FUNCTION remove_club_member(p_club_id VARCHAR, p_user_id VARCHAR, p_ban BOOLEAN DEFAULT FALSE)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_club book_clubs%ROWTYPE;
+BEGIN
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id FOR UPDATE;
+    IF NOT FOUND OR NOT has_club_role(p_club_id, ARRAY['co-owner']) THEN
+        RAISE EXCEPTION 'Only owners and co-owners can remove members';
+    END IF;
+
+    IF p_user_id = v_club.user_id THEN
+        RAISE EXCEPTION 'The owner cannot be removed';
+    END IF;
+
+    IF v_club.user_id <> v_user_id
+       AND v_club.members @> jsonb_build_array(jsonb_build_object('userId', p_user_id, 'role', 'co-owner')) THEN
+        RAISE EXCEPTION 'Only the owner can remove a co-owner';
+    END IF;
+
+    PERFORM drop_club_member(p_club_id, p_user_id, v_user_id);
+
+    IF p_ban THEN
+        PERFORM set_config('app.membership_change', 'on', true);
+
+        UPDATE book_clubs
+        SET bans = COALESCE(bans, '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+                'userId', p_user_id,
+                'bannedBy', v_user_id,
+                'bannedAt', to_jsonb(NOW())
+            ))
+        WHERE id = p_club_id
+          AND NOT COALESCE(bans, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('userId', p_user_id));
+
+        PERFORM set_config('app.membership_change', 'off', true);
+
+        -- A banned user's open join request is denied along with the ban
+        UPDATE club_join_requests
+        SET status = 'denied', decided_at = NOW(), decided_by = v_user_id
+        WHERE club_id = p_club_id AND user_id = p_user_id AND status = 'pending';
+    END IF;
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+-- Lift a ban so the user can join again through an invite
+CREATE OR REPLACE FUNCTION unban_club_member(p_club_id VARCHAR, p_user_id VARCHAR)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF NOT has_club_role(p_club_id, ARRAY['co-owner']) THEN
+        RAISE EXCEPTION 'Only owners and co-owners can lift bans';
+    END IF;
+
+    PERFORM set_config('app.membership_change', 'on', true);
+
+    UPDATE book_clubs
+    SET bans = COALESCE((
+            SELECT jsonb_agg(ban) FROM jsonb_array_elements(COALESCE(bans, '[]'::jsonb)) AS ban
+            WHERE ban->>'userId' <> p_user_id
+        ), '[]'::jsonb),
+        updated_at = NOW(),
+        updated_by = v_user_id
+    WHERE id = p_club_id;
+
+    PERFORM set_config('app.membership_change', 'off', true);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION leave_book_club(VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION remove_club_member(VARCHAR, VARCHAR, BOOLEAN) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION unban_club_member(VARCHAR, VARCHAR) TO anon, authenticated;
@@ -0,0 +1,26 @@
+-- Member profiles: a display name, avatar colour and favourite genres per user ID, so other
+-- members see a name instead of an opaque ID. Profiles are readable by anyone who knows the
+-- ID; each user can only write their own.
+
+CREATE TABLE IF NOT EXISTS user_profiles (
+    user_id VARCHAR PRIMARY KEY,
+    display_name VARCHAR(40) NOT NULL DEFAULT '',
+    avatar_color VARCHAR(7),
+    favourite_genres TEXT[] NOT NULL DEFAULT '{}' CHECK (cardinality(favourite_genres) <= 5),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone reads profiles" ON user_profiles
+    FOR SELECT USING (true);
+
+CREATE POLICY "Users create their own profile" ON user_profiles
+    FOR INSERT WITH CHECK (
+        user_id = current_setting('request.headers', true)::json->>'x-user-id'
+    );
+
+CREATE POLICY "Users update their own profile" ON user_profiles
+    FOR UPDATE USING (
+        user_id = current_setting('request.headers', true)::json->>'x-user-id'
+    );
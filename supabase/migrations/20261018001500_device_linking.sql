@@ -0,0 +1,208 @@
+-- Device linking: a recovery phrase or a short-lived pairing code lets another device adopt
+-- the same member ID. Only SHA-256 hashes of the codes are stored. When the linking device
+-- already had clubs, ballots or join requests under its own ID, they move to the adopted ID.
+
+CREATE TABLE IF NOT EXISTS identity_link_codes (
+    code_hash VARCHAR PRIMARY KEY,
+    user_id VARCHAR NOT NULL,
+    kind VARCHAR NOT NULL CHECK (kind IN ('recovery', 'pairing')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS identity_link_codes_user_idx ON identity_link_codes (user_id, kind);
+
+-- No policies: codes are only created and redeemed through the functions below
+ALTER TABLE identity_link_codes ENABLE ROW LEVEL SECURITY;
+
+-- Store a code for the requesting user. A user has one recovery phrase at a time, so making
+-- a new one retires the old; pairing codes expire after ten minutes and work once.
+CREATE OR REPLACE FUNCTION create_identity_link_code(p_code_hash VARCHAR, p_kind VARCHAR)
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_expires_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    IF p_kind NOT IN ('recovery', 'pairing') THEN
+        RAISE EXCEPTION 'Unknown code kind %', p_kind;
+    END IF;
+
+    DELETE FROM identity_link_codes
+    WHERE user_id = v_user_id
+      AND ((kind = 'recovery' AND p_kind = 'recovery')
+           OR expires_at <= NOW()
+           OR used_at IS NOT NULL);
+
+    v_expires_at := CASE WHEN p_kind = 'pairing' THEN NOW() + INTERVAL '10 minutes' END;
+
+    INSERT INTO identity_link_codes (code_hash, user_id, kind, expires_at)
+    VALUES (p_code_hash, v_user_id, p_kind, v_expires_at);
+
+    RETURN v_expires_at;
+END;
+$$;
+
+-- Move everything held by one member ID to another. Owned clubs change owner; where both
+-- IDs are on a roster the higher of the two roles is kept. Attribution inside club data
+-- (who added a book, who drew) keeps the old ID.
+CREATE OR REPLACE FUNCTION merge_user_identity(p_old_user_id VARCHAR, p_new_user_id VARCHAR)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_ranks TEXT[] := ARRAY['viewer', 'member', 'co-organizer', 'co-owner'];
+    v_club book_clubs%ROWTYPE;
+    v_old_member JSONB;
+    v_new_member JSONB;
+    v_others JSONB;
+BEGIN
+    PERFORM set_config('app.ownership_transfer', 'on', true);
+
+    UPDATE book_clubs
+    SET user_id = p_new_user_id,
+        members = COALESCE((
+                SELECT jsonb_agg(member) FROM jsonb_array_elements(COALESCE(members, '[]'::jsonb)) AS member
+                WHERE member->>'userId' NOT IN (p_old_user_id, p_new_user_id)
+            ), '[]'::jsonb),
+        shared_users = array_remove(array_remove(COALESCE(shared_users, '{}'), p_old_user_id), p_new_user_id),
+        ownership_transfer = NULL,
+        updated_at = NOW(),
+        updated_by = p_new_user_id
+    WHERE user_id = p_old_user_id;
+
+    FOR v_club IN
+        SELECT * FROM book_clubs
+        WHERE p_old_user_id = ANY(COALESCE(shared_users, '{}'))
+           OR members @> jsonb_build_array(jsonb_build_object('userId', p_old_user_id))
+    LOOP
+        SELECT member INTO v_old_member FROM jsonb_array_elements(v_club.members) AS member
+        WHERE member->>'userId' = p_old_user_id;
+        SELECT member INTO v_new_member FROM jsonb_array_elements(v_club.members) AS member
+        WHERE member->>'userId' = p_new_user_id;
+        v_others := COALESCE((
+                SELECT jsonb_agg(member) FROM jsonb_array_elements(v_club.members) AS member
+                WHERE member->>'userId' NOT IN (p_old_user_id, p_new_user_id)
+            ), '[]'::jsonb);
+
+        IF v_club.user_id = p_new_user_id THEN
+            v_new_member := NULL;
+        ELSIF v_new_member IS NULL THEN
+            v_new_member := COALESCE(v_old_member, jsonb_build_object(
+                    'role', 'member', 'joinedAt', to_jsonb(NOW()), 'addedBy', p_new_user_id
+                )) || jsonb_build_object('userId', p_new_user_id);
+        ELSIF COALESCE(array_position(v_ranks, v_old_member->>'role'), 0)
+              > COALESCE(array_position(v_ranks, v_new_member->>'role'), 0) THEN
+            v_new_member := v_new_member || jsonb_build_object('role', v_old_member->>'role');
+        END IF;
+
+        UPDATE book_clubs
+        SET members = CASE WHEN v_new_member IS NULL THEN v_others ELSE v_others || jsonb_build_array(v_new_member) END,
+            shared_users = CASE
+                WHEN v_club.user_id = p_new_user_id THEN array_remove(COALESCE(shared_users, '{}'), p_old_user_id)
+                ELSE array_append(array_remove(array_remove(COALESCE(shared_users, '{}'), p_old_user_id), p_new_user_id), p_new_user_id)
+            END,
+            ownership_transfer = CASE
+                WHEN ownership_transfer->>'toUserId' = p_old_user_id THEN NULL
+                ELSE ownership_transfer
+            END,
+            updated_at = NOW(),
+            updated_by = p_new_user_id
+        WHERE id = v_club.id;
+    END LOOP;
+
+    PERFORM set_config('app.ownership_transfer', 'off', true);
+
+    -- Ballots and bracket votes move over unless the adopted ID already voted
+    DELETE FROM club_ballots AS old_ballot
+    USING club_ballots AS new_ballot
+    WHERE old_ballot.voter_id = p_old_user_id
+      AND new_ballot.voter_id = p_new_user_id
+      AND new_ballot.round_id = old_ballot.round_id;
+    UPDATE club_ballots SET voter_id = p_new_user_id WHERE voter_id = p_old_user_id;
+
+    DELETE FROM bracket_votes AS old_vote
+    USING bracket_votes AS new_vote
+    WHERE old_vote.voter_id = p_old_user_id
+      AND new_vote.voter_id = p_new_user_id
+      AND new_vote.bracket_id = old_vote.bracket_id
+      AND new_vote.match_id = old_vote.match_id;
+    UPDATE bracket_votes SET voter_id = p_new_user_id WHERE voter_id = p_old_user_id;
+
+    -- Join requests keep their history; a duplicate pending request is dropped
+    DELETE FROM club_join_requests AS old_request
+    USING club_join_requests AS new_request
+    WHERE old_request.user_id = p_old_user_id
+      AND old_request.status = 'pending'
+      AND new_request.user_id = p_new_user_id
+      AND new_request.status = 'pending'
+      AND new_request.club_id = old_request.club_id;
+    UPDATE club_join_requests SET user_id = p_new_user_id WHERE user_id = p_old_user_id;
+    UPDATE club_join_requests SET decided_by = p_new_user_id WHERE decided_by = p_old_user_id;
+
+    UPDATE club_invites SET created_by = p_new_user_id WHERE created_by = p_old_user_id;
+
+    -- The adopted ID keeps its own profile if it has one
+    INSERT INTO user_profiles (user_id, display_name, avatar_color, favourite_genres, updated_at)
+    SELECT p_new_user_id, display_name, avatar_color, favourite_genres, updated_at
+    FROM user_profiles WHERE user_id = p_old_user_id
+    ON CONFLICT (user_id) DO NOTHING;
+    DELETE FROM user_profiles WHERE user_id = p_old_user_id;
+
+    DELETE FROM identity_link_codes WHERE user_id = p_old_user_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION merge_user_identity(VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+
+-- Redeem a recovery phrase or pairing code on the requesting device: everything held by the
+-- device's current ID moves to the code's ID, which is returned for the device to adopt
+CREATE OR REPLACE FUNCTION link_device(p_code_hash VARCHAR)
+RETURNS VARCHAR
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_code identity_link_codes%ROWTYPE;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    SELECT * INTO v_code FROM identity_link_codes WHERE code_hash = p_code_hash FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'link_code_not_found';
+    END IF;
+    IF v_code.used_at IS NOT NULL THEN
+        RAISE EXCEPTION 'link_code_used';
+    END IF;
+    IF v_code.expires_at IS NOT NULL AND v_code.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'link_code_expired';
+    END IF;
+
+    IF v_code.kind = 'pairing' THEN
+        UPDATE identity_link_codes SET used_at = NOW() WHERE code_hash = p_code_hash;
+    END IF;
+
+    IF v_code.user_id <> v_user_id THEN
+        PERFORM merge_user_identity(v_user_id, v_code.user_id);
+    END IF;
+
+    RETURN v_code.user_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_identity_link_code(VARCHAR, VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION link_device(VARCHAR) TO anon, authenticated;
@@ -0,0 +1,127 @@
+-- Optional accounts through Supabase Auth. Signing in claims the device's member ID for the
+-- account; from then on requests using that ID must carry the account's session, so knowing
+-- someone's ID is no longer enough to act as them. Unclaimed IDs keep working anonymously.
+
+CREATE TABLE IF NOT EXISTS member_accounts (
+    auth_user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    member_id VARCHAR NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE member_accounts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Account holders read their account" ON member_accounts
+    FOR SELECT USING (auth_user_id = auth.uid());
+
+-- Runs before every API request: a claimed member ID in x-user-id is only accepted with
+-- the session of the account that claimed it
+CREATE OR REPLACE FUNCTION check_member_header()
+RETURNS VOID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RETURN;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM member_accounts
+        WHERE member_id = v_user_id
+          AND auth_user_id IS DISTINCT FROM auth.uid()
+    ) THEN
+        RAISE SQLSTATE 'PT401' USING MESSAGE = 'member_id_requires_sign_in';
+    END IF;
+END;
+$$;
+
+ALTER ROLE authenticator SET pgrst.db_pre_request = 'public.check_member_header';
+NOTIFY pgrst, 'reload config';
+
+-- Claim the requesting device's member ID for the signed-in account. An account that
+-- already has an ID keeps it, and the device's anonymous ID is merged into it.
+-- Returns the account's member ID.
+CREATE OR REPLACE FUNCTION claim_member_account()
+RETURNS VARCHAR
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_account member_accounts%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'not_signed_in';
+    END IF;
+
+    SELECT * INTO v_account FROM member_accounts WHERE auth_user_id = auth.uid();
+    IF FOUND THEN
+        IF v_user_id IS NOT NULL AND v_user_id <> ''
+           AND v_user_id <> v_account.member_id
+           AND NOT EXISTS (SELECT 1 FROM member_accounts WHERE member_id = v_user_id) THEN
+            PERFORM merge_user_identity(v_user_id, v_account.member_id);
+        END IF;
+        RETURN v_account.member_id;
+    END IF;
+
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    -- The pre-request check already refused IDs claimed by another account
+    INSERT INTO member_accounts (auth_user_id, member_id) VALUES (auth.uid(), v_user_id);
+    RETURN v_user_id;
+END;
+$$;
+
+-- Device linking can't hand out or give away an account's ID; devices sign in to the
+-- account instead
+CREATE OR REPLACE FUNCTION link_device(p_code_hash VARCHAR)
+RETURNS VARCHAR
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_code identity_link_codes%ROWTYPE;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    SELECT * INTO v_code FROM identity_link_codes WHERE code_hash = p_code_hash FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'link_code_not_found';
+    END IF;
+    IF v_code.used_at IS NOT NULL THEN
+        RAISE EXCEPTION 'link_code_used';
+    END IF;
+    IF v_code.expires_at IS NOT NULL AND v_code.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'link_code_expired';
+    END IF;
+    IF EXISTS (SELECT 1 FROM member_accounts WHERE member_id = v_code.user_id) THEN
+        RAISE EXCEPTION 'link_requires_sign_in';
+    END IF;
+    IF EXISTS (SELECT 1 FROM member_accounts WHERE member_id = v_user_id) THEN
+        RAISE EXCEPTION 'link_requires_sign_out';
+    END IF;
+
+    IF v_code.kind = 'pairing' THEN
+        UPDATE identity_link_codes SET used_at = NOW() WHERE code_hash = p_code_hash;
+    END IF;
+
+    IF v_code.user_id <> v_user_id THEN
+        PERFORM merge_user_identity(v_user_id, v_code.user_id);
+    END IF;
+
+    RETURN v_code.user_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_member_account() TO authenticated;
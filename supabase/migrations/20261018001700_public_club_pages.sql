@@ -0,0 +1,110 @@
+-- Public club pages: owners and co-owners can publish a read-only page with the club's
+-- reading list, current pick and past reads. The page has its own random ID, so its URL
+-- gives no way to join the club and stays the same when it is unpublished and published
+-- again. Visitors read it through get_public_club_page, which leaves out member IDs.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS public_page_id VARCHAR UNIQUE,
+    ADD COLUMN IF NOT EXISTS public_page_enabled BOOLEAN DEFAULT FALSE;
+
+-- Only set_club_public_page may publish a club, so a member's save can't
+CREATE OR REPLACE FUNCTION protect_club_public_page()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF current_setting('app.public_page_change', true) IS DISTINCT FROM 'on' THEN
+        NEW.public_page_id := OLD.public_page_id;
+        NEW.public_page_enabled := OLD.public_page_enabled;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_club_public_page ON book_clubs;
+CREATE TRIGGER protect_club_public_page
+    BEFORE UPDATE ON book_clubs
+    FOR EACH ROW EXECUTE FUNCTION protect_club_public_page();
+
+-- Publish or unpublish a club's public page; returns the club row
+CREATE OR REPLACE FUNCTION set_club_public_page(p_club_id VARCHAR, p_enabled BOOLEAN)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT has_club_role(p_club_id, ARRAY['co-owner']) THEN
+        RAISE EXCEPTION 'Only owners and co-owners can publish a club';
+    END IF;
+
+    PERFORM set_config('app.public_page_change', 'on', true);
+
+    UPDATE book_clubs
+    SET public_page_enabled = p_enabled,
+        public_page_id = COALESCE(public_page_id, 'page_' || replace(gen_random_uuid()::text, '-', ''))
+    WHERE id = p_club_id;
+
+    PERFORM set_config('app.public_page_change', 'off', true);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+-- The public fields of a book record (clubs from older versions store plain titles)
+CREATE OR REPLACE FUNCTION public_book(p_book JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_book IS NULL OR jsonb_typeof(p_book) = 'null' THEN NULL
+        WHEN jsonb_typeof(p_book) = 'string' THEN jsonb_build_object('title', p_book #>> '{}')
+        ELSE jsonb_strip_nulls(jsonb_build_object(
+            'title', p_book->>'title',
+            'author', NULLIF(p_book->>'author', ''),
+            'isbn', NULLIF(p_book->>'isbn', '')
+        ))
+    END;
+$$;
+
+-- Read a published club page. Returns NULL for unknown or unpublished pages.
+-- { name, books: [...], currentSelection, readingHistory: [{ book, confirmedAt, meetingDate, method }], updatedAt }
+CREATE OR REPLACE FUNCTION get_public_club_page(p_page_id VARCHAR)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'name', club.name,
+        'books', COALESCE((
+                SELECT jsonb_agg(public_book(book) ORDER BY position)
+                FROM jsonb_array_elements(COALESCE(club.books, '[]'::jsonb)) WITH ORDINALITY AS books(book, position)
+            ), '[]'::jsonb),
+        'currentSelection', (
+                SELECT public_book(book)
+                FROM jsonb_array_elements(COALESCE(club.books, '[]'::jsonb)) AS book
+                WHERE book->>'id' = club.current_selection
+                   OR lower(trim(COALESCE(book->>'title', book #>> '{}'))) = lower(trim(club.current_selection))
+                LIMIT 1
+            ),
+        'readingHistory', COALESCE((
+                SELECT jsonb_agg(jsonb_strip_nulls(jsonb_build_object(
+                    'book', public_book(entry->'book'),
+                    'confirmedAt', entry->'confirmedAt',
+                    'meetingDate', entry->'meetingDate',
+                    'method', entry->'method'
+                )))
+                FROM jsonb_array_elements(COALESCE(club.reading_history, '[]'::jsonb)) AS entry
+            ), '[]'::jsonb),
+        'updatedAt', club.updated_at
+    )
+    FROM book_clubs AS club
+    WHERE club.public_page_id = p_page_id
+      AND club.public_page_enabled;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_club_public_page(VARCHAR, BOOLEAN) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_public_club_page(VARCHAR) TO anon, authenticated;
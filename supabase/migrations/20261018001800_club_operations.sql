@@ -0,0 +1,218 @@
+-- Operation-based sync for book lists: adding, removing, moving, selecting, upvoting,
+-- clearing and confirming books travel as operations with their own IDs instead of
+-- whole-club saves. apply_club_operations numbers each club's operations in the order
+-- the server receives them, logs them in club_operations and applies them to the club
+-- row, so two members editing at once both keep their changes.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS op_seq BIGINT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS club_operations (
+    id VARCHAR PRIMARY KEY,
+    club_id VARCHAR NOT NULL REFERENCES book_clubs(id) ON DELETE CASCADE,
+    seq BIGINT NOT NULL,
+    type VARCHAR NOT NULL CHECK (type IN ('add', 'remove', 'move', 'select', 'upvote', 'clear', 'confirm')),
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    actor_id VARCHAR NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (club_id, seq)
+);
+
+ALTER TABLE club_operations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members read their clubs' operations" ON club_operations
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM book_clubs
+            WHERE id = club_id
+              AND (
+                  user_id = current_setting('request.headers', true)::json->>'x-user-id'
+                  OR current_setting('request.headers', true)::json->>'x-user-id' = ANY(shared_users)
+              )
+        )
+    );
+
+ALTER PUBLICATION supabase_realtime ADD TABLE club_operations;
+
+-- Once a club has operations only apply_club_operations may change its book list, so a
+-- whole-club save from a stale or older client can't undo other members' changes
+CREATE OR REPLACE FUNCTION protect_club_books()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF OLD.op_seq > 0
+       AND current_setting('app.club_operation', true) IS DISTINCT FROM 'on' THEN
+        NEW.books := OLD.books;
+        NEW.current_selection := OLD.current_selection;
+        NEW.selection_context := OLD.selection_context;
+        NEW.op_seq := OLD.op_seq;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_club_books ON book_clubs;
+CREATE TRIGGER protect_club_books
+    BEFORE UPDATE ON book_clubs
+    FOR EACH ROW EXECUTE FUNCTION protect_club_books();
+
+-- Books without the given IDs
+CREATE OR REPLACE FUNCTION books_without(p_books JSONB, p_book_ids TEXT[])
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(jsonb_agg(book ORDER BY position), '[]'::jsonb)
+    FROM jsonb_array_elements(COALESCE(p_books, '[]'::jsonb)) WITH ORDINALITY AS books(book, position)
+    WHERE NOT COALESCE(book->>'id' = ANY(p_book_ids), false);
+$$;
+
+-- Apply the requesting member's operations in order. Each is { id, clubId, type, payload, createdAt };
+-- the effects match OperationManager.apply in js/core/operations.js, and applying an
+-- operation again does nothing. Returns [{ id, seq }] in the order given.
+CREATE OR REPLACE FUNCTION apply_club_operations(p_operations JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_operation JSONB;
+    v_payload JSONB;
+    v_type VARCHAR;
+    v_club book_clubs%ROWTYPE;
+    v_books JSONB;
+    v_book JSONB;
+    v_book_id TEXT;
+    v_index INTEGER;
+    v_seq BIGINT;
+    v_results JSONB := '[]'::jsonb;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    FOR v_operation IN SELECT * FROM jsonb_array_elements(COALESCE(p_operations, '[]'::jsonb))
+    LOOP
+        SELECT seq INTO v_seq FROM club_operations WHERE id = v_operation->>'id';
+        IF FOUND THEN
+            v_results := v_results || jsonb_build_array(jsonb_build_object('id', v_operation->>'id', 'seq', v_seq));
+            CONTINUE;
+        END IF;
+
+        v_type := v_operation->>'type';
+        v_payload := COALESCE(v_operation->'payload', '{}'::jsonb);
+        v_book_id := v_payload->>'bookId';
+
+        IF v_type IN ('clear', 'confirm') THEN
+            IF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner', 'co-organizer']) THEN
+                RAISE EXCEPTION 'operation_not_allowed';
+            END IF;
+        ELSIF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner', 'co-organizer', 'member']) THEN
+            RAISE EXCEPTION 'operation_not_allowed';
+        END IF;
+
+        SELECT * INTO v_club FROM book_clubs WHERE id = v_operation->>'clubId' FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Club not found';
+        END IF;
+
+        v_books := COALESCE(v_club.books, '[]'::jsonb);
+
+        CASE v_type
+            WHEN 'add' THEN
+                v_book := v_payload->'book';
+                IF jsonb_typeof(v_book) = 'object' AND NOT EXISTS (
+                    SELECT 1 FROM jsonb_array_elements(v_books) AS book
+                    WHERE book->>'id' = v_book->>'id'
+                       OR lower(trim(book->>'title')) = lower(trim(v_book->>'title'))
+                ) THEN
+                    v_books := v_books || jsonb_build_array(v_book);
+                END IF;
+            WHEN 'remove' THEN
+                v_books := books_without(v_books, ARRAY[v_book_id]);
+            WHEN 'move' THEN
+                SELECT book INTO v_book FROM jsonb_array_elements(v_books) AS book WHERE book->>'id' = v_book_id;
+                IF v_book IS NOT NULL THEN
+                    v_books := books_without(v_books, ARRAY[v_book_id]);
+                    v_index := GREATEST(0, LEAST(jsonb_array_length(v_books), COALESCE((v_payload->>'toIndex')::INTEGER, 0)));
+                    -- Rest of the list at even positions, the moved book just before position index * 2
+                    SELECT jsonb_agg(item ORDER BY sort_key) INTO v_books
+                    FROM (
+                        SELECT book AS item, position * 2 AS sort_key
+                        FROM jsonb_array_elements(v_books) WITH ORDINALITY AS books(book, position)
+                        UNION ALL
+                        SELECT v_book, v_index * 2 + 1
+                    ) AS reordered;
+                END IF;
+            WHEN 'select' THEN
+                IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_books) AS book WHERE book->>'id' = v_book_id) THEN
+                    v_club.current_selection := v_book_id;
+                    v_club.selection_context := v_payload->'context';
+                END IF;
+            WHEN 'upvote' THEN
+                SELECT COALESCE(jsonb_agg(
+                    CASE WHEN book->>'id' = v_book_id THEN
+                        jsonb_set(book, '{upvotes}',
+                            CASE
+                                WHEN NOT COALESCE((v_payload->>'upvoted')::BOOLEAN, false) THEN
+                                    COALESCE(book->'upvotes', '[]'::jsonb) - v_user_id
+                                WHEN COALESCE(book->'upvotes', '[]'::jsonb) ? v_user_id THEN
+                                    book->'upvotes'
+                                ELSE
+                                    COALESCE(book->'upvotes', '[]'::jsonb) || jsonb_build_array(v_user_id)
+                            END)
+                    ELSE book END
+                    ORDER BY position), '[]'::jsonb) INTO v_books
+                FROM jsonb_array_elements(v_books) WITH ORDINALITY AS books(book, position);
+            WHEN 'clear' THEN
+                v_books := '[]'::jsonb;
+                v_club.current_selection := NULL;
+                v_club.selection_context := NULL;
+            WHEN 'confirm' THEN
+                v_books := books_without(v_books, ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_payload->'bookIds', '[]'::jsonb))));
+                IF COALESCE(v_payload->'bookIds', '[]'::jsonb) ? v_club.current_selection THEN
+                    v_club.current_selection := NULL;
+                    v_club.selection_context := NULL;
+                END IF;
+            ELSE
+                RAISE EXCEPTION 'Unknown club operation: %', v_type;
+        END CASE;
+
+        v_seq := v_club.op_seq + 1;
+
+        INSERT INTO club_operations (id, club_id, seq, type, payload, actor_id, created_at)
+        VALUES (
+            v_operation->>'id',
+            v_club.id,
+            v_seq,
+            v_type,
+            v_payload,
+            v_user_id,
+            COALESCE((v_operation->>'createdAt')::TIMESTAMP WITH TIME ZONE, NOW())
+        );
+
+        PERFORM set_config('app.club_operation', 'on', true);
+
+        UPDATE book_clubs
+        SET books = v_books,
+            current_selection = v_club.current_selection,
+            selection_context = v_club.selection_context,
+            op_seq = v_seq,
+            updated_at = NOW(),
+            updated_by = v_user_id
+        WHERE id = v_club.id;
+
+        PERFORM set_config('app.club_operation', 'off', true);
+
+        v_results := v_results || jsonb_build_array(jsonb_build_object('id', v_operation->>'id', 'seq', v_seq));
+    END LOOP;
+
+    RETURN v_results;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_club_operations(JSONB) TO anon, authenticated;
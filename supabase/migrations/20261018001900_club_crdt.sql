@@ -0,0 +1,330 @@
+-- CRDT-backed club lists. Each club keeps a CRDT state (crdt_state) that operations are
+-- applied to: books are an observed-remove set with tombstoned add tags, and the list
+-- order, upvotes, name and selection are last-writer-wins registers ordered by stamps
+-- ({ counter, replica }, from the sending device's vector clock). Operations commute, so
+-- clients apply each other's as they arrive, in any order, and still converge. The rules
+-- match ClubCrdt in js/core/crdt.js; books, name and the selection columns are written
+-- from the state after every operation.
+
+ALTER TABLE book_clubs
+    ADD COLUMN IF NOT EXISTS crdt_state JSONB;
+
+ALTER TABLE club_operations
+    ADD COLUMN IF NOT EXISTS replica_id VARCHAR,
+    ADD COLUMN IF NOT EXISTS clock JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS stamp JSONB;
+
+ALTER TABLE club_operations DROP CONSTRAINT IF EXISTS club_operations_type_check;
+ALTER TABLE club_operations ADD CONSTRAINT club_operations_type_check
+    CHECK (type IN ('add', 'remove', 'move', 'select', 'upvote', 'clear', 'confirm', 'rename'));
+
+-- Once a club has CRDT state only apply_club_operations may change the fields it decides
+CREATE OR REPLACE FUNCTION protect_club_books()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF (OLD.op_seq > 0 OR OLD.crdt_state IS NOT NULL)
+       AND current_setting('app.club_operation', true) IS DISTINCT FROM 'on' THEN
+        NEW.books := OLD.books;
+        NEW.name := OLD.name;
+        NEW.current_selection := OLD.current_selection;
+        NEW.selection_context := OLD.selection_context;
+        NEW.crdt_state := OLD.crdt_state;
+        NEW.op_seq := OLD.op_seq;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION crdt_zero_stamp()
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT '{"counter": 0, "replica": ""}'::jsonb;
+$$;
+
+-- Whether stamp a is later than stamp b (counter first, then replica ID)
+CREATE OR REPLACE FUNCTION crdt_stamp_later(a JSONB, b JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE((a->>'counter')::NUMERIC, 0) > COALESCE((b->>'counter')::NUMERIC, 0)
+        OR (COALESCE((a->>'counter')::NUMERIC, 0) = COALESCE((b->>'counter')::NUMERIC, 0)
+            AND COALESCE(a->>'replica', '') COLLATE "C" > COALESCE(b->>'replica', '') COLLATE "C");
+$$;
+
+-- The later of two { value, stamp } registers
+CREATE OR REPLACE FUNCTION crdt_lww(p_current JSONB, p_next JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_current IS NULL OR crdt_stamp_later(p_next->'stamp', p_current->'stamp') THEN p_next
+        ELSE p_current
+    END;
+$$;
+
+-- State for a club that has none yet, built from its book list the same way clients do
+CREATE OR REPLACE FUNCTION club_crdt_bootstrap(p_books JSONB, p_current_selection VARCHAR, p_selection_context JSONB, p_name VARCHAR)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    WITH books AS (
+        SELECT book, book->>'id' AS book_id, position - 1 AS key
+        FROM jsonb_array_elements(COALESCE(p_books, '[]'::jsonb)) WITH ORDINALITY AS books(book, position)
+        WHERE book->>'id' IS NOT NULL
+    )
+    SELECT jsonb_build_object(
+        'clock', '{}'::jsonb,
+        'entries', COALESCE((
+                SELECT jsonb_object_agg(book_id, jsonb_build_object(
+                    'book', book - 'upvotes',
+                    'stamp', crdt_zero_stamp(),
+                    'tags', jsonb_build_object('init:' || book_id, true)
+                ) ORDER BY key) FROM books
+            ), '{}'::jsonb),
+        'tombstones', '{}'::jsonb,
+        'positions', COALESCE((
+                SELECT jsonb_object_agg(book_id, jsonb_build_object('key', key, 'stamp', crdt_zero_stamp()) ORDER BY key)
+                FROM books
+            ), '{}'::jsonb),
+        'upvotes', COALESCE((
+                SELECT jsonb_object_agg(book_id, COALESCE((
+                        SELECT jsonb_object_agg(voter, jsonb_build_object('value', true, 'stamp', crdt_zero_stamp()))
+                        FROM jsonb_array_elements_text(COALESCE(book->'upvotes', '[]'::jsonb)) AS voter
+                    ), '{}'::jsonb) ORDER BY key)
+                FROM books
+            ), '{}'::jsonb),
+        'registers', jsonb_build_object(
+            'name', jsonb_build_object('value', COALESCE(p_name, ''), 'stamp', crdt_zero_stamp()),
+            'selection', jsonb_build_object(
+                'value', CASE WHEN p_current_selection IS NULL THEN NULL
+                              ELSE jsonb_build_object('bookId', p_current_selection, 'context', p_selection_context) END,
+                'stamp', crdt_zero_stamp()
+            )
+        )
+    );
+$$;
+
+-- Tombstone add tags so the books they added leave the set
+CREATE OR REPLACE FUNCTION crdt_tombstone(p_state JSONB, p_tags JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT p_state || jsonb_build_object(
+        'tombstones', COALESCE(p_state->'tombstones', '{}'::jsonb) || COALESCE((
+                SELECT jsonb_object_agg(tag, true) FROM jsonb_array_elements_text(COALESCE(p_tags, '[]'::jsonb)) AS tag
+            ), '{}'::jsonb),
+        'entries', COALESCE((
+                SELECT jsonb_object_agg(book_id, jsonb_set(entry, '{tags}',
+                    (entry->'tags') - ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_tags, '[]'::jsonb)))))
+                FROM jsonb_each(COALESCE(p_state->'entries', '{}'::jsonb)) AS entries(book_id, entry)
+            ), '{}'::jsonb)
+    );
+$$;
+
+-- Apply one operation to a CRDT state; p_actor is the member who sent it
+CREATE OR REPLACE FUNCTION crdt_apply(p_state JSONB, p_operation JSONB, p_actor VARCHAR)
+RETURNS JSONB
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_state JSONB := p_state;
+    v_payload JSONB := COALESCE(p_operation->'payload', '{}'::jsonb);
+    v_stamp JSONB := COALESCE(p_operation->'stamp', crdt_zero_stamp());
+    v_book_id TEXT := v_payload->>'bookId';
+    v_book JSONB;
+    v_entry JSONB;
+BEGIN
+    CASE p_operation->>'type'
+        WHEN 'add' THEN
+            v_book := (v_payload->'book') - 'upvotes';
+            v_book_id := v_book->>'id';
+            IF v_book_id IS NOT NULL THEN
+                v_entry := COALESCE(v_state->'entries'->v_book_id,
+                    jsonb_build_object('book', v_book, 'stamp', v_stamp, 'tags', '{}'::jsonb));
+                IF crdt_stamp_later(v_stamp, v_entry->'stamp') THEN
+                    v_entry := v_entry || jsonb_build_object('book', v_book, 'stamp', v_stamp);
+                END IF;
+                IF NOT COALESCE(v_state->'tombstones', '{}'::jsonb) ? (p_operation->>'id') THEN
+                    v_entry := jsonb_set(v_entry, '{tags}', (v_entry->'tags') || jsonb_build_object(p_operation->>'id', true));
+                END IF;
+                v_state := jsonb_set(v_state, ARRAY['entries', v_book_id], v_entry);
+                v_state := jsonb_set(v_state, ARRAY['positions', v_book_id], crdt_lww(
+                    v_state->'positions'->v_book_id,
+                    jsonb_build_object('key', v_payload->'key', 'stamp', v_stamp)));
+            END IF;
+        WHEN 'remove', 'clear', 'confirm' THEN
+            v_state := crdt_tombstone(v_state, v_payload->'tags');
+            IF p_operation->>'type' = 'clear' OR COALESCE((v_payload->>'clearSelection')::BOOLEAN, false) THEN
+                v_state := jsonb_set(v_state, '{registers,selection}', crdt_lww(
+                    v_state->'registers'->'selection',
+                    jsonb_build_object('value', NULL, 'stamp', v_stamp)));
+            END IF;
+        WHEN 'move' THEN
+            v_state := jsonb_set(v_state, ARRAY['positions', v_book_id], crdt_lww(
+                v_state->'positions'->v_book_id,
+                jsonb_build_object('key', v_payload->'key', 'stamp', v_stamp)));
+        WHEN 'select' THEN
+            v_state := jsonb_set(v_state, '{registers,selection}', crdt_lww(
+                v_state->'registers'->'selection',
+                jsonb_build_object('value', jsonb_build_object('bookId', v_book_id, 'context', v_payload->'context'), 'stamp', v_stamp)));
+        WHEN 'upvote' THEN
+            v_state := jsonb_set(v_state, ARRAY['upvotes', v_book_id], COALESCE(v_state->'upvotes'->v_book_id, '{}'::jsonb));
+            v_state := jsonb_set(v_state, ARRAY['upvotes', v_book_id, p_actor], crdt_lww(
+                v_state->'upvotes'->v_book_id->p_actor,
+                jsonb_build_object('value', COALESCE((v_payload->>'upvoted')::BOOLEAN, false), 'stamp', v_stamp)));
+        WHEN 'rename' THEN
+            v_state := jsonb_set(v_state, '{registers,name}', crdt_lww(
+                v_state->'registers'->'name',
+                jsonb_build_object('value', v_payload->'name', 'stamp', v_stamp)));
+        ELSE
+            RAISE EXCEPTION 'Unknown club operation: %', p_operation->>'type';
+    END CASE;
+
+    -- Pointwise maximum of the vector clocks
+    RETURN jsonb_set(v_state, '{clock}', COALESCE(v_state->'clock', '{}'::jsonb) || COALESCE((
+        SELECT jsonb_object_agg(replica, GREATEST(COALESCE((v_state->'clock'->>replica)::BIGINT, 0), counter::BIGINT))
+        FROM jsonb_each_text(COALESCE(p_operation->'clock', '{}'::jsonb)) AS clock(replica, counter)
+    ), '{}'::jsonb));
+END;
+$$;
+
+-- The book list a state describes: books with live add tags, by position key then ID
+CREATE OR REPLACE FUNCTION crdt_books(p_state JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(jsonb_agg(
+        (entry->'book') || jsonb_build_object('upvotes', COALESCE((
+            SELECT jsonb_agg(voter ORDER BY (vote->'stamp'->>'counter')::NUMERIC, (vote->'stamp'->>'replica') COLLATE "C", voter COLLATE "C")
+            FROM jsonb_each(COALESCE(p_state->'upvotes'->book_id, '{}'::jsonb)) AS votes(voter, vote)
+            WHERE (vote->>'value')::BOOLEAN
+        ), '[]'::jsonb))
+        ORDER BY COALESCE((p_state->'positions'->book_id->>'key')::NUMERIC, 0), book_id COLLATE "C"
+    ), '[]'::jsonb)
+    FROM jsonb_each(COALESCE(p_state->'entries', '{}'::jsonb)) AS entries(book_id, entry)
+    WHERE entry->'tags' <> '{}'::jsonb;
+$$;
+
+-- The selection a state describes ({ bookId, context }), or NULL if its book left the list
+CREATE OR REPLACE FUNCTION crdt_selection(p_state JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN COALESCE(p_state->'entries'->(p_state#>>'{registers,selection,value,bookId}')->'tags', '{}'::jsonb) <> '{}'::jsonb
+        THEN p_state#>'{registers,selection,value}'
+    END;
+$$;
+
+-- Apply the requesting member's operations. Each is { id, clubId, type, payload,
+-- replicaId, clock, stamp, createdAt }; an operation already logged is skipped.
+-- Returns [{ id, seq }] in the order given.
+CREATE OR REPLACE FUNCTION apply_club_operations(p_operations JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_operation JSONB;
+    v_type VARCHAR;
+    v_club book_clubs%ROWTYPE;
+    v_state JSONB;
+    v_selection JSONB;
+    v_seq BIGINT;
+    v_results JSONB := '[]'::jsonb;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    FOR v_operation IN SELECT * FROM jsonb_array_elements(COALESCE(p_operations, '[]'::jsonb))
+    LOOP
+        SELECT seq INTO v_seq FROM club_operations WHERE id = v_operation->>'id';
+        IF FOUND THEN
+            v_results := v_results || jsonb_build_array(jsonb_build_object('id', v_operation->>'id', 'seq', v_seq));
+            CONTINUE;
+        END IF;
+
+        v_type := v_operation->>'type';
+        IF v_type = 'rename' THEN
+            IF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner']) THEN
+                RAISE EXCEPTION 'operation_not_allowed';
+            END IF;
+        ELSIF v_type IN ('clear', 'confirm') THEN
+            IF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner', 'co-organizer']) THEN
+                RAISE EXCEPTION 'operation_not_allowed';
+            END IF;
+        ELSIF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner', 'co-organizer', 'member']) THEN
+            RAISE EXCEPTION 'operation_not_allowed';
+        END IF;
+
+        SELECT * INTO v_club FROM book_clubs WHERE id = v_operation->>'clubId' FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Club not found';
+        END IF;
+
+        v_state := v_club.crdt_state;
+        IF v_state IS NULL THEN
+            -- Legacy title strings get their IDs when the owner next loads the club
+            IF EXISTS (SELECT 1 FROM jsonb_array_elements(COALESCE(v_club.books, '[]'::jsonb)) AS book WHERE jsonb_typeof(book) = 'string') THEN
+                RAISE EXCEPTION 'club_needs_migration';
+            END IF;
+            v_state := club_crdt_bootstrap(v_club.books, v_club.current_selection, v_club.selection_context, v_club.name);
+        END IF;
+
+        v_state := crdt_apply(v_state, v_operation, v_user_id);
+        v_selection := crdt_selection(v_state);
+        v_seq := v_club.op_seq + 1;
+
+        INSERT INTO club_operations (id, club_id, seq, type, payload, actor_id, replica_id, clock, stamp, created_at)
+        VALUES (
+            v_operation->>'id',
+            v_club.id,
+            v_seq,
+            v_type,
+            COALESCE(v_operation->'payload', '{}'::jsonb),
+            v_user_id,
+            v_operation->>'replicaId',
+            COALESCE(v_operation->'clock', '{}'::jsonb),
+            v_operation->'stamp',
+            COALESCE((v_operation->>'createdAt')::TIMESTAMP WITH TIME ZONE, NOW())
+        );
+
+        PERFORM set_config('app.club_operation', 'on', true);
+
+        UPDATE book_clubs
+        SET crdt_state = v_state,
+            books = crdt_books(v_state),
+            name = v_state#>>'{registers,name,value}',
+            current_selection = v_selection->>'bookId',
+            selection_context = NULLIF(v_selection->'context', 'null'::jsonb),
+            op_seq = v_seq,
+            updated_at = NOW(),
+            updated_by = v_user_id
+        WHERE id = v_club.id;
+
+        PERFORM set_config('app.club_operation', 'off', true);
+
+        v_results := v_results || jsonb_build_array(jsonb_build_object('id', v_operation->>'id', 'seq', v_seq));
+    END LOOP;
+
+    RETURN v_results;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS books_without(JSONB, TEXT[]);
+
+GRANT EXECUTE ON FUNCTION apply_club_operations(JSONB) TO anon, authenticated;
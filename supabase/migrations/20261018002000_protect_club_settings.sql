@@ -0,0 +1,51 @@
+-- Club settings follow the same roles as the app. The update policy lets any editing member
+-- save the club row, so a trigger keeps the settings columns as they were unless the saving
+-- user may change them: the name and join settings need an owner or co-owner, the selection
+-- settings and season plan an owner, co-owner or co-organizer. user_id only changes through
+-- an ownership transfer (protect_club_owner), and once a club has CRDT state the name only
+-- changes through a rename operation, which apply_club_operations checks itself.
+
+CREATE OR REPLACE FUNCTION protect_club_settings()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NOT has_club_role(OLD.id, ARRAY['co-owner']) THEN
+        IF current_setting('app.club_operation', true) IS DISTINCT FROM 'on' THEN
+            NEW.name := OLD.name;
+        END IF;
+        NEW.require_approval := OLD.require_approval;
+        NEW.legacy_join_enabled := OLD.legacy_join_enabled;
+    END IF;
+
+    IF NOT has_club_role(OLD.id, ARRAY['co-owner', 'co-organizer']) THEN
+        NEW.selection_settings := OLD.selection_settings;
+        NEW.season_plan := OLD.season_plan;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_club_settings ON book_clubs;
+CREATE TRIGGER protect_club_settings
+    BEFORE UPDATE ON book_clubs
+    FOR EACH ROW EXECUTE FUNCTION protect_club_settings();
+
+-- The saved row has to keep the saving user on the roster with an editing role
+DROP POLICY IF EXISTS "Editing members update their clubs" ON book_clubs;
+CREATE POLICY "Editing members update their clubs" ON book_clubs
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM jsonb_array_elements(members) AS member
+            WHERE member->>'userId' = current_setting('request.headers', true)::json->>'x-user-id'
+              AND member->>'role' IN ('co-owner', 'co-organizer', 'member')
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM jsonb_array_elements(members) AS member
+            WHERE member->>'userId' = current_setting('request.headers', true)::json->>'x-user-id'
+              AND member->>'role' IN ('co-owner', 'co-organizer', 'member')
+        )
+    );
@@ -0,0 +1,112 @@
+-- Ownership offers only change through offer_ownership_transfer and respond_ownership_transfer.
+-- A member's plain save could otherwise write an offer to themselves and accept it. Both
+-- functions now mark their update with app.ownership_transfer; removing a member may still
+-- withdraw an offer made to them (drop_club_member runs as a membership change).
+
+CREATE OR REPLACE FUNCTION protect_club_owner()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF current_setting('app.ownership_transfer', true) IS DISTINCT FROM 'on' THEN
+        NEW.user_id := OLD.user_id;
+
+        IF NOT (NEW.ownership_transfer IS NULL AND current_setting('app.membership_change', true) = 'on') THEN
+            NEW.ownership_transfer := OLD.ownership_transfer;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+-- Offer the club to a member, or withdraw the offer with a NULL user
+CREATE OR REPLACE FUNCTION offer_ownership_transfer(p_club_id VARCHAR, p_user_id VARCHAR)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM book_clubs WHERE id = p_club_id AND user_id = v_user_id) THEN
+        RAISE EXCEPTION 'Only the owner can transfer this club';
+    END IF;
+
+    IF p_user_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = p_club_id
+          AND members @> jsonb_build_array(jsonb_build_object('userId', p_user_id))
+    ) THEN
+        RAISE EXCEPTION 'Ownership can only be offered to a member';
+    END IF;
+
+    PERFORM set_config('app.ownership_transfer', 'on', true);
+
+    UPDATE book_clubs
+    SET ownership_transfer = CASE
+            WHEN p_user_id IS NULL THEN NULL
+            ELSE jsonb_build_object('fromUserId', v_user_id, 'toUserId', p_user_id, 'offeredAt', to_jsonb(NOW()))
+        END,
+        updated_at = NOW(),
+        updated_by = v_user_id
+    WHERE id = p_club_id;
+
+    PERFORM set_config('app.ownership_transfer', 'off', true);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+-- Accept or decline an ownership offer made to the requesting user
+CREATE OR REPLACE FUNCTION respond_ownership_transfer(p_club_id VARCHAR, p_accept BOOLEAN)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_club book_clubs%ROWTYPE;
+BEGIN
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id FOR UPDATE;
+    IF NOT FOUND
+       OR v_club.ownership_transfer IS NULL
+       OR v_club.ownership_transfer->>'toUserId' IS DISTINCT FROM v_user_id
+       OR v_club.ownership_transfer->>'fromUserId' IS DISTINCT FROM v_club.user_id THEN
+        RAISE EXCEPTION 'No ownership offer for this user';
+    END IF;
+
+    PERFORM set_config('app.ownership_transfer', 'on', true);
+
+    IF p_accept THEN
+        UPDATE book_clubs
+        SET user_id = v_user_id,
+            members = COALESCE((
+                    SELECT jsonb_agg(member) FROM jsonb_array_elements(members) AS member
+                    WHERE member->>'userId' NOT IN (v_user_id, v_club.user_id)
+                ), '[]'::jsonb)
+                || jsonb_build_array(jsonb_build_object(
+                    'userId', v_club.user_id,
+                    'role', 'co-owner',
+                    'joinedAt', to_jsonb(v_club.created_at),
+                    'addedBy', v_user_id
+                )),
+            shared_users = array_append(array_remove(COALESCE(shared_users, '{}'), v_user_id), v_club.user_id),
+            ownership_transfer = NULL,
+            updated_at = NOW(),
+            updated_by = v_user_id
+        WHERE id = p_club_id;
+    ELSE
+        UPDATE book_clubs
+        SET ownership_transfer = NULL,
+            updated_at = NOW(),
+            updated_by = v_user_id
+        WHERE id = p_club_id;
+    END IF;
+
+    PERFORM set_config('app.ownership_transfer', 'off', true);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
@@ -0,0 +1,71 @@
+-- Member roles change through set_club_member_role. Plain saves used to keep roles from
+-- the saved roster, so a member could promote themselves to co-owner; now a plain save
+-- keeps the roster exactly as it was.
+
+CREATE OR REPLACE FUNCTION protect_club_membership()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF current_setting('app.membership_change', true) IS DISTINCT FROM 'on'
+       AND current_setting('app.ownership_transfer', true) IS DISTINCT FROM 'on' THEN
+        NEW.shared_users := OLD.shared_users;
+        NEW.bans := OLD.bans;
+        NEW.members := OLD.members;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+-- Change a member's role. Owners and co-owners may change roles; only the owner may
+-- promote someone to co-owner or change a co-owner's role.
+CREATE OR REPLACE FUNCTION set_club_member_role(p_club_id VARCHAR, p_user_id VARCHAR, p_role VARCHAR)
+RETURNS SETOF book_clubs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_club book_clubs%ROWTYPE;
+BEGIN
+    IF p_role NOT IN ('co-owner', 'co-organizer', 'member', 'viewer') THEN
+        RAISE EXCEPTION 'Unknown role %', p_role;
+    END IF;
+
+    SELECT * INTO v_club FROM book_clubs WHERE id = p_club_id FOR UPDATE;
+    IF NOT FOUND OR NOT has_club_role(p_club_id, ARRAY['co-owner']) THEN
+        RAISE EXCEPTION 'Only owners and co-owners can change member roles';
+    END IF;
+
+    IF NOT COALESCE(v_club.members, '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('userId', p_user_id)) THEN
+        RAISE EXCEPTION 'Only listed members (not the owner) can change role';
+    END IF;
+
+    IF v_club.user_id <> v_user_id
+       AND (p_role = 'co-owner'
+            OR v_club.members @> jsonb_build_array(jsonb_build_object('userId', p_user_id, 'role', 'co-owner'))) THEN
+        RAISE EXCEPTION 'Only the owner can make or change a co-owner';
+    END IF;
+
+    PERFORM set_config('app.membership_change', 'on', true);
+
+    UPDATE book_clubs
+    SET members = (
+            SELECT jsonb_agg(CASE
+                    WHEN member->>'userId' = p_user_id THEN member || jsonb_build_object('role', p_role)
+                    ELSE member
+                END ORDER BY position)
+            FROM jsonb_array_elements(members) WITH ORDINALITY AS roster(member, position)
+        ),
+        updated_at = NOW(),
+        updated_by = v_user_id
+    WHERE id = p_club_id;
+
+    PERFORM set_config('app.membership_change', 'off', true);
+
+    RETURN QUERY SELECT * FROM book_clubs WHERE id = p_club_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_club_member_role(VARCHAR, VARCHAR, VARCHAR) TO anon, authenticated;
@@ -0,0 +1,41 @@
+-- Public club pages list past reads in a fixed order. jsonb_agg without ORDER BY gave no
+-- order at all, so the page could shuffle between loads; the app orders history the same way.
+
+-- Read a published club page. Returns NULL for unknown or unpublished pages.
+-- Past reads come most recent first, by meeting date (planned seasons) or confirmation.
+-- { name, books: [...], currentSelection, readingHistory: [{ book, confirmedAt, meetingDate, method }], updatedAt }
+CREATE OR REPLACE FUNCTION get_public_club_page(p_page_id VARCHAR)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'name', club.name,
+        'books', COALESCE((
+                SELECT jsonb_agg(public_book(book) ORDER BY position)
+                FROM jsonb_array_elements(COALESCE(club.books, '[]'::jsonb)) WITH ORDINALITY AS books(book, position)
+            ), '[]'::jsonb),
+        'currentSelection', (
+                SELECT public_book(book)
+                FROM jsonb_array_elements(COALESCE(club.books, '[]'::jsonb)) AS book
+                WHERE book->>'id' = club.current_selection
+                   OR lower(trim(COALESCE(book->>'title', book #>> '{}'))) = lower(trim(club.current_selection))
+                LIMIT 1
+            ),
+        'readingHistory', COALESCE((
+                SELECT jsonb_agg(jsonb_strip_nulls(jsonb_build_object(
+                    'book', public_book(entry->'book'),
+                    'confirmedAt', entry->'confirmedAt',
+                    'meetingDate', entry->'meetingDate',
+                    'method', entry->'method'
+                )) ORDER BY COALESCE(NULLIF(entry->>'meetingDate', ''), entry->>'confirmedAt')::TIMESTAMP WITH TIME ZONE DESC NULLS LAST, position)
+                FROM jsonb_array_elements(COALESCE(club.reading_history, '[]'::jsonb)) WITH ORDINALITY AS history(entry, position)
+            ), '[]'::jsonb),
+        'updatedAt', club.updated_at
+    )
+    FROM book_clubs AS club
+    WHERE club.public_page_id = p_page_id
+      AND club.public_page_enabled;
+$$;
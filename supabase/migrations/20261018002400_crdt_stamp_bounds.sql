@@ -0,0 +1,133 @@
+-- Bound the clocks and stamps clients send with club operations. A stamp orders
+-- last-writer-wins registers, so a client sending a huge counter (or one that doesn't match
+-- its clock) could win every later rename, move or selection, and counters past 2^53 lose
+-- precision in JavaScript. Honest clients stamp an operation with the total of its clock
+-- (ClubCrdt.tick in js/core/crdt.js), and no replica runs far ahead of what the club has seen.
+
+-- An operation with its clock clamped to at most 10,000 past the club's clock for each
+-- replica (far more than a device queues offline) and its stamp re-derived from that clock
+CREATE OR REPLACE FUNCTION crdt_bound_operation(p_state JSONB, p_operation JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    WITH clock AS (
+        SELECT COALESCE(jsonb_object_agg(replica, bounded), '{}'::jsonb) AS clock,
+               COALESCE(SUM(bounded), 0) AS total
+        FROM (
+            SELECT replica, LEAST(
+                    GREATEST(floor(counter::NUMERIC), 0),
+                    COALESCE((p_state->'clock'->>replica)::NUMERIC, 0) + 10000
+                )::BIGINT AS bounded
+            FROM jsonb_each_text(COALESCE(p_operation->'clock', '{}'::jsonb)) AS entries(replica, counter)
+            WHERE counter ~ '^-?[0-9]+(\.[0-9]+)?$'
+        ) AS bounded_entries
+    )
+    SELECT p_operation || jsonb_build_object(
+        'clock', clock.clock,
+        'stamp', jsonb_build_object('counter', clock.total, 'replica', COALESCE(p_operation->>'replicaId', ''))
+    )
+    FROM clock;
+$$;
+
+-- Apply the requesting member's operations. Each is { id, clubId, type, payload,
+-- replicaId, clock, stamp, createdAt }; an operation already logged is skipped.
+-- Returns [{ id, seq }] in the order given. Clocks and stamps are bounded before the
+-- operation is applied and logged, so every client replays the bounded version.
+CREATE OR REPLACE FUNCTION apply_club_operations(p_operations JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+    v_operation JSONB;
+    v_type VARCHAR;
+    v_club book_clubs%ROWTYPE;
+    v_state JSONB;
+    v_selection JSONB;
+    v_seq BIGINT;
+    v_results JSONB := '[]'::jsonb;
+BEGIN
+    IF v_user_id IS NULL OR v_user_id = '' THEN
+        RAISE EXCEPTION 'Missing x-user-id header';
+    END IF;
+
+    FOR v_operation IN SELECT * FROM jsonb_array_elements(COALESCE(p_operations, '[]'::jsonb))
+    LOOP
+        SELECT seq INTO v_seq FROM club_operations WHERE id = v_operation->>'id';
+        IF FOUND THEN
+            v_results := v_results || jsonb_build_array(jsonb_build_object('id', v_operation->>'id', 'seq', v_seq));
+            CONTINUE;
+        END IF;
+
+        v_type := v_operation->>'type';
+        IF v_type = 'rename' THEN
+            IF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner']) THEN
+                RAISE EXCEPTION 'operation_not_allowed';
+            END IF;
+        ELSIF v_type IN ('clear', 'confirm') THEN
+            IF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner', 'co-organizer']) THEN
+                RAISE EXCEPTION 'operation_not_allowed';
+            END IF;
+        ELSIF NOT has_club_role(v_operation->>'clubId', ARRAY['co-owner', 'co-organizer', 'member']) THEN
+            RAISE EXCEPTION 'operation_not_allowed';
+        END IF;
+
+        SELECT * INTO v_club FROM book_clubs WHERE id = v_operation->>'clubId' FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Club not found';
+        END IF;
+
+        v_state := v_club.crdt_state;
+        IF v_state IS NULL THEN
+            -- Legacy title strings get their IDs when the owner next loads the club
+            IF EXISTS (SELECT 1 FROM jsonb_array_elements(COALESCE(v_club.books, '[]'::jsonb)) AS book WHERE jsonb_typeof(book) = 'string') THEN
+                RAISE EXCEPTION 'club_needs_migration';
+            END IF;
+            v_state := club_crdt_bootstrap(v_club.books, v_club.current_selection, v_club.selection_context, v_club.name);
+        END IF;
+
+        v_operation := crdt_bound_operation(v_state, v_operation);
+        v_state := crdt_apply(v_state, v_operation, v_user_id);
+        v_selection := crdt_selection(v_state);
+        v_seq := v_club.op_seq + 1;
+
+        INSERT INTO club_operations (id, club_id, seq, type, payload, actor_id, replica_id, clock, stamp, created_at)
+        VALUES (
+            v_operation->>'id',
+            v_club.id,
+            v_seq,
+            v_type,
+            COALESCE(v_operation->'payload', '{}'::jsonb),
+            v_user_id,
+            v_operation->>'replicaId',
+            COALESCE(v_operation->'clock', '{}'::jsonb),
+            v_operation->'stamp',
+            COALESCE((v_operation->>'createdAt')::TIMESTAMP WITH TIME ZONE, NOW())
+        );
+
+        PERFORM set_config('app.club_operation', 'on', true);
+
+        UPDATE book_clubs
+        SET crdt_state = v_state,
+            books = crdt_books(v_state),
+            name = v_state#>>'{registers,name,value}',
+            current_selection = v_selection->>'bookId',
+            selection_context = NULLIF(v_selection->'context', 'null'::jsonb),
+            op_seq = v_seq,
+            updated_at = NOW(),
+            updated_by = v_user_id
+        WHERE id = v_club.id;
+
+        PERFORM set_config('app.club_operation', 'off', true);
+
+        v_results := v_results || jsonb_build_array(jsonb_build_object('id', v_operation->>'id', 'seq', v_seq));
+    END LOOP;
+
+    RETURN v_results;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_club_operations(JSONB) TO anon, authenticated;
@@ -0,0 +1,40 @@
+-- Ballots were readable by anyone and accepted from any voter ID for any round. Reads are
+-- now limited to the club's members, and a ballot is only accepted from a member who may
+-- vote, for the club's open voting round.
+
+-- Whether a round is the club's open voting round
+CREATE OR REPLACE FUNCTION is_open_voting_round(p_club_id VARCHAR, p_round_id VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM book_clubs
+        WHERE id = p_club_id
+          AND voting_round->>'id' = p_round_id
+          AND voting_round->>'status' = 'open'
+    );
+$$;
+
+DROP POLICY IF EXISTS "Ballots are readable" ON club_ballots;
+CREATE POLICY "Members read their clubs' ballots" ON club_ballots
+    FOR SELECT USING (has_club_role(club_id, ARRAY['co-owner', 'co-organizer', 'member', 'viewer']));
+
+DROP POLICY IF EXISTS "Voters cast own ballots" ON club_ballots;
+CREATE POLICY "Voters cast own ballots" ON club_ballots
+    FOR INSERT WITH CHECK (
+        voter_id = current_setting('request.headers', true)::json->>'x-user-id'
+        AND has_club_role(club_id, ARRAY['co-owner', 'co-organizer', 'member'])
+        AND is_open_voting_round(club_id, round_id)
+    );
+
+DROP POLICY IF EXISTS "Voters change own ballots" ON club_ballots;
+CREATE POLICY "Voters change own ballots" ON club_ballots
+    FOR UPDATE USING (voter_id = current_setting('request.headers', true)::json->>'x-user-id')
+    WITH CHECK (
+        voter_id = current_setting('request.headers', true)::json->>'x-user-id'
+        AND has_club_role(club_id, ARRAY['co-owner', 'co-organizer', 'member'])
+        AND is_open_voting_round(club_id, round_id)
+    );
@@ -0,0 +1,45 @@
+-- Bracket votes were readable by anyone and accepted from any voter ID for any bracket.
+-- Reads are now limited to the club's members, and a vote is only accepted from a member
+-- who may vote, for a matchup of the current round of the club's open bracket, and for
+-- one of that matchup's two books.
+
+-- Whether a book is one side of a matchup in the current round of the club's open bracket
+CREATE OR REPLACE FUNCTION is_open_bracket_matchup(p_club_id VARCHAR, p_bracket_id VARCHAR, p_match_id VARCHAR, p_book_id VARCHAR)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM book_clubs,
+            jsonb_array_elements(bracket_state->'rounds'->((bracket_state->>'currentRound')::INT)) AS matchup
+        WHERE id = p_club_id
+          AND bracket_state->>'id' = p_bracket_id
+          AND bracket_state->>'status' = 'open'
+          AND matchup->>'id' = p_match_id
+          AND p_book_id IN (matchup->>'a', matchup->>'b')
+    );
+$$;
+
+DROP POLICY IF EXISTS "Bracket votes are readable" ON bracket_votes;
+CREATE POLICY "Members read their clubs' bracket votes" ON bracket_votes
+    FOR SELECT USING (has_club_role(club_id, ARRAY['co-owner', 'co-organizer', 'member', 'viewer']));
+
+DROP POLICY IF EXISTS "Voters cast own bracket votes" ON bracket_votes;
+CREATE POLICY "Voters cast own bracket votes" ON bracket_votes
+    FOR INSERT WITH CHECK (
+        voter_id = current_setting('request.headers', true)::json->>'x-user-id'
+        AND has_club_role(club_id, ARRAY['co-owner', 'co-organizer', 'member'])
+        AND is_open_bracket_matchup(club_id, bracket_id, match_id, book_id)
+    );
+
+DROP POLICY IF EXISTS "Voters change own bracket votes" ON bracket_votes;
+CREATE POLICY "Voters change own bracket votes" ON bracket_votes
+    FOR UPDATE USING (voter_id = current_setting('request.headers', true)::json->>'x-user-id')
+    WITH CHECK (
+        voter_id = current_setting('request.headers', true)::json->>'x-user-id'
+        AND has_club_role(club_id, ARRAY['co-owner', 'co-organizer', 'member'])
+        AND is_open_bracket_matchup(club_id, bracket_id, match_id, book_id)
+    );
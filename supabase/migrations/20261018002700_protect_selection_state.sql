@@ -0,0 +1,92 @@
+-- The selection state follows the same roles as the app. protect_club_settings only kept
+-- the settings columns, so a member's plain save could still rewrite the reading history,
+-- the rotation, voting rounds, brackets, the verifiable-draw commitment or other members'
+-- vetoes. Now only owners, co-owners and co-organizers change those; a member may add
+-- draws to the committed draw and spend their own vetoes, and nothing else.
+
+-- Whether a draw state only adds draws to the same commitment, with the reroll count
+-- that follows from them
+CREATE OR REPLACE FUNCTION is_added_draw(p_old JSONB, p_new JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT p_old->>'seed' IS NOT NULL
+       AND p_new IS NOT NULL
+       AND (p_new - 'draws' - 'rerolls') = (p_old - 'draws' - 'rerolls')
+       AND jsonb_array_length(COALESCE(p_new->'draws', '[]'::jsonb)) > jsonb_array_length(COALESCE(p_old->'draws', '[]'::jsonb))
+       AND NOT EXISTS (
+           SELECT 1 FROM jsonb_array_elements(p_new->'draws') WITH ORDINALITY AS added(draw, position)
+           WHERE (draw->>'drawNumber')::INT IS DISTINCT FROM (position - 1)::INT
+              OR (position <= jsonb_array_length(COALESCE(p_old->'draws', '[]'::jsonb))
+                  AND draw IS DISTINCT FROM p_old->'draws'->((position - 1)::INT))
+       )
+       AND (p_new->>'rerolls')::INT = jsonb_array_length(p_new->'draws') - 1 + (
+           SELECT COALESCE(SUM(jsonb_array_length(earlier->'draws')), 0)
+           FROM jsonb_array_elements(COALESCE(p_new->'previousCommitments', '[]'::jsonb)) AS earlier
+       );
+$$;
+
+-- Whether a veto state only adds vetoes the user spent this season, within their allowance
+CREATE OR REPLACE FUNCTION is_added_own_veto(p_old JSONB, p_new JSONB, p_user_id VARCHAR, p_per_season INT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT p_old IS NOT NULL
+       AND p_new IS NOT NULL
+       AND (p_new - 'log') = (p_old - 'log')
+       AND NOT EXISTS (
+           SELECT 1 FROM jsonb_array_elements(COALESCE(p_old->'log', '[]'::jsonb)) AS kept(veto)
+           WHERE NOT COALESCE(p_new->'log', '[]'::jsonb) @> jsonb_build_array(veto)
+       )
+       AND NOT EXISTS (
+           SELECT 1 FROM jsonb_array_elements(COALESCE(p_new->'log', '[]'::jsonb)) AS added(veto)
+           WHERE NOT COALESCE(p_old->'log', '[]'::jsonb) @> jsonb_build_array(veto)
+             AND (veto->>'userId' IS DISTINCT FROM p_user_id OR veto->>'seasonId' IS DISTINCT FROM p_new->>'seasonId')
+       )
+       AND (
+           SELECT COUNT(*) FROM jsonb_array_elements(COALESCE(p_new->'log', '[]'::jsonb)) AS spent(veto)
+           WHERE veto->>'userId' = p_user_id
+       ) <= p_per_season;
+$$;
+
+CREATE OR REPLACE FUNCTION protect_club_selection_state()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id VARCHAR := current_setting('request.headers', true)::json->>'x-user-id';
+BEGIN
+    IF has_club_role(OLD.id, ARRAY['co-owner', 'co-organizer']) THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.reading_history IS DISTINCT FROM OLD.reading_history
+       OR NEW.rotation_state IS DISTINCT FROM OLD.rotation_state
+       OR NEW.voting_round IS DISTINCT FROM OLD.voting_round
+       OR NEW.bracket_state IS DISTINCT FROM OLD.bracket_state THEN
+        RAISE EXCEPTION 'Only owners and co-organizers can change the reading history, rotation, voting rounds or brackets'
+            USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.draw_state IS DISTINCT FROM OLD.draw_state AND NOT is_added_draw(OLD.draw_state, NEW.draw_state) THEN
+        RAISE EXCEPTION 'Members can only add draws to the committed draw'
+            USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.veto_state IS DISTINCT FROM OLD.veto_state
+       AND NOT is_added_own_veto(OLD.veto_state, NEW.veto_state, v_user_id,
+           COALESCE((OLD.selection_settings->'vetoes'->>'perSeason')::INT, 2)) THEN
+        RAISE EXCEPTION 'Members can only spend their own vetoes'
+            USING ERRCODE = '42501';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_club_selection_state ON book_clubs;
+CREATE TRIGGER protect_club_selection_state
+    BEFORE UPDATE ON book_clubs
+    FOR EACH ROW EXECUTE FUNCTION protect_club_selection_state();
@@ -0,0 +1,159 @@
+// tests/auth.test.js
+/**
+ * Accounts: claiming the member ID on sign-in, the sign-out paths and the
+ * server refusing a claimed ID without a session, against a mocked Supabase client.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import authManager from '../js/core/auth.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+import storageManager from '../js/core/storage.js';
+import { installSupabaseMock, removeSupabaseMock } from './helpers/supabaseMock.js';
+
+const session = { user: { id: 'auth-1', email: 'reader@example.com' }, access_token: 'token' };
+
+function resetApp() {
+    userManager.account = null;
+    userManager.currentUserId = null;
+    userManager.setUserId('user_anon');
+    authManager.session = null;
+    appState.bookClubs = {};
+    appState.currentClubId = null;
+    appState.listeners = new Map();
+}
+
+describe('claiming the member ID on sign-in', () => {
+    beforeEach(resetApp);
+    afterEach(removeSupabaseMock);
+
+    test('switches to the member ID the account claimed', async () => {
+        const client = installSupabaseMock({
+            rpc: { claim_member_account: () => ({ data: 'user_account', error: null }) },
+            tables: { book_clubs: () => ({ data: [], error: null }) }
+        });
+        const accountChanged = jest.fn();
+        appState.on('accountChanged', accountChanged);
+
+        expect(await authManager.applySession(session)).toBe(true);
+
+        expect(client.calls).toContainEqual({ rpc: 'claim_member_account', args: undefined });
+        expect(userManager.getCurrentUserId()).toBe('user_account');
+        expect(userManager.account).toEqual({ authUserId: 'auth-1', email: 'reader@example.com', memberId: 'user_account' });
+        expect(accountChanged).toHaveBeenCalledWith({ account: userManager.account });
+    });
+
+    test('moves clubs held by the anonymous ID to the account', async () => {
+        installSupabaseMock({
+            rpc: { claim_member_account: () => ({ data: 'user_account', error: null }) },
+            tables: { book_clubs: () => ({ data: [], error: null }) }
+        });
+        appState.setBookClub('club1', { id: 'club1', name: 'Mine', userId: 'user_anon', books: [] });
+
+        await authManager.applySession(session);
+
+        expect(appState.getBookClub('club1').userId).toBe('user_account');
+        expect(appState.getBookClub('club1').isOwner).toBe(true);
+    });
+
+    test('keeps the anonymous ID when the claim is refused', async () => {
+        installSupabaseMock({
+            rpc: { claim_member_account: () => ({ data: null, error: { code: 'PT401', message: 'not_signed_in' } }) }
+        });
+
+        expect(await authManager.applySession(session)).toBe(false);
+
+        expect(authManager.session).toBeNull();
+        expect(userManager.isSignedIn()).toBe(false);
+        expect(userManager.getCurrentUserId()).toBe('user_anon');
+        expect(window.alert).toHaveBeenCalledWith(`❌ ${authManager.errorMessages.not_signed_in}`);
+    });
+
+    test('signing in with a password applies the new session', async () => {
+        const client = installSupabaseMock({
+            rpc: { claim_member_account: () => ({ data: 'user_account', error: null }) },
+            tables: { book_clubs: () => ({ data: [], error: null }) }
+        });
+        client.auth.signInWithPassword.mockResolvedValue({ data: { session }, error: null });
+
+        expect(await authManager.signInWithPassword('reader@example.com', 'long enough')).toBe(true);
+        expect(userManager.getCurrentUserId()).toBe('user_account');
+    });
+});
+
+describe('signing out', () => {
+    beforeEach(() => {
+        resetApp();
+        userManager.setAccount({ authUserId: 'auth-1', email: 'reader@example.com', memberId: 'user_account' });
+        authManager.session = session;
+        appState.setBookClub('club1', { id: 'club1', name: 'Mine', userId: 'user_account', books: [] });
+        appState.setCurrentClubId('club1');
+    });
+    afterEach(removeSupabaseMock);
+
+    test('drops the account and its clubs and starts a new anonymous ID', async () => {
+        const client = installSupabaseMock();
+
+        await authManager.signOut();
+
+        expect(client.auth.signOut).toHaveBeenCalled();
+        expect(userManager.isSignedIn()).toBe(false);
+        expect(userManager.getCurrentUserId()).not.toBe('user_account');
+        expect(appState.getBookClub('club1')).toBeNull();
+        expect(appState.currentClubId).toBeNull();
+        expect(JSON.parse(localStorage.getItem(storageManager.LOCAL_STORAGE_KEY))).toEqual({});
+    });
+
+    test('still forgets the account when the auth API fails', async () => {
+        const client = installSupabaseMock();
+        client.auth.signOut.mockResolvedValue({ error: { message: 'network' } });
+
+        await authManager.signOut();
+
+        expect(userManager.isSignedIn()).toBe(false);
+        expect(appState.getBookClub('club1')).toBeNull();
+    });
+
+    test('follows a sign-out in another tab', async () => {
+        installSupabaseMock();
+
+        await authManager.handleAuthStateChange('SIGNED_OUT', null);
+
+        expect(userManager.isSignedIn()).toBe(false);
+        expect(authManager.session).toBeNull();
+    });
+
+    test('keeps the account when a token is refreshed', async () => {
+        installSupabaseMock();
+        const refreshed = { ...session, access_token: 'new token' };
+
+        await authManager.handleAuthStateChange('TOKEN_REFRESHED', refreshed);
+
+        expect(userManager.isSignedIn()).toBe(true);
+        expect(authManager.session).toBe(refreshed);
+    });
+});
+
+describe('a claimed member ID used without signing in', () => {
+    beforeEach(resetApp);
+    afterEach(removeSupabaseMock);
+
+    test('asks the user to sign in instead of loading clubs', async () => {
+        installSupabaseMock({
+            tables: { book_clubs: () => ({ data: null, error: { code: 'PT401', message: 'member_id_requires_sign_in' } }) }
+        });
+        appState.setBookClub('club1', { id: 'club1', name: 'Mine', userId: 'user_anon', books: [] });
+        const signInRequired = jest.fn();
+        appState.on('signInRequired', signInRequired);
+
+        await storageManager.loadFromSupabase();
+
+        expect(signInRequired).toHaveBeenCalledWith({ userId: 'user_anon' });
+        expect(appState.getBookClub('club1')).toBeDefined();
+    });
+
+    test('explains the refusal when it comes from the claim', () => {
+        expect(authManager.getErrorMessage('member_id_requires_sign_in')).toMatch(/belongs to an account/);
+        expect(authManager.getErrorMessage('something else')).toBe('Sign-in failed. Please try again.');
+    });
+});
\ No newline at end of file
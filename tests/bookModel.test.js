@@ -0,0 +1,74 @@
+// tests/bookModel.test.js
+/**
+ * Book records: normalizing stored books keeps their IDs stable, since
+ * upvotes and the selection refer to books by ID.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import bookModel from '../js/core/bookModel.js';
+import appState from '../js/core/state.js';
+
+describe('normalizing stored books', () => {
+    test('keeps an existing ID', () => {
+        expect(bookModel.normalize({ id: 'book_1', title: 'Middlemarch' }).id).toBe('book_1');
+    });
+
+    test('gives a legacy title the same ID on every device', () => {
+        expect(bookModel.normalize('Middlemarch').id).toBe(bookModel.normalize('  middlemarch ').id);
+    });
+
+    test('gives a record without an ID the same ID every time', () => {
+        const stored = { title: 'Middlemarch', author: 'George Eliot', addedBy: 'user_a', addedAt: '2026-01-01T00:00:00.000Z' };
+
+        const first = bookModel.normalize(stored);
+        const second = bookModel.normalize({ ...stored });
+
+        expect(first.id).toMatch(/^book_record_/);
+        expect(second.id).toBe(first.id);
+    });
+
+    test('tells records without IDs apart by their fields', () => {
+        const first = bookModel.normalize({ title: 'Middlemarch', addedBy: 'user_a' });
+        const second = bookModel.normalize({ title: 'Middlemarch', addedBy: 'user_b' });
+
+        expect(second.id).not.toBe(first.id);
+    });
+
+    test('keeps every entry of a legacy list that repeats a title', () => {
+        const first = bookModel.normalizeList(['Middlemarch', 'Emma', 'middlemarch ']);
+        const second = bookModel.normalizeList(['Middlemarch', 'Emma', 'middlemarch ']);
+
+        expect(first.map(book => book.title)).toEqual(['Middlemarch', 'Emma', 'middlemarch']);
+        expect(new Set(first.map(book => book.id)).size).toBe(3);
+        expect(first[0].id).toBe(bookModel.legacyBookId('Middlemarch'));
+        expect(second.map(book => book.id)).toEqual(first.map(book => book.id));
+    });
+
+    test('keeps both copies of a record without an ID, with their upvotes', () => {
+        const stored = { title: 'Middlemarch', addedBy: 'user_a', addedAt: '2026-01-01T00:00:00.000Z' };
+
+        const books = bookModel.normalizeList([{ ...stored, upvotes: ['user_b'] }, { ...stored, upvotes: ['user_c'] }]);
+
+        expect(books).toHaveLength(2);
+        expect(books.map(book => book.upvotes)).toEqual([['user_b'], ['user_c']]);
+    });
+
+    test('keeps upvotes and the selection attached across reloads of a club', () => {
+        const stored = {
+            id: 'club1',
+            name: 'Club',
+            userId: 'user_a',
+            createdAt: '2026-01-01T00:00:00.000Z',
+            books: [{ title: 'Middlemarch', upvotes: ['user_b'] }]
+        };
+
+        appState.setBookClub('club1', stored);
+        const bookId = appState.getBookClub('club1').books[0].id;
+        appState.setBookClub('club1', { ...stored, currentSelection: bookId });
+
+        const reloaded = appState.getBookClub('club1');
+        expect(reloaded.books[0].id).toBe(bookId);
+        expect(reloaded.books[0].upvotes).toEqual(['user_b']);
+        expect(bookModel.find(reloaded.books, reloaded.currentSelection).title).toBe('Middlemarch');
+    });
+});
\ No newline at end of file
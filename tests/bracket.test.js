@@ -0,0 +1,94 @@
+// tests/bracket.test.js
+/**
+ * Tournament brackets: seeding, matchups decided by votes or, when tied,
+ * by seed, and the champion becoming the club's selection.
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import bracketManager from '../js/features/bracket.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+
+// b1 has the most upvotes, so seeds follow the numbering
+const books = Array.from({ length: 8 }, (_, index) => ({
+    id: `b${index + 1}`,
+    title: `Book ${index + 1}`,
+    addedAt: '2026-01-01T00:00:00.000Z',
+    upvotes: Array.from({ length: 8 - index }, (__, vote) => `member${vote}`)
+}));
+
+describe('seeding', () => {
+    test('keeps the top seeds apart until the late rounds', () => {
+        expect(bracketManager.getSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+        expect(bracketManager.getSeedOrder(16).slice(0, 4)).toEqual([1, 16, 8, 9]);
+    });
+
+    test('ranks by upvotes, then by time on the list', () => {
+        const older = { id: 'x', upvotes: [], addedAt: '2025-01-01T00:00:00.000Z' };
+        const newer = { id: 'y', upvotes: [], addedAt: '2026-01-01T00:00:00.000Z' };
+        const popular = { id: 'z', upvotes: ['m'], addedAt: '2026-06-01T00:00:00.000Z' };
+
+        expect(bracketManager.rankForSeeding([newer, older, popular]).map(book => book.id)).toEqual(['z', 'x', 'y']);
+    });
+
+    test('only offers sizes the candidates can fill', () => {
+        expect(bracketManager.getAvailableSizes(20)).toEqual([8, 16]);
+        expect(bracketManager.getAvailableSizes(7)).toEqual([]);
+    });
+});
+
+describe('playing a bracket', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        userManager.account = null;
+        userManager.setUserId('member0');
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'member0', books });
+    });
+
+    function vote(voterId, matchId, bookId) {
+        userManager.setUserId(voterId);
+        return bracketManager.castVote('club1', matchId, bookId);
+    }
+
+    test('pairs seeds in bracket order', () => {
+        const bracket = bracketManager.create('club1', 8, books);
+
+        expect(bracket.rounds[0].map(match => [match.a, match.b])).toEqual([
+            ['b1', 'b8'], ['b4', 'b5'], ['b2', 'b7'], ['b3', 'b6']
+        ]);
+        expect(bracketManager.create('club1', 16, books)).toBeNull();
+    });
+
+    test('refuses votes for books outside the matchup', () => {
+        bracketManager.create('club1', 8, books);
+
+        expect(vote('member1', 'r0m0', 'b4')).toBeNull();
+        expect(vote('member1', 'r0m0', 'b8')).not.toBeNull();
+    });
+
+    test('advances vote winners, settles ties by seed and crowns a champion', () => {
+        bracketManager.create('club1', 8, books);
+        vote('member1', 'r0m0', 'b8');
+        vote('member2', 'r0m1', 'b4');
+        vote('member3', 'r0m1', 'b5');
+
+        let bracket = bracketManager.closeRound('club1');
+        expect(bracket.rounds[0].map(match => match.winner)).toEqual(['b8', 'b4', 'b2', 'b3']);
+        expect(bracket.rounds[0].map(match => match.decidedBySeed)).toEqual([false, true, true, true]);
+        expect(bracket.rounds[1].map(match => [match.a, match.b])).toEqual([['b8', 'b4'], ['b2', 'b3']]);
+
+        bracket = bracketManager.closeRound('club1');
+        expect(bracket.rounds[2]).toEqual([expect.objectContaining({ a: 'b4', b: 'b2' })]);
+        expect(bracketManager.getRoundName(2, 8)).toBe('Final');
+
+        vote('member1', 'r2m0', 'b4');
+        bracket = bracketManager.closeRound('club1');
+
+        expect(bracket.status).toBe('complete');
+        expect(bracket.winnerId).toBe('b4');
+        expect(appState.getBookClub('club1').currentSelection).toBe('b4');
+        expect(appState.getBookClub('club1').selectionContext.method).toBe('bracket');
+        expect(bracketManager.closeRound('club1')).toBeNull();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+// tests/clubPolicies.test.js
+/**
+ * Server-side checks on plain club saves, run against the migrations in Postgres:
+ * members can add draws and spend their own vetoes, but only organizers change the
+ * reading history, voting rounds, brackets, rotation or the draw commitment.
+ */
+
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import { createDatabase, queryAs } from './helpers/database.js';
+
+const commitment = {
+    meetingDate: '2026-11-01',
+    listHash: 'hash',
+    seed: 'seed',
+    snapshot: ['emma', 'dune'],
+    committedAt: '2026-10-01T00:00:00Z',
+    committedBy: 'owner',
+    commitCount: 1,
+    rerolls: 0,
+    draws: [],
+    previousCommitments: []
+};
+
+const vetoSeason = {
+    seasonId: 'season1',
+    startedAt: '2026-10-01T00:00:00Z',
+    startedBy: 'owner',
+    log: [{ id: 'veto1', seasonId: 'season1', userId: 'organizer', bookId: 'emma', title: 'Emma', vetoedAt: '2026-10-02T00:00:00Z', replacementId: 'dune' }]
+};
+
+function veto(id, userId) {
+    return { id, seasonId: 'season1', userId, bookId: 'dune', title: 'Dune', vetoedAt: '2026-10-03T00:00:00Z', replacementId: 'emma' };
+}
+
+describe('plain club saves', () => {
+    let db;
+
+    beforeAll(async () => {
+        db = await createDatabase();
+    });
+    afterAll(() => db.close());
+
+    beforeEach(async () => {
+        await db.exec('DELETE FROM book_clubs;');
+        await db.query(
+            `INSERT INTO book_clubs (id, name, user_id, books, members, reading_history, draw_state, veto_state, voting_round)
+             VALUES ('club1', 'Club', 'owner', '[]', $1, '[]', $2, $3, $4)`,
+            [
+                JSON.stringify([
+                    { userId: 'member', role: 'member' },
+                    { userId: 'organizer', role: 'co-organizer' }
+                ]),
+                JSON.stringify(commitment),
+                JSON.stringify(vetoSeason),
+                JSON.stringify({ id: 'round1', status: 'open' })
+            ]
+        );
+    });
+
+    async function save(userId, column, value) {
+        return queryAs(db, userId, `UPDATE book_clubs SET ${column} = $1 WHERE id = 'club1'`, [JSON.stringify(value)]);
+    }
+
+    async function read(column) {
+        const { rows } = await db.query(`SELECT ${column} FROM book_clubs WHERE id = 'club1'`);
+        return rows[0][column];
+    }
+
+    test('refuses a member rewriting the reading history or closing a vote', async () => {
+        await expect(save('member', 'reading_history', [{ id: 'read_1', book: { title: 'Forged' } }]))
+            .rejects.toMatchObject({ code: '42501' });
+        await expect(save('member', 'voting_round', { id: 'round1', status: 'closed' }))
+            .rejects.toMatchObject({ code: '42501' });
+
+        expect(await read('reading_history')).toEqual([]);
+        expect(await read('voting_round')).toEqual({ id: 'round1', status: 'open' });
+    });
+
+    test('lets an organizer change them', async () => {
+        await save('organizer', 'voting_round', { id: 'round1', status: 'closed' });
+
+        expect(await read('voting_round')).toEqual({ id: 'round1', status: 'closed' });
+    });
+
+    test('lets a member add a draw but not replace the commitment', async () => {
+        const draw = { drawNumber: 0, bookId: 'dune', excludedIds: [], drawnAt: '2026-10-05T00:00:00Z', drawnBy: 'member' };
+
+        await expect(save('member', 'draw_state', { ...commitment, seed: 'chosen' }))
+            .rejects.toMatchObject({ code: '42501' });
+        await expect(save('member', 'draw_state', { ...commitment, draws: [draw], rerolls: 5 }))
+            .rejects.toMatchObject({ code: '42501' });
+
+        await save('member', 'draw_state', { ...commitment, draws: [draw], rerolls: 0 });
+        expect((await read('draw_state')).draws).toEqual([draw]);
+    });
+
+    test('lets a member spend their own veto but not drop or forge others', async () => {
+        await expect(save('member', 'veto_state', { ...vetoSeason, log: [] }))
+            .rejects.toMatchObject({ code: '42501' });
+        await expect(save('member', 'veto_state', { ...vetoSeason, log: [...vetoSeason.log, veto('veto2', 'organizer')] }))
+            .rejects.toMatchObject({ code: '42501' });
+
+        await save('member', 'veto_state', { ...vetoSeason, log: [...vetoSeason.log, veto('veto2', 'member')] });
+        expect((await read('veto_state')).log.map(entry => entry.id)).toEqual(['veto1', 'veto2']);
+    });
+
+    test('holds a member to their vetoes per season', async () => {
+        const log = [...vetoSeason.log, veto('veto2', 'member'), veto('veto3', 'member'), veto('veto4', 'member')];
+
+        await expect(save('member', 'veto_state', { ...vetoSeason, log }))
+            .rejects.toMatchObject({ code: '42501' });
+    });
+});
\ No newline at end of file
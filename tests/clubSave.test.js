@@ -0,0 +1,120 @@
+// tests/clubSave.test.js
+/**
+ * Saving clubs: a save patches only the columns this device changed on clubs it
+ * changed, a patch that updates no row counts as refused, and a simple draw sends its
+ * pick straight away.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import storageManager from '../js/core/storage.js';
+import bookManager from '../js/features/books.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+import operationManager from '../js/core/operations.js';
+import outboxManager from '../js/core/outbox.js';
+import { installSupabaseMock, removeSupabaseMock } from './helpers/supabaseMock.js';
+
+const books = [
+    { id: 'emma', title: 'Emma', author: 'Jane Austen', addedBy: 'owner', addedAt: '2026-01-01T00:00:00Z' },
+    { id: 'dune', title: 'Dune', author: 'Frank Herbert', addedBy: 'owner', addedAt: '2026-01-02T00:00:00Z' }
+];
+
+function serverRow(id) {
+    return {
+        id,
+        name: `Club ${id}`,
+        user_id: 'owner',
+        books,
+        reading_history: [],
+        selection_settings: { mode: 'random' },
+        members: [],
+        op_seq: 0,
+        updated_by: 'owner'
+    };
+}
+
+function clubWrites(client) {
+    return client.calls.filter(call => call.table === 'book_clubs' && call.steps.some(step => ['update', 'upsert'].includes(step.method)));
+}
+
+// The row an update reaches, as returned by .select('id')
+function updatedRows(query) {
+    const update = query.steps.some(step => step.method === 'update');
+    return update ? [{ id: query.steps.find(step => step.method === 'eq').args[1] }] : null;
+}
+
+describe('saving clubs to Supabase', () => {
+    let client;
+
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        appState.currentClubId = null;
+        outboxManager.entries = null;
+        storageManager.serverColumns = new Map();
+        userManager.account = null;
+        userManager.setUserId('owner');
+        client = installSupabaseMock({
+            rpc: { apply_club_operations: ({ p_operations }) => ({ data: p_operations.map((operation, index) => ({ id: operation.id, seq: index + 1 })), error: null }) },
+            tables: {
+                book_clubs: query => ({ data: updatedRows(query), error: null }),
+                club_operations: () => ({ data: [], error: null })
+            }
+        });
+
+        ['club1', 'club2'].forEach(id => {
+            storageManager.rememberServerRecord(serverRow(id));
+            appState.setBookClub(id, storageManager.fromSupabaseRecord(serverRow(id)));
+        });
+    });
+    afterEach(removeSupabaseMock);
+
+    test('patches only the changed columns of the changed club', async () => {
+        appState.getBookClub('club1').readingHistory = [{ id: 'read_1', book: books[0], confirmedAt: '2026-02-01T00:00:00Z' }];
+
+        await storageManager.saveToSupabase();
+
+        const writes = clubWrites(client);
+        expect(writes).toHaveLength(1);
+        const update = writes[0].steps.find(step => step.method === 'update').args[0];
+        expect(Object.keys(update).sort()).toEqual(['reading_history', 'updated_at', 'updated_by']);
+        expect(writes[0].steps).toContainEqual({ method: 'eq', args: ['id', 'club1'] });
+    });
+
+    test('counts a patch row security skipped as refused', async () => {
+        client = installSupabaseMock({ tables: { book_clubs: () => ({ data: [], error: null }) } });
+        const loaded = storageManager.serverColumns.get('club1');
+        appState.getBookClub('club1').readingHistory = [{ id: 'read_1', book: books[0], confirmedAt: '2026-02-01T00:00:00Z' }];
+
+        expect(await storageManager.sendClub('club1')).toBe('rejected');
+        expect(storageManager.serverColumns.get('club1')).toBe(loaded);
+    });
+
+    test('sends nothing for clubs unchanged since they were loaded', async () => {
+        await storageManager.saveToSupabase();
+        expect(clubWrites(client)).toHaveLength(0);
+    });
+
+    test('creates a new club with its whole row', async () => {
+        appState.setBookClub('club3', { id: 'club3', name: 'New', userId: 'owner', books: [] });
+
+        await storageManager.saveToSupabase();
+
+        const writes = clubWrites(client);
+        expect(writes).toHaveLength(1);
+        const row = writes[0].steps.find(step => step.method === 'upsert').args[0];
+        expect(row).toMatchObject({ id: 'club3', name: 'New', books: [] });
+    });
+
+    test('a simple draw sends its pick without waiting for another save', async () => {
+        appState.setCurrentClubId('club1');
+
+        const selection = await bookManager.selectRandom();
+
+        expect(selection).not.toBeNull();
+        const sent = client.calls.filter(call => call.rpc === 'apply_club_operations');
+        expect(sent).toHaveLength(1);
+        expect(sent[0].args.p_operations.map(operation => operation.type)).toEqual(['select']);
+        expect(operationManager.getUnsent('club1')).toHaveLength(0);
+    });
+});
\ No newline at end of file
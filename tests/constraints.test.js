@@ -0,0 +1,80 @@
+// tests/constraints.test.js
+/**
+ * Selection constraints: which titles each rule excludes, and why.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import constraintManager from '../js/features/constraints.js';
+
+const history = [
+    { book: { title: 'Emma', author: 'Jane Austen', metadata: { genre: 'Classic' } } },
+    { book: { title: 'Dune', author: 'Frank Herbert', metadata: { genre: 'Science Fiction' } } }
+];
+
+function clubWith(constraints) {
+    return { readingHistory: history, selectionSettings: { constraints } };
+}
+
+describe('evaluating candidates', () => {
+    const candidates = [
+        { id: 'persuasion', title: 'Persuasion', author: 'jane austen', metadata: { pageCount: 250, genre: 'Classic' } },
+        { id: 'foundation', title: 'Foundation', author: 'Isaac Asimov', metadata: { pageCount: 250, genre: 'science fiction' } },
+        { id: 'tome', title: 'Tome', author: 'Someone', metadata: { pageCount: 900 } },
+        { id: 'short', title: 'Short', metadata: {} }
+    ];
+
+    test('excludes nothing while every rule is off', () => {
+        const { eligible, excluded } = constraintManager.evaluate(clubWith({}), candidates);
+
+        expect(eligible).toHaveLength(4);
+        expect(excluded).toEqual([]);
+        expect(constraintManager.hasActiveRules(clubWith({}))).toBe(false);
+    });
+
+    test('excludes repeat authors within the lookback only', () => {
+        const inLookback = constraintManager.evaluate(clubWith({ recentAuthor: { enabled: true, lookback: 2 } }), candidates);
+        const pastLookback = constraintManager.evaluate(clubWith({ recentAuthor: { enabled: true, lookback: 1 } }), candidates);
+
+        expect(inLookback.excluded.map(item => item.book.id)).toEqual(['persuasion']);
+        expect(inLookback.excluded[0].reasons[0].reason).toBe('jane austen was read in the last 2 selections (Emma)');
+        expect(pastLookback.excluded).toEqual([]);
+    });
+
+    test('excludes books over the page limit and repeats of the last genre', () => {
+        const { eligible, excluded } = constraintManager.evaluate(clubWith({
+            maxPages: { enabled: true, maxPages: 300 },
+            genreRotation: { enabled: true }
+        }), candidates);
+
+        expect(eligible.map(book => book.id)).toEqual(['persuasion', 'short']);
+        expect(excluded.map(item => [item.book.id, item.reasons.map(result => result.rule)])).toEqual([
+            ['foundation', ['genreRotation']],
+            ['tome', ['maxPages']]
+        ]);
+    });
+
+    test('lists every reason a title was excluded', () => {
+        const book = { id: 'x', title: 'Big Austen', author: 'Jane Austen', metadata: { pageCount: 1000 } };
+        const { excluded } = constraintManager.evaluate(clubWith({
+            recentAuthor: { enabled: true, lookback: 3 },
+            maxPages: { enabled: true, maxPages: 300 }
+        }), [book]);
+
+        expect(constraintManager.describeExclusions(excluded)).toBe(
+            '• Big Austen: Jane Austen was read in the last 3 selections (Emma); 1000 pages is over the 300-page limit'
+        );
+    });
+});
+
+describe('settings', () => {
+    test('clamp values from the form and fill in defaults', () => {
+        expect(constraintManager.normalizeSettings({
+            recentAuthor: { enabled: 'on', lookback: '99' },
+            maxPages: { enabled: false, maxPages: 'lots' }
+        })).toEqual({
+            recentAuthor: { enabled: true, lookback: 50 },
+            maxPages: { enabled: false, maxPages: 350 },
+            genreRotation: { enabled: false }
+        });
+    });
+});
\ No newline at end of file
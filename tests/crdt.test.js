@@ -0,0 +1,128 @@
+// tests/crdt.test.js
+/**
+ * Club CRDT: replicas that apply the same operations - in any order, any number of
+ * times - or merge each other's states end up with the same club.
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import clubCrdt from '../js/core/crdt.js';
+
+const club = {
+    name: 'Club',
+    books: [
+        { id: 'emma', title: 'Emma' },
+        { id: 'dune', title: 'Dune' },
+        { id: 'ulysses', title: 'Ulysses' }
+    ],
+    currentSelection: null
+};
+
+/**
+ * Make an operation on a replica's state and apply it there, as OperationManager does
+ */
+function change(state, replicaId, type, details, actorId = replicaId) {
+    const payload = clubCrdt.describe(state, type, details);
+    const { clock, stamp } = clubCrdt.tick(state, replicaId);
+    const operation = { id: `${replicaId}_${clock[replicaId]}`, type, payload, replicaId, actorId, clock, stamp };
+    clubCrdt.apply(state, operation);
+    return operation;
+}
+
+function replay(operations) {
+    const state = clubCrdt.createState(club);
+    operations.forEach(operation => clubCrdt.apply(state, clubCrdt.copy(operation)));
+    return clubCrdt.materialize(state);
+}
+
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((item, index) =>
+        permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+    );
+}
+
+describe('club CRDT', () => {
+    let alice;
+    let bob;
+    let operations;
+
+    beforeEach(() => {
+        // Two replicas change the same club concurrently, without seeing each other's changes
+        alice = clubCrdt.createState(club);
+        bob = clubCrdt.createState(club);
+        operations = [
+            change(alice, 'alice', 'add', { book: { id: 'dracula', title: 'Dracula' } }),
+            change(alice, 'alice', 'rename', { name: 'Alice\'s club' }),
+            change(alice, 'alice', 'select', { bookId: 'dune' }),
+            change(bob, 'bob', 'remove', { bookId: 'emma' }),
+            change(bob, 'bob', 'move', { bookId: 'ulysses', toIndex: 0 }),
+            change(bob, 'bob', 'rename', { name: 'Bob\'s club' }),
+            change(bob, 'bob', 'upvote', { bookId: 'dune', upvoted: true })
+        ];
+    });
+
+    test('converges whatever order the operations arrive in', () => {
+        const expected = replay(operations);
+
+        // Interleavings keeping each replica's operations in order, as the outbox sends them,
+        // and one that doesn't
+        const aliceOps = operations.filter(operation => operation.replicaId === 'alice');
+        const bobOps = operations.filter(operation => operation.replicaId === 'bob');
+        const orders = [
+            [...aliceOps, ...bobOps],
+            [...bobOps, ...aliceOps],
+            [aliceOps[0], bobOps[0], aliceOps[1], bobOps[1], aliceOps[2], bobOps[2], bobOps[3]],
+            [...operations].reverse()
+        ];
+
+        orders.forEach(order => expect(replay(order)).toEqual(expected));
+        expect(expected.books.map(book => book.id)).toEqual(['ulysses', 'dune', 'dracula']);
+        expect(expected.name).toBe('Bob\'s club');
+        expect(expected.currentSelection).toBe('dune');
+        expect(expected.books.find(book => book.id === 'dune').upvotes).toEqual(['bob']);
+    });
+
+    test('concurrent register writes commute in every order', () => {
+        const writes = [
+            change(alice, 'alice', 'rename', { name: 'First' }),
+            change(bob, 'bob', 'rename', { name: 'Second' }),
+            change(clubCrdt.createState(club), 'carol', 'rename', { name: 'Third' })
+        ];
+
+        const names = permutations(writes).map(order => replay(order).name);
+        expect(new Set(names).size).toBe(1);
+    });
+
+    test('applying an operation again changes nothing', () => {
+        const once = replay(operations);
+        const twice = replay([...operations, ...operations]);
+
+        expect(twice).toEqual(once);
+    });
+
+    test('merging states is commutative and idempotent', () => {
+        const aliceThenBob = clubCrdt.materialize(clubCrdt.merge(alice, bob));
+        const bobThenAlice = clubCrdt.materialize(clubCrdt.merge(bob, alice));
+        const mergedTwice = clubCrdt.materialize(clubCrdt.merge(clubCrdt.merge(alice, bob), bob));
+
+        expect(aliceThenBob).toEqual(bobThenAlice);
+        expect(mergedTwice).toEqual(aliceThenBob);
+        expect(aliceThenBob).toEqual(replay(operations));
+    });
+
+    test('a re-add concurrent with a removal survives it', () => {
+        const removal = change(alice, 'alice', 'remove', { bookId: 'dune' });
+        const readd = change(bob, 'bob', 'add', { book: { id: 'dune', title: 'Dune' } });
+
+        expect(replay([removal, readd]).books.map(book => book.id)).toContain('dune');
+        expect(replay([readd, removal]).books.map(book => book.id)).toContain('dune');
+    });
+
+    test('a removal never comes back once every replica has seen it', () => {
+        const removal = change(alice, 'alice', 'remove', { bookId: 'dune' });
+        clubCrdt.apply(bob, clubCrdt.copy(removal));
+        const staleMerge = clubCrdt.merge(clubCrdt.createState(club), bob);
+
+        expect(clubCrdt.materialize(staleMerge).books.map(book => book.id)).not.toContain('dune');
+    });
+});
\ No newline at end of file
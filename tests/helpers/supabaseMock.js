@@ -0,0 +1,75 @@
+// tests/helpers/supabaseMock.js
+/**
+ * A stand-in for the Supabase client, for tests of code that talks to the server.
+ * RPCs and table queries answer from handlers; every call is recorded so tests can
+ * check what was sent. Auth methods are jest mocks answering like a signed-out client.
+ */
+
+import { jest } from '@jest/globals';
+import supabaseManager from '../../js/config/supabase.js';
+
+const QUERY_METHODS = ['select', 'insert', 'upsert', 'update', 'delete', 'eq', 'neq', 'or', 'gt', 'lt', 'in', 'order', 'limit', 'single', 'maybeSingle'];
+
+/**
+ * Create a mock client
+ * @param {Object} handlers - { rpc: { name: args => result }, tables: { name: query => result } }
+ *   A result is { data, error }; missing handlers answer { data: null, error: null }.
+ * @returns {Object} The client, with a calls array
+ */
+export function createSupabaseMock(handlers = {}) {
+    const calls = [];
+    const answer = (handler, input) => Promise.resolve(handler ? handler(input) : { data: null, error: null });
+
+    return {
+        calls,
+        rpc: jest.fn((name, args) => {
+            calls.push({ rpc: name, args });
+            return answer(handlers.rpc?.[name], args);
+        }),
+        from(table) {
+            const query = { table, steps: [] };
+            calls.push(query);
+
+            const builder = {
+                then: (resolve, reject) => answer(handlers.tables?.[table], query).then(resolve, reject)
+            };
+            QUERY_METHODS.forEach(method => {
+                builder[method] = (...args) => {
+                    query.steps.push({ method, args });
+                    return builder;
+                };
+            });
+            return builder;
+        },
+        channel: jest.fn(() => ({ on() { return this; }, subscribe() { return this; }, send: jest.fn() })),
+        removeChannel: jest.fn(),
+        auth: {
+            getSession: jest.fn(async () => ({ data: { session: null }, error: null })),
+            onAuthStateChange: jest.fn(),
+            signInWithOtp: jest.fn(async () => ({ data: {}, error: null })),
+            signInWithPassword: jest.fn(async () => ({ data: {}, error: null })),
+            signUp: jest.fn(async () => ({ data: {}, error: null })),
+            signOut: jest.fn(async () => ({ error: null }))
+        }
+    };
+}
+
+/**
+ * Put a mock client in place of the real one (collaborative mode on)
+ * @param {Object} handlers - See createSupabaseMock
+ * @returns {Object} The client
+ */
+export function installSupabaseMock(handlers = {}) {
+    const client = createSupabaseMock(handlers);
+    supabaseManager.client = client;
+    supabaseManager.isInitialized = true;
+    return client;
+}
+
+/**
+ * Go back to local mode
+ */
+export function removeSupabaseMock() {
+    supabaseManager.client = null;
+    supabaseManager.isInitialized = false;
+}
\ No newline at end of file
@@ -0,0 +1,71 @@
+// tests/memberRoles.test.js
+/**
+ * Member roles: in collaborative mode a role changes through set_club_member_role rather
+ * than a saved roster, and only the owner makes or changes co-owners.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import bookClubManager from '../js/features/bookClubs.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+import { installSupabaseMock, removeSupabaseMock } from './helpers/supabaseMock.js';
+
+const members = [
+    { userId: 'cohost', role: 'co-owner', joinedAt: '2026-01-01T00:00:00Z', addedBy: 'owner' },
+    { userId: 'reader', role: 'member', joinedAt: '2026-01-02T00:00:00Z', addedBy: 'owner' }
+];
+
+function clubRow(roster) {
+    return { id: 'club1', name: 'Club', user_id: 'owner', books: [], members: roster, shared_users: roster.map(member => member.userId) };
+}
+
+describe('changing member roles', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        userManager.account = null;
+        userManager.setUserId('owner');
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books: [], members });
+    });
+    afterEach(removeSupabaseMock);
+
+    test('goes through the role function in collaborative mode', async () => {
+        const promoted = members.map(member => member.userId === 'reader' ? { ...member, role: 'co-organizer' } : member);
+        const client = installSupabaseMock({
+            rpc: { set_club_member_role: () => ({ data: [clubRow(promoted)], error: null }) }
+        });
+
+        expect(await bookClubManager.setMemberRole('club1', 'reader', 'co-organizer')).toBe(true);
+
+        expect(client.calls).toContainEqual({
+            rpc: 'set_club_member_role',
+            args: { p_club_id: 'club1', p_user_id: 'reader', p_role: 'co-organizer' }
+        });
+        expect(client.calls.some(call => call.table === 'book_clubs')).toBe(false);
+        expect(appState.getBookClub('club1').members.find(member => member.userId === 'reader').role).toBe('co-organizer');
+    });
+
+    test('keeps the old role when the server refuses the change', async () => {
+        installSupabaseMock({
+            rpc: { set_club_member_role: () => ({ data: null, error: { code: 'P0001', message: 'Only owners and co-owners can change member roles' } }) }
+        });
+
+        expect(await bookClubManager.setMemberRole('club1', 'reader', 'viewer')).toBe(false);
+        expect(appState.getBookClub('club1').members.find(member => member.userId === 'reader').role).toBe('member');
+    });
+
+    test('leaves co-owners to the owner', async () => {
+        const client = installSupabaseMock();
+        userManager.setUserId('cohost');
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books: [], members });
+
+        expect(await bookClubManager.setMemberRole('club1', 'reader', 'co-owner')).toBe(false);
+        expect(await bookClubManager.setMemberRole('club1', 'cohost', 'member')).toBe(false);
+        expect(client.rpc).not.toHaveBeenCalled();
+    });
+
+    test('changes the roster directly in local mode', async () => {
+        expect(await bookClubManager.setMemberRole('club1', 'reader', 'viewer')).toBe(true);
+        expect(appState.getBookClub('club1').members.find(member => member.userId === 'reader').role).toBe('viewer');
+    });
+});
\ No newline at end of file
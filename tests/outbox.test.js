@@ -0,0 +1,46 @@
+// tests/outbox.test.js
+/**
+ * The outbox is shared by every open tab through localStorage, so a change made in
+ * one tab mustn't overwrite entries another tab queued since this one last read it.
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import outboxManager from '../js/core/outbox.js';
+
+function storedEntries() {
+    return JSON.parse(localStorage.getItem(outboxManager.OUTBOX_KEY)) || [];
+}
+
+// Queue an entry as another tab would: straight into localStorage, past this tab's cache
+function queueInOtherTab(entry) {
+    localStorage.setItem(outboxManager.OUTBOX_KEY, JSON.stringify([...storedEntries(), entry]));
+}
+
+describe('the shared outbox', () => {
+    beforeEach(() => {
+        outboxManager.entries = null;
+        outboxManager.enqueue('ballot', 'club1', { roundId: 'round1' });
+    });
+
+    test('queuing keeps entries another tab added', () => {
+        queueInOtherTab({ id: 'other', type: 'saveClub', clubId: 'club2', data: null, attempts: 0 });
+
+        outboxManager.enqueue('saveClub', 'club1');
+
+        expect(storedEntries().map(entry => [entry.type, entry.clubId])).toEqual([
+            ['ballot', 'club1'],
+            ['saveClub', 'club2'],
+            ['saveClub', 'club1']
+        ]);
+    });
+
+    test('removing and counting attempts keep entries another tab added', () => {
+        const [ballot] = outboxManager.getEntries();
+        queueInOtherTab({ id: 'other', type: 'saveClub', clubId: 'club2', data: null, attempts: 0 });
+
+        outboxManager.markAttempt('other');
+        outboxManager.removeWhere(entry => entry.id === ballot.id);
+
+        expect(storedEntries()).toEqual([{ id: 'other', type: 'saveClub', clubId: 'club2', data: null, attempts: 1 }]);
+    });
+});
\ No newline at end of file
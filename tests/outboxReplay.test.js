@@ -0,0 +1,129 @@
+// tests/outboxReplay.test.js
+/**
+ * Replaying the outbox: only network failures and transient errors keep a change queued,
+ * and a refused change - even one whose club can't be reloaded - doesn't hold up the
+ * entries behind it.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import storageManager from '../js/core/storage.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+import operationManager from '../js/core/operations.js';
+import outboxManager from '../js/core/outbox.js';
+import tabSyncManager from '../js/core/tabSync.js';
+import { installSupabaseMock, removeSupabaseMock } from './helpers/supabaseMock.js';
+
+function serverRow(id) {
+    return {
+        id,
+        name: `Club ${id}`,
+        user_id: 'owner',
+        books: [],
+        reading_history: [],
+        selection_settings: { mode: 'random' },
+        members: [],
+        op_seq: 0,
+        updated_by: 'owner'
+    };
+}
+
+describe('replaying the outbox', () => {
+    let rpcError;
+    let refusedClubId;
+    let clubLoad;
+
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        appState.currentClubId = null;
+        outboxManager.entries = null;
+        storageManager.serverColumns = new Map();
+        storageManager.pendingRestores = new Set();
+        userManager.account = null;
+        userManager.setUserId('owner');
+        jest.spyOn(tabSyncManager, 'isLeader').mockReturnValue(true);
+
+        rpcError = null;
+        refusedClubId = null;
+        clubLoad = query => ({ data: serverRow(query.steps.find(step => step.method === 'eq').args[1]), error: null });
+        installSupabaseMock({
+            rpc: {
+                apply_club_operations: ({ p_operations }) => rpcError && (!refusedClubId || p_operations[0].clubId === refusedClubId)
+                    ? { data: null, error: rpcError }
+                    : { data: p_operations.map((operation, index) => ({ id: operation.id, seq: index + 1 })), error: null }
+            },
+            tables: {
+                book_clubs: query => clubLoad(query),
+                club_operations: () => ({ data: [], error: null })
+            }
+        });
+
+        ['club1', 'club2'].forEach(id => {
+            storageManager.rememberServerRecord(serverRow(id));
+            appState.setBookClub(id, storageManager.fromSupabaseRecord(serverRow(id)));
+        });
+    });
+    afterEach(removeSupabaseMock);
+
+    test.each(['', 'PGRST301', 'PT401', 'PGRST000', 'PGRST001', '08006', '40001'])('keeps a change queued after a "%s" error', async code => {
+        operationManager.record(appState.getBookClub('club1'), 'rename', { name: 'Renamed' });
+        rpcError = { code, message: 'try again later' };
+
+        const result = await storageManager.replayOutbox();
+
+        expect(result).toEqual({ sent: 0, rejected: 0, pending: 1 });
+        expect(appState.getBookClub('club1').name).toBe('Renamed');
+    });
+
+    test('drops a refused operation and restores the server copy', async () => {
+        operationManager.record(appState.getBookClub('club1'), 'rename', { name: 'Renamed' });
+        rpcError = { code: 'P0001', message: 'operation_not_allowed' };
+
+        const result = await storageManager.replayOutbox();
+
+        expect(result).toEqual({ sent: 0, rejected: 1, pending: 0 });
+        expect(appState.getBookClub('club1').name).toBe('Club club1');
+    });
+
+    test.each([
+        ['23505', 'duplicate key value violates unique constraint'],
+        ['PGRST204', 'Could not find the column in the schema cache'],
+        ['P0001', 'The owner cannot be removed'],
+        ['22P02', 'invalid input syntax']
+    ])('drops a change that failed with %s instead of holding up the queue', async (code, message) => {
+        operationManager.record(appState.getBookClub('club1'), 'rename', { name: 'Refused' });
+        operationManager.record(appState.getBookClub('club2'), 'rename', { name: 'Sent' });
+        rpcError = { code, message };
+        refusedClubId = 'club1';
+
+        const result = await storageManager.replayOutbox();
+
+        expect(result).toEqual({ sent: 1, rejected: 1, pending: 0 });
+        expect(appState.getBookClub('club1').name).toBe('Club club1');
+        expect(appState.getBookClub('club2').name).toBe('Sent');
+    });
+
+    test('a refusal whose club cannot be reloaded does not block the next entry', async () => {
+        operationManager.record(appState.getBookClub('club1'), 'rename', { name: 'Refused' });
+        rpcError = { code: '42501', message: 'permission denied' };
+        clubLoad = () => ({ data: null, error: { code: 'PGRST000', message: 'database unavailable' } });
+
+        const first = await storageManager.replayOutbox();
+
+        expect(first).toEqual({ sent: 0, rejected: 1, pending: 0 });
+        expect(storageManager.pendingRestores.has('club1')).toBe(true);
+
+        // The next change goes out, and the refused one is undone once the club loads
+        rpcError = null;
+        clubLoad = query => ({ data: serverRow(query.steps.find(step => step.method === 'eq').args[1]), error: null });
+        operationManager.record(appState.getBookClub('club2'), 'rename', { name: 'Sent' });
+
+        const second = await storageManager.replayOutbox();
+
+        expect(second).toEqual({ sent: 1, rejected: 0, pending: 0 });
+        expect(storageManager.pendingRestores.size).toBe(0);
+        expect(appState.getBookClub('club1').name).toBe('Club club1');
+        expect(appState.getBookClub('club2').name).toBe('Sent');
+    });
+});
\ No newline at end of file
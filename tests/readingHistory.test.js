@@ -0,0 +1,40 @@
+// tests/readingHistory.test.js
+/**
+ * Confirming a selection records it in the reading history and closes the round
+ * that picked it before anyone is told about the change.
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+
+describe('confirming a selection', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        userManager.setUserId('owner');
+        appState.setBookClub('club1', {
+            id: 'club1',
+            name: 'Club',
+            userId: 'owner',
+            books: [{ id: 'emma', title: 'Emma', addedBy: 'owner', addedAt: '2026-01-01T00:00:00Z' }],
+            currentSelection: 'emma',
+            drawState: { commitCount: 1 },
+            votingRound: { id: 'round1', status: 'closed' },
+            bracket: { id: 'bracket1', status: 'complete' }
+        });
+    });
+
+    test('clears the selection round before listeners see the club', () => {
+        const seen = [];
+        appState.on('selectionConfirmed', ({ club, entry }) => {
+            seen.push({ drawState: club.drawState, votingRound: club.votingRound, bracket: club.bracket, history: [...club.readingHistory], entry });
+        });
+
+        appState.confirmSelection('club1');
+
+        expect(seen).toHaveLength(1);
+        expect(seen[0]).toMatchObject({ drawState: null, votingRound: null, bracket: null });
+        expect(seen[0].history).toEqual([seen[0].entry]);
+    });
+});
\ No newline at end of file
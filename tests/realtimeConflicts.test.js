@@ -0,0 +1,99 @@
+// tests/realtimeConflicts.test.js
+/**
+ * Real-time conflicts: a remote change only conflicts with changes this device hasn't
+ * synced yet, not with how recently it last heard from the server, and the merge keeps
+ * the settings changed here while taking the ones only the other member changed.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import realtimeManager from '../js/features/realtime.js';
+import storageManager from '../js/core/storage.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+import operationManager from '../js/core/operations.js';
+import outboxManager from '../js/core/outbox.js';
+import { installSupabaseMock, removeSupabaseMock } from './helpers/supabaseMock.js';
+
+function serverRow(changes = {}) {
+    return {
+        id: 'club1',
+        name: 'Club 1',
+        user_id: 'owner',
+        books: [],
+        reading_history: [],
+        selection_settings: { mode: 'random' },
+        members: [{ userId: 'member', role: 'member' }],
+        op_seq: 0,
+        updated_at: '2020-01-01T00:00:00Z',
+        updated_by: 'owner',
+        ...changes
+    };
+}
+
+describe('detecting real-time conflicts', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        outboxManager.entries = null;
+        storageManager.serverColumns = new Map();
+        userManager.account = null;
+        userManager.setUserId('owner');
+        installSupabaseMock();
+
+        storageManager.rememberServerRecord(serverRow());
+        appState.setBookClub('club1', storageManager.fromSupabaseRecord(serverRow()));
+    });
+    afterEach(removeSupabaseMock);
+
+    test('ignores a remote change when nothing here is unsynced, however old its timestamp', async () => {
+        realtimeManager.lastUpdate.set('club1', new Date());
+
+        const conflict = await realtimeManager.detectConflict({ new: serverRow({ selection_settings: { mode: 'vote' } }) });
+
+        expect(conflict).toBeNull();
+    });
+
+    test('flags an unsaved setting the remote change also changed', async () => {
+        appState.getBookClub('club1').selectionSettings = { mode: 'rotation' };
+
+        const conflict = await realtimeManager.detectConflict({ new: serverRow({ selection_settings: { mode: 'vote' } }) });
+
+        expect(conflict.type).toBe('concurrent_modification');
+        expect(conflict.columns).toEqual(['selection_settings']);
+    });
+
+    test('ignores a remote change to settings this device left alone', async () => {
+        appState.getBookClub('club1').selectionSettings = { mode: 'rotation' };
+
+        const conflict = await realtimeManager.detectConflict({ new: serverRow({ require_approval: true }) });
+
+        expect(conflict).toBeNull();
+    });
+
+    test('flags queued operations when others logged operations this device has not seen', async () => {
+        operationManager.record(appState.getBookClub('club1'), 'rename', { name: 'Mine' });
+
+        expect(await realtimeManager.detectConflict({ new: serverRow() })).toBeNull();
+        expect(await realtimeManager.detectConflict({ new: serverRow({ op_seq: 1 }) })).not.toBeNull();
+    });
+    test('a merge keeps the settings changed here and takes the ones changed remotely', async () => {
+        jest.spyOn(realtimeManager, 'showRealtimeNotification').mockImplementation(() => {});
+        jest.spyOn(storageManager, 'saveData').mockResolvedValue();
+        const club = appState.getBookClub('club1');
+        club.drawState = { commitment: 'mine', draws: [] };
+        club.rotation = { order: ['owner'], index: 0 };
+        const remote = serverRow({
+            selection_settings: { mode: 'vote' },
+            rotation_state: { order: ['member'], index: 0 }
+        });
+
+        const conflict = await realtimeManager.detectConflict({ new: remote });
+        await realtimeManager.resolveConcurrentModification(conflict);
+
+        const merged = appState.getBookClub('club1');
+        expect(merged.drawState).toEqual({ commitment: 'mine', draws: [] });
+        expect(merged.rotation).toEqual({ order: ['owner'], index: 0 });
+        expect(merged.selectionSettings).toEqual({ mode: 'vote' });
+        expect(realtimeManager.getUnsavedColumns(merged).sort()).toEqual(['draw_state', 'rotation_state']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+// tests/rotation.test.js
+/**
+ * Member rotation: turns go round the members in order of their first nomination,
+ * skipping members with nothing on the list or nothing the constraints allow.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import rotationManager from '../js/features/rotation.js';
+
+const history = [{ book: { title: 'Emma', author: 'Jane Austen' } }];
+
+function club(books, constraints = {}, rotation = null) {
+    return { books, rotation, readingHistory: history, selectionSettings: { mode: 'rotation', constraints } };
+}
+
+const books = [
+    { id: 'a1', title: 'Persuasion', author: 'Jane Austen', addedBy: 'ann', addedAt: '2026-01-01T00:00:00.000Z' },
+    { id: 'b1', title: 'Dune', author: 'Frank Herbert', addedBy: 'ben', addedAt: '2026-01-02T00:00:00.000Z' },
+    { id: 'c1', title: 'Ulysses', author: 'James Joyce', addedBy: 'cat', addedAt: '2026-01-03T00:00:00.000Z', metadata: { pageCount: 900 } },
+    { id: 'c2', title: 'Sense and Sensibility', author: 'Jane Austen', addedBy: 'cat', addedAt: '2026-01-04T00:00:00.000Z' }
+];
+
+describe('taking turns', () => {
+    test('starts with the first member to nominate and moves on from the stored turn', () => {
+        expect(rotationManager.getCurrentTurn(club(books)).userId).toBe('ann');
+
+        const turn = rotationManager.getCurrentTurn(club(books, {}, { order: ['ann', 'ben', 'cat'], turnIndex: 2 }));
+        expect(turn.userId).toBe('cat');
+        expect(turn.books.map(book => book.id)).toEqual(['c1', 'c2']);
+    });
+
+    test('skips members with nothing on the list', () => {
+        const turn = rotationManager.getCurrentTurn(club(books, {}, { order: ['dan', 'ann'], turnIndex: 0 }));
+
+        expect(turn.userId).toBe('ann');
+        expect(turn.skipped).toEqual(['dan']);
+    });
+
+    test('skips a member whose nominations all break the constraints', () => {
+        const turn = rotationManager.getCurrentTurn(club(books, { recentAuthor: { enabled: true, lookback: 1 } }));
+
+        expect(turn.userId).toBe('ben');
+        expect(turn.skipped).toEqual(['ann']);
+    });
+
+    test('only offers a member\'s nominations the constraints allow', () => {
+        const constrained = club(books, { recentAuthor: { enabled: true, lookback: 1 } }, { order: ['ann', 'ben', 'cat'], turnIndex: 2 });
+
+        expect(rotationManager.getCurrentTurn(constrained).books.map(book => book.id)).toEqual(['c1']);
+        expect(rotationManager.getCandidates(constrained).map(book => book.id)).toEqual(['c1', 'c2']);
+    });
+
+    test('has no turn when every nomination is excluded', () => {
+        const constrained = club(books, {
+            recentAuthor: { enabled: true, lookback: 1 },
+            maxPages: { enabled: true, maxPages: 100 }
+        }, { order: ['ann', 'cat'], turnIndex: 0 });
+        const onlyExcluded = { ...constrained, books: books.filter(book => book.addedBy !== 'ben') };
+
+        expect(rotationManager.getCurrentTurn(onlyExcluded)).toBeNull();
+        expect(rotationManager.getStatus(onlyExcluded).currentUserId).toBeNull();
+    });
+
+    test('leaves members with nothing eligible out of the up-next list', () => {
+        const status = rotationManager.getStatus(club(books, { maxPages: { enabled: true, maxPages: 100 } }, { order: ['ann', 'ben', 'cat'], turnIndex: 0 }));
+
+        expect(status.currentUserId).toBe('ann');
+        expect(status.upNext).toEqual(['ben', 'cat']);
+
+        const allExcluded = club(books, { recentAuthor: { enabled: true, lookback: 1 }, maxPages: { enabled: true, maxPages: 100 } }, { order: ['ann', 'ben', 'cat'], turnIndex: 0 });
+        expect(rotationManager.getStatus(allExcluded).upNext).toEqual([]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+// tests/seasonPlanner.test.js
+/**
+ * Season planning: slots are drawn so the club's rules hold across the season, and
+ * reordering or swapping meetings is checked against the rules again.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import seasonPlanner from '../js/features/seasonPlanner.js';
+import bookManager from '../js/features/books.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+
+const books = [
+    { id: 'emma', title: 'Emma', author: 'Jane Austen' },
+    { id: 'dune', title: 'Dune', author: 'Frank Herbert' },
+    { id: 'persuasion', title: 'Persuasion', author: 'Jane Austen' }
+];
+
+function plan(bookIds) {
+    return {
+        id: 'season1',
+        interval: 'monthly',
+        slots: bookIds.map((bookId, index) => ({ bookId, meetingDate: `2026-0${index + 1}-01`, locked: false }))
+    };
+}
+
+describe('season plans', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        userManager.account = null;
+        userManager.setUserId('owner');
+        appState.setBookClub('club1', {
+            id: 'club1',
+            name: 'Club',
+            userId: 'owner',
+            books,
+            selectionSettings: { constraints: { recentAuthor: { enabled: true, lookback: 1 } } }
+        });
+        appState.setCurrentClubId('club1');
+    });
+
+    test('draws a season that keeps the rules from meeting to meeting', () => {
+        // Always the first eligible title, so the season is emma, dune, persuasion
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const drafted = seasonPlanner.createPlan('club1', { count: 3, startDate: '2026-01-01' });
+        const authors = drafted.slots.map(slot => books.find(book => book.id === slot.bookId).author);
+
+        expect(authors).toEqual(['Jane Austen', 'Frank Herbert', 'Jane Austen']);
+        expect(seasonPlanner.validatePlan(appState.getBookClub('club1'))).toEqual([]);
+    });
+
+    test('finds the meetings a reorder puts in breach of the rules', () => {
+        appState.setSeasonPlan('club1', plan(['emma', 'dune', 'persuasion']));
+        seasonPlanner.moveSlot('club1', 1, 1);
+
+        expect(appState.getBookClub('club1').seasonPlan.slots.map(slot => slot.bookId)).toEqual(['emma', 'persuasion', 'dune']);
+        expect(seasonPlanner.validatePlan(appState.getBookClub('club1'))).toEqual([
+            'Meeting 2 (Persuasion): Jane Austen was read in the last 1 selection (Emma)'
+        ]);
+    });
+
+    test('warns when moving a meeting breaks the rules for the ones after it', async () => {
+        appState.setSeasonPlan('club1', plan(['emma', 'dune', 'persuasion']));
+
+        await bookManager.moveSeasonSlot(1, 1);
+
+        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Meeting 2 (Persuasion)'));
+    });
+
+    test('does not repeat a warning the plan already had', async () => {
+        appState.setSeasonPlan('club1', plan(['emma', 'persuasion', 'dune']));
+
+        await bookManager.toggleSeasonSlotLock(2);
+
+        expect(window.alert).not.toHaveBeenCalled();
+    });
+});
\ No newline at end of file
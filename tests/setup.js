@@ -0,0 +1,34 @@
+// tests/setup.js
+/**
+ * Jest setup - runs before every test file (see "jest" in package.json).
+ * The app's modules are browser singletons: they read localStorage and call alert,
+ * and log progress with emoji to the console. Each test starts with empty storage,
+ * alerts are recorded instead of shown, and the app's logging is kept quiet.
+ * jsdom has no TextEncoder or Web Crypto, so Node's are used for the seeded draws.
+ * Tests of the database run in Node's environment, without a browser to reset.
+ */
+
+import { jest, beforeEach, afterEach } from '@jest/globals';
+import { TextEncoder } from 'node:util';
+import { webcrypto } from 'node:crypto';
+
+if (typeof globalThis.TextEncoder === 'undefined') {
+    globalThis.TextEncoder = TextEncoder;
+}
+if (!globalThis.crypto?.subtle) {
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+}
+
+beforeEach(() => {
+    if (typeof window !== 'undefined') {
+        localStorage.clear();
+        window.alert = jest.fn();
+    }
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
\ No newline at end of file
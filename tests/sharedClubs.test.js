@@ -0,0 +1,80 @@
+// tests/sharedClubs.test.js
+/**
+ * Shared clubs on load: clubs the server stopped returning are dropped once the member
+ * has left or been removed, while clubs joined from old ?join= links before rosters were
+ * kept on the server are joined again through join_book_club instead.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+import storageManager from '../js/core/storage.js';
+import outboxManager from '../js/core/outbox.js';
+import { installSupabaseMock, removeSupabaseMock } from './helpers/supabaseMock.js';
+
+const reader = { userId: 'reader', role: 'member', joinedAt: '2026-01-02T00:00:00Z', addedBy: 'owner' };
+
+function clubRow(id, roster) {
+    return { id, name: 'Club', user_id: 'owner', books: [], members: roster, shared_users: roster.map(member => member.userId) };
+}
+
+describe('loading shared clubs', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        outboxManager.entries = null;
+        storageManager.serverColumns = new Map();
+        storageManager.pendingRestores = new Set();
+        userManager.account = null;
+        userManager.setUserId('reader');
+    });
+    afterEach(removeSupabaseMock);
+
+    test('drops a club the member was removed from', async () => {
+        const client = installSupabaseMock({ tables: { book_clubs: () => ({ data: [], error: null }) } });
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books: [], members: [reader] });
+
+        await storageManager.loadFromSupabase();
+
+        expect(appState.getBookClub('club1')).toBeNull();
+        expect(client.calls.some(call => call.rpc === 'join_book_club')).toBe(false);
+    });
+
+    test('joins a club from an old link on the server instead of dropping it', async () => {
+        const client = installSupabaseMock({
+            rpc: { join_book_club: () => ({ data: { status: 'joined', club: clubRow('club1', [reader]) }, error: null }) },
+            tables: { book_clubs: () => ({ data: [], error: null }) }
+        });
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books: [], isShared: true });
+
+        await storageManager.loadFromSupabase();
+
+        expect(client.calls).toContainEqual({ rpc: 'join_book_club', args: { p_club_id: 'club1' } });
+        expect(appState.getBookClub('club1').members.map(member => member.userId)).toEqual(['reader']);
+    });
+
+    test('keeps a club from an old link while the join waits for approval or fails', async () => {
+        installSupabaseMock({
+            rpc: { join_book_club: ({ p_club_id }) => p_club_id === 'club1'
+                ? { data: { status: 'pending', clubName: 'Club', request: { id: 'request1', club_id: 'club1', user_id: 'reader', status: 'pending' } }, error: null }
+                : { data: null, error: { code: '08006', message: 'connection failure' } } },
+            tables: { book_clubs: () => ({ data: [], error: null }) }
+        });
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books: [], isShared: true });
+        appState.setBookClub('club2', { id: 'club2', name: 'Other', userId: 'owner', books: [], isShared: true });
+
+        await storageManager.loadFromSupabase();
+
+        expect(appState.getBookClub('club1')).toBeDefined();
+        expect(appState.getBookClub('club2')).toBeDefined();
+    });
+
+    test('drops a club from an old link once its owner has turned old links off', async () => {
+        installSupabaseMock({ tables: { book_clubs: () => ({ data: [], error: null }) } });
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books: [], isShared: true });
+
+        await storageManager.loadFromSupabase();
+
+        expect(appState.getBookClub('club1')).toBeNull();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+// tests/tabSync.test.js
+/**
+ * Cross-tab sync: another tab's version of a club joins this tab's the way a club from
+ * the server does, so ballots, members and history only this tab holds yet survive.
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import tabSyncManager from '../js/core/tabSync.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+import outboxManager from '../js/core/outbox.js';
+
+const owner = { userId: 'owner', role: 'owner', joinedAt: '2026-01-01T00:00:00Z', addedBy: 'owner' };
+const reader = { userId: 'reader', role: 'member', joinedAt: '2026-01-02T00:00:00Z', addedBy: 'owner' };
+
+function club(changes) {
+    return { id: 'club1', name: 'Club', userId: 'owner', books: [], members: [owner], readingHistory: [], ...changes };
+}
+
+describe('taking another tab\'s changes', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        outboxManager.entries = null;
+        userManager.account = null;
+        userManager.setUserId('owner');
+    });
+
+    test('keeps ballots, members and history only this tab holds yet', () => {
+        appState.setBookClub('club1', club({
+            members: [owner, reader],
+            votingRound: { id: 'round1', status: 'open', ballots: { owner: ['emma'] } },
+            readingHistory: [{ id: 'read_1', confirmedAt: '2026-02-01T00:00:00Z' }]
+        }));
+        const otherTab = club({
+            votingRound: { id: 'round1', status: 'open', ballots: { reader: ['dune'] } },
+            readingHistory: [{ id: 'read_2', confirmedAt: '2026-03-01T00:00:00Z' }]
+        });
+
+        tabSyncManager.handleMessage({ type: 'club', clubId: 'club1', events: ['ballotCast'], club: otherTab, tabId: 'tab_other' });
+
+        const merged = appState.getBookClub('club1');
+        expect(merged.votingRound.ballots).toEqual({ owner: ['emma'], reader: ['dune'] });
+        expect(merged.members.map(member => member.userId)).toEqual(['owner', 'reader']);
+        expect(merged.readingHistory.map(entry => entry.id)).toEqual(['read_1', 'read_2']);
+    });
+
+    test('takes the other tab\'s round once it has moved on', () => {
+        appState.setBookClub('club1', club({ votingRound: { id: 'round1', status: 'open', ballots: { owner: ['emma'] } } }));
+        const otherTab = club({ votingRound: { id: 'round1', status: 'closed', ballots: { owner: ['emma'] }, winner: 'emma' } });
+
+        tabSyncManager.handleMessage({ type: 'club', clubId: 'club1', events: ['votingRoundChanged'], club: otherTab, tabId: 'tab_other' });
+
+        expect(appState.getBookClub('club1').votingRound.status).toBe('closed');
+    });
+});
\ No newline at end of file
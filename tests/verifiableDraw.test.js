@@ -0,0 +1,97 @@
+// tests/verifiableDraw.test.js
+/**
+ * Verifiable draws: vetoed titles are left out of the seeded pick in a way members can
+ * recompute, and a revealed draw keeps its meeting date and commitment history.
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import verifiableDrawManager from '../js/features/verifiableDraw.js';
+import appState from '../js/core/state.js';
+import userManager from '../js/core/user.js';
+
+const books = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, title: id.toUpperCase(), author: `Author ${id}` }));
+
+describe('verifiable draws', () => {
+    beforeEach(() => {
+        appState.bookClubs = {};
+        appState.listeners = new Map();
+        userManager.account = null;
+        userManager.setUserId('owner');
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books });
+    });
+
+    test('a draw recomputes from its published details', async () => {
+        await verifiableDrawManager.commit('club1', books, '2026-11-01');
+        const { book, details } = await verifiableDrawManager.draw('club1', books);
+
+        const result = await verifiableDrawManager.verify(details);
+        expect(result.valid).toBe(true);
+        expect(result.expectedId).toBe(book.id);
+    });
+
+    test('a vetoed title is never drawn again and the redraw still verifies', async () => {
+        await verifiableDrawManager.commit('club1', books, '2026-11-01');
+        const first = await verifiableDrawManager.draw('club1', books);
+
+        // Try the veto against every later draw number so a repeat could not slip through
+        for (let i = 0; i < 10; i++) {
+            const redraw = await verifiableDrawManager.draw('club1', books, [first.book.id]);
+            expect(redraw.book.id).not.toBe(first.book.id);
+            expect(redraw.details.excludedIds).toEqual([first.book.id]);
+            expect((await verifiableDrawManager.verify(redraw.details)).valid).toBe(true);
+        }
+    });
+
+    test('a member draws from an organizer\'s commitment but cannot make one', async () => {
+        userManager.setUserId('member');
+        appState.setBookClub('club1', { id: 'club1', name: 'Club', userId: 'owner', books, members: [{ userId: 'member', role: 'member' }] });
+
+        await expect(verifiableDrawManager.draw('club1', books)).rejects.toThrow('An organizer has to commit');
+        expect(appState.getBookClub('club1').drawState ?? null).toBeNull();
+
+        userManager.setUserId('owner');
+        await verifiableDrawManager.commit('club1', books, '2026-11-01');
+        userManager.setUserId('member');
+        const { details } = await verifiableDrawManager.draw('club1', books);
+        expect(details.drawNumber).toBe(0);
+    });
+
+    test('the meeting date is locked once a draw has been revealed', async () => {
+        await verifiableDrawManager.commit('club1', books, '2026-11-01');
+        await verifiableDrawManager.draw('club1', books);
+
+        await expect(verifiableDrawManager.commit('club1', books, '2026-12-01')).rejects.toThrow('already been revealed');
+        expect(appState.getBookClub('club1').drawState.meetingDate).toBe('2026-11-01');
+    });
+
+    test('a new commitment after a reveal keeps the earlier one and the reroll count', async () => {
+        await verifiableDrawManager.commit('club1', books, '2026-11-01');
+        await verifiableDrawManager.draw('club1', books);
+        await verifiableDrawManager.draw('club1', books);
+        const firstSeed = appState.getBookClub('club1').drawState.seed;
+
+        const shorterList = books.slice(0, 4);
+        const commitment = await verifiableDrawManager.commit('club1', shorterList);
+        expect(commitment.meetingDate).toBe('2026-11-01');
+        expect(commitment.rerolls).toBe(1);
+        expect(commitment.previousCommitments).toHaveLength(1);
+        expect(commitment.previousCommitments[0]).toMatchObject({ seed: firstSeed, commitCount: 1 });
+        expect(commitment.previousCommitments[0].draws).toHaveLength(2);
+
+        const { details } = await verifiableDrawManager.draw('club1', shorterList);
+        expect(details.rerolls).toBe(2);
+        expect(details.previousCommitments[0].seed).toBe(firstSeed);
+
+        const result = await verifiableDrawManager.verify(details);
+        expect(result.valid).toBe(true);
+        expect(result.previousCommitments).toHaveLength(1);
+    });
+
+    test('an unrevealed commitment can still move to another meeting', async () => {
+        await verifiableDrawManager.commit('club1', books, '2026-11-01');
+        const commitment = await verifiableDrawManager.commit('club1', books, '2026-12-01');
+
+        expect(commitment.meetingDate).toBe('2026-12-01');
+        expect(commitment.previousCommitments).toEqual([]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+// tests/voting.test.js
+/**
+ * Vote tallies: instant-runoff elimination order, exhausted ballots and
+ * the published tie-break rules, plus Borda and approval winners.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import votingManager from '../js/features/voting.js';
+
+const books = ['a', 'b', 'c', 'd'].map((id, index) => ({
+    id,
+    title: id.toUpperCase(),
+    addedAt: `2026-01-0${index + 1}T00:00:00.000Z`
+}));
+
+function round(method, shortlist, rankings) {
+    return {
+        method,
+        shortlist,
+        ballots: Object.fromEntries(rankings.map((ranking, index) => [`voter${index}`, { voterId: `voter${index}`, ranking }]))
+    };
+}
+
+describe('instant-runoff', () => {
+    test('a first-round majority wins straight away', () => {
+        const result = votingManager.tally(round('irv', ['a', 'b', 'c'], [['a', 'b'], ['a', 'c'], ['b', 'a']]), books);
+
+        expect(result.winnerId).toBe('a');
+        expect(result.rounds).toHaveLength(1);
+        expect(result.rounds[0].counts).toEqual({ a: 2, b: 1, c: 0 });
+    });
+
+    test('eliminates the weakest book and transfers its ballots', () => {
+        const result = votingManager.tally(round('irv', ['a', 'b', 'c'], [['a'], ['a'], ['b'], ['b'], ['c', 'b']]), books);
+
+        expect(result.rounds.map(item => item.eliminated)).toEqual(['c', null]);
+        expect(result.rounds[1].counts).toEqual({ a: 2, b: 3 });
+        expect(result.winnerId).toBe('b');
+        expect(result.tieBreaks).toEqual([]);
+    });
+
+    test('counts exhausted ballots and needs a majority of the active ones', () => {
+        const result = votingManager.tally(round('irv', ['a', 'b', 'c'], [['a'], ['a'], ['b'], ['b'], ['c']]), books);
+
+        expect(result.rounds.map(item => item.exhausted)).toEqual([0, 1, 3]);
+        // a and b tie on votes and Borda points; the later addition (b) goes first
+        expect(result.tieBreaks).toEqual([{ round: 2, tied: ['a', 'b'], eliminated: 'b', type: 'elimination' }]);
+        expect(result.winnerId).toBe('a');
+    });
+
+    test('breaks elimination ties on earlier rounds, then on Borda points', () => {
+        const result = votingManager.tally(round('irv', ['a', 'b', 'c', 'd'], [
+            ['a'], ['a'], ['a'], ['b'], ['b'], ['c'], ['d', 'c']
+        ]), books);
+
+        expect(result.tieBreaks).toEqual([
+            { round: 1, tied: ['c', 'd'], eliminated: 'd', type: 'elimination' },
+            { round: 2, tied: ['b', 'c'], eliminated: 'c', type: 'elimination' }
+        ]);
+        expect(result.rounds.map(item => item.eliminated)).toEqual(['d', 'c', null]);
+        expect(result.winnerId).toBe('a');
+    });
+
+    test('ignores books removed from the list since the vote opened', () => {
+        const result = votingManager.tally(round('irv', ['a', 'b'], [['b'], ['b'], ['a']]), books.filter(book => book.id !== 'b'));
+
+        expect(result.totalBallots).toBe(1);
+        expect(result.winnerId).toBe('a');
+    });
+});
+
+describe('point-based methods', () => {
+    test('Borda ties go to the earliest added book when first preferences tie too', () => {
+        const result = votingManager.tally(round('borda', ['c', 'b', 'a'], [['a', 'b', 'c'], ['b', 'a', 'c']]), books);
+
+        expect(result.rounds[0].counts).toEqual({ a: 3, b: 3, c: 0 });
+        expect(result.winnerId).toBe('a');
+        expect(result.tieBreaks).toEqual([{ round: 1, tied: ['b', 'a'], winner: 'a', type: 'winner' }]);
+    });
+
+    test('approval ties go to the book ranked first more often', () => {
+        const result = votingManager.tally(round('approval', ['b', 'a', 'c'], [['a', 'b'], ['b', 'c'], ['a']]), books);
+
+        expect(result.rounds[0].counts).toEqual({ a: 2, b: 2, c: 1 });
+        expect(result.winnerId).toBe('a');
+        expect(result.tieBreaks).toEqual([{ round: 1, tied: ['b', 'a'], winner: 'a', type: 'winner' }]);
+    });
+});
\ No newline at end of file
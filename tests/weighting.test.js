@@ -0,0 +1,79 @@
+// tests/weighting.test.js
+/**
+ * Weighted draws: each rule's multiplier, the floor no rule goes below and
+ * drawing in proportion to weight.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import weightingManager from '../js/features/weighting.js';
+
+const now = new Date('2026-03-02T00:00:00.000Z').getTime();
+const allRules = weightingManager.normalizeRules({
+    age: { enabled: true, strength: 0.3 },
+    upvotes: { enabled: true, strength: 0.5 },
+    recentAuthor: { enabled: true, lookback: 2, penalty: 1 },
+    pageCount: { enabled: true, prefer: 'shorter', targetPages: 300 }
+});
+
+describe('rule multipliers', () => {
+    test('grow with time on the list and with upvotes', () => {
+        const book = { title: 'Waiting', addedAt: '2026-01-01T00:00:00.000Z', upvotes: ['a', 'b'] };
+        const factors = weightingManager.getFactors(book, allRules, { now, recentAuthors: new Set() });
+
+        expect(factors.map(factor => factor.rule)).toEqual(['age', 'upvotes']);
+        expect(factors[0].multiplier).toBeCloseTo(1 + 0.3 * 60 / 30);
+        expect(factors[1].multiplier).toBe(2);
+    });
+
+    test('never take a book out of the draw entirely', () => {
+        const book = { title: 'Again', author: 'Eliot', addedAt: new Date(now).toISOString(), metadata: { pageCount: 900 } };
+        const factors = weightingManager.getFactors(book, allRules, { now, recentAuthors: new Set(['eliot']) });
+        const byRule = Object.fromEntries(factors.map(factor => [factor.rule, factor.multiplier]));
+
+        expect(byRule.recentAuthor).toBe(weightingManager.minimumMultiplier);
+        expect(byRule.pageCount).toBeCloseTo(300 / 900);
+    });
+
+    test('clamp settings from the form', () => {
+        const rules = weightingManager.normalizeRules({
+            age: { enabled: true, strength: '50' },
+            recentAuthor: { enabled: true, lookback: '0', penalty: '-1' },
+            pageCount: { enabled: true, prefer: 'sideways', targetPages: 'many' }
+        });
+
+        expect(rules.age.strength).toBe(10);
+        expect(rules.upvotes.enabled).toBe(false);
+        expect(rules.recentAuthor).toEqual({ enabled: true, lookback: 1, penalty: 0 });
+        expect(rules.pageCount).toEqual({ enabled: true, prefer: 'shorter', targetPages: 300 });
+    });
+
+    test('look back over the club\'s recent picks for authors', () => {
+        const club = { readingHistory: [{ book: { author: 'Austen' } }, { book: { author: ' Eliot ' } }, { book: {} }] };
+
+        expect([...weightingManager.getRecentAuthors(club, 2)]).toEqual(['eliot']);
+    });
+});
+
+describe('drawing', () => {
+    const club = { selectionSettings: { weighting: { enabled: true, rules: { age: { enabled: false } } } } };
+    const candidates = [
+        { id: 'a', title: 'A', upvotes: [] },
+        { id: 'b', title: 'B', upvotes: ['m1', 'm2'] }
+    ];
+
+    test('gives each candidate its share of the total weight', () => {
+        const entries = weightingManager.getWeightedCandidates(club, candidates);
+
+        expect(entries.map(entry => entry.weight)).toEqual([1, 2]);
+        expect(entries.map(entry => entry.probability)).toEqual([1 / 3, 2 / 3]);
+    });
+
+    test('picks in proportion to probability', () => {
+        const entries = weightingManager.getWeightedCandidates(club, candidates);
+
+        expect(weightingManager.pick(entries, () => 0.2).book.id).toBe('a');
+        expect(weightingManager.pick(entries, () => 0.5).book.id).toBe('b');
+        expect(weightingManager.pick(entries, () => 0.9999).book.id).toBe('b');
+        expect(weightingManager.pick([], () => 0.5)).toBeNull();
+    });
+});
\ No newline at end of file